@@ -12,6 +12,12 @@ import DashboardPage from './pages/DashboardPage'
 import ConfigurationPage from './pages/ConfigurationPage'
 import AutomationPage from './pages/AutomationPage'
 import LogsPage from './pages/LogsPage'
+import ApprovalsPage from './pages/ApprovalsPage'
+import FunnelsPage from './pages/FunnelsPage'
+import InboxPage from './pages/InboxPage'
+import MentionsPage from './pages/MentionsPage'
+import ModerationPage from './pages/ModerationPage'
+import CalendarPage from './pages/CalendarPage'
 import AIPostPage from './pages/AIPostPage'
 import DualPublishPage from './pages/DualPublishPage'
 import APIConfigPage from './pages/APIConfigPage'
@@ -94,6 +100,60 @@ function App() {
           }
         />
         
+        <Route
+          path="/approvals"
+          element={
+            <ProtectedRoute>
+              <ApprovalsPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/funnels"
+          element={
+            <ProtectedRoute>
+              <FunnelsPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/inbox"
+          element={
+            <ProtectedRoute>
+              <InboxPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/mentions"
+          element={
+            <ProtectedRoute>
+              <MentionsPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/moderation"
+          element={
+            <ProtectedRoute>
+              <ModerationPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/calendar"
+          element={
+            <ProtectedRoute>
+              <CalendarPage />
+            </ProtectedRoute>
+          }
+        />
+        
         <Route
           path="/ai-post"
           element={
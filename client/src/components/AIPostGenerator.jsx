@@ -3,6 +3,7 @@ import { useToast } from '../hooks/useToast';
 import api, { aiPostAPI } from '../utils/api';
 import PostGenerationProgress from './PostGenerationProgress';
 import RecentPosts from './RecentPosts';
+import CarouselUploader from './CarouselUploader';
 
 export default function AIPostGenerator() {
   const { showSuccess, showError } = useToast();
@@ -16,7 +17,11 @@ export default function AIPostGenerator() {
     brandVoice: '',
     topics: '',
     additionalContext: '',
-    autoPublish: true
+    autoPublish: true,
+    scheduledFor: '',
+    format: 'single',
+    slideCount: 5,
+    alsoStory: false
   });
   const [savedContext, setSavedContext] = useState(null);
   const [generatedPost, setGeneratedPost] = useState(null);
@@ -198,15 +203,21 @@ export default function AIPostGenerator() {
         brandVoice: formData.brandVoice,
         topics: formData.topics.split(',').map(t => t.trim()).filter(Boolean),
         additionalContext: formData.additionalContext,
-        autoPublish: formData.autoPublish
+        autoPublish: formData.autoPublish,
+        scheduledFor: formData.scheduledFor ? new Date(formData.scheduledFor).toISOString() : undefined,
+        format: formData.format,
+        slideCount: Number(formData.slideCount),
+        alsoStory: formData.alsoStory
       });
 
       if (response.data.success) {
         setGeneratedPost(response.data.post);
         showSuccess(
-          formData.autoPublish 
-            ? 'Post generated and published successfully!' 
-            : 'Post generated successfully!'
+          response.data.post.status === 'scheduled'
+            ? `Post scheduled for ${new Date(response.data.post.scheduledFor).toLocaleString()}`
+            : formData.autoPublish && !formData.scheduledFor
+              ? 'Post generated and published successfully!'
+              : 'Post generated successfully!'
         );
         
         // Refresh history and context
@@ -405,6 +416,39 @@ export default function AIPostGenerator() {
             />
           </div>
 
+          <div className="form-group">
+            <label htmlFor="format">
+              Post Format
+            </label>
+            <select
+              id="format"
+              name="format"
+              value={formData.format}
+              onChange={handleInputChange}
+            >
+              <option value="single">Single image</option>
+              <option value="carousel">Carousel (slide-by-slide)</option>
+            </select>
+          </div>
+
+          {formData.format === 'carousel' && (
+            <div className="form-group">
+              <label htmlFor="slideCount">
+                Number of Slides
+              </label>
+              <input
+                type="number"
+                id="slideCount"
+                name="slideCount"
+                min="2"
+                max="10"
+                value={formData.slideCount}
+                onChange={handleInputChange}
+              />
+              <small>Each slide gets its own AI image, so carousels take longer to generate</small>
+            </div>
+          )}
+
           <div className="form-group checkbox-group">
             <label>
               <input
@@ -417,6 +461,33 @@ export default function AIPostGenerator() {
             </label>
             <small>If unchecked, post will be saved as draft for review</small>
           </div>
+
+          <div className="form-group checkbox-group">
+            <label>
+              <input
+                type="checkbox"
+                name="alsoStory"
+                checked={formData.alsoStory}
+                onChange={handleInputChange}
+              />
+              <span>Also share as a Story</span>
+            </label>
+            <small>Once the post is published, the image (or first slide) is shared to your Story too</small>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="scheduledFor">
+              Schedule for later
+            </label>
+            <input
+              type="datetime-local"
+              id="scheduledFor"
+              name="scheduledFor"
+              value={formData.scheduledFor}
+              onChange={handleInputChange}
+            />
+            <small>Leave empty to publish right away. Scheduled posts show up in the Content Calendar.</small>
+          </div>
         </div>
 
         <div className="button-group">
@@ -466,7 +537,20 @@ export default function AIPostGenerator() {
               <h4>Caption:</h4>
               <p>{generatedPost.fullCaption}</p>
             </div>
-            {generatedPost.imageUrl && (
+            {generatedPost.mediaType === 'carousel' ? (
+              <div className="post-image">
+                <h4>Slides:</h4>
+                <div className="carousel-slides">
+                  {generatedPost.slides.map((slide, index) => (
+                    <div key={index} className="carousel-slide">
+                      {slide.url && <img src={slide.url} alt={`Slide ${index + 1}`} />}
+                      <strong>{index + 1}. {slide.title}</strong>
+                      <p>{slide.text}</p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ) : generatedPost.imageUrl && (
               <div className="post-image">
                 <h4>Image:</h4>
                 <img src={generatedPost.imageUrl} alt="Generated post" />
@@ -486,6 +570,9 @@ export default function AIPostGenerator() {
         </div>
       )}
 
+      {/* Upload your own carousel */}
+      <CarouselUploader onCreated={() => setRefreshPosts(prev => prev + 1)} />
+
       {/* Recent Posts with Real-time Updates */}
       <div className="mt-8">
         {console.log('[AIPostGenerator] Rendering RecentPosts, refreshTrigger:', refreshPosts)}
@@ -807,6 +894,24 @@ export default function AIPostGenerator() {
           border-radius: 8px;
         }
 
+        .carousel-slides {
+          display: flex;
+          gap: 12px;
+          overflow-x: auto;
+          padding-bottom: 8px;
+        }
+
+        .carousel-slide {
+          flex: 0 0 200px;
+          font-size: 13px;
+          color: #333;
+        }
+
+        .carousel-slide p {
+          margin-top: 4px;
+          color: #666;
+        }
+
         .post-meta {
           margin-top: 15px;
           display: flex;
@@ -156,6 +156,8 @@ const ActivityLog = ({ isAutomationActive }) => {
       comment_detected: 'bg-blue-100 text-blue-800 border-blue-200',
       reply_generated: 'bg-purple-100 text-purple-800 border-purple-200',
       reply_posted: 'bg-green-100 text-green-800 border-green-200',
+      mention_received: 'bg-pink-100 text-pink-800 border-pink-200',
+      mention_replied: 'bg-teal-100 text-teal-800 border-teal-200',
       error: 'bg-red-100 text-red-800 border-red-200',
       info: 'bg-gray-100 text-gray-800 border-gray-200'
     };
@@ -231,6 +233,8 @@ const ActivityLog = ({ isAutomationActive }) => {
               <option value="comment_detected">Comment Detected</option>
               <option value="reply_generated">Reply Generated</option>
               <option value="reply_posted">Reply Posted</option>
+              <option value="mention_received">Mention Received</option>
+              <option value="mention_replied">Mention Replied</option>
               <option value="error">Error</option>
               <option value="info">Info</option>
             </select>
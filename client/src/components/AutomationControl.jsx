@@ -1,5 +1,5 @@
-import { useState } from 'react';
-import { automationAPI } from '../utils/api';
+import { useState, useEffect } from 'react';
+import { automationAPI, configAPI } from '../utils/api';
 import { useApp } from '../context/AppContext';
 import PostSelector from './PostSelector';
 
@@ -8,6 +8,32 @@ const AutomationControl = () => {
   const [loading, setLoading] = useState(false);
   const [selectedPosts, setSelectedPosts] = useState([]);
   const [showPostSelector, setShowPostSelector] = useState(false);
+  const [triggerMode, setTriggerMode] = useState('webhook');
+  const [webhookConfigured, setWebhookConfigured] = useState(true);
+
+  // Load how automation receives comments
+  useEffect(() => {
+    configAPI.getTriggerMode()
+      .then(({ data }) => {
+        setTriggerMode(data.triggerMode || 'webhook');
+        setWebhookConfigured(data.webhookConfigured !== false);
+      })
+      .catch((err) => console.error('Error loading trigger mode:', err));
+  }, []);
+
+  // Switch between webhook delivery and polling
+  const handleTriggerModeChange = async (mode) => {
+    try {
+      const { data } = await configAPI.saveTriggerMode(mode);
+      setTriggerMode(mode);
+      setWebhookConfigured(data.webhookConfigured !== false);
+      toast.showSuccess(mode === 'webhook' ? 'Using real-time webhooks' : 'Using polling');
+      await fetchAutomationStatus();
+    } catch (err) {
+      console.error('Error saving trigger mode:', err);
+      toast.showError(err.message || 'Failed to update trigger mode');
+    }
+  };
 
   // Toggle automation on/off
   const handleToggle = async () => {
@@ -69,6 +95,35 @@ const AutomationControl = () => {
       {/* Automation Control Section */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h2 className="text-2xl font-bold text-gray-900 mb-6">Automation Control</h2>
+
+        {/* Trigger Mode */}
+        <div className="mb-6">
+          <p className="text-sm font-medium text-gray-700 mb-2">How should new comments be detected?</p>
+          <div className="flex flex-col sm:flex-row gap-3">
+            {[
+              { value: 'webhook', label: 'Real-time (webhook)', hint: 'Replies within seconds, no API polling' },
+              { value: 'polling', label: 'Polling (fallback)', hint: 'Checks posts every 30 seconds' },
+            ].map((option) => (
+              <button
+                key={option.value}
+                onClick={() => handleTriggerModeChange(option.value)}
+                className={`flex-1 text-left px-4 py-3 rounded-lg border transition ${
+                  triggerMode === option.value
+                    ? 'border-blue-500 bg-blue-50 text-blue-900'
+                    : 'border-gray-200 hover:border-gray-300 text-gray-700'
+                }`}
+              >
+                <span className="block font-semibold">{option.label}</span>
+                <span className="block text-xs text-gray-500">{option.hint}</span>
+              </button>
+            ))}
+          </div>
+          {triggerMode === 'webhook' && !webhookConfigured && (
+            <p className="mt-2 text-xs text-yellow-700">
+              ⚠️ The Instagram webhook is not configured on this server, so automation falls back to polling.
+            </p>
+          )}
+        </div>
         
         {/* Status Indicator */}
       <div className="mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
@@ -142,7 +197,10 @@ const AutomationControl = () => {
         {automationStatus.isRunning && (
           <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-md">
             <p className="text-sm text-blue-800">
-              <span className="font-semibold">ℹ️ Automation is running:</span> The system is checking for new comments every 30 seconds and will automatically generate and post replies.
+              <span className="font-semibold">ℹ️ Automation is running:</span>{' '}
+              {automationStatus.triggerMode === 'webhook'
+                ? 'New comments arrive in real time via webhook and replies are generated and posted automatically.'
+                : 'The system is checking for new comments every 30 seconds and will automatically generate and post replies.'}
               {selectedPosts.length > 0 && (
                 <span> Monitoring {selectedPosts.length} selected post(s).</span>
               )}
@@ -0,0 +1,186 @@
+import { useState, useRef } from 'react';
+import { useApp } from '../context/AppContext';
+import { aiPostAPI } from '../utils/api';
+
+const MIN_ITEMS = 2;
+const MAX_ITEMS = 10;
+
+const CarouselUploader = ({ onCreated }) => {
+  const { toast } = useApp();
+  const [files, setFiles] = useState([]);
+  const [caption, setCaption] = useState('');
+  const [scheduledFor, setScheduledFor] = useState('');
+  const [alsoStory, setAlsoStory] = useState(false);
+  const [submitting, setSubmitting] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const addFiles = (e) => {
+    const picked = Array.from(e.target.files || []).map((file) => ({
+      file,
+      preview: URL.createObjectURL(file),
+      isVideo: file.type.startsWith('video/'),
+    }));
+    setFiles((prev) => [...prev, ...picked].slice(0, MAX_ITEMS));
+    e.target.value = '';
+  };
+
+  const removeFile = (index) => {
+    setFiles((prev) => {
+      URL.revokeObjectURL(prev[index].preview);
+      return prev.filter((_, i) => i !== index);
+    });
+  };
+
+  const moveFile = (index, offset) => {
+    setFiles((prev) => {
+      const next = [...prev];
+      const [item] = next.splice(index, 1);
+      next.splice(index + offset, 0, item);
+      return next;
+    });
+  };
+
+  const submit = async (mode) => {
+    const formData = new FormData();
+    files.forEach(({ file }) => formData.append('media', file));
+    formData.append('caption', caption);
+    if (mode === 'publish') formData.append('publish', 'true');
+    if (mode === 'schedule') formData.append('scheduledFor', new Date(scheduledFor).toISOString());
+    if (alsoStory) formData.append('alsoStory', 'true');
+
+    setSubmitting(mode);
+    try {
+      const { data } = await aiPostAPI.createCarousel(formData);
+      toast.showSuccess(data.message);
+      files.forEach(({ preview }) => URL.revokeObjectURL(preview));
+      setFiles([]);
+      setCaption('');
+      setScheduledFor('');
+      setAlsoStory(false);
+      onCreated?.();
+    } catch (err) {
+      console.error('Failed to create carousel:', err);
+      toast.showError(err.message || 'Failed to create carousel');
+      if (err.response?.data?.post) onCreated?.();
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const canSubmit = files.length >= MIN_ITEMS && caption.trim() && !submitting;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mt-8 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold">Upload a Carousel</h3>
+        <p className="text-sm text-gray-500">Use your own {MIN_ITEMS}–{MAX_ITEMS} images or videos, in slide order</p>
+      </div>
+
+      <div className="flex flex-wrap gap-3">
+        {files.map((item, index) => (
+          <div key={item.preview} className="relative w-24">
+            {item.isVideo ? (
+              <video src={item.preview} className="w-24 h-24 object-cover rounded" muted />
+            ) : (
+              <img src={item.preview} alt={`Slide ${index + 1}`} className="w-24 h-24 object-cover rounded" />
+            )}
+            <span className="absolute top-1 left-1 text-xs bg-black/60 text-white px-1.5 rounded">{index + 1}</span>
+            <button
+              type="button"
+              onClick={() => removeFile(index)}
+              className="absolute top-1 right-1 text-xs bg-black/60 text-white w-5 h-5 rounded-full"
+              title="Remove"
+            >
+              ✕
+            </button>
+            <div className="flex justify-between mt-1">
+              <button
+                type="button"
+                onClick={() => moveFile(index, -1)}
+                disabled={index === 0}
+                className="text-xs text-gray-500 hover:text-gray-800 disabled:opacity-30"
+              >
+                ←
+              </button>
+              <button
+                type="button"
+                onClick={() => moveFile(index, 1)}
+                disabled={index === files.length - 1}
+                className="text-xs text-gray-500 hover:text-gray-800 disabled:opacity-30"
+              >
+                →
+              </button>
+            </div>
+          </div>
+        ))}
+        {files.length < MAX_ITEMS && (
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="w-24 h-24 border-2 border-dashed border-gray-300 rounded text-gray-400 hover:border-blue-400 hover:text-blue-500 transition"
+          >
+            + Add
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/jpeg,image/png,video/mp4,video/quicktime"
+          multiple
+          onChange={addFiles}
+          className="hidden"
+        />
+      </div>
+
+      <textarea
+        value={caption}
+        onChange={(e) => setCaption(e.target.value)}
+        placeholder="Caption for the whole carousel"
+        rows={4}
+        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={alsoStory} onChange={(e) => setAlsoStory(e.target.checked)} />
+        Also share the first slide as a Story
+      </label>
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+        <button
+          type="button"
+          onClick={() => submit('publish')}
+          disabled={!canSubmit}
+          className="px-4 py-2 text-sm text-white bg-green-600 hover:bg-green-700 rounded-md disabled:bg-gray-300"
+        >
+          {submitting === 'publish' ? 'Publishing...' : '🚀 Publish now'}
+        </button>
+        <button
+          type="button"
+          onClick={() => submit('draft')}
+          disabled={!canSubmit}
+          className="px-4 py-2 text-sm border border-gray-300 hover:bg-gray-50 rounded-md disabled:opacity-50"
+        >
+          {submitting === 'draft' ? 'Saving...' : '📝 Save as draft'}
+        </button>
+        <div className="flex items-center gap-2 sm:ml-auto">
+          <input
+            type="datetime-local"
+            value={scheduledFor}
+            onChange={(e) => setScheduledFor(e.target.value)}
+            className="px-2 py-2 text-sm border border-gray-300 rounded-md"
+          />
+          <button
+            type="button"
+            onClick={() => submit('schedule')}
+            disabled={!canSubmit || !scheduledFor}
+            className="px-4 py-2 text-sm border border-gray-300 hover:bg-gray-50 rounded-md disabled:opacity-50"
+          >
+            {submitting === 'schedule' ? 'Scheduling...' : '📅 Schedule'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CarouselUploader;
@@ -20,10 +20,28 @@ const ConfigurationPanel = () => {
     channelName: null,
     channelId: null
   });
+  const [facebookStatus, setFacebookStatus] = useState({
+    connected: false,
+    name: null,
+    pages: [],
+    selectedPage: ''
+  });
 
   const checkConnectionStatus = useCallback(async () => {
     try {
-      const response = await api.get('/api/credentials');
+      const [response, facebook] = await Promise.all([
+        api.get('/api/credentials'),
+        api.get('/api/credentials/facebook')
+      ]);
+
+      if (facebook.data.success) {
+        setFacebookStatus({
+          connected: facebook.data.configured,
+          name: facebook.data.name || null,
+          pages: facebook.data.pages || [],
+          selectedPage: facebook.data.selectedPage || ''
+        });
+      }
 
       if (response.data.success) {
         const { instagram, youtube } = response.data.credentials;
@@ -81,6 +99,15 @@ const ConfigurationPanel = () => {
       shouldResetUrl = true;
     }
 
+    if (urlParams.get('facebook') === 'success') {
+      showSuccess(`Facebook connected successfully! Pages: ${urlParams.get('pages')}`);
+      timers.push(setTimeout(() => checkConnectionStatus(), 1000));
+      shouldResetUrl = true;
+    } else if (urlParams.get('facebook') === 'error') {
+      showError(`Facebook connection failed: ${urlParams.get('message')}`);
+      shouldResetUrl = true;
+    }
+
     if (shouldResetUrl) {
       navigate('/configuration', { replace: true });
     }
@@ -142,6 +169,43 @@ const ConfigurationPanel = () => {
     }
   };
 
+  const handleFacebookLogin = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/api/oauth/facebook/auth-url');
+
+      if (response.data.success) {
+        showSuccess('Redirecting to Facebook...');
+        window.location.href = response.data.authUrl;
+      } else {
+        showError(response.data.error || 'Failed to get authorization URL');
+        setLoading(false);
+      }
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || 'Failed to initiate Facebook login';
+
+      if (errorMsg.includes('not configured') || errorMsg.includes('FACEBOOK_APP_ID')) {
+        showError('Facebook OAuth not configured. Please contact your administrator.');
+      } else {
+        showError(errorMsg);
+      }
+      setLoading(false);
+    }
+  };
+
+  const handleSelectFacebookPage = async (pageId) => {
+    setLoading(true);
+    try {
+      const response = await api.post('/api/credentials/facebook/select-page', { pageId });
+      setFacebookStatus(prev => ({ ...prev, selectedPage: pageId }));
+      showSuccess(`Publishing to ${response.data.selectedPage.name} by default`);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to select the Page');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleDisconnect = async (platform) => {
     if (!window.confirm(`Are you sure you want to disconnect ${platform}?`)) {
       return;
@@ -328,6 +392,85 @@ const ConfigurationPanel = () => {
           )}
         </div>
 
+        {/* Facebook Connection */}
+        <div className="border border-gray-200 rounded-lg p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div className="flex items-center space-x-3">
+              <div className="w-12 h-12 bg-blue-600 rounded-lg flex items-center justify-center">
+                <span className="text-2xl">📘</span>
+              </div>
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Facebook</h3>
+                <p className="text-sm text-gray-500">Connect the Facebook Pages you manage</p>
+              </div>
+            </div>
+            {facebookStatus.connected && (
+              <span className="px-3 py-1 bg-green-100 text-green-800 text-xs font-medium rounded-full">
+                ✓ Connected
+              </span>
+            )}
+          </div>
+
+          {facebookStatus.connected ? (
+            <div className="space-y-4">
+              <div className="bg-gray-50 rounded-md p-4">
+                <p className="text-sm text-gray-600 mb-1">Default Page</p>
+                <select
+                  value={facebookStatus.selectedPage}
+                  onChange={(e) => handleSelectFacebookPage(e.target.value)}
+                  disabled={loading}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  {facebookStatus.pages.map((page) => (
+                    <option key={page.pageId} value={page.pageId}>
+                      {page.name}{page.canPublish ? '' : ' (no publishing access)'}
+                    </option>
+                  ))}
+                </select>
+                {facebookStatus.name && (
+                  <p className="text-xs text-gray-500 mt-1">Connected as {facebookStatus.name}</p>
+                )}
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={handleFacebookLogin}
+                  disabled={loading}
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+                >
+                  Reconnect
+                </button>
+                <button
+                  onClick={() => handleDisconnect('facebook')}
+                  disabled={loading}
+                  className="px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+                >
+                  Disconnect
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
+                <p className="text-sm text-blue-800 mb-2">
+                  Click below to log in with Facebook and pick the Pages to publish to. Videos from the Dual Publisher can then also go out as Page Reels or videos.
+                </p>
+                <p className="text-xs text-blue-700 font-medium mb-1">Required Permissions:</p>
+                <ul className="text-xs text-blue-600 space-y-0.5 ml-4">
+                  <li>• List your Pages</li>
+                  <li>• Publish photos, links and videos to your Pages</li>
+                </ul>
+              </div>
+              <button
+                onClick={handleFacebookLogin}
+                disabled={loading}
+                className="w-full px-6 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium text-lg"
+              >
+                {loading ? 'Connecting...' : 'Login with Facebook'}
+              </button>
+            </div>
+          )}
+        </div>
+
         {/* Info Section */}
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
           <div className="flex items-start">
@@ -0,0 +1,309 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { scheduleAPI } from '../utils/api';
+import socketService from '../services/socket.service';
+import LoadingSpinner from './LoadingSpinner';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const STATUS_STYLES = {
+  scheduled: 'bg-amber-100 text-amber-800 border-amber-200',
+  pending: 'bg-blue-50 text-blue-700 border-blue-200',
+  publishing: 'bg-blue-100 text-blue-800 border-blue-200',
+  processing: 'bg-blue-100 text-blue-800 border-blue-200',
+  awaiting_review: 'bg-amber-100 text-amber-800 border-amber-200',
+  published: 'bg-green-100 text-green-800 border-green-200',
+  completed: 'bg-green-100 text-green-800 border-green-200',
+  partial: 'bg-orange-100 text-orange-800 border-orange-200',
+  failed: 'bg-red-100 text-red-800 border-red-200',
+  cancelled: 'bg-gray-100 text-gray-500 border-gray-200',
+};
+
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+const itemDate = (item) => new Date(item.scheduledFor || item.publishedAt);
+
+// datetime-local wants local time without a timezone suffix
+const toLocalInput = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Monday-first grid of whole weeks covering the month
+const buildGrid = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const start = new Date(first);
+  start.setDate(first.getDate() - ((first.getDay() + 6) % 7));
+
+  const days = [];
+  const cursor = new Date(start);
+  do {
+    for (let i = 0; i < 7; i++) {
+      days.push(new Date(cursor));
+      cursor.setDate(cursor.getDate() + 1);
+    }
+  } while (cursor.getMonth() === month.getMonth());
+  return days;
+};
+
+const ContentCalendar = () => {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const [items, setItems] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [newTime, setNewTime] = useState('');
+  const [dragOverDay, setDragOverDay] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const days = buildGrid(month);
+
+  const loadItems = useCallback(async () => {
+    const gridDays = buildGrid(month);
+    const to = new Date(gridDays[gridDays.length - 1]);
+    to.setDate(to.getDate() + 1);
+
+    try {
+      const { data } = await scheduleAPI.list({ from: gridDays[0].toISOString(), to: to.toISOString() });
+      if (data.success) {
+        setItems(data.items);
+      }
+    } catch (err) {
+      console.error('Failed to load calendar:', err);
+      showError(err.message || 'Failed to load scheduled content');
+    } finally {
+      setLoading(false);
+    }
+  }, [month, showError]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  // Refresh when the scheduler publishes, defers or fails something
+  useEffect(() => {
+    const user = JSON.parse(localStorage.getItem('user') || 'null');
+    if (!user?.id) return undefined;
+
+    const event = `schedule:${user.id}`;
+    socketService.on(event, loadItems);
+    return () => socketService.off(event, loadItems);
+  }, [loadItems]);
+
+  const selectItem = (item) => {
+    setSelected(item);
+    setNewTime(toLocalInput(itemDate(item)));
+  };
+
+  const reschedule = async (item, date) => {
+    setBusy(true);
+    try {
+      await scheduleAPI.reschedule(item.kind, item.id, date.toISOString());
+      toast.showSuccess(`Moved to ${date.toLocaleString()}`);
+      setSelected(null);
+      await loadItems();
+    } catch (err) {
+      console.error('Failed to reschedule:', err);
+      toast.showError(err.message || 'Failed to reschedule');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancel = async (item) => {
+    const prompt = item.kind === 'post'
+      ? 'Unschedule this post? It will be kept as a draft.'
+      : 'Cancel this publishing job? The uploaded video will be removed.';
+    if (!window.confirm(prompt)) return;
+
+    setBusy(true);
+    try {
+      await scheduleAPI.cancel(item.kind, item.id);
+      toast.showSuccess(item.kind === 'post' ? 'Post moved back to drafts' : 'Publishing job cancelled');
+      setSelected(null);
+      await loadItems();
+    } catch (err) {
+      console.error('Failed to cancel:', err);
+      toast.showError(err.message || 'Failed to cancel');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Dropping keeps the time of day and only changes the date
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    setDragOverDay(null);
+
+    const item = items.find((entry) => `${entry.kind}:${entry.id}` === e.dataTransfer.getData('text/plain'));
+    if (!item) return;
+
+    const current = itemDate(item);
+    const target = new Date(day.getFullYear(), day.getMonth(), day.getDate(), current.getHours(), current.getMinutes());
+    if (dayKey(target) === dayKey(current)) return;
+
+    if (target < new Date()) {
+      toast.showError('Pick a day in the future');
+      return;
+    }
+    reschedule(item, target);
+  };
+
+  const changeMonth = (offset) => {
+    setSelected(null);
+    setMonth((prev) => new Date(prev.getFullYear(), prev.getMonth() + offset, 1));
+  };
+
+  const itemsByDay = items.reduce((acc, item) => {
+    const key = dayKey(itemDate(item));
+    acc[key] = [...(acc[key] || []), item];
+    return acc;
+  }, {});
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => changeMonth(-1)}
+          className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition"
+        >
+          ← Previous
+        </button>
+        <h2 className="text-lg font-semibold text-gray-900">
+          {month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+        </h2>
+        <button
+          onClick={() => changeMonth(1)}
+          className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition"
+        >
+          Next →
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+        {WEEKDAYS.map((weekday) => (
+          <div key={weekday} className="bg-gray-50 px-2 py-1 text-xs font-medium text-gray-500 text-center">
+            {weekday}
+          </div>
+        ))}
+        {days.map((day) => {
+          const key = dayKey(day);
+          const isToday = key === dayKey(new Date());
+          return (
+            <div
+              key={key}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDragOverDay(key);
+              }}
+              onDragLeave={() => setDragOverDay(null)}
+              onDrop={(e) => handleDrop(e, day)}
+              className={`min-h-24 p-1 ${dragOverDay === key ? 'bg-amber-50' : 'bg-white'} ${
+                day.getMonth() === month.getMonth() ? '' : 'opacity-50'
+              }`}
+            >
+              <p className={`text-xs mb-1 ${isToday ? 'font-bold text-amber-600' : 'text-gray-500'}`}>{day.getDate()}</p>
+              <div className="space-y-1">
+                {(itemsByDay[key] || []).map((item) => (
+                  <button
+                    key={`${item.kind}:${item.id}`}
+                    draggable={item.status === 'scheduled'}
+                    onDragStart={(e) => e.dataTransfer.setData('text/plain', `${item.kind}:${item.id}`)}
+                    onClick={() => selectItem(item)}
+                    title={item.title}
+                    className={`w-full text-left text-xs px-1.5 py-1 rounded border truncate ${
+                      STATUS_STYLES[item.status] || 'bg-gray-100 text-gray-600 border-gray-200'
+                    } ${item.status === 'scheduled' ? 'cursor-grab' : ''}`}
+                  >
+                    {item.kind === 'job' ? '🎬' : '📷'}{' '}
+                    {itemDate(item).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}{' '}
+                    {item.title}
+                  </button>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {selected && (
+        <section className="border border-gray-200 rounded-lg p-5 space-y-3">
+          <div className="flex items-start gap-4">
+            {selected.imageUrl && (
+              <img src={selected.imageUrl} alt="" className="w-20 h-20 object-cover rounded-md" />
+            )}
+            <div className="min-w-0 flex-1">
+              <div className="flex items-center gap-2">
+                <p className="font-semibold text-gray-900 truncate">{selected.title}</p>
+                <span className={`text-xs px-2 py-0.5 rounded-full border ${STATUS_STYLES[selected.status] || ''}`}>
+                  {selected.status}
+                </span>
+              </div>
+              <p className="text-xs text-gray-400 mt-1">
+                {selected.kind === 'job' ? 'Instagram + YouTube video' : 'Instagram post'}
+                {' · '}
+                {itemDate(selected).toLocaleString()}
+              </p>
+              {selected.deferredUntil && selected.status === 'scheduled' && (
+                <p className="text-xs text-amber-700 mt-1">
+                  {selected.deferredReason || 'Publishing limit reached'}, retrying after {new Date(selected.deferredUntil).toLocaleString()}
+                </p>
+              )}
+              {selected.error && selected.status === 'failed' && (
+                <p className="text-xs text-red-600 mt-1">{selected.error}</p>
+              )}
+            </div>
+            <button onClick={() => setSelected(null)} className="text-gray-400 hover:text-gray-600">✕</button>
+          </div>
+
+          {(selected.status === 'scheduled' || (selected.kind === 'post' && selected.status === 'failed')) && (
+            <div className="flex flex-col sm:flex-row gap-2">
+              <input
+                type="datetime-local"
+                value={newTime}
+                onChange={(e) => setNewTime(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <button
+                onClick={() => reschedule(selected, new Date(newTime))}
+                disabled={busy || !newTime}
+                className="px-4 py-2 text-sm bg-gray-900 text-white rounded-md hover:bg-gray-800 disabled:bg-gray-400 transition"
+              >
+                {selected.status === 'failed' ? 'Retry at this time' : 'Reschedule'}
+              </button>
+              {selected.status === 'scheduled' && (
+                <button
+                  onClick={() => cancel(selected)}
+                  disabled={busy}
+                  className="px-4 py-2 text-sm border border-red-300 text-red-600 rounded-md hover:bg-red-50 transition"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          )}
+        </section>
+      )}
+
+      {items.length === 0 && (
+        <div className="text-center py-6 text-gray-500">
+          <p className="text-4xl mb-2">📅</p>
+          <p>Nothing scheduled this month. Pick a publish time in the AI Post Generator or Dual Publisher.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ContentCalendar;
@@ -0,0 +1,347 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { funnelsAPI, postsAPI } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const EMPTY_FORM = {
+  name: '',
+  keywords: '',
+  postIds: [],
+  publicReply: '',
+  dmMessage: 'Hey {username}! Here is the link you asked for: {link}',
+  link: '',
+  enabled: true,
+};
+
+const DmFunnelManager = () => {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [funnels, setFunnels] = useState([]);
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [deliveries, setDeliveries] = useState({ funnelId: null, items: [] });
+
+  const loadFunnels = useCallback(async () => {
+    try {
+      const { data } = await funnelsAPI.list();
+      if (data.success) {
+        setFunnels(data.funnels);
+      }
+    } catch (err) {
+      console.error('Failed to load funnels:', err);
+      showError(err.message || 'Failed to load funnels');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadFunnels();
+
+    postsAPI.getPosts({ limit: 50 })
+      .then(({ data }) => setPosts(data.posts || []))
+      .catch((err) => console.error('Failed to load posts:', err));
+  }, [loadFunnels]);
+
+  const openCreate = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const openEdit = (funnel) => {
+    setForm({
+      name: funnel.name,
+      keywords: (funnel.keywords || []).join(', '),
+      postIds: funnel.postIds || [],
+      publicReply: funnel.publicReply || '',
+      dmMessage: funnel.dmMessage,
+      link: funnel.link || '',
+      enabled: funnel.enabled,
+    });
+    setEditingId(funnel._id);
+    setShowForm(true);
+  };
+
+  const togglePost = (postId) => {
+    setForm((prev) => ({
+      ...prev,
+      postIds: prev.postIds.includes(postId)
+        ? prev.postIds.filter((id) => id !== postId)
+        : [...prev.postIds, postId],
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editingId) {
+        await funnelsAPI.update(editingId, form);
+        toast.showSuccess('Funnel updated');
+      } else {
+        await funnelsAPI.create(form);
+        toast.showSuccess('Funnel created');
+      }
+      setShowForm(false);
+      await loadFunnels();
+    } catch (err) {
+      console.error('Failed to save funnel:', err);
+      toast.showError(err.message || 'Failed to save funnel');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (funnel) => {
+    try {
+      await funnelsAPI.update(funnel._id, { enabled: !funnel.enabled });
+      await loadFunnels();
+    } catch (err) {
+      console.error('Failed to update funnel:', err);
+      toast.showError(err.message || 'Failed to update funnel');
+    }
+  };
+
+  const handleDelete = async (funnel) => {
+    if (!window.confirm(`Delete funnel "${funnel.name}"?`)) return;
+    try {
+      await funnelsAPI.remove(funnel._id);
+      toast.showSuccess('Funnel deleted');
+      await loadFunnels();
+    } catch (err) {
+      console.error('Failed to delete funnel:', err);
+      toast.showError(err.message || 'Failed to delete funnel');
+    }
+  };
+
+  const toggleDeliveries = async (funnel) => {
+    if (deliveries.funnelId === funnel._id) {
+      setDeliveries({ funnelId: null, items: [] });
+      return;
+    }
+    try {
+      const { data } = await funnelsAPI.getDeliveries(funnel._id);
+      setDeliveries({ funnelId: funnel._id, items: data.deliveries || [] });
+    } catch (err) {
+      console.error('Failed to load deliveries:', err);
+      toast.showError(err.message || 'Failed to load deliveries');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">
+          When a comment contains a keyword, reply publicly (optional) and send the commenter a private message. Each person is messaged once per funnel.
+        </p>
+        <button
+          onClick={openCreate}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition whitespace-nowrap ml-4"
+        >
+          New Funnel
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSave} className="space-y-4 p-5 bg-gray-50 rounded-lg border border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Funnel' : 'New Funnel'}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Name</span>
+              <input
+                type="text"
+                required
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Keywords (comma separated)</span>
+              <input
+                type="text"
+                required
+                placeholder="LINK, guide"
+                value={form.keywords}
+                onChange={(e) => setForm({ ...form, keywords: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </label>
+          </div>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Link</span>
+            <input
+              type="url"
+              placeholder="https://"
+              value={form.link}
+              onChange={(e) => setForm({ ...form, link: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Private message ({'{username}'}, {'{link}'})</span>
+            <textarea
+              rows={3}
+              required
+              maxLength={900}
+              value={form.dmMessage}
+              onChange={(e) => setForm({ ...form, dmMessage: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Public reply (optional)</span>
+            <input
+              type="text"
+              placeholder="Sent you a DM {username}!"
+              value={form.publicReply}
+              onChange={(e) => setForm({ ...form, publicReply: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">
+              Posts {form.postIds.length === 0 ? '(none selected: runs on every monitored post)' : `(${form.postIds.length} selected)`}
+            </p>
+            <div className="grid grid-cols-4 md:grid-cols-8 gap-2 max-h-48 overflow-y-auto">
+              {posts.map((post) => (
+                <button
+                  type="button"
+                  key={post.id}
+                  onClick={() => togglePost(post.id)}
+                  title={post.caption || 'No caption'}
+                  className={`aspect-square rounded-md overflow-hidden border-2 ${
+                    form.postIds.includes(post.id) ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200'
+                  }`}
+                >
+                  <img src={post.thumbnailUrl} alt="" className="w-full h-full object-cover" />
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-green-300 transition"
+            >
+              {saving ? 'Saving...' : 'Save Funnel'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {funnels.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-4xl mb-2">📨</p>
+          <p>No funnels yet</p>
+        </div>
+      ) : (
+        funnels.map((funnel) => (
+          <div key={funnel._id} className="border border-gray-200 rounded-lg p-5">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <div className="flex items-center gap-2">
+                  <p className="font-semibold text-gray-900">{funnel.name}</p>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${
+                    funnel.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
+                  }`}>
+                    {funnel.enabled ? 'Active' : 'Paused'}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-500 mt-1">
+                  Keywords: {funnel.keywords.join(', ')} · {funnel.postIds.length ? `${funnel.postIds.length} post(s)` : 'All monitored posts'}
+                </p>
+              </div>
+              <div className="grid grid-cols-3 gap-3 text-center">
+                <div className="px-3 py-2 bg-blue-50 rounded-lg">
+                  <p className="text-lg font-bold text-blue-700">{funnel.stats?.triggered || 0}</p>
+                  <p className="text-xs text-blue-600">Triggered</p>
+                </div>
+                <div className="px-3 py-2 bg-green-50 rounded-lg">
+                  <p className="text-lg font-bold text-green-700">{funnel.stats?.dmSent || 0}</p>
+                  <p className="text-xs text-green-600">DMs sent</p>
+                </div>
+                <div className="px-3 py-2 bg-red-50 rounded-lg">
+                  <p className="text-lg font-bold text-red-700">{funnel.stats?.failed || 0}</p>
+                  <p className="text-xs text-red-600">Failed</p>
+                </div>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mt-4">
+              <button
+                onClick={() => handleToggle(funnel)}
+                className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition"
+              >
+                {funnel.enabled ? 'Pause' : 'Resume'}
+              </button>
+              <button
+                onClick={() => openEdit(funnel)}
+                className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => toggleDeliveries(funnel)}
+                className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition"
+              >
+                {deliveries.funnelId === funnel._id ? 'Hide History' : 'History'}
+              </button>
+              <button
+                onClick={() => handleDelete(funnel)}
+                className="px-3 py-1 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 transition"
+              >
+                Delete
+              </button>
+            </div>
+
+            {deliveries.funnelId === funnel._id && (
+              <div className="mt-4 border-t border-gray-100 pt-3">
+                {deliveries.items.length === 0 ? (
+                  <p className="text-sm text-gray-500">No messages sent yet</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {deliveries.items.map((delivery) => (
+                      <li key={delivery._id} className="py-2 flex items-center justify-between text-sm">
+                        <span className="text-gray-700">@{delivery.recipient}</span>
+                        <span className={delivery.status === 'sent' ? 'text-green-600' : delivery.status === 'failed' ? 'text-red-600' : 'text-gray-500'}>
+                          {delivery.status}{delivery.error ? `: ${delivery.error}` : ''}
+                        </span>
+                        <span className="text-gray-400">{new Date(delivery.createdAt).toLocaleString()}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default DmFunnelManager;
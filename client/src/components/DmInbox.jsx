@@ -0,0 +1,332 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useApp } from '../context/AppContext';
+import { inboxAPI } from '../utils/api';
+import socketService from '../services/socket.service';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatWindow = (conversation) => {
+  if (!conversation.windowOpen) return 'Reply window closed';
+  const hours = Math.max(0, (new Date(conversation.windowClosesAt) - Date.now()) / 3600000);
+  return hours < 1 ? 'Reply window closes in under an hour' : `Reply window closes in ${Math.floor(hours)}h`;
+};
+
+const DmInbox = () => {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [conversations, setConversations] = useState([]);
+  const [settings, setSettings] = useState({ enabled: false, mode: 'approval' });
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [pendingDraft, setPendingDraft] = useState('');
+  const threadEndRef = useRef(null);
+  const selectedId = selected?._id;
+
+  const loadConversations = useCallback(async () => {
+    try {
+      const { data } = await inboxAPI.listConversations();
+      if (data.success) {
+        setConversations(data.conversations);
+      }
+    } catch (err) {
+      console.error('Failed to load conversations:', err);
+      showError(err.message || 'Failed to load conversations');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  const openConversation = useCallback(async (id) => {
+    try {
+      const { data } = await inboxAPI.getConversation(id);
+      if (data.success) {
+        setSelected(data.conversation);
+        setPendingDraft(data.conversation.pendingReply?.text || '');
+        setConversations((prev) => prev.map((c) => (c._id === id ? { ...c, unreadCount: 0 } : c)));
+      }
+    } catch (err) {
+      console.error('Failed to load conversation:', err);
+      showError(err.message || 'Failed to load conversation');
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadConversations();
+
+    inboxAPI.getSettings()
+      .then(({ data }) => setSettings(data.settings))
+      .catch((err) => console.error('Failed to load DM settings:', err));
+  }, [loadConversations]);
+
+  // Refresh the list (and the open thread) when a message arrives or a reply is generated
+  useEffect(() => {
+    const user = JSON.parse(localStorage.getItem('user') || 'null');
+    if (!user?.id) return undefined;
+
+    const event = `inbox:${user.id}`;
+    const handleUpdate = (data) => {
+      loadConversations();
+      if (data.conversationId === selectedId) {
+        openConversation(selectedId);
+      }
+    };
+
+    socketService.on(event, handleUpdate);
+    return () => socketService.off(event, handleUpdate);
+  }, [loadConversations, openConversation, selectedId]);
+
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [selected?.messages?.length]);
+
+  const saveSettings = async (update) => {
+    try {
+      const { data } = await inboxAPI.saveSettings(update);
+      setSettings(data.settings);
+    } catch (err) {
+      console.error('Failed to save DM settings:', err);
+      toast.showError(err.message || 'Failed to save DM settings');
+    }
+  };
+
+  const handleSync = async () => {
+    setBusy(true);
+    try {
+      const { data } = await inboxAPI.sync();
+      toast.showSuccess(data.message);
+      await loadConversations();
+    } catch (err) {
+      console.error('Failed to sync conversations:', err);
+      toast.showError(err.message || 'Failed to sync conversations');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Runs a thread action and shows the updated thread
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      const { data } = await action();
+      setSelected(data.conversation);
+      setPendingDraft(data.conversation.pendingReply?.text || '');
+      if (successMessage) toast.showSuccess(successMessage);
+      await loadConversations();
+      return true;
+    } catch (err) {
+      console.error('Inbox action failed:', err);
+      toast.showError(err.message || 'Something went wrong');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    if (await runAction(() => inboxAPI.send(selectedId, draft), null)) {
+      setDraft('');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <label className="flex items-center gap-3">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => saveSettings({ enabled: e.target.checked })}
+            className="w-4 h-4"
+          />
+          <span className="text-sm font-medium text-gray-700">AI replies to direct messages</span>
+        </label>
+        <div className="flex items-center gap-3">
+          <select
+            value={settings.mode}
+            disabled={!settings.enabled}
+            onChange={(e) => saveSettings({ mode: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-100"
+          >
+            <option value="approval">Wait for my approval</option>
+            <option value="auto">Send automatically</option>
+          </select>
+          <button
+            onClick={handleSync}
+            disabled={busy}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-white disabled:opacity-50 transition"
+          >
+            Sync from Instagram
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 min-h-[28rem]">
+        <div className="border border-gray-200 rounded-lg overflow-y-auto max-h-[36rem]">
+          {conversations.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <p className="text-4xl mb-2">💬</p>
+              <p>No conversations yet</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {conversations.map((conversation) => (
+                <li key={conversation._id}>
+                  <button
+                    onClick={() => openConversation(conversation._id)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 transition ${
+                      conversation._id === selectedId ? 'bg-blue-50' : ''
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-900">
+                        {conversation.participantUsername ? `@${conversation.participantUsername}` : conversation.participantId}
+                      </span>
+                      {conversation.unreadCount > 0 && (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-blue-600 text-white">{conversation.unreadCount}</span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-500 truncate">{conversation.messages?.[0]?.text || ''}</p>
+                    <div className="flex items-center gap-2 mt-1 text-xs">
+                      {conversation.pendingReply?.text && <span className="text-amber-600">Reply waiting</span>}
+                      {!conversation.windowOpen && <span className="text-gray-400">Window closed</span>}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="md:col-span-2 border border-gray-200 rounded-lg flex flex-col">
+          {!selected ? (
+            <div className="flex-1 flex items-center justify-center text-gray-500">Select a conversation</div>
+          ) : (
+            <>
+              <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+                <div>
+                  <p className="font-semibold text-gray-900">
+                    {selected.participantUsername ? `@${selected.participantUsername}` : selected.participantId}
+                  </p>
+                  <p className={`text-xs ${selected.windowOpen ? 'text-green-600' : 'text-gray-400'}`}>{formatWindow(selected)}</p>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={selected.autoReplyEnabled}
+                    onChange={(e) => runAction(() => inboxAPI.setAutoReply(selectedId, e.target.checked), null)}
+                  />
+                  AI replies in this thread
+                </label>
+              </div>
+
+              <div className="flex-1 overflow-y-auto max-h-[24rem] p-4 space-y-2">
+                {selected.messages.map((message, index) => (
+                  <div key={message.messageId || index} className={`flex ${message.direction === 'outbound' ? 'justify-end' : 'justify-start'}`}>
+                    <div className={`max-w-[75%] px-3 py-2 rounded-2xl text-sm ${
+                      message.direction === 'outbound' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'
+                    }`}>
+                      <p className="whitespace-pre-wrap">{message.text}</p>
+                      <p className={`text-[10px] mt-1 ${message.direction === 'outbound' ? 'text-blue-100' : 'text-gray-400'}`}>
+                        {message.source === 'ai' ? 'AI · ' : ''}{new Date(message.createdAt).toLocaleString()}
+                      </p>
+                    </div>
+                  </div>
+                ))}
+                <div ref={threadEndRef} />
+              </div>
+
+              {selected.pendingReply?.text && (
+                <div className="p-4 border-t border-amber-100 bg-amber-50 space-y-3">
+                  <p className="text-sm font-medium text-amber-800">AI reply waiting for approval</p>
+                  <div className="flex flex-wrap gap-2">
+                    {(selected.pendingReply.options || []).map((option) => (
+                      <button
+                        key={option}
+                        onClick={() => setPendingDraft(option)}
+                        className={`text-xs px-2 py-1 rounded-md border text-left ${
+                          option === pendingDraft ? 'border-amber-500 bg-white' : 'border-amber-200'
+                        }`}
+                      >
+                        {option}
+                      </button>
+                    ))}
+                  </div>
+                  <textarea
+                    rows={2}
+                    value={pendingDraft}
+                    onChange={(e) => setPendingDraft(e.target.value)}
+                    className="w-full px-3 py-2 border border-amber-200 rounded-md text-sm"
+                  />
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => runAction(() => inboxAPI.approve(selectedId, pendingDraft), 'Reply sent')}
+                      disabled={busy || !selected.windowOpen}
+                      className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-green-300 transition"
+                    >
+                      Send
+                    </button>
+                    <button
+                      onClick={() => runAction(() => inboxAPI.regenerate(selectedId), null)}
+                      disabled={busy}
+                      className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-white transition"
+                    >
+                      Regenerate
+                    </button>
+                    <button
+                      onClick={() => runAction(() => inboxAPI.discard(selectedId), 'Reply discarded')}
+                      disabled={busy}
+                      className="px-3 py-1 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 transition"
+                    >
+                      Discard
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <form onSubmit={handleSend} className="flex gap-2 p-4 border-t border-gray-100">
+                <input
+                  type="text"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  disabled={!selected.windowOpen}
+                  placeholder={selected.windowOpen ? 'Write a reply...' : 'You can reply once they message again'}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md disabled:bg-gray-100"
+                />
+                <button
+                  type="submit"
+                  disabled={busy || !selected.windowOpen || !draft.trim()}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition"
+                >
+                  Send
+                </button>
+                {!selected.pendingReply?.text && (
+                  <button
+                    type="button"
+                    onClick={() => runAction(() => inboxAPI.regenerate(selectedId), null)}
+                    disabled={busy || !selected.windowOpen}
+                    className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition"
+                  >
+                    Suggest
+                  </button>
+                )}
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DmInbox;
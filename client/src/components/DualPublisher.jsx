@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
 import axios from 'axios';
 
@@ -15,13 +15,86 @@ const STEP_LABELS = {
   generate_description: 'Generating Description',
   generate_keywords: 'Generating Keywords',
   generate_hashtags: 'Generating Hashtags',
+  generate_thumbnails: 'Building YouTube Thumbnails',
+  review_content: 'Waiting for your review',
   publish_instagram: 'Publishing to Instagram',
-  publish_youtube: 'Publishing to YouTube'
+  publish_youtube: 'Publishing to YouTube',
+  publish_facebook: 'Publishing to Facebook',
+  publish_story: 'Sharing to Instagram Story'
 };
 
+const JOB_STATUS_STYLES = {
+  completed: 'bg-green-100 text-green-800',
+  partial: 'bg-orange-100 text-orange-800',
+  failed: 'bg-red-100 text-red-800',
+  processing: 'bg-blue-100 text-blue-800',
+  pending: 'bg-blue-50 text-blue-700',
+  scheduled: 'bg-amber-100 text-amber-800',
+  awaiting_review: 'bg-amber-100 text-amber-800',
+  cancelled: 'bg-gray-100 text-gray-500'
+};
+
+const CANCELLABLE_STATUSES = ['scheduled', 'pending', 'processing', 'awaiting_review'];
+
+const REVIEW_FIELDS = [
+  { field: 'instagramCaption', label: 'Instagram caption', rows: 5, limit: 2200 },
+  { field: 'youtubeTitle', label: 'YouTube title', limit: 100 },
+  { field: 'youtubeDescription', label: 'YouTube description', rows: 6, limit: 5000 },
+  { field: 'youtubeTags', label: 'YouTube tags (comma separated)' }
+];
+
+// Tags are edited as one comma separated line
+const reviewContentFromPayloads = (payloads) => ({
+  instagramCaption: payloads?.instagram?.caption || '',
+  youtubeTitle: payloads?.youtube?.title || '',
+  youtubeDescription: payloads?.youtube?.description || '',
+  youtubeTags: (payloads?.youtube?.tags || []).join(', ')
+});
+
+const PLATFORM_NAMES = { instagram: 'Instagram', youtube: 'YouTube', facebook: 'Facebook' };
+
+// Facebook only counts for jobs that publish to a Page
+const jobPlatforms = (job) =>
+  Object.keys(PLATFORM_NAMES).filter((platform) => platform !== 'facebook' || job.facebookPageId);
+
+// A failed platform can be retried while the server still has its processed video
+const canRetry = (job, platform) =>
+  ['partial', 'failed'].includes(job.status) &&
+  job.platforms?.[platform]?.status === 'failed' &&
+  !!job.assets?.[platform] &&
+  new Date(job.retainedUntil) > new Date();
+
+const DEFAULT_YOUTUBE_SETTINGS = {
+  channelId: '',
+  publishAt: '',
+  playlistId: '',
+  madeForKids: false,
+  language: '',
+  license: 'youtube'
+};
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
 export default function DualPublisher() {
   const [videoFile, setVideoFile] = useState(null);
   const [contextText, setContextText] = useState('');
+  const [scheduledFor, setScheduledFor] = useState('');
+  const [scheduledNotice, setScheduledNotice] = useState(null);
+  const [alsoStory, setAlsoStory] = useState(false);
+  const [priority, setPriority] = useState('normal');
+  const [youtubeFormat, setYoutubeFormat] = useState('shorts');
+  const [reviewBeforePublish, setReviewBeforePublish] = useState(false);
+  const [thumbnailAI, setThumbnailAI] = useState(false);
+  const [thumbnailText, setThumbnailText] = useState(false);
+  const [youtubeSettings, setYoutubeSettings] = useState(DEFAULT_YOUTUBE_SETTINGS);
+  const [playlists, setPlaylists] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [publishFacebook, setPublishFacebook] = useState(false);
+  const [facebookPageId, setFacebookPageId] = useState('');
+  const [facebookFormat, setFacebookFormat] = useState('reel');
+  const [facebookPages, setFacebookPages] = useState([]);
+  const [newPlaylistTitle, setNewPlaylistTitle] = useState('');
+  const [creatingPlaylist, setCreatingPlaylist] = useState(false);
   const [aiProviders, setAiProviders] = useState({
     title: { provider: 'gemini', model: 'gemini-2.5-flash', apiKey: '' },
     description: { provider: 'gemini', model: 'gemini-2.5-flash', apiKey: '' },
@@ -33,10 +106,51 @@ export default function DualPublisher() {
   const [progress, setProgress] = useState(null);
   const [completedSteps, setCompletedSteps] = useState(new Set());
   const [error, setError] = useState(null);
+  const [recentJobs, setRecentJobs] = useState([]);
+  const [retrying, setRetrying] = useState(null);
+  const [cancelling, setCancelling] = useState(null);
+  const [review, setReview] = useState(null);
+  const [regenerating, setRegenerating] = useState(null);
+  const [approving, setApproving] = useState(false);
   
   const socketRef = useRef(null);
   const fileInputRef = useRef(null);
 
+  const fetchRecentJobs = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/publish/dual/jobs', {
+        params: { limit: 10 },
+        headers: authHeaders()
+      });
+      setRecentJobs(response.data.jobs || []);
+    } catch (err) {
+      console.error('[DualPublisher] Failed to load recent jobs:', err);
+    }
+  }, []);
+
+  // Channels and playlists of the connected account; stay empty when YouTube isn't connected
+  useEffect(() => {
+    axios.get('/api/credentials/youtube/channels', { headers: authHeaders() })
+      .then((response) => setChannels(response.data.channels || []))
+      .catch((err) => console.error('[DualPublisher] Failed to load channels:', err));
+
+    axios.get('/api/youtube/playlists', { headers: authHeaders() })
+      .then((response) => setPlaylists(response.data.playlists || []))
+      .catch((err) => console.error('[DualPublisher] Failed to load playlists:', err));
+
+    // Facebook Pages stay empty when Facebook isn't connected
+    axios.get('/api/credentials/facebook', { headers: authHeaders() })
+      .then((response) => setFacebookPages(response.data.pages || []))
+      .catch((err) => console.error('[DualPublisher] Failed to load Facebook Pages:', err));
+  }, []);
+
+  // Refresh the job list whenever nothing is publishing
+  useEffect(() => {
+    if (!isPublishing) {
+      fetchRecentJobs();
+    }
+  }, [isPublishing, fetchRecentJobs]);
+
   useEffect(() => {
     // Initialize Socket.IO connection with auto-detection
     const getApiUrl = () => {
@@ -98,6 +212,38 @@ export default function DualPublisher() {
       }));
     });
 
+    socketRef.current.on('publish:story:done', (data) => {
+      console.log('[DualPublisher] Story published:', data);
+      setProgress(prev => ({
+        ...prev,
+        story: { status: 'completed', ...data }
+      }));
+    });
+
+    socketRef.current.on('publish:story:error', (data) => {
+      console.log('[DualPublisher] Story error:', data);
+      setProgress(prev => ({
+        ...prev,
+        story: { status: 'error', error: data.error }
+      }));
+    });
+
+    socketRef.current.on('publish:facebook:done', (data) => {
+      console.log('[DualPublisher] Facebook published:', data);
+      setProgress(prev => ({
+        ...prev,
+        facebook: { status: 'completed', ...data }
+      }));
+    });
+
+    socketRef.current.on('publish:facebook:error', (data) => {
+      console.log('[DualPublisher] Facebook error:', data);
+      setProgress(prev => ({
+        ...prev,
+        facebook: { status: 'error', error: data.error }
+      }));
+    });
+
     socketRef.current.on('publish:youtube:progress', (data) => {
       console.log('[DualPublisher] YouTube progress:', data.percentage + '%');
       setProgress(prev => ({
@@ -124,12 +270,40 @@ export default function DualPublisher() {
       setIsPublishing(false); // Job complete (with error)
     });
 
+    socketRef.current.on('job:retried', (data) => {
+      console.log('[DualPublisher] Retry finished:', data);
+      setRetrying(null);
+      fetchRecentJobs();
+    });
+
+    socketRef.current.on('job:awaiting_review', (data) => {
+      console.log('[DualPublisher] Waiting for review:', data);
+      setReview({
+        jobId: data.jobId,
+        content: reviewContentFromPayloads(data.platformPayloads),
+        thumbnails: data.thumbnails?.candidates || [],
+        thumbnail: data.thumbnails?.selected || null,
+        expiresAt: data.reviewExpiresAt
+      });
+    });
+
+    socketRef.current.on('job:cancelled', (data) => {
+      console.log('[DualPublisher] Job cancelled:', data);
+      setReview(null);
+      setIsPublishing(false);
+      setCurrentJob(null);
+      setProgress(null);
+      setCompletedSteps(new Set());
+      setCancelling(null);
+      fetchRecentJobs();
+    });
+
     return () => {
       if (socketRef.current) {
         socketRef.current.disconnect();
       }
     };
-  }, []);
+  }, [fetchRecentJobs]);
 
   const handleFileChange = (e) => {
     const file = e.target.files[0];
@@ -175,6 +349,7 @@ export default function DualPublisher() {
 
     setIsPublishing(true);
     setError(null);
+    setScheduledNotice(null);
     setProgress(null);
 
     try {
@@ -182,6 +357,48 @@ export default function DualPublisher() {
       formData.append('video', videoFile);
       formData.append('contextText', contextText);
       formData.append('aiProviders', JSON.stringify(aiProviders));
+      if (scheduledFor) {
+        formData.append('scheduledFor', new Date(scheduledFor).toISOString());
+      }
+      if (alsoStory) {
+        formData.append('alsoStory', 'true');
+      }
+      if (priority !== 'normal') {
+        formData.append('priority', priority);
+      }
+      formData.append('youtubeFormat', youtubeFormat);
+      if (reviewBeforePublish) {
+        formData.append('reviewBeforePublish', 'true');
+      }
+      if (thumbnailAI) {
+        formData.append('thumbnailAI', 'true');
+      }
+      if (thumbnailText) {
+        formData.append('thumbnailText', 'true');
+      }
+      if (youtubeSettings.channelId) {
+        formData.append('youtubeChannelId', youtubeSettings.channelId);
+      }
+      if (youtubeSettings.publishAt) {
+        formData.append('youtubePublishAt', new Date(youtubeSettings.publishAt).toISOString());
+      }
+      if (youtubeSettings.playlistId) {
+        formData.append('youtubePlaylistId', youtubeSettings.playlistId);
+      }
+      if (youtubeSettings.madeForKids) {
+        formData.append('youtubeMadeForKids', 'true');
+      }
+      if (youtubeSettings.language.trim()) {
+        formData.append('youtubeLanguage', youtubeSettings.language.trim());
+      }
+      formData.append('youtubeLicense', youtubeSettings.license);
+      if (publishFacebook) {
+        formData.append('publishFacebook', 'true');
+        formData.append('facebookFormat', facebookFormat);
+        if (facebookPageId) {
+          formData.append('facebookPageId', facebookPageId);
+        }
+      }
 
       const token = localStorage.getItem('token');
       const response = await axios.post('/api/publish/dual', formData, {
@@ -192,6 +409,14 @@ export default function DualPublisher() {
       });
 
       const { jobId } = response.data;
+
+      // Scheduled jobs run later on the server; nothing to follow here
+      if (response.data.scheduledFor) {
+        resetForm();
+        setScheduledNotice(`Scheduled for ${new Date(response.data.scheduledFor).toLocaleString()}. Manage it in the Content Calendar.`);
+        return;
+      }
+
       setCurrentJob(jobId);
 
       // Subscribe to job updates
@@ -204,9 +429,148 @@ export default function DualPublisher() {
     }
   };
 
+  const handleRetry = async (jobId, platform) => {
+    setError(null);
+    setRetrying(`${jobId}:${platform}`);
+
+    try {
+      // Join the job's room first so the result isn't missed
+      socketRef.current.emit('subscribe:job', jobId);
+      await axios.post(`/api/publish/dual/${jobId}/retry`, null, {
+        params: { platform },
+        headers: authHeaders()
+      });
+    } catch (err) {
+      console.error('[DualPublisher] Retry error:', err);
+      setError(err.response?.data?.error || `Failed to retry ${PLATFORM_NAMES[platform]}`);
+      setRetrying(null);
+    }
+  };
+
+  // Pick up a job that is waiting for review, e.g. after leaving the page
+  const openReview = (job) => {
+    setError(null);
+    setCurrentJob(job.jobId);
+    setIsPublishing(true);
+    setReview({
+      jobId: job.jobId,
+      content: reviewContentFromPayloads(job.platformPayloads),
+      thumbnails: job.thumbnails?.candidates || [],
+      thumbnail: job.thumbnails?.selected || null,
+      expiresAt: job.retainedUntil
+    });
+    socketRef.current.emit('subscribe:job', job.jobId);
+  };
+
+  const handleReviewChange = (field, value) => {
+    setReview(prev => ({ ...prev, content: { ...prev.content, [field]: value } }));
+  };
+
+  const handleRegenerate = async (field) => {
+    setError(null);
+    setRegenerating(field);
+
+    try {
+      const response = await axios.post(`/api/publish/dual/${review.jobId}/regenerate`, { field }, {
+        headers: authHeaders()
+      });
+      const { value } = response.data;
+      handleReviewChange(field, Array.isArray(value) ? value.join(', ') : value);
+    } catch (err) {
+      console.error('[DualPublisher] Regenerate error:', err);
+      setError(err.response?.data?.error || 'Failed to regenerate');
+    } finally {
+      setRegenerating(null);
+    }
+  };
+
+  const handleApprove = async () => {
+    setError(null);
+    setApproving(true);
+
+    try {
+      const { youtubeTags, ...content } = review.content;
+      await axios.post(`/api/publish/dual/${review.jobId}/approve`, {
+        ...content,
+        youtubeTags: youtubeTags.split(',').map(tag => tag.trim()).filter(Boolean),
+        ...(review.thumbnail && { thumbnail: review.thumbnail })
+      }, {
+        headers: authHeaders()
+      });
+      setReview(null);
+    } catch (err) {
+      console.error('[DualPublisher] Approve error:', err);
+      setError(err.response?.data?.error || 'Failed to approve the content');
+    } finally {
+      setApproving(false);
+    }
+  };
+
+  // Running jobs stop at their next step; the job:cancelled event confirms it
+  const handleCancel = async (jobId) => {
+    if (!window.confirm('Cancel this publishing job? Platforms already published stay published.')) return;
+
+    setError(null);
+    setCancelling(jobId);
+
+    try {
+      socketRef.current.emit('subscribe:job', jobId);
+      const response = await axios.delete(`/api/publish/dual/${jobId}`, {
+        headers: authHeaders()
+      });
+      if (response.data.status === 'cancelled') {
+        setCancelling(null);
+        if (jobId === currentJob) {
+          resetForm();
+        }
+        fetchRecentJobs();
+      }
+    } catch (err) {
+      console.error('[DualPublisher] Cancel error:', err);
+      setError(err.response?.data?.error || 'Failed to cancel the job');
+      setCancelling(null);
+    }
+  };
+
+  const handleYoutubeSettingChange = (field, value) => {
+    setYoutubeSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleCreatePlaylist = async () => {
+    setError(null);
+    setCreatingPlaylist(true);
+
+    try {
+      const response = await axios.post('/api/youtube/playlists', { title: newPlaylistTitle.trim() }, {
+        headers: authHeaders()
+      });
+      const { playlist } = response.data;
+      setPlaylists(prev => [...prev, playlist]);
+      handleYoutubeSettingChange('playlistId', playlist.id);
+      setNewPlaylistTitle('');
+    } catch (err) {
+      console.error('[DualPublisher] Create playlist error:', err);
+      setError(err.response?.data?.error || 'Failed to create the playlist');
+    } finally {
+      setCreatingPlaylist(false);
+    }
+  };
+
   const resetForm = () => {
     setVideoFile(null);
     setContextText('');
+    setScheduledFor('');
+    setAlsoStory(false);
+    setPriority('normal');
+    setYoutubeFormat('shorts');
+    setReviewBeforePublish(false);
+    setThumbnailAI(false);
+    setThumbnailText(false);
+    setYoutubeSettings(DEFAULT_YOUTUBE_SETTINGS);
+    setPublishFacebook(false);
+    setFacebookPageId('');
+    setFacebookFormat('reel');
+    setReview(null);
     setIsPublishing(false);
     setCurrentJob(null);
     setProgress(null);
@@ -237,6 +601,12 @@ export default function DualPublisher() {
     if (stepName === 'publish_youtube' && progress.youtube) {
       return progress.youtube.status === 'error' ? 'failed' : progress.youtube.status;
     }
+    if (stepName === 'publish_facebook' && progress.facebook) {
+      return progress.facebook.status === 'error' ? 'failed' : progress.facebook.status;
+    }
+    if (stepName === 'publish_story' && progress.story) {
+      return progress.story.status === 'error' ? 'failed' : progress.story.status;
+    }
     
     return 'pending';
   };
@@ -296,6 +666,258 @@ export default function DualPublisher() {
           />
         </div>
 
+        {/* Schedule */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Schedule for later
+          </label>
+          <input
+            type="datetime-local"
+            value={scheduledFor}
+            onChange={(e) => setScheduledFor(e.target.value)}
+            disabled={isPublishing}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          />
+          <p className="text-xs text-gray-500 mt-1">Leave empty to publish right away</p>
+        </div>
+
+        {/* YouTube format */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            YouTube format
+          </label>
+          <select
+            value={youtubeFormat}
+            onChange={(e) => setYoutubeFormat(e.target.value)}
+            disabled={isPublishing}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            <option value="shorts">Short (9:16 vertical)</option>
+            <option value="standard">Standard video (16:9, up to 4K)</option>
+            <option value="auto">Auto-detect from the video</option>
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Auto uploads vertical videos up to 60 seconds as Shorts and everything else as a standard video
+          </p>
+        </div>
+
+        {/* YouTube options */}
+        <div className="mb-6 space-y-3">
+          <h3 className="text-sm font-medium text-gray-700">YouTube options</h3>
+          {channels.length > 1 && (
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Channel</label>
+              <select
+                value={youtubeSettings.channelId}
+                onChange={(e) => handleYoutubeSettingChange('channelId', e.target.value)}
+                disabled={isPublishing}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                <option value="">Default channel (set in OAuth settings)</option>
+                {channels.map((channel) => (
+                  <option key={channel.channelId} value={channel.channelId}>{channel.title}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Go public at (optional)</label>
+            <input
+              type="datetime-local"
+              value={youtubeSettings.publishAt}
+              onChange={(e) => handleYoutubeSettingChange('publishAt', e.target.value)}
+              disabled={isPublishing}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+            />
+            <p className="text-xs text-gray-500 mt-1">The video is uploaded as private and YouTube makes it public at this time</p>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Playlist</label>
+            <div className="flex flex-wrap gap-2">
+              <select
+                value={youtubeSettings.playlistId}
+                onChange={(e) => handleYoutubeSettingChange('playlistId', e.target.value)}
+                disabled={isPublishing}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                <option value="">None</option>
+                {playlists.map((playlist) => (
+                  <option key={playlist.id} value={playlist.id}>{playlist.title}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={newPlaylistTitle}
+                onChange={(e) => setNewPlaylistTitle(e.target.value)}
+                placeholder="New playlist name"
+                disabled={isPublishing || creatingPlaylist}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              />
+              <button
+                type="button"
+                onClick={handleCreatePlaylist}
+                disabled={isPublishing || creatingPlaylist || !newPlaylistTitle.trim()}
+                className="px-3 py-2 text-sm border border-blue-300 text-blue-600 rounded-md hover:bg-blue-50 disabled:opacity-50"
+              >
+                {creatingPlaylist ? 'Creating...' : 'Create'}
+              </button>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Language</label>
+              <input
+                type="text"
+                value={youtubeSettings.language}
+                onChange={(e) => handleYoutubeSettingChange('language', e.target.value)}
+                placeholder="e.g. en"
+                disabled={isPublishing}
+                className="w-28 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">License</label>
+              <select
+                value={youtubeSettings.license}
+                onChange={(e) => handleYoutubeSettingChange('license', e.target.value)}
+                disabled={isPublishing}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                <option value="youtube">Standard YouTube License</option>
+                <option value="creativeCommon">Creative Commons - Attribution</option>
+              </select>
+            </div>
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={youtubeSettings.madeForKids}
+              onChange={(e) => handleYoutubeSettingChange('madeForKids', e.target.checked)}
+              disabled={isPublishing}
+              className="rounded border-gray-300"
+            />
+            <span>Made for kids</span>
+          </label>
+        </div>
+
+        {/* Priority */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Queue priority
+          </label>
+          <select
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+            disabled={isPublishing}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            <option value="low">Low</option>
+            <option value="normal">Normal</option>
+            <option value="high">High</option>
+          </select>
+          <p className="text-xs text-gray-500 mt-1">Higher priority jobs start first when the publishing queue is busy</p>
+        </div>
+
+        {/* Story */}
+        <div className="mb-6">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={alsoStory}
+              onChange={(e) => setAlsoStory(e.target.checked)}
+              disabled={isPublishing}
+              className="rounded border-gray-300"
+            />
+            <span>Also share as an Instagram Story</span>
+          </label>
+          <p className="text-xs text-gray-500 mt-1">The video is fitted to a 1080x1920 story frame and trimmed to 60 seconds</p>
+        </div>
+
+        {/* Facebook */}
+        <div className="mb-6">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={publishFacebook}
+              onChange={(e) => setPublishFacebook(e.target.checked)}
+              disabled={isPublishing || facebookPages.length === 0}
+              className="rounded border-gray-300"
+            />
+            <span>Also publish to a Facebook Page</span>
+          </label>
+          {facebookPages.length === 0 ? (
+            <p className="text-xs text-gray-500 mt-1">Connect Facebook in Platform Connections to publish to your Pages</p>
+          ) : publishFacebook && (
+            <div className="mt-2 flex flex-wrap gap-2">
+              <select
+                value={facebookPageId}
+                onChange={(e) => setFacebookPageId(e.target.value)}
+                disabled={isPublishing}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                <option value="">Default Page</option>
+                {facebookPages.map((page) => (
+                  <option key={page.pageId} value={page.pageId}>{page.name}</option>
+                ))}
+              </select>
+              <select
+                value={facebookFormat}
+                onChange={(e) => setFacebookFormat(e.target.value)}
+                disabled={isPublishing}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                <option value="reel">Reel (vertical)</option>
+                <option value="video">Page video</option>
+              </select>
+            </div>
+          )}
+        </div>
+
+        {/* Review */}
+        <div className="mb-6">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={reviewBeforePublish}
+              onChange={(e) => setReviewBeforePublish(e.target.checked)}
+              disabled={isPublishing}
+              className="rounded border-gray-300"
+            />
+            <span>Review content before publishing</span>
+          </label>
+          <p className="text-xs text-gray-500 mt-1">The job pauses after generating the caption, title, description and tags so you can edit them</p>
+        </div>
+
+        {/* YouTube thumbnail */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            YouTube thumbnail
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={thumbnailAI}
+              onChange={(e) => setThumbnailAI(e.target.checked)}
+              disabled={isPublishing}
+              className="rounded border-gray-300"
+            />
+            <span>Also generate an AI thumbnail (uses your Gemini key)</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-gray-700 mt-1">
+            <input
+              type="checkbox"
+              checked={thumbnailText}
+              onChange={(e) => setThumbnailText(e.target.checked)}
+              disabled={isPublishing}
+              className="rounded border-gray-300"
+            />
+            <span>Add the suggested title text</span>
+          </label>
+          <p className="text-xs text-gray-500 mt-1">
+            The sharpest, best-exposed frames are picked from the video; with review on you choose which one is uploaded
+          </p>
+        </div>
+
         {/* AI Provider Selection */}
         <div className="mb-6">
           <h3 className="text-lg font-semibold mb-4">AI Provider Configuration</h3>
@@ -360,6 +982,12 @@ export default function DualPublisher() {
           </div>
         )}
 
+        {scheduledNotice && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-md">
+            <p className="text-green-800">{scheduledNotice}</p>
+          </div>
+        )}
+
         {/* Progress Display */}
         {progress && (
           <div className="mb-6 bg-white md:bg-transparent rounded-xl shadow-lg md:shadow-none border border-gray-200 md:border-0 p-4 md:p-0">
@@ -377,30 +1005,34 @@ export default function DualPublisher() {
             </div>
 
             <div className="space-y-2">
-              {Object.entries(STEP_LABELS).map(([step, label]) => {
-                const status = getStepStatus(step);
-                return (
-                  <div key={step} className="flex items-center space-x-3">
-                    <div className={`w-6 h-6 rounded-full flex items-center justify-center ${
-                      status === 'completed' ? 'bg-green-500' :
-                      status === 'processing' ? 'bg-blue-500 animate-pulse' :
-                      status === 'failed' ? 'bg-red-500' :
-                      'bg-gray-300'
-                    }`}>
-                      {status === 'completed' && <span className="text-white text-xs">✓</span>}
-                      {status === 'failed' && <span className="text-white text-xs">✗</span>}
+              {Object.entries(STEP_LABELS)
+                .filter(([step]) => step !== 'publish_story' || alsoStory)
+                .filter(([step]) => step !== 'publish_facebook' || publishFacebook)
+                .filter(([step]) => step !== 'review_content' || reviewBeforePublish || review)
+                .map(([step, label]) => {
+                  const status = getStepStatus(step);
+                  return (
+                    <div key={step} className="flex items-center space-x-3">
+                      <div className={`w-6 h-6 rounded-full flex items-center justify-center ${
+                        status === 'completed' ? 'bg-green-500' :
+                        status === 'processing' ? 'bg-blue-500 animate-pulse' :
+                        status === 'failed' ? 'bg-red-500' :
+                        'bg-gray-300'
+                      }`}>
+                        {status === 'completed' && <span className="text-white text-xs">✓</span>}
+                        {status === 'failed' && <span className="text-white text-xs">✗</span>}
+                      </div>
+                      <span className={`text-sm ${
+                        status === 'processing' ? 'font-semibold text-blue-700' :
+                        status === 'completed' ? 'text-green-700' :
+                        status === 'failed' ? 'text-red-700' :
+                        'text-gray-600'
+                      }`}>
+                        {label}
+                      </span>
                     </div>
-                    <span className={`text-sm ${
-                      status === 'processing' ? 'font-semibold text-blue-700' :
-                      status === 'completed' ? 'text-green-700' :
-                      status === 'failed' ? 'text-red-700' :
-                      'text-gray-600'
-                    }`}>
-                      {label}
-                    </span>
-                  </div>
-                );
-              })}
+                  );
+                })}
             </div>
 
             {/* Generated Content Preview */}
@@ -445,6 +1077,19 @@ export default function DualPublisher() {
               </div>
             )}
 
+            {progress.story?.status === 'completed' && (
+              <div className="mt-4 p-4 bg-pink-50 rounded-md">
+                <h4 className="font-medium text-pink-800">Story Shared ✓</h4>
+              </div>
+            )}
+
+            {progress.story?.status === 'error' && (
+              <div className="mt-4 p-4 bg-yellow-50 rounded-md">
+                <h4 className="font-medium text-yellow-800">Story not shared</h4>
+                <p className="text-sm text-yellow-700">{progress.story.error}</p>
+              </div>
+            )}
+
             {progress.data?.youtube && (
               <div className="mt-4 p-4 bg-red-50 rounded-md">
                 <h4 className="font-medium text-red-800">YouTube Published ✓</h4>
@@ -460,6 +1105,110 @@ export default function DualPublisher() {
                 )}
               </div>
             )}
+
+            {progress.facebook?.status === 'completed' && (
+              <div className="mt-4 p-4 bg-blue-50 rounded-md">
+                <h4 className="font-medium text-blue-800">Facebook Published ✓</h4>
+                {progress.facebook.permalink && (
+                  <a
+                    href={progress.facebook.permalink}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-sm text-blue-600 hover:underline"
+                  >
+                    View on Facebook →
+                  </a>
+                )}
+              </div>
+            )}
+
+            {progress.facebook?.status === 'error' && (
+              <div className="mt-4 p-4 bg-yellow-50 rounded-md">
+                <h4 className="font-medium text-yellow-800">Not published to Facebook</h4>
+                <p className="text-sm text-yellow-700">{progress.facebook.error}</p>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Review */}
+        {review && (
+          <div className="mb-6 p-4 border border-amber-200 bg-amber-50 rounded-md space-y-4">
+            <div>
+              <h3 className="text-lg font-semibold">Review before publishing</h3>
+              {review.expiresAt && (
+                <p className="text-xs text-gray-500">
+                  Approve by {new Date(review.expiresAt).toLocaleString()}, after that the processed video is removed
+                </p>
+              )}
+            </div>
+            {REVIEW_FIELDS.map(({ field, label, rows, limit }) => (
+              <div key={field}>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="text-sm font-medium text-gray-700">{label}</label>
+                  <button
+                    type="button"
+                    onClick={() => handleRegenerate(field)}
+                    disabled={!!regenerating || approving}
+                    className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  >
+                    {regenerating === field ? 'Regenerating...' : '↻ Regenerate this'}
+                  </button>
+                </div>
+                {rows ? (
+                  <textarea
+                    value={review.content[field]}
+                    onChange={(e) => handleReviewChange(field, e.target.value)}
+                    rows={rows}
+                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    value={review.content[field]}
+                    onChange={(e) => handleReviewChange(field, e.target.value)}
+                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                )}
+                {limit && (
+                  <p className={`text-xs mt-1 ${review.content[field].length > limit ? 'text-red-600' : 'text-gray-400'}`}>
+                    {review.content[field].length}/{limit}
+                  </p>
+                )}
+              </div>
+            ))}
+            {review.thumbnails.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">YouTube thumbnail</label>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                  {review.thumbnails.map(({ id, source }) => (
+                    <button
+                      key={id}
+                      type="button"
+                      onClick={() => setReview(prev => ({ ...prev, thumbnail: id }))}
+                      disabled={approving}
+                      className={`relative rounded-md overflow-hidden border-2 ${review.thumbnail === id ? 'border-blue-600' : 'border-transparent'}`}
+                    >
+                      <img
+                        src={`/api/publish/dual/${review.jobId}/thumbnails/${id}`}
+                        alt={source === 'ai' ? 'AI thumbnail' : `Frame ${id.replace('frame', '')}`}
+                        className="w-full aspect-video object-cover"
+                      />
+                      {source === 'ai' && (
+                        <span className="absolute top-1 left-1 text-xs bg-purple-600 text-white px-1 rounded">AI</span>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            <button
+              onClick={handleApprove}
+              disabled={approving || !!regenerating || !review.content.youtubeTitle.trim()}
+              className="w-full bg-green-600 text-white py-2 px-4 rounded-md font-semibold hover:bg-green-700 disabled:bg-gray-300 transition-colors"
+            >
+              {approving ? 'Approving...' : 'Approve & Publish'}
+            </button>
           </div>
         )}
 
@@ -471,7 +1220,7 @@ export default function DualPublisher() {
               disabled={!videoFile || !contextText.trim()}
               className="flex-1 bg-blue-600 text-white py-3 px-6 rounded-md font-semibold hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
             >
-              Publish to Instagram + YouTube
+              {scheduledFor ? 'Schedule for Instagram + YouTube' : 'Publish to Instagram + YouTube'}
             </button>
           ) : (
             <button
@@ -479,10 +1228,86 @@ export default function DualPublisher() {
               disabled={progress?.percentage < 100}
               className="flex-1 bg-gray-600 text-white py-3 px-6 rounded-md font-semibold hover:bg-gray-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
             >
-              {progress?.percentage === 100 ? 'Start New Job' : 'Publishing...'}
+              {progress?.percentage === 100 ? 'Start New Job' : review ? 'Waiting for review...' : progress ? 'Publishing...' : 'Queued...'}
+            </button>
+          )}
+          {isPublishing && currentJob && !(progress?.percentage === 100) && (
+            <button
+              onClick={() => handleCancel(currentJob)}
+              disabled={cancelling === currentJob}
+              className="px-6 py-3 border border-red-300 text-red-600 rounded-md font-semibold hover:bg-red-50 disabled:opacity-50 transition-colors"
+            >
+              {cancelling === currentJob ? 'Cancelling...' : 'Cancel'}
             </button>
           )}
         </div>
+
+        {/* Recent Jobs */}
+        {recentJobs.length > 0 && (
+          <div className="mt-8">
+            <h3 className="text-lg font-semibold mb-3">Recent Jobs</h3>
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {recentJobs.map((job) => (
+                <div key={job.jobId} className="p-3 flex flex-col sm:flex-row sm:items-center gap-2">
+                  <div className="min-w-0 flex-1">
+                    <p className="text-sm font-medium text-gray-800 truncate">
+                      {job.generatedContent?.title || job.contextText}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(job.createdAt).toLocaleString()}
+                      {jobPlatforms(job).map((platform) => (
+                        <span key={platform}>
+                          {' · '}
+                          {PLATFORM_NAMES[platform]}: {job.platforms?.[platform]?.status || 'pending'}
+                        </span>
+                      ))}
+                    </p>
+                    {jobPlatforms(job)
+                      .filter((platform) => job.platforms?.[platform]?.status === 'failed' && job.platforms[platform].error)
+                      .map((platform) => (
+                        <p key={platform} className="text-xs text-red-600 truncate">
+                          {PLATFORM_NAMES[platform]}: {job.platforms[platform].error}
+                        </p>
+                      ))}
+                  </div>
+                  <span className={`text-xs px-2 py-0.5 rounded-full self-start sm:self-center ${JOB_STATUS_STYLES[job.status] || 'bg-gray-100 text-gray-600'}`}>
+                    {job.status}
+                  </span>
+                  {Object.keys(PLATFORM_NAMES)
+                    .filter((platform) => canRetry(job, platform))
+                    .map((platform) => (
+                      <button
+                        key={platform}
+                        onClick={() => handleRetry(job.jobId, platform)}
+                        disabled={!!retrying}
+                        className="px-3 py-1 text-xs border border-orange-300 text-orange-700 rounded-md hover:bg-orange-50 disabled:opacity-50 transition"
+                      >
+                        {retrying === `${job.jobId}:${platform}` ? 'Retrying...' : `↻ Retry ${PLATFORM_NAMES[platform]}`}
+                      </button>
+                    ))}
+                  {job.status === 'awaiting_review' && job.jobId !== currentJob && (
+                    <button
+                      onClick={() => openReview(job)}
+                      disabled={isPublishing}
+                      className="px-3 py-1 text-xs border border-amber-300 text-amber-700 rounded-md hover:bg-amber-50 disabled:opacity-50 transition"
+                    >
+                      Review
+                    </button>
+                  )}
+                  {CANCELLABLE_STATUSES.includes(job.status) && job.jobId !== currentJob && (
+                    <button
+                      onClick={() => handleCancel(job.jobId)}
+                      disabled={cancelling === job.jobId}
+                      className="px-3 py-1 text-xs border border-red-300 text-red-600 rounded-md hover:bg-red-50 disabled:opacity-50 transition"
+                    >
+                      {cancelling === job.jobId ? 'Cancelling...' : 'Cancel'}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
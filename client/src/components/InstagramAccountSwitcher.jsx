@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_URL = '/api';
+
+function InstagramAccountSwitcher() {
+  const [accounts, setAccounts] = useState([]);
+  const [activeAccountId, setActiveAccountId] = useState('');
+  const [selectedAccount, setSelectedAccount] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const fetchAccounts = async () => {
+    try {
+      setLoading(true);
+      const token = localStorage.getItem('token');
+
+      const response = await axios.get(`${API_URL}/credentials/instagram/accounts`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.data.success) {
+        setAccounts(response.data.accounts || []);
+        setActiveAccountId(response.data.activeAccountId || '');
+        setSelectedAccount(response.data.activeAccountId || '');
+      }
+    } catch (error) {
+      console.error('Error fetching Instagram accounts:', error);
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Failed to load Instagram accounts'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSwitchAccount = async () => {
+    if (!selectedAccount || selectedAccount === activeAccountId) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setMessage({ type: '', text: '' });
+
+      const token = localStorage.getItem('token');
+
+      const response = await axios.post(
+        `${API_URL}/credentials/instagram/accounts/${selectedAccount}/activate`,
+        {},
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+
+      if (response.data.success) {
+        setActiveAccountId(response.data.account.accountId);
+        setMessage({
+          type: 'success',
+          text: `Now working on @${response.data.account.accountName}`
+        });
+      }
+    } catch (error) {
+      console.error('Error switching Instagram account:', error);
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Failed to switch account'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDisconnect = async (account) => {
+    if (!window.confirm(`Disconnect @${account.accountName}? Its posts and logs are kept.`)) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setMessage({ type: '', text: '' });
+
+      const token = localStorage.getItem('token');
+
+      await axios.delete(`${API_URL}/credentials/instagram/accounts/${account.accountId}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      setMessage({
+        type: 'success',
+        text: `@${account.accountName} disconnected`
+      });
+      await fetchAccounts();
+    } catch (error) {
+      console.error('Error disconnecting Instagram account:', error);
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Failed to disconnect account'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 bg-gray-900 rounded-lg border border-gray-700">
+        <div className="flex items-center justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          <span className="ml-3 text-gray-400">Loading accounts...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 bg-gray-900 rounded-lg border border-gray-700">
+      <h2 className="text-xl font-bold text-white mb-4">
+        Instagram Accounts
+      </h2>
+
+      {message.text && (
+        <div className={`mb-4 p-3 rounded-lg ${
+          message.type === 'success' ? 'bg-green-900/30 border border-green-700 text-green-400' :
+          'bg-red-900/30 border border-red-700 text-red-400'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {accounts.length === 0 ? (
+        <p className="text-center py-4 text-gray-400">No Instagram accounts connected</p>
+      ) : (
+        <>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Active Account
+            </label>
+            <div className="flex space-x-2">
+              <select
+                value={selectedAccount}
+                onChange={(e) => setSelectedAccount(e.target.value)}
+                className="flex-1 p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 transition-colors"
+              >
+                {accounts.map((account) => (
+                  <option key={account.accountId} value={account.accountId}>
+                    @{account.accountName}{account.accountType ? ` (${account.accountType})` : ''}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={handleSwitchAccount}
+                disabled={saving || selectedAccount === activeAccountId}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-medium px-4 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Switching...' : 'Switch'}
+              </button>
+            </div>
+          </div>
+
+          <ul className="divide-y divide-gray-700">
+            {accounts.map((account) => (
+              <li key={account.accountId} className="flex items-center justify-between py-2">
+                <div>
+                  <span className="text-white">@{account.accountName}</span>
+                  {account.accountId === activeAccountId && (
+                    <span className="ml-2 text-xs bg-green-900/50 text-green-400 px-2 py-0.5 rounded">Active</span>
+                  )}
+                  {account.lastTokenError && (
+                    <p className="text-xs text-red-400">{account.lastTokenError}</p>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleDisconnect(account)}
+                  disabled={saving}
+                  className="text-sm text-red-400 hover:text-red-300 disabled:opacity-50"
+                >
+                  Disconnect
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <p className="mt-3 text-sm text-gray-400 text-center">
+            Automation, publishing and analytics work on the active account
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default InstagramAccountSwitcher;
@@ -0,0 +1,259 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { mentionsAPI } from '../utils/api';
+import socketService from '../services/socket.service';
+import LoadingSpinner from './LoadingSpinner';
+
+const TYPE_LABELS = {
+  comment: 'Comment',
+  caption: 'Caption',
+  story: 'Story',
+};
+
+const STATUS_STYLES = {
+  received: 'bg-gray-100 text-gray-600',
+  queued: 'bg-blue-100 text-blue-700',
+  pending_approval: 'bg-amber-100 text-amber-700',
+  replied: 'bg-green-100 text-green-700',
+  skipped: 'bg-gray-100 text-gray-400',
+  failed: 'bg-red-100 text-red-700',
+};
+
+const FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'comment', label: 'Comments' },
+  { value: 'caption', label: 'Captions' },
+  { value: 'story', label: 'Stories' },
+];
+
+const MentionsFeed = () => {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [mentions, setMentions] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [typeFilter, setTypeFilter] = useState('');
+  const [enabled, setEnabled] = useState(false);
+  const [drafts, setDrafts] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadMentions = useCallback(async () => {
+    try {
+      const { data } = await mentionsAPI.list(typeFilter ? { type: typeFilter } : {});
+      if (data.success) {
+        setMentions(data.mentions);
+        setCounts(data.counts || {});
+        setDrafts((prev) => {
+          const next = {};
+          data.mentions.forEach((mention) => {
+            next[mention._id] = prev[mention._id] ?? mention.replyText ?? '';
+          });
+          return next;
+        });
+      }
+    } catch (err) {
+      console.error('Failed to load mentions:', err);
+      showError(err.message || 'Failed to load mentions');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError, typeFilter]);
+
+  useEffect(() => {
+    loadMentions();
+  }, [loadMentions]);
+
+  useEffect(() => {
+    mentionsAPI.getSettings()
+      .then(({ data }) => setEnabled(!!data.settings?.enabled))
+      .catch((err) => console.error('Failed to load mention settings:', err));
+  }, []);
+
+  // Refresh when a mention arrives or its reply changes
+  useEffect(() => {
+    const user = JSON.parse(localStorage.getItem('user') || 'null');
+    if (!user?.id) return undefined;
+
+    const event = `mentions:${user.id}`;
+    socketService.on(event, loadMentions);
+    return () => socketService.off(event, loadMentions);
+  }, [loadMentions]);
+
+  const handleToggle = async () => {
+    try {
+      const { data } = await mentionsAPI.saveSettings(!enabled);
+      setEnabled(!!data.settings.enabled);
+      toast.showSuccess(data.settings.enabled ? 'New mentions will be answered' : 'Mention replies turned off');
+    } catch (err) {
+      console.error('Failed to save mention settings:', err);
+      toast.showError(err.message || 'Failed to save mention settings');
+    }
+  };
+
+  const runAction = async (mention, action, successMessage) => {
+    setBusyId(mention._id);
+    try {
+      const { data } = await action();
+      setDrafts((prev) => ({ ...prev, [mention._id]: data.mention.replyText || '' }));
+      if (successMessage) toast.showSuccess(successMessage);
+      await loadMentions();
+    } catch (err) {
+      console.error('Mention action failed:', err);
+      toast.showError(err.message || 'Something went wrong');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div className="flex gap-2">
+          {FILTERS.map((filter) => (
+            <button
+              key={filter.value}
+              onClick={() => setTypeFilter(filter.value)}
+              className={`px-3 py-1 text-sm rounded-full border transition ${
+                typeFilter === filter.value ? 'bg-gray-900 text-white border-gray-900' : 'border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-3">
+          <input type="checkbox" checked={enabled} onChange={handleToggle} className="w-4 h-4" />
+          <span className="text-sm font-medium text-gray-700">Answer new mentions while automation runs</span>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+        <div className="px-3 py-2 bg-amber-50 rounded-lg">
+          <p className="text-lg font-bold text-amber-700">{counts.pending_approval || 0}</p>
+          <p className="text-xs text-amber-600">Waiting for approval</p>
+        </div>
+        <div className="px-3 py-2 bg-green-50 rounded-lg">
+          <p className="text-lg font-bold text-green-700">{counts.replied || 0}</p>
+          <p className="text-xs text-green-600">Replied</p>
+        </div>
+        <div className="px-3 py-2 bg-gray-50 rounded-lg">
+          <p className="text-lg font-bold text-gray-700">{(counts.received || 0) + (counts.queued || 0)}</p>
+          <p className="text-xs text-gray-500">Unanswered</p>
+        </div>
+        <div className="px-3 py-2 bg-red-50 rounded-lg">
+          <p className="text-lg font-bold text-red-700">{counts.failed || 0}</p>
+          <p className="text-xs text-red-600">Failed</p>
+        </div>
+      </div>
+
+      {mentions.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-4xl mb-2">📣</p>
+          <p>No mentions yet</p>
+        </div>
+      ) : (
+        mentions.map((mention) => (
+          <div key={mention._id} className="border border-gray-200 rounded-lg p-5">
+            <div className="flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <p className="font-semibold text-gray-900">@{mention.username || 'unknown'}</p>
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-rose-100 text-rose-700">{TYPE_LABELS[mention.type]}</span>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[mention.status]}`}>
+                    {mention.status.replace('_', ' ')}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-700 mt-2 whitespace-pre-wrap">
+                  {mention.text || (mention.type === 'story' ? 'Mentioned you in their story' : '')}
+                </p>
+                <p className="text-xs text-gray-400 mt-1">
+                  {new Date(mention.createdAt).toLocaleString()}
+                  {mention.ruleName ? ` · Rule: ${mention.ruleName}` : ''}
+                </p>
+                {mention.error && <p className="text-xs text-red-600 mt-1">{mention.error}</p>}
+              </div>
+              {(mention.permalink || mention.mediaUrl) && (
+                <a
+                  href={mention.permalink || mention.mediaUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-sm text-blue-600 hover:underline whitespace-nowrap"
+                >
+                  View
+                </a>
+              )}
+            </div>
+
+            {mention.status === 'replied' && mention.replyText && (
+              <p className="mt-3 text-sm text-gray-600 border-l-2 border-green-300 pl-3">{mention.replyText}</p>
+            )}
+
+            {mention.status === 'pending_approval' && (
+              <div className="mt-4 space-y-2">
+                {mention.replyOptions.length > 1 && (
+                  <div className="flex flex-wrap gap-2">
+                    {mention.replyOptions.map((option) => (
+                      <button
+                        key={option}
+                        onClick={() => setDrafts((prev) => ({ ...prev, [mention._id]: option }))}
+                        className="text-xs px-2 py-1 rounded-md border border-gray-200 hover:bg-gray-50 text-left"
+                      >
+                        {option}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <textarea
+                  rows={2}
+                  value={drafts[mention._id] || ''}
+                  onChange={(e) => setDrafts((prev) => ({ ...prev, [mention._id]: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+              </div>
+            )}
+
+            {mention.status !== 'replied' && (
+              <div className="flex flex-wrap gap-2 mt-4">
+                {mention.status === 'pending_approval' && (
+                  <button
+                    onClick={() => runAction(mention, () => mentionsAPI.approve(mention._id, drafts[mention._id]), 'Reply sent')}
+                    disabled={busyId === mention._id}
+                    className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-green-300 transition"
+                  >
+                    Send Reply
+                  </button>
+                )}
+                <button
+                  onClick={() => runAction(mention, () => mentionsAPI.regenerate(mention._id), null)}
+                  disabled={busyId === mention._id}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition"
+                >
+                  {mention.status === 'pending_approval' ? 'Regenerate' : 'Suggest Reply'}
+                </button>
+                {mention.status !== 'skipped' && (
+                  <button
+                    onClick={() => runAction(mention, () => mentionsAPI.dismiss(mention._id), 'Mention dismissed')}
+                    disabled={busyId === mention._id}
+                    className="px-3 py-1 text-sm text-gray-600 border border-gray-200 rounded-md hover:bg-gray-50 transition"
+                  >
+                    Dismiss
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default MentionsFeed;
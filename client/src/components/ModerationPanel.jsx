@@ -0,0 +1,294 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { moderationAPI } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const LABELS = [
+  { value: 'spam', label: 'Spam', style: 'bg-yellow-100 text-yellow-700' },
+  { value: 'toxic', label: 'Toxic', style: 'bg-red-100 text-red-700' },
+  { value: 'scam', label: 'Scam', style: 'bg-purple-100 text-purple-700' },
+];
+
+const ACTIONS = [
+  { value: 'hide', label: 'Hide' },
+  { value: 'delete', label: 'Delete' },
+  { value: 'flag', label: 'Flag for review' },
+];
+
+const STATUS_STYLES = {
+  hidden: 'bg-gray-100 text-gray-700',
+  deleted: 'bg-red-100 text-red-700',
+  flagged: 'bg-amber-100 text-amber-700',
+  skipped: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+};
+
+const STATUS_LABELS = {
+  hidden: 'hidden',
+  deleted: 'deleted',
+  flagged: 'flagged',
+  skipped: 'restored',
+  failed: 'action failed',
+};
+
+const labelStyle = (value) => LABELS.find((label) => label.value === value)?.style || 'bg-gray-100 text-gray-600';
+
+const ModerationPanel = () => {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [settings, setSettings] = useState(null);
+  const [items, setItems] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [labelFilter, setLabelFilter] = useState('');
+  const [testText, setTestText] = useState('');
+  const [testResult, setTestResult] = useState(null);
+  const [testing, setTesting] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadItems = useCallback(async () => {
+    try {
+      const { data } = await moderationAPI.list(labelFilter ? { label: labelFilter } : {});
+      if (data.success) {
+        setItems(data.items);
+        setCounts(data.counts || {});
+      }
+    } catch (err) {
+      console.error('Failed to load moderated comments:', err);
+      showError(err.message || 'Failed to load moderated comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError, labelFilter]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  useEffect(() => {
+    moderationAPI.getSettings()
+      .then(({ data }) => setSettings(data.settings))
+      .catch((err) => console.error('Failed to load moderation settings:', err));
+  }, []);
+
+  const saveSettings = async (changes) => {
+    try {
+      const { data } = await moderationAPI.saveSettings(changes);
+      setSettings(data.settings);
+      toast.showSuccess('Moderation settings saved');
+    } catch (err) {
+      console.error('Failed to save moderation settings:', err);
+      toast.showError(err.message || 'Failed to save moderation settings');
+    }
+  };
+
+  const handleTest = async (e) => {
+    e.preventDefault();
+    if (!testText.trim()) return;
+
+    setTesting(true);
+    try {
+      const { data } = await moderationAPI.test(testText);
+      setTestResult(data.result);
+    } catch (err) {
+      console.error('Moderation test failed:', err);
+      toast.showError(err.message || 'Failed to classify comment');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const runAction = async (item, action, successMessage) => {
+    setBusyId(item.commentId);
+    try {
+      await action();
+      toast.showSuccess(successMessage);
+      await loadItems();
+    } catch (err) {
+      console.error('Moderation action failed:', err);
+      toast.showError(err.message || 'Something went wrong');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {settings && (
+        <section className="space-y-4">
+          <div className="flex flex-col md:flex-row md:items-center gap-4 md:gap-8">
+            <label className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                checked={settings.enabled}
+                onChange={() => saveSettings({ enabled: !settings.enabled })}
+                className="w-4 h-4"
+              />
+              <span className="text-sm font-medium text-gray-700">Moderate new comments while automation runs</span>
+            </label>
+            <label className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                checked={settings.useLlm}
+                onChange={() => saveSettings({ useLlm: !settings.useLlm })}
+                className="w-4 h-4"
+              />
+              <span className="text-sm font-medium text-gray-700">Double-check with AI</span>
+            </label>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {LABELS.map((label) => (
+              <div key={label.value} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${label.style}`}>{label.label}</span>
+                  <span className="text-xs text-gray-400">{counts[label.value] || 0} caught</span>
+                </div>
+                <select
+                  value={settings.actions[label.value]}
+                  onChange={(e) => saveSettings({ actions: { [label.value]: e.target.value } })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  {ACTIONS.map((action) => (
+                    <option key={action.value} value={action.value}>{action.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      <section>
+        <h2 className="text-lg font-semibold text-gray-900 mb-3">Test a comment</h2>
+        <form onSubmit={handleTest} className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="text"
+            value={testText}
+            onChange={(e) => setTestText(e.target.value)}
+            placeholder="Paste a comment to see how it would be handled"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+          <button
+            type="submit"
+            disabled={testing || !testText.trim()}
+            className="px-4 py-2 text-sm bg-gray-900 text-white rounded-md hover:bg-gray-800 disabled:bg-gray-400 transition"
+          >
+            {testing ? 'Checking...' : 'Check'}
+          </button>
+        </form>
+        {testResult && (
+          <p className="mt-2 text-sm text-gray-700">
+            {testResult.label === 'ok' ? (
+              'Looks fine — this comment would get a normal reply.'
+            ) : (
+              <>
+                <span className={`text-xs px-2 py-0.5 rounded-full mr-2 ${labelStyle(testResult.label)}`}>{testResult.label}</span>
+                Would be {{ hide: 'hidden', delete: 'deleted', flag: 'flagged for review' }[testResult.action]}
+                {testResult.reasons.length > 0 && ` (${testResult.reasons.join(', ')})`}
+              </>
+            )}
+          </p>
+        )}
+      </section>
+
+      <section className="space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Moderated comments</h2>
+          <div className="flex gap-2">
+            {[{ value: '', label: 'All' }, ...LABELS].map((filter) => (
+              <button
+                key={filter.value}
+                onClick={() => setLabelFilter(filter.value)}
+                className={`px-3 py-1 text-sm rounded-full border transition ${
+                  labelFilter === filter.value ? 'bg-gray-900 text-white border-gray-900' : 'border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {items.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <p className="text-4xl mb-2">🛡️</p>
+            <p>No moderated comments yet</p>
+          </div>
+        ) : (
+          items.map((item) => (
+            <div key={item.commentId} className="border border-gray-200 rounded-lg p-5">
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="font-semibold text-gray-900">@{item.username || 'unknown'}</p>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${labelStyle(item.moderation.label)}`}>
+                      {item.moderation.label}
+                    </span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[item.status] || 'bg-gray-100 text-gray-600'}`}>
+                      {STATUS_LABELS[item.status] || item.status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-700 mt-2 whitespace-pre-wrap">{item.commentText}</p>
+                  <p className="text-xs text-gray-400 mt-1">
+                    {new Date(item.processedAt).toLocaleString()}
+                    {item.moderation.reasons?.length > 0 && ` · ${item.moderation.reasons.join(', ')}`}
+                    {item.moderation.source === 'llm' && ' · AI'}
+                  </p>
+                </div>
+              </div>
+
+              {['hidden', 'flagged'].includes(item.status) && (
+                <div className="flex flex-wrap gap-2 mt-4">
+                  {item.status === 'flagged' && (
+                    <>
+                      <button
+                        onClick={() => runAction(item, () => moderationAPI.hide(item.commentId), 'Comment hidden')}
+                        disabled={busyId === item.commentId}
+                        className="px-3 py-1 text-sm bg-gray-900 text-white rounded-md hover:bg-gray-800 disabled:bg-gray-400 transition"
+                      >
+                        Hide
+                      </button>
+                      <button
+                        onClick={() => {
+                          if (window.confirm('Delete this comment from Instagram? This cannot be undone.')) {
+                            runAction(item, () => moderationAPI.remove(item.commentId), 'Comment deleted');
+                          }
+                        }}
+                        disabled={busyId === item.commentId}
+                        className="px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-red-300 transition"
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                  <button
+                    onClick={() => runAction(
+                      item,
+                      () => moderationAPI.undo(item.commentId),
+                      item.status === 'hidden' ? 'Comment unhidden' : 'Flag cleared'
+                    )}
+                    disabled={busyId === item.commentId}
+                    className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition"
+                  >
+                    {item.status === 'hidden' ? 'Undo (unhide)' : 'Not a problem'}
+                  </button>
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default ModerationPanel;
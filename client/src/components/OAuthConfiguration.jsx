@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
+import YouTubeChannelSelector from './YouTubeChannelSelector';
+import InstagramAccountSwitcher from './InstagramAccountSwitcher';
 
 export default function OAuthConfiguration() {
   const [instagramConfig, setInstagramConfig] = useState({
@@ -320,6 +322,15 @@ export default function OAuthConfiguration() {
               )}
             </div>
           </div>
+
+          {instagramConfig.connected && (
+            <div className="mt-4">
+              <InstagramAccountSwitcher />
+              <p className="text-xs text-gray-500 mt-2">
+                To add another account, click Reconnect Instagram and log in with it; it becomes the active account
+              </p>
+            </div>
+          )}
         </div>
 
         {/* YouTube OAuth */}
@@ -413,6 +424,15 @@ export default function OAuthConfiguration() {
               )}
             </div>
           </div>
+
+          {youtubeConfig.connected && (
+            <div className="mt-4">
+              <YouTubeChannelSelector />
+              <p className="text-xs text-gray-500 mt-2">
+                To publish to another channel or brand account, click Reconnect YouTube and pick it on Google's account screen
+              </p>
+            </div>
+          )}
         </div>
       </div>
     </div>
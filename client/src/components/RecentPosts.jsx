@@ -6,6 +6,7 @@ const RecentPosts = ({ refreshTrigger }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [deletingId, setDeletingId] = useState(null);
+  const [busyAction, setBusyAction] = useState(null);
 
   useEffect(() => {
     console.log('[RecentPosts] Component mounted, refreshTrigger:', refreshTrigger);
@@ -75,6 +76,32 @@ const RecentPosts = ({ refreshTrigger }) => {
     }
   };
 
+  // Draft lifecycle actions; the server answers with the updated (or copied) post
+  const handleAction = async (postId, action, request) => {
+    try {
+      setBusyAction({ postId, action });
+      const response = await request();
+      const updated = response.data.post;
+
+      if (action === 'clone') {
+        setPosts(prevPosts => [updated, ...prevPosts]);
+      } else {
+        setPosts(prevPosts => prevPosts.map(p => (p.id === postId ? updated : p)));
+      }
+      return true;
+    } catch (err) {
+      console.error(`[RecentPosts] ${action} failed:`, err);
+      const failedPost = err.response?.data?.post;
+      if (failedPost) {
+        setPosts(prevPosts => prevPosts.map(p => (p.id === postId ? failedPost : p)));
+      }
+      alert(`❌ ${err.response?.data?.error || err.message}`);
+      return false;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
   const getStatusBadge = (status) => {
     const badges = {
       published: { color: 'bg-green-100 text-green-800', icon: '✓', label: 'Published' },
@@ -148,7 +175,9 @@ const RecentPosts = ({ refreshTrigger }) => {
               key={post.id} 
               post={post} 
               onDelete={handleDelete}
+              onAction={handleAction}
               isDeleting={deletingId === post.id}
+              busyAction={busyAction?.postId === post.id ? busyAction.action : null}
             />
           ))
         )}
@@ -163,14 +192,45 @@ const getStatusBadge = (status) => {
     published: { color: 'bg-green-100 text-green-800', icon: '✓', label: 'Published' },
     draft: { color: 'bg-gray-100 text-gray-800', icon: '📝', label: 'Draft' },
     failed: { color: 'bg-red-100 text-red-800', icon: '✗', label: 'Failed' },
-    publishing: { color: 'bg-blue-100 text-blue-800', icon: '⏳', label: 'Publishing' }
+    publishing: { color: 'bg-blue-100 text-blue-800', icon: '⏳', label: 'Publishing' },
+    scheduled: { color: 'bg-amber-100 text-amber-800', icon: '📅', label: 'Scheduled' }
   };
   return badges[status] || badges.draft;
 };
 
-const PostCard = ({ post, onDelete, isDeleting }) => {
+// datetime-local wants local time without a timezone suffix
+const toLocalInput = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const PostCard = ({ post, onDelete, onAction, isDeleting, busyAction }) => {
   const [expanded, setExpanded] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [captionDraft, setCaptionDraft] = useState(post.caption || '');
+  const [scheduling, setScheduling] = useState(false);
+  const [scheduleTime, setScheduleTime] = useState('');
   const badge = getStatusBadge(post.status);
+  const isEditable = ['draft', 'scheduled', 'failed'].includes(post.status);
+  const isCarousel = post.mediaType === 'carousel';
+  const hasAllMedia = isCarousel ? post.slides?.length > 0 && post.slides.every(slide => slide.url) : !!post.imageUrl;
+  const isBusy = !!busyAction;
+
+  const saveCaption = async () => {
+    const saved = await onAction(post.id, 'edit', () => aiPostAPI.updatePost(post.id, { caption: captionDraft }));
+    if (saved) setEditing(false);
+  };
+
+  const schedule = async () => {
+    const saved = await onAction(post.id, 'schedule', () => aiPostAPI.schedulePost(post.id, new Date(scheduleTime).toISOString()));
+    if (saved) setScheduling(false);
+  };
+
+  const openScheduler = () => {
+    const inAnHour = new Date(Date.now() + 60 * 60 * 1000);
+    setScheduleTime(toLocalInput(post.scheduledFor ? new Date(post.scheduledFor) : inAnHour));
+    setScheduling(true);
+  };
 
   const truncateText = (text, maxLength = 150) => {
     if (!text) return '';
@@ -198,7 +258,7 @@ const PostCard = ({ post, onDelete, isDeleting }) => {
       <div className="flex items-start space-x-3">
         {/* Image Thumbnail */}
         {post.imageUrl && (
-          <div className="flex-shrink-0">
+          <div className="flex-shrink-0 relative">
             <img
               src={post.imageUrl}
               alt="Post"
@@ -207,6 +267,11 @@ const PostCard = ({ post, onDelete, isDeleting }) => {
                 e.target.style.display = 'none';
               }}
             />
+            {isCarousel && (
+              <span className="absolute top-1 right-1 text-[10px] bg-black/60 text-white px-1 rounded">
+                ⧉ {post.slides.length}
+              </span>
+            )}
           </div>
         )}
 
@@ -220,7 +285,9 @@ const PostCard = ({ post, onDelete, isDeleting }) => {
                 <span>{badge.label}</span>
               </span>
               <span className="text-xs text-gray-500">
-                {formatDate(post.publishedAt || post.createdAt)}
+                {post.status === 'scheduled' && post.scheduledFor
+                  ? new Date(post.scheduledFor).toLocaleString()
+                  : formatDate(post.publishedAt || post.createdAt)}
               </span>
             </div>
             
@@ -256,9 +323,39 @@ const PostCard = ({ post, onDelete, isDeleting }) => {
           </div>
 
           {/* Caption */}
-          <p className="text-sm text-gray-700 mb-2">
-            {expanded ? post.caption : truncateText(post.caption)}
-          </p>
+          {editing ? (
+            <div className="mb-2">
+              <textarea
+                value={captionDraft}
+                onChange={(e) => setCaptionDraft(e.target.value)}
+                rows={6}
+                className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <div className="flex items-center space-x-2 mt-1">
+                <button
+                  onClick={saveCaption}
+                  disabled={isBusy || !captionDraft.trim()}
+                  className="px-2 py-1 text-xs text-white bg-blue-600 hover:bg-blue-700 rounded disabled:bg-gray-400"
+                >
+                  {busyAction === 'edit' ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  onClick={() => {
+                    setCaptionDraft(post.caption || '');
+                    setEditing(false);
+                  }}
+                  className="px-2 py-1 text-xs text-gray-600 hover:text-gray-800"
+                >
+                  Cancel
+                </button>
+                <span className="text-xs text-gray-400">{captionDraft.length}/2200</span>
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-700 mb-2 whitespace-pre-wrap">
+              {expanded ? post.caption : truncateText(post.caption)}
+            </p>
+          )}
 
           {/* Error Message (if failed) */}
           {post.status === 'failed' && post.error && (
@@ -268,6 +365,27 @@ const PostCard = ({ post, onDelete, isDeleting }) => {
             </div>
           )}
 
+          {/* Story */}
+          {post.story?.status === 'published' && (
+            <p className="mt-2 text-xs text-pink-700">
+              ◎ Shared to Story
+              {post.story.insights && (
+                <span className="text-gray-500">
+                  {' · '}
+                  {Object.entries(post.story.insights)
+                    .map(([metric, value]) => `${value} ${metric.replace(/_/g, ' ')}`)
+                    .join(' · ')}
+                </span>
+              )}
+            </p>
+          )}
+          {post.story?.status === 'failed' && (
+            <p className="mt-2 text-xs text-amber-700">◎ {post.story.error}</p>
+          )}
+          {post.alsoStory && !post.story?.status && post.status !== 'published' && (
+            <p className="mt-2 text-xs text-gray-500">◎ Will also be shared as a Story</p>
+          )}
+
           {/* Actions */}
           <div className="flex items-center space-x-3 mt-2">
             {post.caption && post.caption.length > 150 && (
@@ -291,6 +409,113 @@ const PostCard = ({ post, onDelete, isDeleting }) => {
             )}
           </div>
 
+          {/* Draft Actions */}
+          {isEditable && !editing && (
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button
+                onClick={() => onAction(post.id, 'publish', () => aiPostAPI.publishPost(post.id))}
+                disabled={isBusy || !hasAllMedia}
+                title={hasAllMedia ? 'Publish to Instagram now' : 'Regenerate the missing image first'}
+                className="px-2 py-1 text-xs text-white bg-green-600 hover:bg-green-700 rounded disabled:bg-gray-400"
+              >
+                {busyAction === 'publish' ? '⏳ Publishing...' : '🚀 Publish now'}
+              </button>
+              <button
+                onClick={() => {
+                  setCaptionDraft(post.caption || '');
+                  setEditing(true);
+                }}
+                disabled={isBusy}
+                className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+              >
+                ✏️ Edit caption
+              </button>
+              <button
+                onClick={() => onAction(post.id, 'caption', () => aiPostAPI.regenerateCaption(post.id))}
+                disabled={isBusy}
+                className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+              >
+                {busyAction === 'caption' ? '⏳ Writing...' : '🔁 New caption'}
+              </button>
+              {!isCarousel && (
+                <button
+                  onClick={() => onAction(post.id, 'image', () => aiPostAPI.regenerateImage(post.id))}
+                  disabled={isBusy || !post.imagePrompt}
+                  title={post.imagePrompt || 'No image prompt stored for this post'}
+                  className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+                >
+                  {busyAction === 'image' ? '⏳ Drawing...' : '🖼️ New image'}
+                </button>
+              )}
+              <button
+                onClick={openScheduler}
+                disabled={isBusy || !hasAllMedia}
+                className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+              >
+                📅 {post.status === 'scheduled' ? 'Reschedule' : 'Schedule'}
+              </button>
+            </div>
+          )}
+
+          {/* Carousel Slides */}
+          {isCarousel && (
+            <div className="flex gap-2 mt-3 overflow-x-auto pb-1">
+              {post.slides.map((slide, index) => (
+                <div key={index} className="relative flex-shrink-0 w-14" title={slide.title || slide.imagePrompt || `Slide ${index + 1}`}>
+                  {!slide.url ? (
+                    <div className="w-14 h-14 rounded bg-gray-100 flex items-center justify-center text-xs text-gray-400">missing</div>
+                  ) : slide.type === 'video' ? (
+                    <div className="w-14 h-14 rounded bg-gray-800 flex items-center justify-center text-white">▶</div>
+                  ) : (
+                    <img src={slide.url} alt={`Slide ${index + 1}`} className="w-14 h-14 rounded object-cover" />
+                  )}
+                  {isEditable && slide.type !== 'video' && slide.imagePrompt && (
+                    <button
+                      onClick={() => onAction(post.id, `slide-${index}`, () => aiPostAPI.regenerateImage(post.id, { slide: index }))}
+                      disabled={isBusy}
+                      className="absolute bottom-0.5 right-0.5 text-[10px] bg-white/90 rounded px-1 hover:bg-white disabled:opacity-50"
+                      title="Regenerate this slide's image"
+                    >
+                      {busyAction === `slide-${index}` ? '⏳' : '↻'}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {scheduling && (
+            <div className="flex items-center gap-2 mt-2">
+              <input
+                type="datetime-local"
+                value={scheduleTime}
+                onChange={(e) => setScheduleTime(e.target.value)}
+                className="px-2 py-1 text-xs border border-gray-300 rounded"
+              />
+              <button
+                onClick={schedule}
+                disabled={isBusy || !scheduleTime}
+                className="px-2 py-1 text-xs text-white bg-blue-600 hover:bg-blue-700 rounded disabled:bg-gray-400"
+              >
+                {busyAction === 'schedule' ? 'Saving...' : 'Save'}
+              </button>
+              <button
+                onClick={() => setScheduling(false)}
+                className="px-2 py-1 text-xs text-gray-600 hover:text-gray-800"
+              >
+                Cancel
+              </button>
+            </div>
+          )}
+
+          <button
+            onClick={() => onAction(post.id, 'clone', () => aiPostAPI.clonePost(post.id))}
+            disabled={isBusy}
+            className="mt-2 text-xs text-blue-600 hover:text-blue-700 disabled:opacity-50"
+          >
+            {busyAction === 'clone' ? 'Copying...' : '📄 Duplicate as draft'}
+          </button>
+
           {/* Metadata */}
           {post.metadata && (
             <div className="mt-2 flex flex-wrap gap-1">
@@ -0,0 +1,253 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { approvalsAPI, configAPI } from '../utils/api';
+import socketService from '../services/socket.service';
+import LoadingSpinner from './LoadingSpinner';
+
+const ReplyApprovalQueue = () => {
+  const { toast } = useApp();
+  const { showError, showInfo } = toast;
+  const [items, setItems] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [approvalMode, setApprovalMode] = useState(false);
+
+  const loadItems = useCallback(async () => {
+    try {
+      const { data } = await approvalsAPI.list();
+      if (data.success) {
+        setItems(data.items);
+        setDrafts((prev) => {
+          const next = {};
+          data.items.forEach((item) => {
+            next[item.commentId] = prev[item.commentId] ?? item.replyText ?? '';
+          });
+          return next;
+        });
+      }
+    } catch (err) {
+      console.error('Failed to load pending replies:', err);
+      showError(err.message || 'Failed to load pending replies');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadItems();
+
+    configAPI.getApprovalMode()
+      .then(({ data }) => setApprovalMode(!!data.approvalMode))
+      .catch((err) => console.error('Failed to load approval mode:', err));
+  }, [loadItems]);
+
+  // Refresh when the automation queues a new reply
+  useEffect(() => {
+    const user = JSON.parse(localStorage.getItem('user') || 'null');
+    if (!user?.id) return undefined;
+
+    const event = `reply-approval:${user.id}`;
+    const handlePending = (data) => {
+      showInfo(`New reply waiting for approval (@${data.username})`);
+      loadItems();
+    };
+
+    socketService.on(event, handlePending);
+    return () => socketService.off(event, handlePending);
+  }, [loadItems, showInfo]);
+
+  const removeItem = (commentId) => {
+    setItems((prev) => prev.filter((item) => item.commentId !== commentId));
+  };
+
+  const handleToggleMode = async () => {
+    try {
+      await configAPI.saveApprovalMode(!approvalMode);
+      setApprovalMode(!approvalMode);
+      toast.showSuccess(!approvalMode ? 'Replies now wait for your approval' : 'Replies are posted automatically');
+    } catch (err) {
+      console.error('Failed to update approval mode:', err);
+      toast.showError(err.message || 'Failed to update approval mode');
+    }
+  };
+
+  const handleApprove = async (item) => {
+    setBusyId(item.commentId);
+    try {
+      await approvalsAPI.approve(item.commentId, drafts[item.commentId]);
+      toast.showSuccess(`Reply posted to @${item.username}`);
+      removeItem(item.commentId);
+    } catch (err) {
+      console.error('Failed to approve reply:', err);
+      toast.showError(err.message || 'Failed to post reply');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = async (item) => {
+    setBusyId(item.commentId);
+    try {
+      await approvalsAPI.reject(item.commentId);
+      toast.showInfo('Reply rejected');
+      removeItem(item.commentId);
+    } catch (err) {
+      console.error('Failed to reject reply:', err);
+      toast.showError(err.message || 'Failed to reject reply');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRegenerate = async (item) => {
+    setBusyId(item.commentId);
+    try {
+      const { data } = await approvalsAPI.regenerate(item.commentId);
+      setItems((prev) => prev.map((existing) => (
+        existing.commentId === item.commentId ? data.item : existing
+      )));
+      setDrafts((prev) => ({ ...prev, [item.commentId]: data.item.replyText || '' }));
+    } catch (err) {
+      console.error('Failed to regenerate replies:', err);
+      toast.showError(err.message || 'Failed to regenerate replies');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSaveDraft = async (item) => {
+    try {
+      await approvalsAPI.update(item.commentId, drafts[item.commentId]);
+      toast.showSuccess('Reply saved');
+    } catch (err) {
+      console.error('Failed to save reply:', err);
+      toast.showError(err.message || 'Failed to save reply');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <div>
+          <p className="font-semibold text-gray-900">Approval mode</p>
+          <p className="text-sm text-gray-600">
+            {approvalMode
+              ? 'AI replies wait here until you approve them.'
+              : 'AI replies are posted automatically. Turn this on to review them first.'}
+          </p>
+        </div>
+        <button
+          onClick={handleToggleMode}
+          className={`px-4 py-2 rounded-lg text-white transition ${
+            approvalMode ? 'bg-gray-600 hover:bg-gray-700' : 'bg-blue-600 hover:bg-blue-700'
+          }`}
+        >
+          {approvalMode ? 'Turn Off' : 'Turn On'}
+        </button>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-4xl mb-2">✅</p>
+          <p>No replies waiting for approval</p>
+        </div>
+      ) : (
+        items.map((item) => (
+          <div key={item.commentId} className="border border-gray-200 rounded-lg p-5">
+            <div className="flex items-start justify-between gap-4 mb-3">
+              <div>
+                <p className="text-sm text-gray-500">@{item.username} commented</p>
+                <p className="text-gray-900 font-medium mt-1">&ldquo;{item.commentText}&rdquo;</p>
+                {item.postCaption && (
+                  <p className="text-xs text-gray-400 mt-1 line-clamp-1">On: {item.postCaption}</p>
+                )}
+              </div>
+              <span className="text-xs text-gray-400 whitespace-nowrap">
+                {new Date(item.processedAt).toLocaleString()}
+              </span>
+            </div>
+
+            {item.replyOptions?.length > 0 && (
+              <div className="space-y-2 mb-3">
+                <p className="text-xs font-semibold text-gray-500 uppercase">
+                  Suggestions
+                  {item.aiProvider && (
+                    <span className="ml-2 font-normal normal-case text-gray-400">
+                      {item.aiProvider === 'fallback' ? 'built-in templates (AI unavailable)' : `via ${item.aiProvider}${item.aiModel ? ` / ${item.aiModel}` : ''}`}
+                    </span>
+                  )}
+                </p>
+                {item.replyOptions.map((option, index) => (
+                  <button
+                    key={index}
+                    onClick={() => setDrafts((prev) => ({ ...prev, [item.commentId]: option }))}
+                    className={`block w-full text-left text-sm px-3 py-2 rounded-md border transition ${
+                      drafts[item.commentId] === option
+                        ? 'border-blue-500 bg-blue-50 text-blue-900'
+                        : 'border-gray-200 hover:bg-gray-50 text-gray-700'
+                    }`}
+                  >
+                    {option}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <textarea
+              rows={3}
+              value={drafts[item.commentId] || ''}
+              onChange={(e) => setDrafts((prev) => ({ ...prev, [item.commentId]: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
+            />
+
+            {item.error && (
+              <p className="text-sm text-red-600 mt-2">Last attempt failed: {item.error}</p>
+            )}
+
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button
+                onClick={() => handleApprove(item)}
+                disabled={busyId === item.commentId || !drafts[item.commentId]?.trim()}
+                className="px-4 py-2 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-green-300 transition"
+              >
+                Approve & Post
+              </button>
+              <button
+                onClick={() => handleSaveDraft(item)}
+                disabled={busyId === item.commentId || !drafts[item.commentId]?.trim()}
+                className="px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 transition"
+              >
+                Save Edit
+              </button>
+              <button
+                onClick={() => handleRegenerate(item)}
+                disabled={busyId === item.commentId}
+                className="px-4 py-2 text-sm border border-blue-200 text-blue-700 rounded-md hover:bg-blue-50 disabled:opacity-50 transition"
+              >
+                {busyId === item.commentId ? 'Working...' : 'Regenerate'}
+              </button>
+              <button
+                onClick={() => handleReject(item)}
+                disabled={busyId === item.commentId}
+                className="px-4 py-2 text-sm border border-red-200 text-red-600 rounded-md hover:bg-red-50 disabled:opacity-50 transition"
+              >
+                Reject
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default ReplyApprovalQueue;
@@ -0,0 +1,269 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { configAPI, personasAPI } from '../utils/api';
+
+const EMOJI_POLICIES = [
+  { value: 'none', label: 'No emojis' },
+  { value: 'sparing', label: 'Sparing (1)' },
+  { value: 'moderate', label: 'Moderate (2)' },
+  { value: 'expressive', label: 'Expressive (4)' },
+];
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  styleRules: '',
+  emojiPolicy: 'sparing',
+  maxLength: 220,
+  endWithQuestion: false,
+};
+
+const ReplyPersonaPanel = () => {
+  const { toast } = useApp();
+  const [builtIn, setBuiltIn] = useState([]);
+  const [custom, setCustom] = useState([]);
+  const [activeTone, setActiveTone] = useState('friendly');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingSlug, setEditingSlug] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadPersonas = useCallback(async () => {
+    try {
+      const { data } = await personasAPI.list();
+      if (data.success) {
+        setBuiltIn(data.builtIn || []);
+        setCustom(data.custom || []);
+        setActiveTone(data.activeTone || 'friendly');
+      }
+    } catch (err) {
+      console.error('Failed to load personas:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPersonas();
+  }, [loadPersonas]);
+
+  const handleSelect = async (slug) => {
+    try {
+      await configAPI.saveTone(slug);
+      setActiveTone(slug);
+      toast.showSuccess('Reply persona updated');
+    } catch (err) {
+      console.error('Failed to select persona:', err);
+      toast.showError(err.message || 'Failed to update reply persona');
+    }
+  };
+
+  const openCreate = () => {
+    setForm(EMPTY_FORM);
+    setEditingSlug(null);
+    setShowForm(true);
+  };
+
+  const openEdit = (persona) => {
+    setForm({
+      name: persona.name,
+      description: persona.description || '',
+      styleRules: (persona.styleRules || []).join('\n'),
+      emojiPolicy: persona.emojiPolicy || 'sparing',
+      maxLength: persona.maxLength || 220,
+      endWithQuestion: !!persona.endWithQuestion,
+    });
+    setEditingSlug(persona.slug);
+    setShowForm(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = { ...form, maxLength: Number(form.maxLength) };
+      if (editingSlug) {
+        await personasAPI.update(editingSlug, payload);
+        toast.showSuccess('Persona updated');
+      } else {
+        await personasAPI.create(payload);
+        toast.showSuccess('Persona created');
+      }
+      setShowForm(false);
+      await loadPersonas();
+    } catch (err) {
+      console.error('Failed to save persona:', err);
+      toast.showError(err.response?.data?.error || err.message || 'Failed to save persona');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (slug) => {
+    if (!window.confirm('Delete this persona?')) return;
+    try {
+      await personasAPI.remove(slug);
+      toast.showSuccess('Persona deleted');
+      await loadPersonas();
+    } catch (err) {
+      console.error('Failed to delete persona:', err);
+      toast.showError(err.message || 'Failed to delete persona');
+    }
+  };
+
+  const renderCard = (persona, isCustom) => (
+    <div
+      key={persona.slug}
+      className={`p-4 rounded-lg border transition ${
+        activeTone === persona.slug ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-white'
+      }`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <p className="font-semibold text-gray-900">{persona.name}</p>
+          <p className="text-xs text-gray-500 mt-1">{persona.description}</p>
+        </div>
+        {activeTone === persona.slug && (
+          <span className="text-xs font-semibold text-blue-700 bg-blue-100 px-2 py-1 rounded-full">Active</span>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Emojis: {persona.emojiPolicy} · Max {persona.maxLength} chars
+      </p>
+      <div className="flex gap-2 mt-3">
+        {activeTone !== persona.slug && (
+          <button
+            onClick={() => handleSelect(persona.slug)}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+          >
+            Use
+          </button>
+        )}
+        {isCustom && (
+          <>
+            <button
+              onClick={() => openEdit(persona)}
+              className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => handleDelete(persona.slug)}
+              className="px-3 py-1 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 transition"
+            >
+              Delete
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Reply Persona</h2>
+          <p className="text-sm text-gray-600">Controls the style, emoji use and length of AI replies. Brand name, voice and values from your account preferences are blended in.</p>
+        </div>
+        <button
+          onClick={openCreate}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition whitespace-nowrap"
+        >
+          New Persona
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {builtIn.map((persona) => renderCard(persona, false))}
+        {custom.map((persona) => renderCard(persona, true))}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSave} className="mt-6 space-y-4 border-t border-gray-200 pt-6">
+          <h3 className="text-lg font-semibold text-gray-900">{editingSlug ? 'Edit Persona' : 'New Persona'}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Name</span>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                required
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Who is replying?</span>
+              <input
+                type="text"
+                placeholder="a playful barista who loves coffee puns"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+          </div>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Style rules (one per line)</span>
+            <textarea
+              rows={4}
+              value={form.styleRules}
+              onChange={(e) => setForm({ ...form, styleRules: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Emoji policy</span>
+              <select
+                value={form.emojiPolicy}
+                onChange={(e) => setForm({ ...form, emojiPolicy: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+              >
+                {EMOJI_POLICIES.map((policy) => (
+                  <option key={policy.value} value={policy.value}>{policy.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Max length (characters)</span>
+              <input
+                type="number"
+                min={40}
+                max={1000}
+                value={form.maxLength}
+                onChange={(e) => setForm({ ...form, maxLength: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="flex items-center gap-2 mt-6">
+              <input
+                type="checkbox"
+                checked={form.endWithQuestion}
+                onChange={(e) => setForm({ ...form, endWithQuestion: e.target.checked })}
+              />
+              <span className="text-sm text-gray-700">End with a question</span>
+            </label>
+          </div>
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-green-300 transition"
+            >
+              {saving ? 'Saving...' : 'Save Persona'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ReplyPersonaPanel;
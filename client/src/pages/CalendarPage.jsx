@@ -0,0 +1,35 @@
+import ContentCalendar from '../components/ContentCalendar';
+import Navbar from '../components/Navbar';
+
+export default function CalendarPage() {
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+      
+      {/* Main Content */}
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-7xl mx-auto">
+          {/* Header */}
+          <div className="mb-8">
+            <div className="flex items-center space-x-4 mb-4">
+              <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-amber-500 to-orange-600 flex items-center justify-center text-4xl shadow-lg">
+                📅
+              </div>
+              <div>
+                <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-amber-600 to-orange-700 bg-clip-text text-transparent">
+                  Content Calendar
+                </h1>
+                <p className="text-gray-600 mt-1">Scheduled posts and videos; drag to move them to another day</p>
+              </div>
+            </div>
+          </div>
+
+          {/* Content */}
+          <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 border border-gray-100">
+            <ContentCalendar />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -113,6 +113,41 @@ const DashboardPage = () => {
       color: 'from-gray-600 to-slate-700',
       action: () => navigate('/logs')
     },
+    { 
+      title: 'Reply Approvals', 
+      description: 'Review AI replies before posting', 
+      icon: '📝', 
+      color: 'from-green-500 to-emerald-600',
+      action: () => navigate('/approvals')
+    },
+    { 
+      title: 'DM Funnels', 
+      description: 'Comment a keyword, get a DM', 
+      icon: '📨', 
+      color: 'from-fuchsia-500 to-purple-600',
+      action: () => navigate('/funnels')
+    },
+    { 
+      title: 'DM Inbox', 
+      description: 'AI-assisted direct messages', 
+      icon: '💬', 
+      color: 'from-sky-500 to-indigo-600',
+      action: () => navigate('/inbox')
+    },
+    { 
+      title: 'Mentions', 
+      description: 'Tags in comments, captions and stories', 
+      icon: '📣', 
+      color: 'from-rose-500 to-orange-500',
+      action: () => navigate('/mentions')
+    },
+    { 
+      title: 'Moderation', 
+      description: 'Hide spam, scams and abuse', 
+      icon: '🛡️', 
+      color: 'from-slate-500 to-gray-700',
+      action: () => navigate('/moderation')
+    },
     { 
       title: 'AI Post Generator', 
       description: 'Create engaging content', 
@@ -127,6 +162,13 @@ const DashboardPage = () => {
       color: 'from-green-500 to-teal-600',
       action: () => navigate('/dual-publish')
     },
+    { 
+      title: 'Content Calendar', 
+      description: 'Schedule and reschedule posts', 
+      icon: '📅', 
+      color: 'from-amber-500 to-orange-600',
+      action: () => navigate('/calendar')
+    },
     { 
       title: 'API Configuration', 
       description: 'Manage API keys and settings', 
@@ -0,0 +1,35 @@
+import DmFunnelManager from '../components/DmFunnelManager';
+import Navbar from '../components/Navbar';
+
+export default function FunnelsPage() {
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+      
+      {/* Main Content */}
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-7xl mx-auto">
+          {/* Header */}
+          <div className="mb-8">
+            <div className="flex items-center space-x-4 mb-4">
+              <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-fuchsia-500 to-purple-600 flex items-center justify-center text-4xl shadow-lg">
+                📨
+              </div>
+              <div>
+                <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-fuchsia-600 to-purple-600 bg-clip-text text-transparent">
+                  DM Funnels
+                </h1>
+                <p className="text-gray-600 mt-1">Send a link by DM when someone comments a keyword</p>
+              </div>
+            </div>
+          </div>
+
+          {/* Content */}
+          <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 border border-gray-100">
+            <DmFunnelManager />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -76,9 +76,74 @@ export const configAPI = {
   deleteInstagramConfig: () => api.delete('/api/config/instagram'),
   saveTone: (tone) => api.post('/api/config/tone', { tone }),
   getTone: () => api.get('/api/config/tone'),
+  saveTriggerMode: (triggerMode) => api.post('/api/config/trigger-mode', { triggerMode }),
+  getTriggerMode: () => api.get('/api/config/trigger-mode'),
+  saveApprovalMode: (approvalMode) => api.post('/api/config/approval-mode', { approvalMode }),
+  getApprovalMode: () => api.get('/api/config/approval-mode'),
   validateApiKey: (apiKey) => api.post('/api/config/validate-api-key', { apiKey }),
 };
 
+export const personasAPI = {
+  list: () => api.get('/api/config/personas'),
+  create: (data) => api.post('/api/config/personas', data),
+  update: (slug, data) => api.put(`/api/config/personas/${slug}`, data),
+  remove: (slug) => api.delete(`/api/config/personas/${slug}`),
+};
+
+export const approvalsAPI = {
+  list: (params) => api.get('/api/approvals', { params }),
+  update: (commentId, replyText) => api.put(`/api/approvals/${commentId}`, { replyText }),
+  approve: (commentId, replyText) => api.post(`/api/approvals/${commentId}/approve`, { replyText }),
+  reject: (commentId) => api.post(`/api/approvals/${commentId}/reject`),
+  regenerate: (commentId) => api.post(`/api/approvals/${commentId}/regenerate`),
+};
+
+export const funnelsAPI = {
+  list: () => api.get('/api/funnels'),
+  create: (data) => api.post('/api/funnels', data),
+  update: (id, data) => api.put(`/api/funnels/${id}`, data),
+  remove: (id) => api.delete(`/api/funnels/${id}`),
+  getDeliveries: (id) => api.get(`/api/funnels/${id}/deliveries`),
+};
+
+export const inboxAPI = {
+  getSettings: () => api.get('/api/inbox/settings'),
+  saveSettings: (settings) => api.put('/api/inbox/settings', settings),
+  listConversations: () => api.get('/api/inbox/conversations'),
+  getConversation: (id) => api.get(`/api/inbox/conversations/${id}`),
+  setAutoReply: (id, autoReplyEnabled) => api.put(`/api/inbox/conversations/${id}`, { autoReplyEnabled }),
+  send: (id, text) => api.post(`/api/inbox/conversations/${id}/messages`, { text }),
+  approve: (id, text) => api.post(`/api/inbox/conversations/${id}/approve`, { text }),
+  discard: (id) => api.post(`/api/inbox/conversations/${id}/discard`),
+  regenerate: (id) => api.post(`/api/inbox/conversations/${id}/regenerate`),
+  sync: () => api.post('/api/inbox/sync'),
+};
+
+export const mentionsAPI = {
+  list: (params = {}) => api.get('/api/mentions', { params }),
+  getSettings: () => api.get('/api/mentions/settings'),
+  saveSettings: (enabled) => api.put('/api/mentions/settings', { enabled }),
+  regenerate: (id) => api.post(`/api/mentions/${id}/regenerate`),
+  approve: (id, replyText) => api.post(`/api/mentions/${id}/approve`, { replyText }),
+  dismiss: (id) => api.post(`/api/mentions/${id}/dismiss`),
+};
+
+export const moderationAPI = {
+  getSettings: () => api.get('/api/moderation/settings'),
+  saveSettings: (settings) => api.put('/api/moderation/settings', settings),
+  test: (text) => api.post('/api/moderation/test', { text }),
+  list: (params = {}) => api.get('/api/moderation/comments', { params }),
+  undo: (commentId) => api.post(`/api/moderation/comments/${commentId}/undo`),
+  hide: (commentId) => api.post(`/api/moderation/comments/${commentId}/hide`),
+  remove: (commentId) => api.post(`/api/moderation/comments/${commentId}/delete`),
+};
+
+export const scheduleAPI = {
+  list: (params = {}) => api.get('/api/schedule', { params }),
+  reschedule: (kind, id, scheduledFor) => api.put(`/api/schedule/${kind}/${id}`, { scheduledFor }),
+  cancel: (kind, id) => api.post(`/api/schedule/${kind}/${id}/cancel`),
+};
+
 export const automationAPI = {
   start: () => api.post('/api/automation/start'),
   stop: () => api.post('/api/automation/stop'),
@@ -103,13 +168,23 @@ export const postsAPI = {
 };
 
 export const aiPostAPI = {
-  generate: (data) => api.post('/api/ai-post/generate', data, { timeout: 120000 }), // 120 seconds (2 minutes) for AI generation + publishing
+  generate: (data) => api.post('/api/ai-post/generate', data, { timeout: data.format === 'carousel' ? 300000 : 120000 }), // 2 minutes for AI generation + publishing, 5 for a carousel's images
   getHistory: () => api.get('/api/ai-post/history'), // Correct endpoint
   getStatus: () => api.get('/api/ai-post/status'),
   getLimit: () => api.get('/api/ai-post/limit'),
   saveContext: (data) => api.post('/api/ai-post/context', data),
   getContext: () => api.get('/api/ai-post/context'),
+  createCarousel: (formData) => api.post('/api/ai-post/carousel', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 300000, // uploads plus waiting for Instagram to process every slide
+  }),
   deletePost: (postId) => api.delete(`/api/ai-post/posts/${postId}`),
+  updatePost: (postId, data) => api.patch(`/api/ai-post/posts/${postId}`, data),
+  publishPost: (postId) => api.post(`/api/ai-post/posts/${postId}/publish`, {}, { timeout: 120000 }),
+  regenerateImage: (postId, options = {}) => api.post(`/api/ai-post/posts/${postId}/regenerate-image`, options, { timeout: 120000 }),
+  regenerateCaption: (postId) => api.post(`/api/ai-post/posts/${postId}/regenerate-caption`, {}, { timeout: 120000 }),
+  schedulePost: (postId, scheduledFor) => api.post(`/api/ai-post/posts/${postId}/schedule`, { scheduledFor }),
+  clonePost: (postId) => api.post(`/api/ai-post/posts/${postId}/clone`),
   saveApiKey: (apiKey) => api.post('/api/ai-post/api-key', { apiKey }),
   getApiKeyStatus: () => api.get('/api/ai-post/api-key'),
 };
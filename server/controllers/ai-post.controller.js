@@ -2,6 +2,32 @@ const AIPostGeneratorService = require('../services/ai-post-generator.service');
 const ImageGeneratorService = require('../services/image-generator.service');
 const InstagramPublisherService = require('../services/instagram-publisher.service');
 const { EncryptionService } = require('../services/encryption.service');
+const automationManager = require('../services/automation-manager.service');
+const publishSchedulerService = require('../services/publish-scheduler.service');
+const storyService = require('../services/story.service');
+const mediaStorageService = require('../services/media-storage.service');
+const multer = require('multer');
+
+// Configure multer for carousel uploads (images and short videos)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB max
+    files: InstagramPublisherService.CAROUSEL_MAX_ITEMS
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'video/mp4', 'video/quicktime'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG, PNG, MP4 and MOV are allowed.'));
+    }
+  }
+});
+
+// Posts that haven't gone out yet and can still be edited, scheduled or published
+const DRAFT_STATUSES = ['draft', 'scheduled', 'failed'];
+const INSTAGRAM_CAPTION_LIMIT = 2200;
 
 class AIPostController {
   constructor() {
@@ -10,6 +36,7 @@ class AIPostController {
     this.instagramPublisher = new InstagramPublisherService();
     this.encryptionService = new EncryptionService();
     this.activeGenerations = new Map(); // Track ongoing generations
+    this.upload = upload;
   }
 
   /**
@@ -37,8 +64,12 @@ class AIPostController {
         brandVoice,
         topics,
         additionalContext,
-        autoPublish = true
+        autoPublish = true,
+        format = 'single',
+        slideCount = 5,
+        alsoStory = false
       } = req.body;
+      const isCarousel = format === 'carousel';
 
       // Validate required fields
       if (!accountType || !targetAudience || !brandVoice) {
@@ -48,6 +79,19 @@ class AIPostController {
         });
       }
 
+      // A publish time hands the post to the publish scheduler instead of publishing now
+      let scheduledFor = null;
+      if (req.body.scheduledFor) {
+        try {
+          scheduledFor = publishSchedulerService.parseScheduleTime(req.body.scheduledFor);
+        } catch (scheduleError) {
+          return res.status(400).json({
+            success: false,
+            error: scheduleError.message
+          });
+        }
+      }
+
       // Check if generation is already in progress for this user
       if (this.activeGenerations.has(userId)) {
         return res.status(429).json({
@@ -68,12 +112,14 @@ class AIPostController {
         });
       }
 
-      // Get user's Instagram credentials from User model
+      // Get the active Instagram account's credentials
       const User = require('../models/User');
+      const InstagramAccount = require('../models/instagram-account.model');
       const user = await User.findById(userId);
+      const account = user && await InstagramAccount.getActiveAccount(user);
 
       // Check if Instagram is configured
-      if (!user || !user.instagramCredentials) {
+      if (!account) {
         this.activeGenerations.delete(userId);
         return res.json({
           success: false,
@@ -82,7 +128,7 @@ class AIPostController {
         });
       }
 
-      if (!user.instagramCredentials.accessToken) {
+      if (!account.accessToken) {
         this.activeGenerations.delete(userId);
         return res.json({
           success: false,
@@ -92,10 +138,10 @@ class AIPostController {
       }
 
       // Decrypt credentials
-      const accessToken = this.encryptionService.decrypt(user.instagramCredentials.accessToken);
+      const accessToken = this.encryptionService.decrypt(account.accessToken);
       // Sanitize token - remove ALL whitespace characters
       const cleanToken = accessToken?.replace(/\s+/g, '').trim();
-      const instagramAccountId = user.instagramCredentials.accountId;
+      const instagramAccountId = account.accountId;
 
       if (!cleanToken || !instagramAccountId) {
         this.activeGenerations.delete(userId);
@@ -157,7 +203,9 @@ class AIPostController {
 
       let postContent;
       try {
-        postContent = await this.aiPostGenerator.generatePost(finalContext);
+        postContent = isCarousel
+          ? await this.aiPostGenerator.generateCarousel(finalContext, slideCount)
+          : await this.aiPostGenerator.generatePost(finalContext);
         console.log('[AIPostController] Post content generated successfully');
 
         if (io) {
@@ -183,21 +231,27 @@ class AIPostController {
         throw new Error(`Content generation failed: ${genError.message}`);
       }
 
-      // Step 2: Generate image with Pollinations.ai
+      // Step 2: Generate image(s), one per slide for carousels
+      const imagePrompts = isCarousel
+        ? postContent.slides.map(slide => slide.imagePrompt)
+        : [postContent.imagePrompt];
       console.log('[AIPostController] Generating image...');
-      console.log('[AIPostController] Image prompt:', postContent.imagePrompt);
+      console.log('[AIPostController] Image prompts:', imagePrompts);
 
-      if (io) {
-        io.emit(`post-generation:${userId}`, {
-          status: 'generating-image',
-          message: 'Creating image with AI...',
-          progress: 50
-        });
-      }
-
-      let imageBuffer;
+      const imageBuffers = [];
       try {
-        imageBuffer = await this.imageGenerator.generateImage(postContent.imagePrompt);
+        for (const [index, imagePrompt] of imagePrompts.entries()) {
+          if (io) {
+            io.emit(`post-generation:${userId}`, {
+              status: 'generating-image',
+              message: isCarousel
+                ? `Creating slide ${index + 1} of ${imagePrompts.length}...`
+                : 'Creating image with AI...',
+              progress: 50 + Math.round((20 * index) / imagePrompts.length)
+            });
+          }
+          imageBuffers.push(await this.imageGenerator.generateImage(imagePrompt));
+        }
         console.log('[AIPostController] Image generated successfully');
 
         if (io) {
@@ -229,38 +283,69 @@ class AIPostController {
         await userContext.save();
       }
 
-      // Upload image to get public URL (needed for both draft and publish)
+      // Upload image(s) to get public URLs (needed for both draft and publish)
       console.log('[AIPostController] Uploading image to get public URL...');
       let imageUrl = null;
+      let imageStorage;
+      let slides = [];
       try {
-        imageUrl = await this.instagramPublisher.uploadImageToPublicServer(imageBuffer, `post-${Date.now()}.jpg`);
-        console.log('[AIPostController] Image uploaded:', imageUrl);
+        const images = [];
+        for (const [index, imageBuffer] of imageBuffers.entries()) {
+          images.push(await this.instagramPublisher.uploadImageToPublicServer(imageBuffer, `post-${Date.now()}-${index + 1}.jpg`));
+        }
+        const storageOf = ({ driver, key }) => ({ driver, key });
+        imageUrl = images[0].url;
+        imageStorage = storageOf(images[0]);
+        console.log('[AIPostController] Image uploaded:', images.map(image => image.url));
+
+        if (isCarousel) {
+          slides = postContent.slides.map((slide, index) => ({
+            ...slide,
+            type: 'image',
+            url: images[index].url,
+            storage: storageOf(images[index])
+          }));
+        }
       } catch (uploadError) {
         console.error('[AIPostController] Image upload failed:', uploadError.message);
         // Continue anyway - we can still save the post without the image URL
+        if (isCarousel) {
+          slides = postContent.slides.map(slide => ({ ...slide, type: 'image' }));
+        }
       }
 
+      // Scheduling needs a hosted image; without one the post is kept as a draft
+      const publishNow = autoPublish && !scheduledFor;
+      const isScheduled = !!(scheduledFor && imageUrl);
+
       // Save generated content to database for review
       const Post = require('../models/post.model');
       const generatedPost = await Post.create({
         userId,
+        accountId: instagramAccountId,
         platform: 'instagram',
         caption: postContent.fullCaption,
         imagePrompt: postContent.imagePrompt,
         imageUrl: imageUrl, // Save image URL even for drafts
-        status: autoPublish ? 'publishing' : 'draft',
+        imageStorage,
+        mediaType: isCarousel ? 'carousel' : 'image',
+        slides,
+        status: isScheduled ? 'scheduled' : (publishNow ? 'publishing' : 'draft'),
+        scheduledFor: isScheduled ? scheduledFor : null,
+        alsoStory: !!alsoStory,
         metadata: {
           accountType,
           targetAudience,
           brandVoice,
           topics,
+          format: isCarousel ? 'carousel' : 'single',
           generatedAt: new Date()
         }
       });
 
       // Step 3: Publish to Instagram (if autoPublish is true)
       let publishResult = null;
-      if (autoPublish) {
+      if (publishNow) {
         console.log('[AIPostController] Publishing to Instagram...');
 
         if (io) {
@@ -272,11 +357,9 @@ class AIPostController {
         }
 
         try {
-          // Create media container and publish (location disabled for now)
+          // Create media container(s) and publish (location disabled for now)
           // To enable location: Get valid location_id from Instagram's location search API
-          const containerId = await this.instagramPublisher.createMediaContainer(imageUrl, postContent.fullCaption);
-          await this.instagramPublisher.waitForContainerReady(containerId);
-          const mediaId = await this.instagramPublisher.publishMediaContainer(containerId);
+          const mediaId = await this.instagramPublisher.publishSavedPost(generatedPost);
 
           publishResult = {
             success: true,
@@ -293,6 +376,17 @@ class AIPostController {
 
           console.log('[AIPostController] Post published successfully');
 
+          if (generatedPost.alsoStory) {
+            if (io) {
+              io.emit(`post-generation:${userId}`, {
+                status: 'publishing',
+                message: 'Sharing to your Story...',
+                progress: 90
+              });
+            }
+            publishResult.story = await storyService.publishPostStory(generatedPost, this.instagramPublisher);
+          }
+
           if (io) {
             io.emit(`post-generation:${userId}`, {
               status: 'completed',
@@ -351,7 +445,9 @@ class AIPostController {
         if (io) {
           io.emit(`post-generation:${userId}`, {
             status: 'completed',
-            message: 'Post saved as draft!',
+            message: isScheduled
+              ? `Post scheduled for ${scheduledFor.toLocaleString()}`
+              : 'Post saved as draft!',
             progress: 100,
             data: {
               postId: generatedPost._id
@@ -366,15 +462,22 @@ class AIPostController {
       // Return success response
       return res.json({
         success: true,
-        message: autoPublish ? 'Post generated and published successfully' : 'Post generated successfully',
+        message: isScheduled
+          ? 'Post generated and scheduled'
+          : (publishNow ? 'Post generated and published successfully' : 'Post generated successfully'),
         post: {
           id: generatedPost._id,
           caption: postContent.caption,
           fullCaption: postContent.fullCaption,
           imagePrompt: postContent.imagePrompt,
           hashtags: postContent.hashtags,
+          mediaType: generatedPost.mediaType,
+          slides: generatedPost.slides,
           status: generatedPost.status,
+          scheduledFor: generatedPost.scheduledFor,
           publishedAt: generatedPost.publishedAt,
+          alsoStory: generatedPost.alsoStory,
+          story: generatedPost.story,
           imageUrl: generatedPost.imageUrl || imageUrl // Use saved imageUrl
         },
         publishResult
@@ -450,8 +553,12 @@ class AIPostController {
         });
       }
 
+      // Posts of the active Instagram account
+      const InstagramAccount = require('../models/instagram-account.model');
+      const accountId = await InstagramAccount.getActiveAccountId(userId);
+
       const Post = require('../models/post.model');
-      const posts = await Post.find({ userId })
+      const posts = await Post.find({ userId, accountId })
         .sort({ createdAt: -1 })
         .limit(50);
 
@@ -461,10 +568,7 @@ class AIPostController {
           id: post._id,
           caption: post.caption,
           imageUrl: post.imageUrl,
-          status: post.status,
-          publishedAt: post.publishedAt,
-          createdAt: post.createdAt,
-          metadata: post.metadata
+          ...this.formatPost(post)
         }))
       });
     } catch (error) {
@@ -479,6 +583,594 @@ class AIPostController {
     }
   }
 
+  /**
+   * Shape a Post for the history list and the draft endpoints
+   */
+  formatPost(post) {
+    return {
+      id: post._id,
+      caption: post.caption,
+      imagePrompt: post.imagePrompt,
+      // Signed URLs are re-issued so previews keep working
+      imageUrl: mediaStorageService.resolveUrl(post.imageStorage, post.imageUrl),
+      mediaType: post.mediaType,
+      slides: post.slides.map(slide => ({
+        ...slide.toObject(),
+        url: mediaStorageService.resolveUrl(slide.storage, slide.url)
+      })),
+      instagramMediaId: post.instagramMediaId,
+      alsoStory: post.alsoStory,
+      story: post.story,
+      status: post.status,
+      scheduledFor: post.scheduledFor,
+      publishedAt: post.publishedAt,
+      createdAt: post.createdAt,
+      error: post.error,
+      metadata: post.metadata
+    };
+  }
+
+  /**
+   * Delete hosted media that no post refers to anymore. Cloned posts share
+   * their original's files, so each one is checked before it goes.
+   * @param {Array<Object>} refs - { driver, key } media refs (empty entries are skipped)
+   */
+  async removeUnusedMedia(refs) {
+    const Post = require('../models/post.model');
+
+    for (const ref of refs) {
+      if (!ref?.driver || !ref.key) continue;
+
+      const inUse = await Post.exists({
+        $or: [
+          { 'imageStorage.driver': ref.driver, 'imageStorage.key': ref.key },
+          { slides: { $elemMatch: { 'storage.driver': ref.driver, 'storage.key': ref.key } } },
+          { 'story.storage.driver': ref.driver, 'story.storage.key': ref.key }
+        ]
+      });
+      if (!inUse) {
+        await mediaStorageService.remove(ref);
+      }
+    }
+  }
+
+  /**
+   * Load one of the user's posts or send a 401/404.
+   * With `editable`, only drafts, scheduled and failed posts are returned.
+   */
+  async loadOwnedPost(req, res, { editable = false } = {}) {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+      return null;
+    }
+
+    const Post = require('../models/post.model');
+    const post = await Post.findOne({ _id: req.params.postId, userId }).catch(() => null);
+
+    if (!post) {
+      res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+      return null;
+    }
+
+    if (editable && !DRAFT_STATUSES.includes(post.status)) {
+      res.status(400).json({
+        success: false,
+        error: `A ${post.status} post can no longer be changed`
+      });
+      return null;
+    }
+
+    return post;
+  }
+
+  /**
+   * The user's Gemini key, falling back to the server key
+   */
+  async getGeminiApiKey(userId) {
+    const User = require('../models/User');
+    const user = await User.findById(userId).select('geminiApiKey');
+    const geminiApiKey = user?.geminiApiKey || process.env.GEMINI_API_KEY;
+
+    if (!geminiApiKey) {
+      throw new Error('Gemini API key not configured. Please configure it in the Configuration tab or set GEMINI_API_KEY in environment variables.');
+    }
+    return geminiApiKey;
+  }
+
+  /**
+   * POST /carousel - Create a carousel from 2-10 uploaded images/videos.
+   * Saved as a draft, published right away (`publish: true`) or scheduled (`scheduledFor`).
+   */
+  async createCarouselPost(req, res) {
+    try {
+      const userId = req.user?.id;
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User not authenticated'
+        });
+      }
+
+      const files = req.files || [];
+      const { CAROUSEL_MIN_ITEMS, CAROUSEL_MAX_ITEMS } = InstagramPublisherService;
+      if (files.length < CAROUSEL_MIN_ITEMS || files.length > CAROUSEL_MAX_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          error: `Upload ${CAROUSEL_MIN_ITEMS}-${CAROUSEL_MAX_ITEMS} images or videos`
+        });
+      }
+
+      const caption = typeof req.body.caption === 'string' ? req.body.caption.trim() : '';
+      if (!caption) {
+        return res.status(400).json({
+          success: false,
+          error: 'Caption is required'
+        });
+      }
+      if (caption.length > INSTAGRAM_CAPTION_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `Caption is too long (${caption.length}/${INSTAGRAM_CAPTION_LIMIT} characters)`
+        });
+      }
+
+      let scheduledFor = null;
+      if (req.body.scheduledFor) {
+        try {
+          scheduledFor = publishSchedulerService.parseScheduleTime(req.body.scheduledFor);
+        } catch (scheduleError) {
+          return res.status(400).json({
+            success: false,
+            error: scheduleError.message
+          });
+        }
+      }
+      const publishNow = req.body.publish === 'true' && !scheduledFor;
+
+      const InstagramAccount = require('../models/instagram-account.model');
+      const account = await InstagramAccount.getActiveAccount(userId);
+      if ((publishNow || scheduledFor) && !account?.accessToken) {
+        return res.json({
+          success: false,
+          needsConfig: true,
+          error: 'Instagram credentials not configured. Please configure them in the Configuration tab.'
+        });
+      }
+
+      const media = await this.instagramPublisher.uploadCarouselMedia(files.map(file => ({
+        buffer: file.buffer,
+        filename: file.originalname,
+        mimetype: file.mimetype
+      })));
+
+      const Post = require('../models/post.model');
+      const firstImage = media.find(item => item.type === 'image');
+      const post = await Post.create({
+        userId,
+        accountId: account?.accountId || null,
+        platform: 'instagram',
+        caption,
+        imageUrl: firstImage?.url || null,
+        imageStorage: firstImage?.storage,
+        mediaType: 'carousel',
+        slides: media,
+        status: scheduledFor ? 'scheduled' : (publishNow ? 'publishing' : 'draft'),
+        scheduledFor,
+        alsoStory: req.body.alsoStory === 'true',
+        metadata: {
+          format: 'carousel',
+          uploaded: true
+        }
+      });
+
+      if (publishNow) {
+        const instagramPublisher = new InstagramPublisherService();
+        instagramPublisher.initialize(
+          this.encryptionService.decrypt(account.accessToken),
+          account.accountId
+        );
+
+        try {
+          post.instagramMediaId = await instagramPublisher.publishSavedPost(post);
+          post.status = 'published';
+          post.publishedAt = new Date();
+          await post.save();
+        } catch (publishError) {
+          console.error('[AIPostController] Carousel publishing failed:', publishError.message);
+
+          post.status = 'failed';
+          post.error = `Publishing failed: ${publishError.message}`;
+          await post.save();
+
+          return res.status(500).json({
+            success: false,
+            error: post.error,
+            post: this.formatPost(post)
+          });
+        }
+
+        if (post.alsoStory) {
+          await storyService.publishPostStory(post, instagramPublisher);
+        }
+      }
+
+      return res.json({
+        success: true,
+        message: {
+          published: 'Carousel published successfully to Instagram',
+          scheduled: `Carousel scheduled for ${scheduledFor?.toLocaleString()}`,
+          draft: 'Carousel saved as draft'
+        }[post.status],
+        post: this.formatPost(post)
+      });
+    } catch (error) {
+      console.error('[AIPostController] Error creating carousel:', error);
+
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to create carousel'
+      });
+    }
+  }
+
+  /**
+   * PATCH /posts/:postId - Edit a draft's caption
+   */
+  async updateDraft(req, res) {
+    try {
+      const post = await this.loadOwnedPost(req, res, { editable: true });
+      if (!post) return;
+
+      const caption = typeof req.body.caption === 'string' ? req.body.caption.trim() : '';
+      if (!caption) {
+        return res.status(400).json({
+          success: false,
+          error: 'Caption is required'
+        });
+      }
+      if (caption.length > INSTAGRAM_CAPTION_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `Caption is too long (${caption.length}/${INSTAGRAM_CAPTION_LIMIT} characters)`
+        });
+      }
+
+      post.caption = caption;
+      await post.save();
+
+      return res.json({
+        success: true,
+        message: 'Caption updated',
+        post: this.formatPost(post)
+      });
+    } catch (error) {
+      console.error('[AIPostController] Error updating draft:', error);
+
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update post'
+      });
+    }
+  }
+
+  /**
+   * POST /posts/:postId/publish - Publish a draft (or failed/scheduled post) right away
+   */
+  async publishDraft(req, res) {
+    const io = req.app.get('io');
+
+    try {
+      const post = await this.loadOwnedPost(req, res, { editable: true });
+      if (!post) return;
+
+      if (!post.hasAllMedia()) {
+        return res.status(400).json({
+          success: false,
+          error: 'This post is missing an image. Regenerate it before publishing.'
+        });
+      }
+
+      // Publish to the account the post was created for
+      const InstagramAccount = require('../models/instagram-account.model');
+      const account = await InstagramAccount.resolveAccount(post.userId, post.accountId);
+      if (!account?.accessToken) {
+        return res.json({
+          success: false,
+          needsConfig: true,
+          error: 'Instagram credentials not configured. Please configure them in the Configuration tab.'
+        });
+      }
+
+      // Claim the post so the publish scheduler can't pick it up at the same time
+      const Post = require('../models/post.model');
+      const claimed = await Post.findOneAndUpdate(
+        { _id: post._id, status: { $in: DRAFT_STATUSES } },
+        { $set: { status: 'publishing', scheduledFor: null, deferredUntil: null, deferredReason: null }, $unset: { error: 1 } },
+        { new: true }
+      );
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          error: 'This post is already being published'
+        });
+      }
+
+      const instagramPublisher = new InstagramPublisherService();
+      instagramPublisher.initialize(
+        this.encryptionService.decrypt(account.accessToken),
+        account.accountId
+      );
+
+      try {
+        const mediaId = await instagramPublisher.publishSavedPost(claimed);
+
+        claimed.status = 'published';
+        claimed.publishedAt = new Date();
+        claimed.instagramMediaId = mediaId;
+        await claimed.save();
+      } catch (publishError) {
+        console.error('[AIPostController] Publishing draft failed:', publishError.message);
+
+        claimed.status = 'failed';
+        claimed.error = `Publishing failed: ${publishError.message}`;
+        await claimed.save();
+
+        return res.status(500).json({
+          success: false,
+          error: claimed.error,
+          post: this.formatPost(claimed)
+        });
+      }
+
+      if (claimed.alsoStory) {
+        await storyService.publishPostStory(claimed, instagramPublisher);
+      }
+
+      if (io) {
+        io.emit(`post-generation:${claimed.userId}`, {
+          status: 'completed',
+          message: 'Post published successfully!',
+          progress: 100,
+          data: { postId: claimed._id, mediaId: claimed.instagramMediaId, imageUrl: claimed.imageUrl }
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Post published successfully to Instagram',
+        post: this.formatPost(claimed)
+      });
+    } catch (error) {
+      console.error('[AIPostController] Error publishing draft:', error);
+
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to publish post'
+      });
+    }
+  }
+
+  /**
+   * POST /posts/:postId/regenerate-image - New image from the stored (or an edited) image prompt.
+   * For carousels, `slide` picks which slide (0-based, default 0).
+   */
+  async regenerateImage(req, res) {
+    try {
+      const post = await this.loadOwnedPost(req, res, { editable: true });
+      if (!post) return;
+
+      const slideIndex = post.mediaType === 'carousel' ? parseInt(req.body.slide, 10) || 0 : null;
+      const slide = slideIndex === null ? null : post.slides[slideIndex];
+      if (slideIndex !== null && (!slide || slide.type !== 'image')) {
+        return res.status(400).json({
+          success: false,
+          error: 'That slide does not exist or is not an image'
+        });
+      }
+
+      const imagePrompt = typeof req.body.imagePrompt === 'string' && req.body.imagePrompt.trim()
+        ? req.body.imagePrompt.trim()
+        : (slide ? slide.imagePrompt : post.imagePrompt);
+
+      if (!imagePrompt) {
+        return res.status(400).json({
+          success: false,
+          error: 'This post has no image prompt. Provide one to generate an image.'
+        });
+      }
+
+      let geminiApiKey;
+      try {
+        geminiApiKey = await this.getGeminiApiKey(post.userId);
+      } catch (keyError) {
+        return res.status(400).json({
+          success: false,
+          error: keyError.message
+        });
+      }
+
+      const imageGenerator = new ImageGeneratorService();
+      imageGenerator.initialize(geminiApiKey);
+      const imageBuffer = await imageGenerator.generateImage(imagePrompt);
+      const { url: imageUrl, driver, key } = await this.instagramPublisher.uploadImageToPublicServer(imageBuffer, `post-${Date.now()}.jpg`);
+      const replaced = slide ? slide.storage : post.imageStorage;
+
+      if (slide) {
+        slide.imagePrompt = imagePrompt;
+        slide.url = imageUrl;
+        slide.storage = { driver, key };
+      }
+      // The post's own image mirrors the first slide of a carousel
+      if (!slide || slideIndex === 0) {
+        post.imagePrompt = imagePrompt;
+        post.imageUrl = imageUrl;
+        post.imageStorage = { driver, key };
+      }
+      await post.save();
+      await this.removeUnusedMedia([replaced]);
+
+      return res.json({
+        success: true,
+        message: 'Image regenerated',
+        post: this.formatPost(post)
+      });
+    } catch (error) {
+      console.error('[AIPostController] Error regenerating image:', error);
+
+      return res.status(500).json({
+        success: false,
+        error: `Image generation failed: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * POST /posts/:postId/regenerate-caption - New caption from the context the post was generated with
+   */
+  async regenerateCaption(req, res) {
+    try {
+      const post = await this.loadOwnedPost(req, res, { editable: true });
+      if (!post) return;
+
+      let geminiApiKey;
+      try {
+        geminiApiKey = await this.getGeminiApiKey(post.userId);
+      } catch (keyError) {
+        return res.status(400).json({
+          success: false,
+          error: keyError.message
+        });
+      }
+
+      const UserContext = require('../models/user-context.model');
+      const userContext = await UserContext.findOne({ userId: post.userId });
+      const metadata = post.metadata || {};
+
+      const aiPostGenerator = new AIPostGeneratorService();
+      await aiPostGenerator.initialize(geminiApiKey);
+      const postContent = await aiPostGenerator.generatePost({
+        accountType: metadata.accountType || userContext?.accountType || 'business',
+        targetAudience: metadata.targetAudience || userContext?.targetAudience || 'general audience',
+        brandVoice: metadata.brandVoice || userContext?.brandVoice || 'professional and friendly',
+        topics: metadata.topics || userContext?.preferredTopics || [],
+        additionalContext: req.body.additionalContext || userContext?.additionalNotes || ''
+      });
+
+      // The image stays; only the caption is replaced
+      post.caption = postContent.fullCaption;
+      await post.save();
+
+      return res.json({
+        success: true,
+        message: 'Caption regenerated',
+        post: this.formatPost(post)
+      });
+    } catch (error) {
+      console.error('[AIPostController] Error regenerating caption:', error);
+
+      return res.status(500).json({
+        success: false,
+        error: `Content generation failed: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * POST /posts/:postId/schedule - Hand a draft to the publish scheduler
+   */
+  async scheduleDraft(req, res) {
+    try {
+      let scheduledFor;
+      try {
+        scheduledFor = publishSchedulerService.parseScheduleTime(req.body.scheduledFor);
+      } catch (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          error: scheduleError.message
+        });
+      }
+
+      const post = await this.loadOwnedPost(req, res, { editable: true });
+      if (!post) return;
+
+      let scheduled;
+      try {
+        scheduled = await publishSchedulerService.reschedule(post, 'post', scheduledFor);
+      } catch (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          error: scheduleError.message
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `Post scheduled for ${scheduledFor.toLocaleString()}`,
+        post: this.formatPost(scheduled)
+      });
+    } catch (error) {
+      console.error('[AIPostController] Error scheduling draft:', error);
+
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to schedule post'
+      });
+    }
+  }
+
+  /**
+   * POST /posts/:postId/clone - Copy any post into a new draft
+   */
+  async clonePost(req, res) {
+    try {
+      const post = await this.loadOwnedPost(req, res);
+      if (!post) return;
+
+      const Post = require('../models/post.model');
+      const copy = await Post.create({
+        userId: post.userId,
+        accountId: post.accountId,
+        platform: post.platform,
+        caption: post.caption,
+        imagePrompt: post.imagePrompt,
+        imageUrl: post.imageUrl,
+        // The copy shares the original's hosted files (see removeUnusedMedia)
+        imageStorage: post.imageStorage,
+        mediaType: post.mediaType,
+        slides: post.slides.map(({ type, url, storage, title, text, imagePrompt }) => ({ type, url, storage, title, text, imagePrompt })),
+        alsoStory: post.alsoStory,
+        status: 'draft',
+        metadata: {
+          ...post.metadata,
+          clonedFrom: post._id,
+          generatedAt: new Date()
+        }
+      });
+
+      return res.json({
+        success: true,
+        message: 'Post copied to drafts',
+        post: this.formatPost(copy)
+      });
+    } catch (error) {
+      console.error('[AIPostController] Error cloning post:', error);
+
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to copy post'
+      });
+    }
+  }
+
   /**
    * Save user account context for personalized post generation
    */
@@ -508,6 +1200,9 @@ class AIPostController {
 
       console.log('[AIPostController] User context saved successfully');
 
+      // Brand fields feed the reply persona of running comment automation
+      await automationManager.refreshPersona(userId);
+
       return res.json({
         success: true,
         message: 'Account preferences saved successfully',
@@ -609,12 +1304,12 @@ class AIPostController {
         });
       }
 
-      // Get user's Instagram credentials from User model
-      const User = require('../models/User');
-      const user = await User.findById(userId);
+      // Get the active Instagram account's credentials
+      const InstagramAccount = require('../models/instagram-account.model');
+      const account = await InstagramAccount.getActiveAccount(userId);
 
       // Check if Instagram is configured
-      if (!user || !user.instagramCredentials) {
+      if (!account) {
         return res.json({
           success: true,
           needsConfig: true,
@@ -622,7 +1317,7 @@ class AIPostController {
         });
       }
 
-      if (!user.instagramCredentials.accessToken || !user.instagramCredentials.accountId) {
+      if (!account.accessToken || !account.accountId) {
         return res.json({
           success: true,
           needsConfig: true,
@@ -632,7 +1327,7 @@ class AIPostController {
 
       let accessToken;
       try {
-        accessToken = this.encryptionService.decrypt(user.instagramCredentials.accessToken);
+        accessToken = this.encryptionService.decrypt(account.accessToken);
       } catch (decryptError) {
         console.error('[AIPostController] Failed to decrypt Instagram token:', decryptError);
         return res.status(400).json({
@@ -654,7 +1349,7 @@ class AIPostController {
         });
       }
 
-      const instagramAccountId = user.instagramCredentials.accountId;
+      const instagramAccountId = account.accountId;
 
       this.instagramPublisher.initialize(cleanToken, instagramAccountId);
 
@@ -721,8 +1416,13 @@ class AIPostController {
         });
       }
 
-      // Delete the post
+      // Delete the post, then its hosted media
       await Post.deleteOne({ _id: postId, userId });
+      await this.removeUnusedMedia([
+        post.imageStorage,
+        ...post.slides.map(slide => slide.storage),
+        post.story?.storage
+      ]);
 
       console.log('[AIPostController] Post deleted successfully:', postId);
 
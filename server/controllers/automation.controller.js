@@ -1,114 +1,12 @@
-const StorageService = require('../services/storage.service');
-const InstagramGraphService = require('../services/instagram-graph.service');
-const AIReplyService = require('../services/ai-reply.service');
-const AutomationWorkflow = require('../services/automation-workflow.service');
-const { EncryptionService } = require('../services/encryption.service');
-const UserCredentialsModel = require('../models/user-credentials.model');
+const automationManager = require('../services/automation-manager.service');
 
 /**
  * AutomationController - Handles automation workflow control
+ * Every request only touches the calling user's runtime in the AutomationManager
  */
 class AutomationController {
-  constructor() {
-    this.storageService = new StorageService();
-    this.encryptionService = new EncryptionService();
-    this.credentialsModel = new UserCredentialsModel(this.storageService, this.encryptionService);
-    this.instagramService = null;
-    this.aiReplyService = null;
-    this.automationWorkflow = null;
-  }
-
-  /**
-   * Initialize services with configuration
-   */
-  async initializeServices(userId) {
-    try {
-      if (!userId) {
-        throw new Error('User ID is required to initialize services');
-      }
-
-      // Set userId for storage service
-      this.storageService.setUserId(userId);
-      
-      // Get Instagram credentials from new credentials model
-      const credentials = await this.credentialsModel.getCredentials(userId, 'instagram');
-
-      if (!credentials || !credentials.accessToken || !credentials.accountId) {
-        throw new Error('Instagram credentials not configured. Please add your access token and account ID.');
-      }
-
-      // Check if platform is active
-      if (credentials.isActive === false) {
-        throw new Error('Instagram platform is disabled. Please enable it in settings.');
-      }
-
-      // Check for Gemini API key
-      const geminiApiKey = process.env.GEMINI_API_KEY;
-      if (!geminiApiKey || typeof geminiApiKey !== 'string' || geminiApiKey.trim() === '') {
-        throw new Error('GEMINI_API_KEY environment variable not set or invalid');
-      }
-
-      // Initialize Instagram Graph API service (Official API)
-      // Credentials are already decrypted by the model
-      this.instagramService = new InstagramGraphService();
-      await this.instagramService.initialize(
-        credentials.accessToken,
-        credentials.accountId
-      );
-
-      // Initialize AI Reply service
-      this.aiReplyService = new AIReplyService(geminiApiKey.trim());
-
-      // Get user settings for selected posts
-      const User = require('../models/User');
-      const user = await User.findById(userId);
-      const selectedPostIds = user?.automationSettings?.selectedPosts || [];
-      const monitorAll = user?.automationSettings?.monitorAll || false;
-
-      // Get configuration from storage
-      const config = await this.storageService.getConfig() || {};
-      
-      // Get reply tone and poll interval
-      const replyTone = config.replyTone || user?.automationSettings?.replyTone || 'friendly';
-      const pollIntervalSeconds = config.automation?.pollIntervalSeconds || user?.automationSettings?.pollIntervalSeconds || 30;
-
-      // Initialize Automation Workflow
-      this.automationWorkflow = new AutomationWorkflow(
-        this.instagramService,
-        this.aiReplyService,
-        this.storageService,
-        {
-          replyTone,
-          pollIntervalSeconds,
-          maxCommentsPerCheck: 10,
-          selectedPostIds,
-          monitorAll
-        }
-      );
-
-      // Restore automation state from storage
-      const shouldResume = await this.automationWorkflow.restoreState();
-      
-      // If automation was active before restart, resume it
-      if (shouldResume) {
-        console.log('[AutomationController] Resuming automation from previous session');
-        await this.automationWorkflow.start();
-        
-        // Log the resume
-        await this.storageService.appendLog({
-          type: 'info',
-          message: 'Automation resumed after server restart',
-          details: {
-            stats: this.automationWorkflow.getState().stats
-          }
-        });
-      }
-
-      return true;
-    } catch (error) {
-      console.error('Error initializing services:', error);
-      throw error;
-    }
+  constructor(manager = automationManager) {
+    this.automationManager = manager;
   }
 
   /**
@@ -125,27 +23,20 @@ class AutomationController {
         });
       }
 
-      // Check if already running
-      if (this.automationWorkflow && this.automationWorkflow.getState().isRunning) {
+      const { alreadyRunning, status } = await this.automationManager.start(userId);
+
+      if (alreadyRunning) {
         return res.json({
           success: true,
           message: 'Automation is already running',
-          status: this.automationWorkflow.getState()
+          status
         });
       }
 
-      // Initialize services if not already initialized
-      if (!this.automationWorkflow) {
-        await this.initializeServices(userId);
-      }
-
-      // Start the workflow
-      await this.automationWorkflow.start();
-
       res.json({
         success: true,
         message: 'Automation started successfully',
-        status: this.automationWorkflow.getState()
+        status
       });
     } catch (error) {
       console.error('Error starting automation:', error);
@@ -161,20 +52,28 @@ class AutomationController {
    */
   async stopAutomation(req, res) {
     try {
-      if (!this.automationWorkflow) {
+      const userId = req.userId || req.user?._id;
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User not authenticated'
+        });
+      }
+
+      const status = await this.automationManager.stop(userId);
+
+      if (!status) {
         return res.json({
           success: true,
           message: 'Automation is not running'
         });
       }
 
-      // Stop the workflow
-      await this.automationWorkflow.stop();
-
       res.json({
         success: true,
         message: 'Automation stopped successfully',
-        status: this.automationWorkflow.getState()
+        status
       });
     } catch (error) {
       console.error('Error stopping automation:', error);
@@ -190,7 +89,18 @@ class AutomationController {
    */
   async getAutomationStatus(req, res) {
     try {
-      if (!this.automationWorkflow) {
+      const userId = req.userId || req.user?._id;
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User not authenticated'
+        });
+      }
+
+      const status = this.automationManager.getStatus(userId);
+
+      if (!status) {
         return res.json({
           success: true,
           isRunning: false,
@@ -203,8 +113,6 @@ class AutomationController {
         });
       }
 
-      const status = this.automationWorkflow.getState();
-
       // Map backend fields to frontend expected fields
       res.json({
         success: true,
@@ -215,6 +123,7 @@ class AutomationController {
         pendingCommentsCount: status.pendingCommentsCount || 0,
         processedCommentsCount: status.processedCommentsCount || 0,
         isProcessing: status.isProcessing || false,
+        triggerMode: status.triggerMode,
         stats: status.stats // Keep full stats for debugging
       });
     } catch (error) {
@@ -227,12 +136,10 @@ class AutomationController {
   }
 
   /**
-   * Update automation configuration (tone, interval)
+   * Update automation configuration (tone, interval) for a user's running workflow
    */
-  async updateAutomationConfig(config) {
-    if (this.automationWorkflow) {
-      this.automationWorkflow.updateConfig(config);
-    }
+  async updateAutomationConfig(userId, config) {
+    await this.automationManager.updateConfig(userId, config);
   }
 }
 
@@ -1,6 +1,10 @@
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
+const UserCredentialsModel = require('../models/user-credentials.model');
 const { EncryptionService } = require('../services/encryption.service');
 const AIReplyService = require('../services/ai-reply.service');
+const ReplyPersonaService = require('../services/reply-persona.service');
+const automationManager = require('../services/automation-manager.service');
 
 /**
  * ConfigController - Handles configuration management
@@ -8,6 +12,7 @@ const AIReplyService = require('../services/ai-reply.service');
 class ConfigController {
   constructor() {
     this.encryptionService = new EncryptionService();
+    this.credentialsModel = new UserCredentialsModel(null, this.encryptionService);
   }
 
   /**
@@ -41,19 +46,15 @@ class ConfigController {
         });
       }
 
-      // Encrypt the access token
-      const encryptedToken = this.encryptionService.encrypt(accessToken);
+      // Saved as a connected account that becomes the active one
+      const previousAccountId = user.activeInstagramAccountId;
+      await this.credentialsModel.saveCredentials(userId, 'instagram', { accessToken, accountId, accountName, appId });
 
-      user.instagramCredentials = {
-        accessToken: encryptedToken,
-        accountId,
-        accountName: accountName || '',
-        appId: appId || '',
-        isActive: true,
-        lastUpdated: new Date()
-      };
-
-      await user.save();
+      if (previousAccountId && previousAccountId !== String(accountId)) {
+        await automationManager.switchAccount(userId).catch(error => {
+          console.error('Automation could not move to the new Instagram account:', error.message);
+        });
+      }
 
       res.json({
         success: true,
@@ -69,7 +70,7 @@ class ConfigController {
   }
 
   /**
-   * GET /api/config/instagram - Get Instagram configuration
+   * GET /api/config/instagram - Get the active Instagram account's configuration
    */
   async getInstagramConfig(req, res) {
     try {
@@ -82,8 +83,8 @@ class ConfigController {
         });
       }
 
-      const user = await User.findById(userId);
-      if (!user || !user.instagramCredentials) {
+      const account = await InstagramAccount.getActiveAccount(userId);
+      if (!account) {
         return res.json({
           success: true,
           configured: false
@@ -93,11 +94,11 @@ class ConfigController {
       res.json({
         success: true,
         configured: true,
-        accountId: user.instagramCredentials.accountId,
-        accountName: user.instagramCredentials.accountName,
-        appId: user.instagramCredentials.appId,
-        isActive: user.instagramCredentials.isActive,
-        lastUpdated: user.instagramCredentials.lastUpdated
+        accountId: account.accountId,
+        accountName: account.accountName,
+        appId: account.appId,
+        isActive: account.isActive,
+        lastUpdated: account.lastUpdated
       });
     } catch (error) {
       console.error('Error getting Instagram config:', error);
@@ -109,7 +110,7 @@ class ConfigController {
   }
 
   /**
-   * DELETE /api/config/instagram - Delete Instagram credentials
+   * DELETE /api/config/instagram - Disconnect the active Instagram account
    */
   async deleteInstagramCredentials(req, res) {
     try {
@@ -130,8 +131,10 @@ class ConfigController {
         });
       }
 
-      user.instagramCredentials = undefined;
-      await user.save();
+      await this.credentialsModel.deleteCredentials(userId, 'instagram');
+      await automationManager.switchAccount(userId).catch(error => {
+        console.error('Automation could not move to another Instagram account:', error.message);
+      });
 
       res.json({
         success: true,
@@ -162,13 +165,6 @@ class ConfigController {
 
       const { tone } = req.body;
 
-      if (!tone || !['friendly', 'formal', 'professional'].includes(tone)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid tone. Must be friendly, formal, or professional'
-        });
-      }
-
       const user = await User.findById(userId);
       if (!user) {
         return res.status(404).json({
@@ -177,6 +173,14 @@ class ConfigController {
         });
       }
 
+      const customSlugs = (user.automationSettings?.customPersonas || []).map(persona => persona.slug);
+      if (!tone || ![...ReplyPersonaService.getBuiltInSlugs(), ...customSlugs].includes(tone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tone. Must be friendly, formal, professional, or one of your custom personas'
+        });
+      }
+
       user.automationSettings.replyTone = tone;
       await user.save();
 
@@ -229,6 +233,174 @@ class ConfigController {
     }
   }
 
+  /**
+   * POST /api/config/trigger-mode - Set how automation receives comments (webhook or polling)
+   */
+  async setTriggerMode(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User not authenticated'
+        });
+      }
+
+      const { triggerMode } = req.body;
+
+      if (!triggerMode || !['webhook', 'polling'].includes(triggerMode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid trigger mode. Must be webhook or polling'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      user.automationSettings.triggerMode = triggerMode;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Trigger mode updated successfully',
+        triggerMode,
+        webhookConfigured: !!process.env.INSTAGRAM_WEBHOOK_VERIFY_TOKEN
+      });
+    } catch (error) {
+      console.error('Error setting trigger mode:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update trigger mode'
+      });
+    }
+  }
+
+  /**
+   * GET /api/config/trigger-mode - Get trigger mode
+   */
+  async getTriggerMode(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User not authenticated'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        triggerMode: user.automationSettings?.triggerMode || 'webhook',
+        webhookConfigured: !!process.env.INSTAGRAM_WEBHOOK_VERIFY_TOKEN
+      });
+    } catch (error) {
+      console.error('Error getting trigger mode:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve trigger mode'
+      });
+    }
+  }
+
+  /**
+   * POST /api/config/approval-mode - Hold generated replies for review
+   */
+  async setApprovalMode(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User not authenticated'
+        });
+      }
+
+      const { approvalMode } = req.body;
+
+      if (typeof approvalMode !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'approvalMode must be true or false'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      user.automationSettings.approvalMode = approvalMode;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: `Approval mode ${approvalMode ? 'enabled' : 'disabled'}`,
+        approvalMode
+      });
+    } catch (error) {
+      console.error('Error setting approval mode:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update approval mode'
+      });
+    }
+  }
+
+  /**
+   * GET /api/config/approval-mode - Get approval mode
+   */
+  async getApprovalMode(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User not authenticated'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        approvalMode: user.automationSettings?.approvalMode || false
+      });
+    } catch (error) {
+      console.error('Error getting approval mode:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve approval mode'
+      });
+    }
+  }
+
   /**
    * POST /api/config/validate-api-key - Validate Gemini API key
    */
@@ -1,7 +1,11 @@
 const DualPublisherService = require('../services/dual-publisher.service');
+const publishSchedulerService = require('../services/publish-scheduler.service');
+const publishQueueService = require('../services/publish-queue.service');
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 
 // Configure multer for video uploads
 const storage = multer.memoryStorage();
@@ -101,8 +105,9 @@ class DualPublishController {
         });
       }
 
-      // Check for Instagram credentials
-      if (!user.instagramCredentials?.accessToken) {
+      // Check for Instagram credentials (the job publishes to the active account)
+      const account = await InstagramAccount.getActiveAccount(user);
+      if (!account?.accessToken) {
         return res.status(400).json({
           success: false,
           error: 'Instagram credentials not configured'
@@ -123,105 +128,149 @@ class DualPublishController {
         }
       }
 
-      // Decrypt credentials
-      const { EncryptionService } = require('../services/encryption.service');
-      const encryptionService = new EncryptionService();
-      
-      // Decrypt and immediately sanitize token
-      let instagramToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
-      if (instagramToken) {
-        instagramToken = instagramToken
-          .replace(/[\s\n\r\t]+/g, '')  // Remove all whitespace
-          .replace(/%20/g, '')           // Remove URL-encoded spaces
-          .trim();
-      }
-      let youtubeToken = null;
-
-      // Check and refresh YouTube token if needed
-      if (user.youtubeCredentials?.accessToken) {
-        const tokenExpiresAt = user.youtubeCredentials.tokenExpiresAt;
-        const now = new Date();
-        
-        // Check if token is expired or will expire in next 5 minutes
-        if (!tokenExpiresAt || tokenExpiresAt <= new Date(now.getTime() + 5 * 60 * 1000)) {
-          console.log('[DualPublish] YouTube token expired or expiring soon, refreshing...');
-          
-          // Refresh the token
-          const YouTubeOAuthService = require('../services/oauth-youtube.service');
-          const youtubeOAuth = new YouTubeOAuthService();
-          
-          const clientId = encryptionService.decrypt(user.youtubeCredentials.clientId);
-          const clientSecret = encryptionService.decrypt(user.youtubeCredentials.clientSecret);
-          const refreshToken = encryptionService.decrypt(user.youtubeCredentials.refreshToken);
-          
-          const refreshResult = await youtubeOAuth.refreshAccessToken(
-            clientId,
-            clientSecret,
-            refreshToken
-          );
-          
-          if (refreshResult.success) {
-            console.log('[DualPublish] YouTube token refreshed successfully');
-            
-            // Update user with new token
-            const encryptedToken = encryptionService.encrypt(refreshResult.accessToken);
-            user.youtubeCredentials.accessToken = encryptedToken;
-            user.youtubeCredentials.tokenExpiresAt = new Date(refreshResult.expiresIn);
-            user.youtubeCredentials.lastUpdated = new Date();
-            await user.save();
-            
-            youtubeToken = refreshResult.accessToken;
-          } else {
-            console.error('[DualPublish] YouTube token refresh failed:', refreshResult.error);
-            return res.status(400).json({
-              success: false,
-              error: `YouTube token refresh failed: ${refreshResult.error}. Please reconnect your YouTube account.`
-            });
-          }
-        } else {
-          // Token is still valid
-          youtubeToken = encryptionService.decrypt(user.youtubeCredentials.accessToken);
+      // Scheduled jobs resolve credentials when the publish scheduler runs them
+      let scheduledFor = null;
+      if (req.body.scheduledFor) {
+        try {
+          scheduledFor = publishSchedulerService.parseScheduleTime(req.body.scheduledFor);
+        } catch (scheduleError) {
+          return res.status(400).json({
+            success: false,
+            error: scheduleError.message
+          });
         }
       }
 
-      // Log credential status
-      console.log('[DualPublish] Credentials status:', {
-        instagram: !!instagramToken,
-        youtube: !!youtubeToken,
-        youtubeConfigured: !!user.youtubeCredentials?.accessToken,
-        youtubeChannelId: user.youtubeCredentials?.channelId || 'not set',
-        youtubeTokenExpiry: user.youtubeCredentials?.tokenExpiresAt
-      });
+      let priority;
+      try {
+        priority = publishQueueService.resolvePriority(req.body.priority);
+      } catch (priorityError) {
+        return res.status(400).json({
+          success: false,
+          error: priorityError.message
+        });
+      }
 
-      // Warn if YouTube not configured
-      if (!youtubeToken) {
-        console.warn('[DualPublish] YouTube credentials not configured. YouTube upload will be skipped.');
+      const youtubeFormat = req.body.youtubeFormat || 'shorts';
+      if (!DualPublisherService.YOUTUBE_FORMATS.includes(youtubeFormat)) {
+        return res.status(400).json({
+          success: false,
+          error: `youtubeFormat must be one of: ${DualPublisherService.YOUTUBE_FORMATS.join(', ')}`
+        });
       }
 
-      // Initialize services with credentials
-      this.publisherService.initialize(
-        instagramToken,
-        user.instagramCredentials.accountId,
-        youtubeToken
-      );
+      let youtubeSettings;
+      try {
+        youtubeSettings = this.publisherService.resolveYouTubeSettings({
+          publishAt: req.body.youtubePublishAt,
+          playlistId: req.body.youtubePlaylistId,
+          madeForKids: req.body.youtubeMadeForKids === 'true',
+          language: req.body.youtubeLanguage,
+          license: req.body.youtubeLicense
+        }, scheduledFor);
+      } catch (settingsError) {
+        return res.status(400).json({
+          success: false,
+          error: settingsError.message
+        });
+      }
+
+      let youtubeChannelId;
+      try {
+        youtubeChannelId = this.publisherService.resolveYouTubeChannel(user, req.body.youtubeChannelId);
+      } catch (channelError) {
+        return res.status(400).json({
+          success: false,
+          error: channelError.message
+        });
+      }
+
+      // Facebook is opt-in: the requested Page or the user's selected one
+      let facebookPageId = null;
+      const facebookFormat = req.body.facebookFormat || 'reel';
+      if (req.body.publishFacebook === 'true') {
+        if (!DualPublisherService.FACEBOOK_FORMATS.includes(facebookFormat)) {
+          return res.status(400).json({
+            success: false,
+            error: `facebookFormat must be one of: ${DualPublisherService.FACEBOOK_FORMATS.join(', ')}`
+          });
+        }
+        try {
+          facebookPageId = this.publisherService.resolveFacebookPage(user, req.body.facebookPageId);
+        } catch (pageError) {
+          return res.status(400).json({
+            success: false,
+            error: pageError.message
+          });
+        }
+      }
+
+      if (!scheduledFor) {
+        let credentials;
+        try {
+          credentials = await this.publisherService.resolveUserCredentials(user, account.accountId);
+        } catch (credentialError) {
+          return res.status(400).json({
+            success: false,
+            error: credentialError.message
+          });
+        }
+
+        // Log credential status
+        console.log('[DualPublish] Credentials status:', {
+          instagram: !!credentials.instagramToken,
+          youtube: !!credentials.youtubeToken,
+          youtubeConfigured: !!user.youtubeCredentials?.accessToken,
+          youtubeChannelId: youtubeChannelId || user.youtubeCredentials?.channelId || 'not set',
+          youtubeTokenExpiry: user.youtubeCredentials?.tokenExpiresAt
+        });
+
+        // Warn if YouTube not configured
+        if (!credentials.youtubeToken) {
+          console.warn('[DualPublish] YouTube credentials not configured. YouTube upload will be skipped.');
+        }
+      }
 
       // Create job
-      const { jobId, job } = await this.publisherService.createJob(
+      const { jobId } = await this.publisherService.createJob(
         userId,
         videoFile.buffer,
         contextText,
-        aiProviders
+        aiProviders,
+        {
+          scheduledFor,
+          priority,
+          alsoStory: req.body.alsoStory === 'true',
+          reviewBeforePublish: req.body.reviewBeforePublish === 'true',
+          youtubeFormat,
+          thumbnail: {
+            aiImage: req.body.thumbnailAI === 'true',
+            textOverlay: req.body.thumbnailText === 'true'
+          },
+          youtubeSettings,
+          youtubeChannelId,
+          accountId: account.accountId,
+          facebookPageId,
+          facebookFormat
+        }
       );
 
-      // Start execution in background
-      this.publisherService.executeJob(jobId).catch(error => {
-        console.error('[DualPublish] Job execution error:', error);
-      });
+      if (scheduledFor) {
+        return res.json({
+          success: true,
+          jobId,
+          scheduledFor,
+          message: 'Publishing job scheduled'
+        });
+      }
+
+      // The publish queue runs it with the user's credentials once a worker is free
+      publishQueueService.fill();
 
       res.json({
         success: true,
         jobId,
-        message: 'Publishing job started'
+        message: 'Publishing job queued'
       });
 
     } catch (error) {
@@ -273,6 +322,305 @@ class DualPublishController {
     }
   }
 
+  /**
+   * GET /api/publish/dual/:jobId/thumbnails/:candidateId
+   * Image of one of a job's YouTube thumbnail candidates
+   */
+  async getThumbnail(req, res) {
+    try {
+      const { jobId, candidateId } = req.params;
+      const userId = req.user.id;
+
+      const job = await this.publisherService.getJobStatus(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      // Verify ownership
+      if (job.userId.toString() !== userId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const candidate = job.thumbnails?.candidates?.find(entry => entry.id === candidateId);
+      const imagePath = candidate && path.join(this.publisherService.processedDir, candidate.file);
+      if (!imagePath || !fs.existsSync(imagePath)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Thumbnail not found'
+        });
+      }
+
+      res.sendFile(imagePath);
+
+    } catch (error) {
+      console.error('[DualPublish] Get thumbnail error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/publish/dual/:jobId/retry?platform=youtube|instagram|facebook
+   * Republish the failed platform of a job with the content and files it already has
+   */
+  async retryPlatform(req, res) {
+    try {
+      const { jobId } = req.params;
+      const { platform } = req.query;
+      const userId = req.user.id;
+
+      const job = await this.publisherService.getJobStatus(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      // Verify ownership
+      if (job.userId.toString() !== userId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const retryError = this.publisherService.getRetryError(job, platform);
+      if (retryError) {
+        return res.status(400).json({
+          success: false,
+          error: retryError
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      // A retry gets its own publisher so it can't pick up another request's credentials
+      const publisherService = new DualPublisherService(this.io);
+      let credentials;
+      try {
+        credentials = await publisherService.resolveUserCredentials(user, job.accountId);
+      } catch (credentialError) {
+        return res.status(400).json({
+          success: false,
+          error: credentialError.message
+        });
+      }
+
+      if (platform === 'youtube' && !credentials.youtubeToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'YouTube credentials not configured'
+        });
+      }
+
+      publisherService.initialize(
+        credentials.instagramToken,
+        credentials.instagramAccountId,
+        credentials.youtubeToken
+      );
+
+      // Retry in background; progress goes out on the job's socket room
+      publisherService.retryPlatform(jobId, platform).catch(error => {
+        console.error('[DualPublish] Retry error:', error);
+      });
+
+      res.json({
+        success: true,
+        jobId,
+        platform,
+        message: `Retrying ${platform}`
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Retry job error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Load a job of the current user that is waiting for review, or send the error response
+   * @returns {Promise<Object|null>} The job, or null when a response was sent
+   */
+  async loadJobForReview(req, res) {
+    const job = await this.publisherService.getJobStatus(req.params.jobId);
+
+    if (!job) {
+      res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+      return null;
+    }
+
+    // Verify ownership
+    if (job.userId.toString() !== req.user.id) {
+      res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+      return null;
+    }
+
+    const reviewError = this.publisherService.getReviewError(job);
+    if (reviewError) {
+      res.status(400).json({
+        success: false,
+        error: reviewError
+      });
+      return null;
+    }
+
+    return job;
+  }
+
+  /**
+   * POST /api/publish/dual/:jobId/approve
+   * Publish a job waiting for review, with the edited
+   * instagramCaption/youtubeTitle/youtubeDescription/youtubeTags and the chosen
+   * thumbnail (a candidate id) from the body
+   */
+  async approveReview(req, res) {
+    try {
+      const job = await this.loadJobForReview(req, res);
+      if (!job) return;
+
+      let approved;
+      try {
+        approved = await this.publisherService.approveReview(job.jobId, req.body || {});
+      } catch (reviewError) {
+        return res.status(400).json({
+          success: false,
+          error: reviewError.message
+        });
+      }
+
+      publishQueueService.fill();
+
+      res.json({
+        success: true,
+        jobId: approved.jobId,
+        content: this.publisherService.getReviewContent(approved),
+        message: 'Content approved, publishing job queued'
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Approve review error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/publish/dual/:jobId/regenerate
+   * Regenerate one field of a job waiting for review ({ field } in the body)
+   */
+  async regenerateReviewField(req, res) {
+    try {
+      const job = await this.loadJobForReview(req, res);
+      if (!job) return;
+
+      const { field } = req.body || {};
+      let value;
+      try {
+        value = await this.publisherService.regenerateReviewField(job.jobId, field);
+      } catch (regenerateError) {
+        return res.status(400).json({
+          success: false,
+          error: regenerateError.message
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId: job.jobId,
+        field,
+        value
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Regenerate field error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/publish/dual/:jobId
+   * Cancel a waiting or running job. A running job stops its FFmpeg process and
+   * skips the remaining steps; platforms already published stay published.
+   */
+  async cancelJob(req, res) {
+    try {
+      const { jobId } = req.params;
+      const userId = req.user.id;
+
+      const job = await this.publisherService.getJobStatus(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      // Verify ownership
+      if (job.userId.toString() !== userId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      let cancelled;
+      try {
+        cancelled = await publishQueueService.cancel(job);
+      } catch (cancelError) {
+        return res.status(400).json({
+          success: false,
+          error: cancelError.message
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId,
+        status: cancelled.status,
+        message: cancelled.status === 'cancelled' ? 'Publishing job cancelled' : 'Cancelling publishing job'
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Cancel job error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * GET /api/publish/dual/jobs
    * Get user's publishing jobs
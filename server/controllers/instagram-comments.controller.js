@@ -1,5 +1,5 @@
 const InstagramCommentsService = require('../services/instagram-comments.service');
-const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
 const { EncryptionService } = require('../services/encryption.service');
 
 const encryptionService = new EncryptionService();
@@ -17,9 +17,9 @@ async function getComments(req, res) {
     const { mediaId } = req.params;
     const userId = req.user.id;
 
-    // Get user's Instagram credentials
-    const user = await User.findById(userId);
-    if (!user?.instagramCredentials?.accessToken) {
+    // Get the active Instagram account's credentials
+    const account = await InstagramAccount.getActiveAccount(userId);
+    if (!account?.accessToken) {
       return res.status(400).json({
         success: false,
         error: 'Instagram account not connected. Please connect your Instagram account first.'
@@ -27,8 +27,8 @@ async function getComments(req, res) {
     }
 
     // Decrypt token
-    const accessToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
-    const accountId = user.instagramCredentials.accountId;
+    const accessToken = encryptionService.decrypt(account.accessToken);
+    const accountId = account.accountId;
 
     // Initialize service
     const commentsService = new InstagramCommentsService();
@@ -64,9 +64,9 @@ async function replyToComment(req, res) {
       });
     }
 
-    // Get user's Instagram credentials
-    const user = await User.findById(userId);
-    if (!user?.instagramCredentials?.accessToken) {
+    // Get the active Instagram account's credentials
+    const account = await InstagramAccount.getActiveAccount(userId);
+    if (!account?.accessToken) {
       return res.status(400).json({
         success: false,
         error: 'Instagram account not connected. Please connect your Instagram account first.'
@@ -74,8 +74,8 @@ async function replyToComment(req, res) {
     }
 
     // Decrypt token
-    const accessToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
-    const accountId = user.instagramCredentials.accountId;
+    const accessToken = encryptionService.decrypt(account.accessToken);
+    const accountId = account.accountId;
 
     // Initialize service
     const commentsService = new InstagramCommentsService();
@@ -102,9 +102,9 @@ async function getAllRecentComments(req, res) {
     const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 10;
 
-    // Get user's Instagram credentials
-    const user = await User.findById(userId);
-    if (!user?.instagramCredentials?.accessToken) {
+    // Get the active Instagram account's credentials
+    const account = await InstagramAccount.getActiveAccount(userId);
+    if (!account?.accessToken) {
       return res.status(400).json({
         success: false,
         error: 'Instagram account not connected. Please connect your Instagram account first.'
@@ -112,8 +112,8 @@ async function getAllRecentComments(req, res) {
     }
 
     // Decrypt token
-    const accessToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
-    const accountId = user.instagramCredentials.accountId;
+    const accessToken = encryptionService.decrypt(account.accessToken);
+    const accountId = account.accountId;
 
     // Initialize service
     const commentsService = new InstagramCommentsService();
@@ -140,9 +140,9 @@ async function deleteComment(req, res) {
     const { commentId } = req.params;
     const userId = req.user.id;
 
-    // Get user's Instagram credentials
-    const user = await User.findById(userId);
-    if (!user?.instagramCredentials?.accessToken) {
+    // Get the active Instagram account's credentials
+    const account = await InstagramAccount.getActiveAccount(userId);
+    if (!account?.accessToken) {
       return res.status(400).json({
         success: false,
         error: 'Instagram account not connected. Please connect your Instagram account first.'
@@ -150,8 +150,8 @@ async function deleteComment(req, res) {
     }
 
     // Decrypt token
-    const accessToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
-    const accountId = user.instagramCredentials.accountId;
+    const accessToken = encryptionService.decrypt(account.accessToken);
+    const accountId = account.accountId;
 
     // Initialize service
     const commentsService = new InstagramCommentsService();
@@ -171,16 +171,16 @@ async function deleteComment(req, res) {
 }
 
 /**
- * Hide a comment
+ * Hide or unhide a comment
  */
-async function hideComment(req, res) {
+async function setCommentHidden(req, res, hide) {
   try {
     const { commentId } = req.params;
     const userId = req.user.id;
 
-    // Get user's Instagram credentials
-    const user = await User.findById(userId);
-    if (!user?.instagramCredentials?.accessToken) {
+    // Get the active Instagram account's credentials
+    const account = await InstagramAccount.getActiveAccount(userId);
+    if (!account?.accessToken) {
       return res.status(400).json({
         success: false,
         error: 'Instagram account not connected. Please connect your Instagram account first.'
@@ -188,30 +188,45 @@ async function hideComment(req, res) {
     }
 
     // Decrypt token
-    const accessToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
-    const accountId = user.instagramCredentials.accountId;
+    const accessToken = encryptionService.decrypt(account.accessToken);
+    const accountId = account.accountId;
 
     // Initialize service
     const commentsService = new InstagramCommentsService();
     commentsService.initialize(accessToken, accountId);
 
-    // Hide comment
-    const result = await commentsService.hideComment(commentId);
+    // Hide or unhide comment
+    const result = await commentsService.hideComment(commentId, hide);
 
     res.json(result);
   } catch (error) {
-    console.error('[InstagramCommentsController] Hide comment error:', error);
+    console.error(`[InstagramCommentsController] ${hide ? 'Hide' : 'Unhide'} comment error:`, error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to hide comment'
+      error: error.message || `Failed to ${hide ? 'hide' : 'unhide'} comment`
     });
   }
 }
 
+/**
+ * Hide a comment
+ */
+function hideComment(req, res) {
+  return setCommentHidden(req, res, true);
+}
+
+/**
+ * Unhide a comment
+ */
+function unhideComment(req, res) {
+  return setCommentHidden(req, res, false);
+}
+
 module.exports = {
   getComments,
   replyToComment,
   getAllRecentComments,
   deleteComment,
-  hideComment
+  hideComment,
+  unhideComment
 };
@@ -1,4 +1,5 @@
 const ActivityLog = require('../models/ActivityLog');
+const InstagramAccount = require('../models/instagram-account.model');
 
 /**
  * LogsController - Handles activity log retrieval and management
@@ -26,8 +27,11 @@ class LogsController {
         endDate = null
       } = req.query;
 
+      // The active Instagram account's logs plus user-level ones
+      const accountId = await InstagramAccount.getActiveAccountId(userId);
       const logs = await ActivityLog.getUserLogs(userId, {
         type,
+        accountId,
         limit: parseInt(limit) || 100,
         skip: parseInt(skip) || 0,
         startDate,
@@ -68,8 +72,11 @@ class LogsController {
         endDate = null
       } = req.query;
 
+      // The active Instagram account's logs plus user-level ones
+      const accountId = await InstagramAccount.getActiveAccountId(userId);
       const logs = await ActivityLog.getUserLogs(userId, {
         type,
+        accountId,
         limit: 10000, // Export more logs
         skip: 0,
         startDate,
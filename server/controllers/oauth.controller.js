@@ -1,11 +1,15 @@
 const InstagramOAuthService = require('../services/oauth-instagram.service');
 const YouTubeOAuthService = require('../services/oauth-youtube.service');
+const FacebookOAuthService = require('../services/oauth-facebook.service');
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
+const automationManager = require('../services/automation-manager.service');
 const { EncryptionService } = require('../services/encryption.service');
 
 const encryptionService = new EncryptionService();
 const instagramOAuth = new InstagramOAuthService();
 const youtubeOAuth = new YouTubeOAuthService();
+const facebookOAuth = new FacebookOAuthService();
 
 const getRedirectBaseUrl = () => {
   // Use the ngrok URL specifically
@@ -254,12 +258,13 @@ class OAuthController {
       if (!validation.success) {
         console.error('[OAuth] Instagram validation failed:', validation.error);
         
-        // Track token error
-        if (user.instagramCredentials) {
-          user.instagramCredentials.tokenErrorCount = (user.instagramCredentials.tokenErrorCount || 0) + 1;
-          user.instagramCredentials.lastTokenError = validation.error;
-          user.instagramCredentials.lastTokenErrorAt = new Date();
-          await user.save();
+        // Track token error (on the active account: the one being reconnected, if any)
+        const activeAccount = await InstagramAccount.getActiveAccount(user);
+        if (activeAccount) {
+          activeAccount.tokenErrorCount = (activeAccount.tokenErrorCount || 0) + 1;
+          activeAccount.lastTokenError = validation.error;
+          activeAccount.lastTokenErrorAt = new Date();
+          await activeAccount.save();
         }
         
         // Provide helpful error message based on the error type
@@ -292,31 +297,41 @@ class OAuthController {
         : new Date(Date.now() + (longLivedResult.expiresIn || 5184000) * 1000); // Default 60 days
       const issuedAt = new Date();
 
-      // Initialize instagramCredentials if not exists
-      if (!user.instagramCredentials) {
-        user.instagramCredentials = {};
-      }
-
-      user.instagramCredentials.accessToken = encryptedToken;
-      user.instagramCredentials.accountId = validation.accountId; // IG User ID
-      user.instagramCredentials.accountName = validation.username;
-      user.instagramCredentials.accountType = validation.accountType || null;
-      user.instagramCredentials.tokenType = longLivedResult.tokenType || 'bearer';
-      user.instagramCredentials.tokenExpiresAt = expiresAt;
-      user.instagramCredentials.tokenIssuedAt = issuedAt;
-      user.instagramCredentials.tokenScopes = validation.scopes?.join(',') || instagramOAuth.requiredScopes.join(',');
-      user.instagramCredentials.tokenValidated = true;
-      user.instagramCredentials.tokenValidatedAt = new Date();
-      user.instagramCredentials.tokenErrorCount = 0; // Reset error count on successful connection
-      user.instagramCredentials.lastTokenError = null;
-      user.instagramCredentials.dataAccessExpiresAt = validation.dataAccessExpiresAt 
-        ? new Date(validation.dataAccessExpiresAt * 1000) 
-        : null;
-      user.instagramCredentials.isActive = true;
-      user.instagramCredentials.lastUpdated = new Date();
+      // Connect the account (or refresh it when it's reconnected) and make it the active one
+      const accountId = String(validation.accountId); // IG User ID
+      await InstagramAccount.findOneAndUpdate(
+        { userId: user._id, accountId },
+        {
+          accessToken: encryptedToken,
+          accountName: validation.username,
+          accountType: validation.accountType || null,
+          tokenType: longLivedResult.tokenType || 'bearer',
+          tokenExpiresAt: expiresAt,
+          tokenIssuedAt: issuedAt,
+          tokenScopes: validation.scopes?.join(',') || instagramOAuth.requiredScopes.join(','),
+          tokenValidated: true,
+          tokenValidatedAt: new Date(),
+          tokenErrorCount: 0, // Reset error count on successful connection
+          lastTokenError: null,
+          dataAccessExpiresAt: validation.dataAccessExpiresAt
+            ? new Date(validation.dataAccessExpiresAt * 1000)
+            : null,
+          isActive: true,
+          lastUpdated: new Date()
+        },
+        { upsert: true }
+      );
 
+      const switched = user.activeInstagramAccountId && user.activeInstagramAccountId !== accountId;
+      user.activeInstagramAccountId = accountId;
       await user.save();
 
+      if (switched) {
+        await automationManager.switchAccount(user._id).catch(error => {
+          console.error('[OAuth] Failed to move automation to the new account:', error.message);
+        });
+      }
+
       // Clear OAuth session data after successful completion
       delete req.session.instagramOAuthState;
       delete req.session.instagramOAuthUserId;
@@ -575,6 +590,14 @@ class OAuthController {
       user.youtubeCredentials.isActive = true;
       user.youtubeCredentials.lastUpdated = new Date();
 
+      // Channels available to publish to; keep the selected one if the new token still reaches it
+      const channelsResult = await youtubeOAuth.fetchUserChannels(tokenResult.accessToken);
+      const channels = channelsResult.success ? channelsResult.channels : [];
+      user.youtubeCredentials.channels = channels;
+      if (!channels.some(channel => channel.channelId === user.youtubeCredentials.selectedChannelId)) {
+        user.youtubeCredentials.selectedChannelId = validation.channelId;
+      }
+
       await user.save();
 
       // Clear OAuth session data after successful completion
@@ -603,6 +626,207 @@ class OAuthController {
     }
   }
 
+  /**
+   * GET /api/oauth/facebook/auth-url
+   * Generate Facebook Login URL for the Pages the user manages
+   */
+  async getFacebookAuthUrl(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const user = await User.findById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      // Use environment variables only
+      const clientId = process.env.FACEBOOK_APP_ID;
+      const clientSecret = process.env.FACEBOOK_APP_SECRET;
+      if (!clientId || !clientSecret) {
+        return res.status(400).json({
+          success: false,
+          error: 'Facebook OAuth not configured by administrator. Please set FACEBOOK_APP_ID and FACEBOOK_APP_SECRET in backend .env file.'
+        });
+      }
+
+      const redirectUri = buildRedirectUri('/api/oauth/facebook/callback');
+
+      // Encode userId in state parameter to avoid session dependency
+      const stateData = {
+        random: require('crypto').randomBytes(16).toString('hex'),
+        userId: userId.toString(),
+        timestamp: Date.now()
+      };
+      const stateParam = Buffer.from(JSON.stringify(stateData)).toString('base64');
+
+      const { url } = facebookOAuth.generateAuthUrl(clientId, redirectUri, stateParam);
+
+      // Store state in session as backup (but don't rely on it)
+      req.session = req.session || {};
+      req.session.facebookOAuthState = stateParam;
+      delete req.session.facebookOAuthUsedCode;
+
+      await new Promise((resolve, reject) => {
+        req.session.save((err) => {
+          if (err) {
+            console.error('[OAuth] Facebook session save error:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+
+      res.json({
+        success: true,
+        authUrl: url,
+        state: stateParam
+      });
+    } catch (error) {
+      console.error('[OAuth] Get Facebook auth URL error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/oauth/facebook/callback
+   * Handle Facebook Login callback: store the user token and the Pages' tokens
+   */
+  async handleFacebookCallback(req, res) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const fail = (message) => res.redirect(`${frontendUrl}/dashboard?facebook=error&message=${encodeURIComponent(message)}`);
+
+    try {
+      const { code, state, error_description: deniedReason } = req.query;
+
+      if (!code) {
+        console.error('[OAuth] No Facebook authorization code provided');
+        return fail(deniedReason || 'Authorization code not provided');
+      }
+      if (!state) {
+        return fail('Invalid OAuth state');
+      }
+
+      // Decode state parameter to get userId
+      let userId;
+      try {
+        const stateData = JSON.parse(Buffer.from(state, 'base64').toString('utf-8'));
+        userId = stateData.userId;
+
+        // Validate state is not too old (15 minutes)
+        if (Date.now() - stateData.timestamp > 15 * 60 * 1000) {
+          return fail('OAuth session expired - please try again');
+        }
+      } catch (error) {
+        console.error('[OAuth] Failed to decode Facebook state parameter:', error);
+        return fail('Invalid OAuth state');
+      }
+
+      if (!userId) {
+        return fail('User session not found');
+      }
+
+      // Validate state matches session as additional security (if session exists)
+      if (req.session?.facebookOAuthState && state !== req.session.facebookOAuthState) {
+        console.error('[OAuth] Facebook state mismatch - possible CSRF attack');
+        return fail('Invalid state parameter');
+      }
+      if (req.session?.facebookOAuthUsedCode === code) {
+        return fail('Login session already completed - please start again');
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return fail('User not found');
+      }
+
+      const clientId = process.env.FACEBOOK_APP_ID;
+      const clientSecret = process.env.FACEBOOK_APP_SECRET;
+      if (!clientId || !clientSecret) {
+        return fail('Facebook OAuth not configured by administrator');
+      }
+
+      // Mark code as used BEFORE attempting exchange to prevent race conditions
+      req.session.facebookOAuthUsedCode = code;
+      await new Promise((resolve, reject) => {
+        req.session.save((err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      const tokenResult = await facebookOAuth.exchangeCodeForToken(
+        clientId,
+        clientSecret,
+        code,
+        buildRedirectUri('/api/oauth/facebook/callback')
+      );
+      if (!tokenResult.success) {
+        return fail(tokenResult.error);
+      }
+
+      const profile = await facebookOAuth.getProfile(tokenResult.accessToken);
+      if (!profile.success) {
+        return fail(profile.error);
+      }
+
+      const pagesResult = await facebookOAuth.fetchUserPages(tokenResult.accessToken);
+      if (!pagesResult.success) {
+        return fail(pagesResult.error);
+      }
+      if (pagesResult.pages.length === 0) {
+        return fail('No Facebook Pages were shared. Connect again and select at least one Page.');
+      }
+
+      const pages = pagesResult.pages.map(page => ({
+        ...page,
+        accessToken: encryptionService.encrypt(page.accessToken)
+      }));
+
+      // Keep the selected Page if the new login still reaches it
+      const previous = user.facebookCredentials?.selectedPageId;
+      const selectedPageId = pages.some(page => page.pageId === previous)
+        ? previous
+        : (pages.find(page => page.tasks.includes('CREATE_CONTENT')) || pages[0]).pageId;
+
+      user.facebookCredentials = {
+        accessToken: encryptionService.encrypt(tokenResult.accessToken),
+        facebookUserId: profile.userId,
+        name: profile.name,
+        tokenExpiresAt: tokenResult.tokenExpiresAt,
+        pages,
+        selectedPageId,
+        isActive: true,
+        lastUpdated: new Date()
+      };
+      await user.save();
+
+      delete req.session.facebookOAuthState;
+      delete req.session.facebookOAuthUsedCode;
+      await new Promise((resolve) => req.session.save(() => resolve()));
+
+      console.log(`[OAuth] Facebook connected for user ${userId}: ${pages.length} Page(s)`);
+
+      res.redirect(`${frontendUrl}/dashboard?facebook=success&pages=${pages.length}`);
+    } catch (error) {
+      console.error('[OAuth] Facebook callback error:', error);
+
+      if (req.session) {
+        delete req.session.facebookOAuthState;
+        delete req.session.facebookOAuthUsedCode;
+        await new Promise((resolve) => req.session.save(() => resolve()));
+      }
+
+      fail(error.message);
+    }
+  }
+
   /**
    * POST /api/oauth/instagram/refresh
    * Refresh Instagram access token
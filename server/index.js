@@ -16,18 +16,39 @@ const AutomationController = require('./controllers/automation.controller');
 const LogsController = require('./controllers/logs.controller');
 const DualPublishController = require('./controllers/dual-publish.controller');
 
+// Import services
+const automationManager = require('./services/automation-manager.service');
+const eventBus = require('./services/event-bus.service');
+const dmResponderService = require('./services/dm-responder.service');
+const mentionService = require('./services/mention.service');
+const storyService = require('./services/story.service');
+
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const credentialsRoutes = require('./routes/credentials.routes');
+const youtubeCredentialsRoutes = require('./routes/youtube-credentials.routes');
+const facebookCredentialsRoutes = require('./routes/facebook-credentials.routes');
 const postsRoutes = require('./routes/posts.routes');
 const aiPostRoutes = require('./routes/ai-post.routes');
 const createDualPublishRoutes = require('./routes/dual-publish.routes');
+const youtubeRoutes = require('./routes/youtube.routes');
+const facebookRoutes = require('./routes/facebook.routes');
 const oauthRoutes = require('./routes/oauth.routes');
 const instagramStatusRoutes = require('./routes/instagram-status.routes');
 const statsRoutes = require('./routes/stats.routes');
 const apiConfigRoutes = require('./routes/api-config.routes');
+const replyPersonasRoutes = require('./routes/reply-personas.routes');
+const replyApprovalsRoutes = require('./routes/reply-approvals.routes');
+const commentRulesRoutes = require('./routes/comment-rules.routes');
+const dmFunnelsRoutes = require('./routes/dm-funnels.routes');
+const dmInboxRoutes = require('./routes/dm-inbox.routes');
+const mentionsRoutes = require('./routes/mentions.routes');
+const moderationRoutes = require('./routes/moderation.routes');
+const scheduleRoutes = require('./routes/schedule.routes');
+const instagramCommentsRoutes = require('./routes/instagram-comments.routes');
 const debugRoutes = require('./routes/debug.routes');
 const legalRoutes = require('./routes/legal.routes');
+const mediaRoutes = require('./routes/media.routes');
 const metaWebhookRouter = require('./webhooks/instagram-webhook');
 
 // Import middleware
@@ -156,7 +177,7 @@ app.use('/api/auth', authRoutes);
 // ============================================
 // Multi-Tenant Credentials Routes (Protected)
 // ============================================
-app.use('/api/credentials', authMiddleware, credentialsRoutes);
+app.use('/api/credentials', authMiddleware, credentialsRoutes, youtubeCredentialsRoutes, facebookCredentialsRoutes);
 
 // ============================================
 // Posts Routes (Protected)
@@ -173,6 +194,16 @@ app.use('/api/ai-post', authMiddleware, aiPostRoutes);
 // ============================================
 app.use('/api/publish', authMiddleware, createDualPublishRoutes(dualPublishController));
 
+// ============================================
+// YouTube Routes (Protected - playlists, editing published videos)
+// ============================================
+app.use('/api/youtube', authMiddleware, youtubeRoutes);
+
+// ============================================
+// Facebook Routes (Protected - photo and link posts to a Page)
+// ============================================
+app.use('/api/facebook', authMiddleware, facebookRoutes);
+
 // ============================================
 // OAuth Routes (Partially Protected - callbacks are public)
 // ============================================
@@ -183,6 +214,11 @@ app.use('/api/oauth', oauthRoutes);
 // ============================================
 app.use('/api/instagram', instagramStatusRoutes);
 
+// ============================================
+// Instagram Comment Routes (Protected)
+// ============================================
+app.use('/api/instagram', instagramCommentsRoutes);
+
 // ============================================
 // Stats Routes (Protected)
 // ============================================
@@ -193,6 +229,46 @@ app.use('/api/stats', authMiddleware, statsRoutes);
 // ============================================
 app.use('/api/config', authMiddleware, apiConfigRoutes);
 
+// ============================================
+// Reply Persona Routes (Protected)
+// ============================================
+app.use('/api/config/personas', authMiddleware, replyPersonasRoutes);
+
+// ============================================
+// Reply Approval Routes (Protected)
+// ============================================
+app.use('/api/approvals', authMiddleware, replyApprovalsRoutes);
+
+// ============================================
+// Comment Rule Routes (Protected)
+// ============================================
+app.use('/api/rules', authMiddleware, commentRulesRoutes);
+
+// ============================================
+// DM Funnel Routes (Protected)
+// ============================================
+app.use('/api/funnels', authMiddleware, dmFunnelsRoutes);
+
+// ============================================
+// DM Inbox Routes (Protected)
+// ============================================
+app.use('/api/inbox', authMiddleware, dmInboxRoutes);
+
+// ============================================
+// Mention Routes (Protected)
+// ============================================
+app.use('/api/mentions', authMiddleware, mentionsRoutes);
+
+// ============================================
+// Comment Moderation Routes (Protected)
+// ============================================
+app.use('/api/moderation', authMiddleware, moderationRoutes);
+
+// ============================================
+// Scheduled Publishing / Content Calendar Routes (Protected)
+// ============================================
+app.use('/api/schedule', authMiddleware, scheduleRoutes);
+
 // ============================================
 // Debug Routes (Protected)
 // ============================================
@@ -203,6 +279,11 @@ app.use('/api/debug', authMiddleware, debugRoutes);
 // ============================================
 app.use('/api/legal', legalRoutes);
 
+// ============================================
+// Media Routes (Public - signed, expiring URLs)
+// ============================================
+app.use('/api/media', mediaRoutes);
+
 // ============================================
 // Meta Webhook Endpoints (Unprotected - Meta signature validated)
 // ============================================
@@ -230,8 +311,8 @@ app.post('/api/config/tone', authMiddleware, async (req, res) => {
   await configController.setReplyTone(req, res);
 
   // Update automation workflow if running
-  if (req.body.tone) {
-    automationController.updateAutomationConfig({ replyTone: req.body.tone });
+  if (req.body.tone && res.statusCode === 200) {
+    await automationController.updateAutomationConfig(req.userId, { replyTone: req.body.tone });
   }
 });
 
@@ -239,6 +320,34 @@ app.get('/api/config/tone', authMiddleware, (req, res) => {
   configController.getReplyTone(req, res);
 });
 
+// Comment trigger mode (webhook or polling fallback)
+app.post('/api/config/trigger-mode', authMiddleware, async (req, res) => {
+  await configController.setTriggerMode(req, res);
+
+  // Update automation workflow if running
+  if (req.body.triggerMode && res.statusCode === 200) {
+    await automationController.updateAutomationConfig(req.userId, { triggerMode: req.body.triggerMode });
+  }
+});
+
+app.get('/api/config/trigger-mode', authMiddleware, (req, res) => {
+  configController.getTriggerMode(req, res);
+});
+
+// Approval mode (hold AI replies for human review)
+app.post('/api/config/approval-mode', authMiddleware, async (req, res) => {
+  await configController.setApprovalMode(req, res);
+
+  // Update automation workflow if running
+  if (res.statusCode === 200) {
+    await automationController.updateAutomationConfig(req.userId, { approvalMode: req.body.approvalMode });
+  }
+});
+
+app.get('/api/config/approval-mode', authMiddleware, (req, res) => {
+  configController.getApprovalMode(req, res);
+});
+
 // API key validation
 app.post('/api/config/validate-api-key', authMiddleware, (req, res) => {
   configController.validateApiKey(req, res);
@@ -400,7 +509,7 @@ async function validateEnvironment() {
 
   // Check and validate Gemini API key
   if (!process.env.GEMINI_API_KEY) {
-    console.warn('⚠️  Warning: GEMINI_API_KEY not set. Automation will not work until configured.');
+    console.warn('⚠️  Warning: GEMINI_API_KEY not set. Automation replies need an AI provider on each user\'s API Configuration page.');
     console.warn('   Get your free API key from: https://makersuite.google.com/app/apikey');
   } else {
     try {
@@ -428,14 +537,61 @@ async function validateEnvironment() {
 // Initialize automation state on startup
 async function initializeAutomation() {
   try {
-    // Skip auto-initialization on startup
-    // Automation will be started manually by authenticated users
-    console.log('[Server] Automation will be started manually by users');
+    if (!database.isConnected()) {
+      console.log('[Server] Database not connected, skipping automation restore');
+      return;
+    }
+
+    // Resume every user's automation that was active before the restart
+    await automationManager.restoreActiveAutomations();
   } catch (error) {
     console.error('[Server] Error during automation initialization:', error.message);
   }
 }
 
+// Route webhook comments to the owning user's automation runtime
+automationManager.subscribeToWebhooks(eventBus);
+
+// Store direct messages and run the AI DM responder
+dmResponderService.subscribeToWebhooks(eventBus);
+
+// Record @mentions and story mentions and answer them
+mentionService.subscribeToWebhooks(eventBus);
+
+// Save story insights on the post or job that published the story
+storyService.subscribeToWebhooks(eventBus);
+
+// Notify the dashboard when a reply is waiting for approval
+eventBus.subscribe('reply:pending', (event) => {
+  io.emit(`reply-approval:${event.userId}`, {
+    type: 'pending',
+    commentId: event.commentId,
+    postId: event.postId,
+    username: event.username,
+    text: event.text,
+    replyOptions: event.replyOptions
+  });
+});
+
+// Refresh the dashboard inbox when a thread changes
+eventBus.subscribe('inbox:update', (event) => {
+  io.emit(`inbox:${event.userId}`, {
+    type: event.type,
+    conversationId: event.conversationId,
+    participantUsername: event.participantUsername
+  });
+});
+
+// Refresh the dashboard mentions feed
+eventBus.subscribe('mention:update', (event) => {
+  io.emit(`mentions:${event.userId}`, {
+    mentionId: event.mentionId,
+    type: event.type,
+    status: event.status,
+    username: event.username
+  });
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log(`[Socket.IO] Client connected: ${socket.id}`);
@@ -465,10 +621,23 @@ server.listen(PORT, async () => {
   try {
     await database.connect();
 
+    // Instagram credentials embedded in users move to connected accounts
+    // before anything reads them
+    const InstagramAccount = require('./models/instagram-account.model');
+    await InstagramAccount.migrateLegacyCredentials();
+
     // Start token refresh service after database connection
     const tokenRefreshService = require('./services/token-refresh.service');
     tokenRefreshService.start();
     console.log('[TokenRefresh] Automatic token refresh service started');
+
+    // Publish scheduled posts and jobs; state lives in Mongo so it resumes after restarts
+    const publishSchedulerService = require('./services/publish-scheduler.service');
+    publishSchedulerService.start(io);
+
+    // Run queued dual publish jobs; leases let other workers pick up jobs this one drops
+    const publishQueueService = require('./services/publish-queue.service');
+    publishQueueService.start(io);
   } catch (error) {
     console.error('Failed to connect to MongoDB. Server will continue but database features will not work.');
   }
@@ -490,6 +659,62 @@ server.listen(PORT, async () => {
   console.log('  DELETE /api/config/instagram');
   console.log('  POST   /api/config/tone');
   console.log('  GET    /api/config/tone');
+  console.log('  GET    /api/config/personas');
+  console.log('  POST   /api/config/personas');
+  console.log('  PUT    /api/config/personas/:slug');
+  console.log('  DELETE /api/config/personas/:slug');
+  console.log('  POST   /api/config/trigger-mode');
+  console.log('  GET    /api/config/trigger-mode');
+  console.log('  POST   /api/config/approval-mode');
+  console.log('  GET    /api/config/approval-mode');
+  console.log('  GET    /api/approvals');
+  console.log('  PUT    /api/approvals/:commentId');
+  console.log('  POST   /api/approvals/:commentId/approve');
+  console.log('  POST   /api/approvals/:commentId/reject');
+  console.log('  POST   /api/approvals/:commentId/regenerate');
+  console.log('  GET    /api/rules');
+  console.log('  POST   /api/rules');
+  console.log('  PUT    /api/rules/reorder');
+  console.log('  POST   /api/rules/test');
+  console.log('  PUT    /api/rules/:id');
+  console.log('  DELETE /api/rules/:id');
+  console.log('  GET    /api/funnels');
+  console.log('  POST   /api/funnels');
+  console.log('  PUT    /api/funnels/:id');
+  console.log('  DELETE /api/funnels/:id');
+  console.log('  GET    /api/funnels/:id/deliveries');
+  console.log('  GET    /api/inbox/settings');
+  console.log('  PUT    /api/inbox/settings');
+  console.log('  GET    /api/inbox/conversations');
+  console.log('  POST   /api/inbox/sync');
+  console.log('  GET    /api/inbox/conversations/:id');
+  console.log('  PUT    /api/inbox/conversations/:id');
+  console.log('  POST   /api/inbox/conversations/:id/messages');
+  console.log('  POST   /api/inbox/conversations/:id/approve');
+  console.log('  POST   /api/inbox/conversations/:id/discard');
+  console.log('  POST   /api/inbox/conversations/:id/regenerate');
+  console.log('  GET    /api/mentions');
+  console.log('  GET    /api/mentions/settings');
+  console.log('  PUT    /api/mentions/settings');
+  console.log('  POST   /api/mentions/:id/regenerate');
+  console.log('  POST   /api/mentions/:id/approve');
+  console.log('  POST   /api/mentions/:id/dismiss');
+  console.log('  GET    /api/instagram/media/:mediaId/comments');
+  console.log('  GET    /api/instagram/comments/recent');
+  console.log('  POST   /api/instagram/comments/:commentId/reply');
+  console.log('  DELETE /api/instagram/comments/:commentId');
+  console.log('  POST   /api/instagram/comments/:commentId/hide');
+  console.log('  POST   /api/instagram/comments/:commentId/unhide');
+  console.log('  GET    /api/moderation/settings');
+  console.log('  PUT    /api/moderation/settings');
+  console.log('  POST   /api/moderation/test');
+  console.log('  GET    /api/moderation/comments');
+  console.log('  POST   /api/moderation/comments/:commentId/undo');
+  console.log('  POST   /api/moderation/comments/:commentId/hide');
+  console.log('  POST   /api/moderation/comments/:commentId/delete');
+  console.log('  GET    /api/schedule');
+  console.log('  PUT    /api/schedule/:kind/:id');
+  console.log('  POST   /api/schedule/:kind/:id/cancel');
   console.log('  POST   /api/config/validate-api-key');
   console.log('  POST   /api/automation/start');
   console.log('  POST   /api/automation/stop');
@@ -504,16 +729,12 @@ server.listen(PORT, async () => {
 });
 
 // Graceful shutdown
+// Only poll timers are halted; persisted isActive flags are left untouched so
+// active automations are restored on the next boot
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
 
-  // Stop automation if running
-  if (automationController.automationWorkflow) {
-    await automationController.stopAutomation({ body: {} }, {
-      json: () => { },
-      status: () => ({ json: () => { } })
-    });
-  }
+  automationManager.shutdown();
 
   process.exit(0);
 });
@@ -521,13 +742,7 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   console.log('\nSIGINT received, shutting down gracefully...');
 
-  // Stop automation if running
-  if (automationController.automationWorkflow) {
-    await automationController.stopAutomation({ body: {} }, {
-      json: () => { },
-      status: () => ({ json: () => { } })
-    });
-  }
+  automationManager.shutdown();
 
   process.exit(0);
 });
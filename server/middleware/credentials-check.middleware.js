@@ -4,9 +4,10 @@
  */
 
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
 
 /**
- * Check Instagram credentials and return appropriate response
+ * Check the active Instagram account's credentials and return appropriate response
  */
 async function checkInstagramCredentials(req, res, next) {
   try {
@@ -28,15 +29,9 @@ async function checkInstagramCredentials(req, res, next) {
       });
     }
 
-    // Backfill: if instagramCredentials is null, initialize it
-    if (!user.instagramCredentials) {
-      console.log('[CredentialsCheck] Instagram credentials null, initializing...');
-      user.instagramCredentials = {};
-      await user.save();
-    }
-
     // Check if configured
-    if (!user.instagramCredentials.accessToken || !user.instagramCredentials.accountId) {
+    const account = await InstagramAccount.getActiveAccount(user);
+    if (!account?.accessToken) {
       return res.json({
         success: false,
         needsConfig: true,
@@ -44,8 +39,9 @@ async function checkInstagramCredentials(req, res, next) {
       });
     }
 
-    // Attach user to request for next middleware
+    // Attach user and account to request for next middleware
     req.userDoc = user;
+    req.instagramAccount = account;
     next();
   } catch (error) {
     console.error('[CredentialsCheck] Error checking Instagram credentials:', error);
@@ -125,21 +121,9 @@ async function softCheckCredentials(req, res, next) {
     }
 
     // Backfill credentials if null
-    let updated = false;
-    
-    if (!user.instagramCredentials) {
-      console.log('[CredentialsCheck] Backfilling Instagram credentials for user:', userId);
-      user.instagramCredentials = {};
-      updated = true;
-    }
-    
     if (!user.youtubeCredentials) {
       console.log('[CredentialsCheck] Backfilling YouTube credentials for user:', userId);
       user.youtubeCredentials = {};
-      updated = true;
-    }
-    
-    if (updated) {
       await user.save();
     }
 
@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
 const { EncryptionService } = require('../services/encryption.service');
 const InstagramOAuthService = require('../services/oauth-instagram.service');
 
@@ -31,8 +32,9 @@ async function checkInstagramToken(req, res, next) {
       });
     }
 
-    // Check if Instagram credentials exist
-    if (!user.instagramCredentials || !user.instagramCredentials.accessToken) {
+    // Check if Instagram credentials exist (the active account's)
+    const account = await InstagramAccount.getActiveAccount(user);
+    if (!account?.accessToken) {
       return res.status(400).json({
         success: false,
         error: 'Instagram account not connected. Please connect your Instagram account.',
@@ -41,7 +43,7 @@ async function checkInstagramToken(req, res, next) {
     }
 
     // Check if token is marked as inactive
-    if (!user.instagramCredentials.isActive) {
+    if (!account.isActive) {
       return res.status(400).json({
         success: false,
         error: 'Instagram connection is inactive. Please reconnect your Instagram account.',
@@ -50,16 +52,16 @@ async function checkInstagramToken(req, res, next) {
     }
 
     // Check if token is expired
-    const expiresAt = user.instagramCredentials.tokenExpiresAt;
+    const expiresAt = account.tokenExpiresAt;
     if (expiresAt && new Date() > new Date(expiresAt)) {
       console.warn('[InstagramToken] Token expired for user:', userId);
       
       // Mark as inactive
-      user.instagramCredentials.isActive = false;
-      user.instagramCredentials.tokenErrorCount = (user.instagramCredentials.tokenErrorCount || 0) + 1;
-      user.instagramCredentials.lastTokenError = 'Token expired';
-      user.instagramCredentials.lastTokenErrorAt = new Date();
-      await user.save();
+      account.isActive = false;
+      account.tokenErrorCount = (account.tokenErrorCount || 0) + 1;
+      account.lastTokenError = 'Token expired';
+      account.lastTokenErrorAt = new Date();
+      await account.save();
       
       return res.status(400).json({
         success: false,
@@ -69,12 +71,12 @@ async function checkInstagramToken(req, res, next) {
     }
 
     // Check if token has too many errors (possible corruption)
-    if (user.instagramCredentials.tokenErrorCount >= 5) {
+    if (account.tokenErrorCount >= 5) {
       console.warn('[InstagramToken] Too many token errors for user:', userId);
       
       // Mark as inactive
-      user.instagramCredentials.isActive = false;
-      await user.save();
+      account.isActive = false;
+      await account.save();
       
       return res.status(400).json({
         success: false,
@@ -85,23 +87,24 @@ async function checkInstagramToken(req, res, next) {
 
     // Decrypt token
     try {
-      const decryptedToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
+      const decryptedToken = encryptionService.decrypt(account.accessToken);
       
       // Attach to request for use in route handlers
       req.instagramToken = decryptedToken;
-      req.instagramAccountId = user.instagramCredentials.accountId;
-      req.instagramAccountName = user.instagramCredentials.accountName;
+      req.instagramAccountId = account.accountId;
+      req.instagramAccountName = account.accountName;
+      req.instagramAccount = account;
       
       next();
     } catch (decryptError) {
       console.error('[InstagramToken] Token decryption failed:', decryptError.message);
       
       // Mark as inactive
-      user.instagramCredentials.isActive = false;
-      user.instagramCredentials.tokenErrorCount = (user.instagramCredentials.tokenErrorCount || 0) + 1;
-      user.instagramCredentials.lastTokenError = 'Token decryption failed';
-      user.instagramCredentials.lastTokenErrorAt = new Date();
-      await user.save();
+      account.isActive = false;
+      account.tokenErrorCount = (account.tokenErrorCount || 0) + 1;
+      account.lastTokenError = 'Token decryption failed';
+      account.lastTokenErrorAt = new Date();
+      await account.save();
       
       return res.status(400).json({
         success: false,
@@ -129,9 +132,8 @@ async function validateInstagramToken(req, res, next) {
     // First run the basic check
     await checkInstagramToken(req, res, async () => {
       // If basic check passed, verify with API
-      const userId = req.userId || req.user?._id;
-      const user = await User.findById(userId);
-      
+      const account = req.instagramAccount;
+
       console.log('[InstagramToken] Validating token with API call...');
       
       const verification = await instagramOAuth.verifyTokenWorks(
@@ -143,11 +145,11 @@ async function validateInstagramToken(req, res, next) {
         console.error('[InstagramToken] Token validation failed:', verification.error);
         
         // Mark as inactive and track error
-        user.instagramCredentials.isActive = false;
-        user.instagramCredentials.tokenErrorCount = (user.instagramCredentials.tokenErrorCount || 0) + 1;
-        user.instagramCredentials.lastTokenError = `API validation failed: ${verification.error}`;
-        user.instagramCredentials.lastTokenErrorAt = new Date();
-        await user.save();
+        account.isActive = false;
+        account.tokenErrorCount = (account.tokenErrorCount || 0) + 1;
+        account.lastTokenError = `API validation failed: ${verification.error}`;
+        account.lastTokenErrorAt = new Date();
+        await account.save();
         
         return res.status(400).json({
           success: false,
@@ -159,8 +161,8 @@ async function validateInstagramToken(req, res, next) {
       }
       
       // Update validation timestamp
-      user.instagramCredentials.tokenValidatedAt = new Date();
-      await user.save();
+      account.tokenValidatedAt = new Date();
+      await account.save();
       
       console.log('[InstagramToken] Token validated successfully');
       next();
@@ -11,6 +11,12 @@ const activityLogSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Instagram account (InstagramAccount.accountId) the activity concerns; null
+  // for user-level activity such as logins
+  accountId: {
+    type: String,
+    default: null
+  },
   type: {
     type: String,
     required: true,
@@ -21,6 +27,8 @@ const activityLogSchema = new mongoose.Schema({
       'comment_detected',
       'reply_generated',
       'reply_posted',
+      'mention_received',
+      'mention_replied',
       'error',
       'info',
       'warning'
@@ -57,6 +65,7 @@ const activityLogSchema = new mongoose.Schema({
 
 // Compound indexes for efficient queries
 activityLogSchema.index({ userId: 1, timestamp: -1 });
+activityLogSchema.index({ userId: 1, accountId: 1, timestamp: -1 });
 activityLogSchema.index({ userId: 1, type: 1, timestamp: -1 });
 activityLogSchema.index({ timestamp: -1 });
 
@@ -65,11 +74,13 @@ activityLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: 7776000 }); // 9
 
 /**
  * Static method to log activity
+ * accountId ties the entry to one of the user's Instagram accounts
  */
-activityLogSchema.statics.log = async function(userId, type, action, message, details = {}, req = null) {
+activityLogSchema.statics.log = async function(userId, type, action, message, details = {}, req = null, accountId = null) {
   try {
     const logEntry = {
       userId,
+      accountId,
       type,
       action,
       message,
@@ -86,10 +97,12 @@ activityLogSchema.statics.log = async function(userId, type, action, message, de
 
 /**
  * Get logs for a user
+ * With an accountId, only that account's logs and user-level ones (no account)
  */
 activityLogSchema.statics.getUserLogs = async function(userId, options = {}) {
   const {
     type = null,
+    accountId = undefined,
     limit = 100,
     skip = 0,
     startDate = null,
@@ -98,6 +111,10 @@ activityLogSchema.statics.getUserLogs = async function(userId, options = {}) {
 
   const query = { userId };
 
+  if (accountId !== undefined) {
+    query.accountId = { $in: [accountId, null] };
+  }
+
   if (type) {
     query.type = type;
   }
@@ -11,6 +11,11 @@ const processedCommentSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Instagram account (InstagramAccount.accountId) the comment was left on
+  accountId: {
+    type: String,
+    default: null
+  },
   commentId: {
     type: String,
     required: true,
@@ -36,11 +41,73 @@ const processedCommentSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Candidate replies offered for review when approval mode is on
+  replyOptions: {
+    type: [String],
+    default: []
+  },
+  postCaption: {
+    type: String,
+    default: null
+  },
+  postType: {
+    type: String,
+    default: null
+  },
   status: {
     type: String,
-    enum: ['detected', 'reply_generated', 'reply_posted', 'failed', 'skipped'],
+    enum: ['detected', 'reply_generated', 'posting', 'reply_posted', 'failed', 'skipped', 'rejected', 'hidden', 'deleted', 'flagged'],
     default: 'detected'
   },
+  // Comment rule that decided how this comment was handled (see comment-rule.model.js)
+  ruleId: {
+    type: String,
+    default: null
+  },
+  ruleName: {
+    type: String,
+    default: null
+  },
+  ruleAction: {
+    type: String,
+    default: null
+  },
+  // DM funnel that handled this comment (see dm-funnel.model.js)
+  funnelId: {
+    type: String,
+    default: null
+  },
+  // Provider/model that wrote the reply ('fallback' for the built-in templates)
+  aiProvider: {
+    type: String,
+    default: null
+  },
+  aiModel: {
+    type: String,
+    default: null
+  },
+  // Moderation verdict for comments caught by comment-moderation.service.js
+  moderation: {
+    label: {
+      type: String,
+      enum: ['spam', 'toxic', 'scam']
+    },
+    score: Number,
+    reasons: [String],
+    source: {
+      type: String,
+      enum: ['local', 'llm']
+    },
+    action: {
+      type: String,
+      enum: ['hide', 'delete', 'flag']
+    },
+    undoneAt: Date
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
   processedAt: {
     type: Date,
     default: Date.now
@@ -60,6 +127,7 @@ const processedCommentSchema = new mongoose.Schema({
 // Compound indexes
 processedCommentSchema.index({ userId: 1, commentId: 1 }, { unique: true });
 processedCommentSchema.index({ userId: 1, processedAt: -1 });
+processedCommentSchema.index({ userId: 1, accountId: 1, processedAt: -1 });
 processedCommentSchema.index({ userId: 1, status: 1 });
 
 // TTL index - delete processed comments older than 30 days
@@ -80,12 +148,23 @@ processedCommentSchema.statics.markProcessed = async function(userId, commentDat
   try {
     await this.create({
       userId,
+      accountId: commentData.accountId || null,
       commentId: commentData.id,
       postId: commentData.postId,
       username: commentData.username,
       commentText: commentData.text,
       replyText: commentData.reply || null,
       replyId: commentData.replyId || null,
+      replyOptions: commentData.replyOptions || [],
+      postCaption: commentData.postCaption || null,
+      postType: commentData.postType || null,
+      ruleId: commentData.rule?.ruleId || null,
+      ruleName: commentData.rule?.ruleName || null,
+      ruleAction: commentData.rule?.action || null,
+      funnelId: commentData.funnelId || null,
+      aiProvider: commentData.aiProvider || null,
+      aiModel: commentData.aiModel || null,
+      moderation: commentData.moderation || undefined,
       status: commentData.status || 'detected'
     });
     return true;
@@ -120,6 +199,68 @@ processedCommentSchema.statics.getUserComments = async function(userId, options
     .lean();
 };
 
+/**
+ * Get replies waiting for review (approval mode), oldest first
+ */
+processedCommentSchema.statics.getPendingApprovals = async function(userId, options = {}) {
+  const {
+    accountId = undefined,
+    limit = 50,
+    skip = 0
+  } = options;
+
+  const query = { userId, status: 'reply_generated' };
+  if (accountId !== undefined) {
+    query.accountId = accountId;
+  }
+
+  return await this.find(query)
+    .sort({ processedAt: 1 })
+    .limit(limit)
+    .skip(skip)
+    .lean();
+};
+
+/**
+ * Get comments caught by moderation, newest first
+ */
+processedCommentSchema.statics.getModeratedComments = async function(userId, options = {}) {
+  const {
+    label = null,
+    accountId = undefined,
+    limit = 50,
+    skip = 0
+  } = options;
+
+  const query = { userId, 'moderation.label': label || { $exists: true } };
+  if (accountId !== undefined) {
+    query.accountId = accountId;
+  }
+
+  return await this.find(query)
+    .sort({ processedAt: -1 })
+    .limit(limit)
+    .skip(skip)
+    .lean();
+};
+
+/**
+ * Count moderated comments per label, optionally for one Instagram account
+ */
+processedCommentSchema.statics.getModerationCounts = async function(userId, accountId = undefined) {
+  const match = { userId: new mongoose.Types.ObjectId(String(userId)), 'moderation.label': { $exists: true } };
+  if (accountId !== undefined) {
+    match.accountId = accountId;
+  }
+
+  const grouped = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$moderation.label', count: { $sum: 1 } } }
+  ]);
+
+  return grouped.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {});
+};
+
 /**
  * Get statistics
  */
@@ -36,31 +36,25 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
-  instagramCredentials: {
-    accessToken: String, // Long-lived access token (encrypted)
-    accountId: String, // Instagram User ID
-    accountName: String, // Instagram username
-    accountType: String, // BUSINESS or CREATOR
-    tokenType: String, // bearer
-    appId: String,
-    clientId: String, // OAuth client ID (encrypted)
-    clientSecret: String, // OAuth client secret (encrypted)
-    tokenExpiresAt: Date, // Token expiration date (~60 days)
-    tokenIssuedAt: Date, // When token was issued
-    tokenScopes: String, // Granted scopes (comma-separated)
-    tokenValidated: Boolean, // Whether token was validated
-    tokenValidatedAt: Date, // Last validation timestamp
-    tokenErrorCount: { // Track token errors
-      type: Number,
-      default: 0
-    },
-    lastTokenError: String, // Last error message
-    lastTokenErrorAt: Date, // Last error timestamp
-    isActive: {
-      type: Boolean,
-      default: true
-    },
-    lastUpdated: Date
+  // AI provider chosen on the API Configuration page (replies fall back to server keys)
+  aiProvider: {
+    type: String,
+    default: null
+  },
+  aiModel: {
+    type: String,
+    default: null
+  },
+  aiApiKey: {
+    type: String, // Provider API key (encrypted)
+    default: null
+  },
+  // Instagram account (InstagramAccount.accountId) automation, publishing and
+  // analytics work on; the accounts themselves live in instagram-account.model.js
+  activeInstagramAccountId: {
+    type: String,
+    default: null,
+    index: true
   },
   youtubeCredentials: {
     accessToken: String, // Access token (encrypted, expires in 3600s)
@@ -72,6 +66,40 @@ const userSchema = new mongoose.Schema({
     clientId: String, // OAuth client ID (encrypted)
     clientSecret: String, // OAuth client secret (encrypted)
     tokenExpiresAt: Date, // Access token expiration date
+    // Channels the token can publish to (refreshed on connect and on request)
+    channels: [{
+      _id: false,
+      channelId: String,
+      title: String,
+      description: String,
+      customUrl: String,
+      thumbnailUrl: String,
+      subscriberCount: Number,
+      videoCount: Number
+    }],
+    selectedChannelId: String, // Default channel for dual publish jobs
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    lastUpdated: Date
+  },
+  facebookCredentials: {
+    accessToken: String, // Long-lived user access token (encrypted, ~60 days)
+    facebookUserId: String, // Facebook user ID
+    name: String, // Facebook profile name
+    tokenExpiresAt: Date, // User token expiration date
+    // Pages the user granted access to (refreshed on connect and on request)
+    pages: [{
+      _id: false,
+      pageId: String,
+      name: String,
+      category: String,
+      pictureUrl: String,
+      accessToken: String, // Page access token (encrypted, doesn't expire)
+      tasks: [String] // What the user may do on the Page (CREATE_CONTENT, ...)
+    }],
+    selectedPageId: String, // Default Page for dual publish jobs
     isActive: {
       type: Boolean,
       default: true
@@ -81,9 +109,53 @@ const userSchema = new mongoose.Schema({
   automationSettings: {
     replyTone: {
       type: String,
-      enum: ['friendly', 'formal', 'professional'],
-      default: 'friendly'
+      default: 'friendly',
+      validate: {
+        // Built-in tone or the slug of one of the user's custom personas
+        validator: function(value) {
+          return ['friendly', 'formal', 'professional'].includes(value) ||
+            (this.automationSettings?.customPersonas || []).some(persona => persona.slug === value);
+        },
+        message: 'Reply tone must be friendly, formal, professional or a custom persona'
+      }
     },
+    customPersonas: [{
+      slug: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+      },
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      description: String, // "You are ..." sentence used in the prompt
+      styleRules: {
+        type: [String],
+        default: []
+      },
+      emojiPolicy: {
+        type: String,
+        enum: ['none', 'sparing', 'moderate', 'expressive'],
+        default: 'sparing'
+      },
+      maxLength: {
+        type: Number,
+        default: 220,
+        min: 40,
+        max: 1000
+      },
+      endWithQuestion: {
+        type: Boolean,
+        default: false
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     pollIntervalSeconds: {
       type: Number,
       default: 30,
@@ -96,6 +168,62 @@ const userSchema = new mongoose.Schema({
       min: 1,
       max: 50
     },
+    triggerMode: {
+      type: String,
+      enum: ['webhook', 'polling'],
+      default: 'webhook'
+    },
+    // Hold generated replies for human review instead of posting them
+    approvalMode: {
+      type: Boolean,
+      default: false
+    },
+    // Spam/toxicity/scam screening ahead of replies (see comment-moderation.service.js)
+    moderation: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Second look from the AI model at comments the keyword heuristics let through
+      useLlm: {
+        type: Boolean,
+        default: false
+      },
+      actions: {
+        spam: {
+          type: String,
+          enum: ['hide', 'delete', 'flag'],
+          default: 'hide'
+        },
+        toxic: {
+          type: String,
+          enum: ['hide', 'delete', 'flag'],
+          default: 'hide'
+        },
+        scam: {
+          type: String,
+          enum: ['hide', 'delete', 'flag'],
+          default: 'delete'
+        }
+      }
+    },
+    // AI thank-you replies to @mentions and story mentions
+    mentionReplies: {
+      type: Boolean,
+      default: false
+    },
+    // AI replies to Instagram direct messages
+    dmAutomation: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      mode: {
+        type: String,
+        enum: ['auto', 'approval'],
+        default: 'approval'
+      }
+    },
     monitorAll: {
       type: Boolean,
       default: false
@@ -163,7 +291,7 @@ userSchema.methods.getPublicProfile = function() {
     role: this.role,
     isActive: this.isActive,
     hasGeminiApiKey: !!this.geminiApiKey,
-    hasInstagramCredentials: !!(this.instagramCredentials?.accessToken),
+    hasInstagramCredentials: !!this.activeInstagramAccountId,
     automationSettings: this.automationSettings,
     lastLogin: this.lastLogin,
     createdAt: this.createdAt
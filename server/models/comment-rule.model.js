@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+
+// Longest regex a rule may use
+const MAX_REGEX_LENGTH = 200;
+
+/**
+ * Check that a rule's regex compiles and cannot backtrack catastrophically.
+ * Rule regexes run against every incoming comment on the shared event loop, so
+ * repetition nested inside repetition - (a+)+, (\w*\s?)* - is rejected, like safe-regex does.
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} Why the pattern is refused, or null if it is fine
+ */
+function regexProblem(pattern) {
+  if (!pattern) {
+    return null;
+  }
+
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    return `Regular expression must be at most ${MAX_REGEX_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return 'Invalid regular expression';
+  }
+
+  // Walk the pattern tracking, per open group, whether it repeats anything inside
+  const groups = [{ repeats: false }];
+  let lastGroup = null;
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+      lastGroup = null;
+      continue;
+    }
+    if (inClass) {
+      inClass = char !== ']';
+      continue;
+    }
+
+    const quantifier = char === '*' || char === '+' || char === '?' ||
+      (char === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)));
+
+    if (quantifier) {
+      // A lazy marker after another quantifier is not a repetition of its own
+      if (char === '?' && /[*+?}]/.test(pattern[i - 1])) {
+        continue;
+      }
+      if (lastGroup?.repeats && char !== '?') {
+        return 'Regular expression is too complex: repetition inside a repeated group can stall comment processing';
+      }
+      groups[groups.length - 1].repeats = true;
+      lastGroup = null;
+      if (char === '{') {
+        i = pattern.indexOf('}', i);
+      }
+      continue;
+    }
+
+    if (char === '[') {
+      inClass = true;
+      lastGroup = null;
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+      lastGroup = null;
+      // Skip the (?: (?= (?! (?<= (?<! and (?<name> prefixes
+      if (pattern[i + 1] === '?') {
+        i = pattern[i + 2] === '<' && !'=!'.includes(pattern[i + 3])
+          ? pattern.indexOf('>', i)
+          : i + (pattern[i + 2] === '<' ? 3 : 2);
+      }
+    } else if (char === ')' && groups.length > 1) {
+      lastGroup = groups.pop();
+      if (lastGroup.repeats) {
+        groups[groups.length - 1].repeats = true;
+      }
+    } else {
+      lastGroup = null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Comment Rule Model
+ * Per-user rules evaluated against each detected comment before a reply is generated.
+ * Rules are checked in ascending priority order; the first enabled rule whose
+ * conditions all match decides what happens to the comment.
+ */
+const commentRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Instagram account (InstagramAccount.accountId) the rule applies to
+  accountId: {
+    type: String,
+    default: null
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Lower numbers are evaluated first
+  priority: {
+    type: Number,
+    default: 100
+  },
+
+  // Conditions (every condition that is set must match)
+  conditions: {
+    // Comment contains any of these words/phrases (case-insensitive)
+    keywords: [{
+      type: String,
+      trim: true
+    }],
+    // Case-insensitive regular expression tested against the comment text (see regexProblem)
+    regex: {
+      type: String,
+      default: null
+    },
+    postIds: [{
+      type: String
+    }],
+    // Only comments from these usernames match
+    usernameAllow: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    // Comments from these usernames never match
+    usernameDeny: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    emojiOnly: {
+      type: Boolean,
+      default: false
+    },
+    minLength: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
+  action: {
+    type: {
+      type: String,
+      enum: ['skip', 'template', 'ai_reply', 'hide', 'private_reply'],
+      required: true
+    },
+    // Reply text for template and private_reply; supports {username} and {comment}
+    template: {
+      type: String,
+      default: null,
+      maxlength: 1000
+    },
+    // Persona slug used by ai_reply (and private_reply without a template)
+    persona: {
+      type: String,
+      default: null
+    }
+  },
+
+  // Usage stats
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastMatchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+commentRuleSchema.index({ userId: 1, accountId: 1, priority: 1 });
+
+// Template replies need text (private replies without a template fall back to an AI reply);
+// regexes must be safe to run on every comment
+commentRuleSchema.pre('validate', function(next) {
+  if (this.action?.type === 'template' && !this.action.template) {
+    this.invalidate('action.template', 'A template is required for template replies');
+  }
+  const problem = regexProblem(this.conditions?.regex);
+  if (problem) {
+    this.invalidate('conditions.regex', problem);
+  }
+  next();
+});
+
+/**
+ * Get a user's rules (for one account when accountId is given) in evaluation order
+ */
+commentRuleSchema.statics.getUserRules = async function(userId, { accountId = undefined, enabledOnly = false } = {}) {
+  const query = { userId };
+  if (accountId !== undefined) {
+    query.accountId = accountId;
+  }
+  if (enabledOnly) {
+    query.enabled = true;
+  }
+
+  return await this.find(query)
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+};
+
+commentRuleSchema.statics.regexProblem = regexProblem;
+
+module.exports = mongoose.model('CommentRule', commentRuleSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+// Meta only allows business replies within 24 hours of the person's last message
+const MESSAGING_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Messages kept per thread; older ones are dropped on write
+const MAX_MESSAGES = 200;
+
+const dmMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+    required: true
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  // Who wrote an outbound message: the AI responder or a person (dashboard or Instagram app)
+  source: {
+    type: String,
+    enum: ['contact', 'ai', 'manual'],
+    default: 'contact'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * DM Conversation Model
+ * One thread per account and Instagram contact (IGSID), with recent message history and
+ * the AI reply waiting for review when DM automation runs in approval mode.
+ */
+const dmConversationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Instagram account (InstagramAccount.accountId) the thread is with
+  accountId: {
+    type: String,
+    default: null
+  },
+
+  // Instagram-scoped ID of the other person
+  participantId: {
+    type: String,
+    required: true
+  },
+
+  participantUsername: {
+    type: String,
+    default: null
+  },
+
+  messages: {
+    type: [dmMessageSchema],
+    default: []
+  },
+
+  lastInboundAt: {
+    type: Date,
+    default: null
+  },
+
+  lastMessageAt: {
+    type: Date,
+    default: null
+  },
+
+  unreadCount: {
+    type: Number,
+    default: 0
+  },
+
+  // AI reply held for approval
+  pendingReply: {
+    text: String,
+    options: [String],
+    generatedAt: Date
+  },
+
+  // Per-thread opt-out, e.g. once a human takes over the conversation
+  autoReplyEnabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+dmConversationSchema.index({ userId: 1, accountId: 1, participantId: 1 }, { unique: true });
+dmConversationSchema.index({ userId: 1, accountId: 1, lastMessageAt: -1 });
+
+/**
+ * Whether the 24-hour messaging window is still open
+ */
+dmConversationSchema.methods.isWindowOpen = function(now = Date.now()) {
+  return Boolean(this.lastInboundAt) && now - new Date(this.lastInboundAt).getTime() < MESSAGING_WINDOW_MS;
+};
+
+/**
+ * When the 24-hour messaging window closes, or null if it never opened
+ */
+dmConversationSchema.methods.windowClosesAt = function() {
+  return this.lastInboundAt ? new Date(new Date(this.lastInboundAt).getTime() + MESSAGING_WINDOW_MS) : null;
+};
+
+/**
+ * Append a message to a thread, creating the thread on first contact.
+ * Imported history passes countUnread: false. Returns null when a message with the same ID is already stored (webhook retries, echoes of our own sends).
+ */
+dmConversationSchema.statics.appendMessage = async function(userId, accountId, participantId, message, { participantUsername, countUnread = true } = {}) {
+  if (message.messageId) {
+    const duplicate = await this.exists({ userId, accountId, participantId, 'messages.messageId': message.messageId });
+    if (duplicate) {
+      return null;
+    }
+  }
+
+  const createdAt = message.createdAt || new Date();
+  const update = {
+    $push: { messages: { $each: [{ ...message, createdAt }], $slice: -MAX_MESSAGES } },
+    $max: { lastMessageAt: createdAt }
+  };
+
+  if (message.direction === 'inbound') {
+    update.$max.lastInboundAt = createdAt;
+    if (countUnread) {
+      update.$inc = { unreadCount: 1 };
+    }
+  }
+  if (participantUsername) {
+    update.$set = { participantUsername };
+  }
+
+  return await this.findOneAndUpdate(
+    { userId, accountId, participantId },
+    update,
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * List a user's threads (on one account when accountId is given), most recent
+ * first, without message bodies
+ */
+dmConversationSchema.statics.getUserConversations = async function(userId, { accountId = undefined, limit = 50, skip = 0 } = {}) {
+  const query = { userId };
+  if (accountId !== undefined) {
+    query.accountId = accountId;
+  }
+
+  return await this.find(query)
+    .select({ messages: { $slice: -1 } })
+    .sort({ lastMessageAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+dmConversationSchema.statics.MESSAGING_WINDOW_MS = MESSAGING_WINDOW_MS;
+
+module.exports = mongoose.model('DmConversation', dmConversationSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * DM Funnel Model
+ * Keyword-triggered comment-to-DM flows ("comment LINK and I'll DM it to you").
+ * A matching comment on one of the funnel's posts gets an optional public
+ * acknowledgement and a templated private reply, once per commenter.
+ */
+const dmFunnelSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Instagram account (InstagramAccount.accountId) the funnel runs on
+  accountId: {
+    type: String,
+    default: null
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Posts the funnel runs on; empty means every monitored post
+  postIds: [{
+    type: String
+  }],
+
+  // Whole-word, case-insensitive trigger keywords
+  keywords: {
+    type: [{
+      type: String,
+      trim: true
+    }],
+    validate: {
+      validator: (keywords) => keywords.filter(Boolean).length > 0,
+      message: 'At least one keyword is required'
+    }
+  },
+
+  // Optional public reply under the comment; supports {username}
+  publicReply: {
+    type: String,
+    default: null,
+    maxlength: 2200
+  },
+
+  // Private message; supports {username} and {link}
+  dmMessage: {
+    type: String,
+    required: true,
+    maxlength: 900
+  },
+
+  link: {
+    type: String,
+    default: null,
+    trim: true
+  },
+
+  stats: {
+    triggered: {
+      type: Number,
+      default: 0
+    },
+    dmSent: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  lastTriggeredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+dmFunnelSchema.index({ userId: 1, accountId: 1 });
+
+/**
+ * Get a user's funnels (on one account when accountId is given), newest first
+ */
+dmFunnelSchema.statics.getUserFunnels = async function(userId, { accountId = undefined, enabledOnly = false } = {}) {
+  const query = { userId };
+  if (accountId !== undefined) {
+    query.accountId = accountId;
+  }
+  if (enabledOnly) {
+    query.enabled = true;
+  }
+
+  return await this.find(query)
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+module.exports = mongoose.model('DmFunnel', dmFunnelSchema);
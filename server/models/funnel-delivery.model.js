@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Funnel Delivery Model
+ * One document per funnel and commenter; the unique index guarantees that a
+ * commenter is messaged at most once per funnel.
+ */
+const funnelDeliverySchema = new mongoose.Schema({
+  funnelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DmFunnel',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Instagram account (InstagramAccount.accountId) the DM was sent from
+  accountId: {
+    type: String,
+    default: null
+  },
+  // Lowercased username (or IGSID when no username is known)
+  recipient: {
+    type: String,
+    required: true
+  },
+  commentId: {
+    type: String,
+    required: true
+  },
+  postId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  publicReplyId: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+funnelDeliverySchema.index({ funnelId: 1, recipient: 1 }, { unique: true });
+funnelDeliverySchema.index({ funnelId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FunnelDelivery', funnelDeliverySchema);
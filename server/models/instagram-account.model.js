@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+const Post = require('./post.model');
+const PublishJob = require('./publish-job.model');
+const ProcessedComment = require('./ProcessedComment');
+const ActivityLog = require('./ActivityLog');
+const DmConversation = require('./dm-conversation.model');
+const Mention = require('./mention.model');
+const CommentRule = require('./comment-rule.model');
+const DmFunnel = require('./dm-funnel.model');
+const FunnelDelivery = require('./funnel-delivery.model');
+
+// Per-account records created before accounts had their own collection
+const ACCOUNT_SCOPED_MODELS = [
+  Post, PublishJob, ProcessedComment, ActivityLog,
+  DmConversation, Mention, CommentRule, DmFunnel, FunnelDelivery
+];
+
+/**
+ * Instagram Account Model
+ * Instagram accounts a user has connected through OAuth. A user can manage
+ * several (agency mode); the one in User.activeInstagramAccountId is the one
+ * automation, publishing and analytics work on.
+ */
+const instagramAccountSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  accountId: { // Instagram User ID
+    type: String,
+    required: true,
+    index: true
+  },
+  accountName: String, // Instagram username
+  accountType: String, // BUSINESS or CREATOR
+  accessToken: String, // Long-lived access token (encrypted)
+  tokenType: String, // bearer
+  appId: String,
+  clientId: String, // OAuth client ID (encrypted)
+  clientSecret: String, // OAuth client secret (encrypted)
+  tokenExpiresAt: Date, // Token expiration date (~60 days)
+  tokenIssuedAt: Date, // When token was issued
+  dataAccessExpiresAt: Date, // When Meta's data access window closes
+  tokenScopes: String, // Granted scopes (comma-separated)
+  tokenValidated: Boolean, // Whether token was validated
+  tokenValidatedAt: Date, // Last validation timestamp
+  tokenErrorCount: { // Track token errors
+    type: Number,
+    default: 0
+  },
+  lastTokenError: String, // Last error message
+  lastTokenErrorAt: Date, // Last error timestamp
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastUpdated: Date
+}, {
+  timestamps: true
+});
+
+instagramAccountSchema.index({ userId: 1, accountId: 1 }, { unique: true });
+
+/**
+ * Accounts connected by a user, oldest first
+ */
+instagramAccountSchema.statics.getUserAccounts = async function(userId) {
+  return await this.find({ userId }).sort({ createdAt: 1 });
+};
+
+/**
+ * The user's active account: the selected one, or the most recently connected
+ * one when nothing (or a since disconnected account) is selected
+ * @param {Object|string} user - User document, or a user ID
+ */
+instagramAccountSchema.statics.getActiveAccount = async function(user) {
+  if (!user) {
+    return null;
+  }
+  if (typeof user === 'string' || user instanceof mongoose.Types.ObjectId) {
+    user = await User.findById(user).select('activeInstagramAccountId').lean();
+    if (!user) {
+      return null;
+    }
+  }
+
+  if (user.activeInstagramAccountId) {
+    const selected = await this.findOne({ userId: user._id, accountId: user.activeInstagramAccountId });
+    if (selected) {
+      return selected;
+    }
+  }
+
+  return await this.findOne({ userId: user._id }).sort({ createdAt: -1 });
+};
+
+/**
+ * Instagram account ID of the user's active account, or null
+ * @param {Object|string} user - User document, or a user ID
+ */
+instagramAccountSchema.statics.getActiveAccountId = async function(user) {
+  const account = await this.getActiveAccount(user);
+  return account ? account.accountId : null;
+};
+
+/**
+ * The account a post or job was created for, or the user's active account when
+ * it has none
+ * @param {Object|string} user - User document, or a user ID
+ * @param {string|null} accountId - Instagram account ID
+ */
+instagramAccountSchema.statics.resolveAccount = async function(user, accountId = null) {
+  if (!accountId) {
+    return await this.getActiveAccount(user);
+  }
+  return await this.findOne({ userId: user?._id || user, accountId });
+};
+
+/**
+ * Remove one of the user's accounts. When it was the active one, the most
+ * recently connected remaining account becomes active.
+ * @param {Object} user - User document
+ * @param {string} accountId - Instagram account ID
+ * @returns {Promise<{removed: boolean, wasActive: boolean}>}
+ */
+instagramAccountSchema.statics.disconnectAccount = async function(user, accountId) {
+  const active = await this.getActiveAccount(user);
+  const { deletedCount } = await this.deleteOne({ userId: user._id, accountId: String(accountId) });
+
+  const removed = deletedCount > 0;
+  const wasActive = removed && active?.accountId === String(accountId);
+  if (wasActive) {
+    user.activeInstagramAccountId = await this.getActiveAccountId(user);
+    await user.save();
+  }
+
+  return { removed, wasActive };
+};
+
+/**
+ * Move credentials still embedded in users (User.instagramCredentials, from
+ * before accounts had their own collection) into accounts, make them active
+ * and tag the user's existing records (posts, jobs, comments, logs, DM threads,
+ * mentions, rules and funnels) with the account. The embedded copy is removed
+ * only once its account is stored; incomplete credentials are left alone.
+ */
+instagramAccountSchema.statics.migrateLegacyCredentials = async function() {
+  const users = User.collection;
+  const legacy = await users
+    .find({ instagramCredentials: { $exists: true } }, { projection: { instagramCredentials: 1 } })
+    .toArray();
+
+  let migrated = 0;
+  for (const { _id: userId, instagramCredentials: credentials } of legacy) {
+    // Incomplete credentials can't become an account; they stay where they are
+    if (!credentials?.accessToken || !credentials.accountId) {
+      continue;
+    }
+
+    const accountId = String(credentials.accountId);
+    const result = await this.updateOne(
+      { userId, accountId },
+      { $setOnInsert: { ...credentials, userId, accountId } },
+      { upsert: true }
+    );
+
+    // Only drop the embedded copy once the account is known to be stored
+    if (!result.acknowledged || result.matchedCount + result.upsertedCount === 0) {
+      console.error(`[InstagramAccount] Could not migrate Instagram credentials of user ${userId}; keeping them`);
+      continue;
+    }
+
+    const backfill = { userId, accountId: null };
+    await Promise.all(ACCOUNT_SCOPED_MODELS.map(model =>
+      model.updateMany(backfill, { $set: { accountId } })
+    ));
+
+    await users.updateOne(
+      { _id: userId, activeInstagramAccountId: { $in: [null, ''] } },
+      { $set: { activeInstagramAccountId: accountId } }
+    );
+    await users.updateOne(
+      { _id: userId, 'instagramCredentials.accountId': credentials.accountId },
+      { $unset: { instagramCredentials: '' } }
+    );
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    console.log(`[InstagramAccount] Migrated ${migrated} embedded Instagram credential(s) to connected accounts`);
+  }
+  return migrated;
+};
+
+module.exports = mongoose.model('InstagramAccount', instagramAccountSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+/**
+ * Where an uploaded media file lives (see media-storage.service.js).
+ * Stored next to the file's URL so the file can be deleted later and
+ * signed URLs can be re-issued.
+ */
+const mediaRefSchema = new mongoose.Schema({
+  driver: {
+    type: String,
+    enum: ['local', 's3', 'cloudinary', 'imgbb']
+  },
+  key: String
+}, { _id: false });
+
+module.exports = mediaRefSchema;
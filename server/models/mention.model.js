@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mention Model
+ * Times the account was @mentioned: in a comment on someone else's media,
+ * in a media caption, or in a story (delivered as a DM). Mentions are always
+ * recorded; replies follow the comment rules, persona and approval mode.
+ */
+const mentionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Instagram account (InstagramAccount.accountId) that was mentioned
+  accountId: {
+    type: String,
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: ['comment', 'caption', 'story'],
+    required: true
+  },
+
+  // Comment ID, media ID or story message ID, depending on the type
+  sourceId: {
+    type: String,
+    required: true
+  },
+
+  mediaId: {
+    type: String,
+    default: null
+  },
+  commentId: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+
+  username: {
+    type: String,
+    default: null
+  },
+  // IGSID of the story author; story mentions are answered by DM
+  fromId: {
+    type: String,
+    default: null
+  },
+
+  // Mentioning comment or caption
+  text: {
+    type: String,
+    default: ''
+  },
+  permalink: {
+    type: String,
+    default: null
+  },
+  // Story media (the CDN link expires)
+  mediaUrl: {
+    type: String,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['received', 'queued', 'pending_approval', 'replied', 'skipped', 'failed'],
+    default: 'received',
+    index: true
+  },
+
+  replyText: {
+    type: String,
+    default: null
+  },
+  replyOptions: {
+    type: [String],
+    default: []
+  },
+
+  ruleId: {
+    type: String,
+    default: null
+  },
+  ruleName: {
+    type: String,
+    default: null
+  },
+  ruleAction: {
+    type: String,
+    default: null
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+  repliedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+mentionSchema.index({ userId: 1, accountId: 1, sourceId: 1 }, { unique: true });
+mentionSchema.index({ userId: 1, accountId: 1, createdAt: -1 });
+
+/**
+ * Get a user's mentions (of one account when accountId is given), newest first
+ */
+mentionSchema.statics.getUserMentions = async function(userId, { accountId = undefined, type, status, limit = 50, skip = 0 } = {}) {
+  const query = { userId };
+  if (accountId !== undefined) {
+    query.accountId = accountId;
+  }
+  if (type) {
+    query.type = type;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  return await this.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+};
+
+module.exports = mongoose.model('Mention', mentionSchema);
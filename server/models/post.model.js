@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const mediaRefSchema = require('./media-ref.schema');
 
 const postSchema = new mongoose.Schema({
   userId: {
@@ -7,6 +8,11 @@ const postSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Instagram account (InstagramAccount.accountId) the post belongs to
+  accountId: {
+    type: String,
+    default: null
+  },
   platform: {
     type: String,
     enum: ['instagram', 'facebook', 'twitter'],
@@ -22,14 +28,68 @@ const postSchema = new mongoose.Schema({
   imageUrl: {
     type: String
   },
+  // Where imageUrl is hosted (slides and story record theirs the same way)
+  imageStorage: mediaRefSchema,
+  // Single image, or a carousel of 2-10 slides (imageUrl/imagePrompt mirror the first slide)
+  mediaType: {
+    type: String,
+    enum: ['image', 'carousel'],
+    default: 'image'
+  },
+  slides: [{
+    type: { type: String, enum: ['image', 'video'], default: 'image' },
+    url: String,
+    storage: mediaRefSchema,
+    title: String,
+    text: String,
+    imagePrompt: String
+  }],
   instagramMediaId: {
     type: String
   },
+  // Also share the image (or first slide) as a Story once the post is published
+  alsoStory: {
+    type: Boolean,
+    default: false
+  },
+  story: {
+    status: { type: String, enum: ['published', 'failed'] },
+    mediaId: String,
+    error: String,
+    publishedAt: Date,
+    // Hosted copy of the converted story media
+    storage: mediaRefSchema,
+    // Latest numbers from the story_insights webhook
+    insights: mongoose.Schema.Types.Mixed,
+    insightsUpdatedAt: Date
+  },
   status: {
     type: String,
-    enum: ['draft', 'publishing', 'published', 'failed'],
+    enum: ['draft', 'scheduled', 'publishing', 'published', 'failed'],
     default: 'draft'
   },
+  // Scheduled publishing (see publish-scheduler.service.js)
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  deferredUntil: {
+    type: Date,
+    default: null
+  },
+  // Why the item is waiting until deferredUntil (not a failure, so not in error)
+  deferredReason: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  publishAttempts: {
+    type: Number,
+    default: 0
+  },
   publishedAt: {
     type: Date
   },
@@ -45,6 +105,19 @@ const postSchema = new mongoose.Schema({
 
 // Index for efficient queries
 postSchema.index({ userId: 1, createdAt: -1 });
+postSchema.index({ userId: 1, accountId: 1, createdAt: -1 });
 postSchema.index({ userId: 1, status: 1 });
+postSchema.index({ status: 1, scheduledFor: 1 });
+postSchema.index({ 'story.mediaId': 1 }, { sparse: true });
+
+/**
+ * Whether the image, or every carousel slide, has been uploaded and can be published
+ */
+postSchema.methods.hasAllMedia = function () {
+  if (this.mediaType === 'carousel') {
+    return this.slides.length > 0 && this.slides.every(slide => slide.url);
+  }
+  return !!this.imageUrl;
+};
 
 module.exports = mongoose.model('Post', postSchema);
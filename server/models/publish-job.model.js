@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const mediaRefSchema = require('./media-ref.schema');
 
 /**
  * PublishJob Schema
@@ -11,6 +12,11 @@ const publishJobSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Instagram account (InstagramAccount.accountId) the job publishes to
+  accountId: {
+    type: String,
+    default: null
+  },
   jobId: {
     type: String,
     required: true,
@@ -19,9 +25,111 @@ const publishJobSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'partial'],
+    enum: ['scheduled', 'pending', 'processing', 'awaiting_review', 'completed', 'failed', 'partial', 'cancelled'],
     default: 'pending'
   },
+  // Scheduled publishing (see publish-scheduler.service.js)
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  deferredUntil: {
+    type: Date,
+    default: null
+  },
+  // Why the item is waiting until deferredUntil (not a failure, so not in error)
+  deferredReason: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  publishAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Background queue (see publish-queue.service.js): higher priority runs first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Worker holding the job and when its lease runs out unless renewed by a heartbeat
+  workerId: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Also push the video to Instagram Stories
+  alsoStory: {
+    type: Boolean,
+    default: false
+  },
+  // Pause in 'awaiting_review' after content generation until the user approves it
+  reviewBeforePublish: {
+    type: Boolean,
+    default: false
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // YouTube upload as a Short, a standard 16:9 video, or whichever fits the source
+  youtubeFormat: {
+    type: String,
+    enum: ['shorts', 'standard', 'auto'],
+    default: 'shorts'
+  },
+  // Channel the video goes to: the job's override or the user's selected channel
+  youtubeChannelId: {
+    type: String,
+    default: null
+  },
+  // Facebook Page the video also goes to (none: the job doesn't publish to Facebook)
+  facebookPageId: {
+    type: String,
+    default: null
+  },
+  // Facebook upload as a Reel or as a regular Page video
+  facebookFormat: {
+    type: String,
+    enum: ['reel', 'video'],
+    default: 'reel'
+  },
+  // YouTube upload settings: publishAt keeps the video private until then
+  youtubeSettings: {
+    publishAt: Date,
+    playlistId: String,
+    madeForKids: { type: Boolean, default: false },
+    language: String,
+    license: { type: String, enum: ['youtube', 'creativeCommon'], default: 'youtube' }
+  },
+  // Extra YouTube thumbnail candidates besides the video frames
+  thumbnailOptions: {
+    aiImage: { type: Boolean, default: false },
+    textOverlay: { type: Boolean, default: false }
+  },
+  // YouTube thumbnail candidates (files in processed/) and the one to upload
+  thumbnails: {
+    candidates: [{
+      _id: false,
+      id: String,
+      source: { type: String, enum: ['frame', 'ai'] },
+      file: String,
+      score: Number,
+      time: Number,
+      text: String
+    }],
+    selected: String
+  },
   videoFilename: {
     type: String,
     required: true
@@ -42,6 +150,30 @@ const publishJobSchema = new mongoose.Schema({
     keywords: [String],
     hashtags: [String]
   },
+  // Per-platform content from the generation graph (edited during review),
+  // reused when a failed platform is retried
+  platformPayloads: mongoose.Schema.Types.Mixed,
+  // Generation graph state, so single fields can be regenerated during review
+  contentState: mongoose.Schema.Types.Mixed,
+  // Processed files (in processed/) kept until retainedUntil: those of failed
+  // platforms for a retry, or all of them while the job awaits review
+  assets: {
+    instagram: String,
+    youtube: String,
+    facebook: String, // Same file as instagram or youtube, per facebookFormat
+    story: String,
+    thumbnail: String
+  },
+  retainedUntil: {
+    type: Date,
+    default: null
+  },
+  // Copies uploaded to media storage for Instagram to fetch; deleted once the job ends
+  hostedMedia: [new mongoose.Schema({
+    role: { type: String, enum: ['reel', 'cover', 'story'] },
+    url: String,
+    ...mediaRefSchema.obj
+  }, { _id: false })],
   platforms: {
     instagram: {
       status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
@@ -57,7 +189,46 @@ const publishJobSchema = new mongoose.Schema({
       url: String,
       error: String,
       publishedAt: Date,
+      apiResponse: mongoose.Schema.Types.Mixed,
+      // Format the video was converted to (youtubeFormat with 'auto' resolved)
+      format: { type: String, enum: ['shorts', 'standard'] },
+      // Whether the selected thumbnail was set on the video, or why not
+      thumbnailSet: Boolean,
+      thumbnailError: String,
+      // When YouTube makes the video public, if it was scheduled
+      publishAt: Date,
+      // Playlist entry added after the upload, or why it couldn't be
+      playlistItemId: String,
+      playlistError: String,
+      // Metadata edited or the video removed after publishing
+      updatedAt: Date,
+      deletedAt: Date,
+      // Resumable upload in progress: session URI, the processed file being sent
+      // (in processed/) and the last byte offset YouTube acknowledged
+      uploadSession: {
+        uri: String,
+        file: String,
+        fileSize: Number,
+        offset: Number,
+        updatedAt: Date
+      }
+    },
+    facebook: {
+      status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
+      videoId: String,
+      permalink: String,
+      error: String,
+      publishedAt: Date,
       apiResponse: mongoose.Schema.Types.Mixed
+    },
+    story: {
+      status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
+      mediaId: String,
+      error: String,
+      publishedAt: Date,
+      // Latest numbers from the story_insights webhook
+      insights: mongoose.Schema.Types.Mixed,
+      insightsUpdatedAt: Date
     }
   },
   progress: {
@@ -79,7 +250,13 @@ const publishJobSchema = new mongoose.Schema({
 
 // Indexes for efficient queries
 publishJobSchema.index({ userId: 1, createdAt: -1 });
+publishJobSchema.index({ userId: 1, accountId: 1, createdAt: -1 });
 publishJobSchema.index({ jobId: 1 });
 publishJobSchema.index({ status: 1 });
+publishJobSchema.index({ status: 1, scheduledFor: 1 });
+publishJobSchema.index({ status: 1, priority: -1, createdAt: 1 });
+publishJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+publishJobSchema.index({ 'platforms.story.mediaId': 1 }, { sparse: true });
+publishJobSchema.index({ retainedUntil: 1 }, { sparse: true });
 
 module.exports = mongoose.model('PublishJob', publishJobSchema);
@@ -1,8 +1,10 @@
 const User = require('./User');
+const InstagramAccount = require('./instagram-account.model');
 
 /**
  * UserCredentialsModel - Handles encrypted credential storage and retrieval
- * This is a wrapper around the User model for credential management
+ * This is a wrapper around the User model for credential management; Instagram
+ * credentials are those of the user's active InstagramAccount
  */
 class UserCredentialsModel {
   constructor(storageService, encryptionService) {
@@ -22,21 +24,20 @@ class UserCredentialsModel {
       }
 
       if (platform === 'instagram') {
-        if (!user.instagramCredentials || !user.instagramCredentials.accessToken) {
+        const account = await InstagramAccount.getActiveAccount(user);
+        if (!account || !account.accessToken) {
           return null;
         }
 
         // Decrypt the access token
-        const decryptedToken = this.encryptionService.decrypt(
-          user.instagramCredentials.accessToken
-        );
+        const decryptedToken = this.encryptionService.decrypt(account.accessToken);
 
         return {
           accessToken: decryptedToken,
-          accountId: user.instagramCredentials.accountId,
-          accountName: user.instagramCredentials.accountName,
-          appId: user.instagramCredentials.appId,
-          isActive: user.instagramCredentials.isActive !== false
+          accountId: account.accountId,
+          accountName: account.accountName,
+          appId: account.appId,
+          isActive: account.isActive !== false
         };
       }
 
@@ -61,16 +62,21 @@ class UserCredentialsModel {
       if (platform === 'instagram') {
         // Encrypt the access token
         const encryptedToken = this.encryptionService.encrypt(credentials.accessToken);
+        const accountId = String(credentials.accountId);
+
+        await InstagramAccount.findOneAndUpdate(
+          { userId: user._id, accountId },
+          {
+            accessToken: encryptedToken,
+            accountName: credentials.accountName || '',
+            appId: credentials.appId || '',
+            isActive: credentials.isActive !== false,
+            lastUpdated: new Date()
+          },
+          { upsert: true }
+        );
 
-        user.instagramCredentials = {
-          accessToken: encryptedToken,
-          accountId: credentials.accountId,
-          accountName: credentials.accountName || '',
-          appId: credentials.appId || '',
-          isActive: credentials.isActive !== false,
-          lastUpdated: new Date()
-        };
-
+        user.activeInstagramAccountId = accountId;
         await user.save();
         return true;
       }
@@ -94,8 +100,10 @@ class UserCredentialsModel {
       }
 
       if (platform === 'instagram') {
-        user.instagramCredentials = undefined;
-        await user.save();
+        const account = await InstagramAccount.getActiveAccount(user);
+        if (account) {
+          await InstagramAccount.disconnectAccount(user, account.accountId);
+        }
         return true;
       }
 
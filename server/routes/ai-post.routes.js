@@ -22,6 +22,22 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/ai-post/carousel
+ * Create a carousel post from 2-10 uploaded images/videos (multipart field: media)
+ */
+router.post('/carousel', (req, res) => {
+  aiPostController.upload.array('media', 10)(req, res, (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        error: uploadError.message
+      });
+    }
+    aiPostController.createCarouselPost(req, res);
+  });
+});
+
 /**
  * GET /api/ai-post/status
  * Check if post generation is in progress
@@ -70,6 +86,54 @@ router.delete('/posts/:postId', (req, res) => {
   aiPostController.deletePost(req, res);
 });
 
+/**
+ * PATCH /api/ai-post/posts/:postId
+ * Edit a draft's caption
+ */
+router.patch('/posts/:postId', (req, res) => {
+  aiPostController.updateDraft(req, res);
+});
+
+/**
+ * POST /api/ai-post/posts/:postId/publish
+ * Publish a draft now
+ */
+router.post('/posts/:postId/publish', (req, res) => {
+  aiPostController.publishDraft(req, res);
+});
+
+/**
+ * POST /api/ai-post/posts/:postId/regenerate-image
+ * Regenerate a draft's image from its image prompt
+ */
+router.post('/posts/:postId/regenerate-image', (req, res) => {
+  aiPostController.regenerateImage(req, res);
+});
+
+/**
+ * POST /api/ai-post/posts/:postId/regenerate-caption
+ * Regenerate a draft's caption, keeping its image
+ */
+router.post('/posts/:postId/regenerate-caption', (req, res) => {
+  aiPostController.regenerateCaption(req, res);
+});
+
+/**
+ * POST /api/ai-post/posts/:postId/schedule
+ * Schedule a draft for later
+ */
+router.post('/posts/:postId/schedule', (req, res) => {
+  aiPostController.scheduleDraft(req, res);
+});
+
+/**
+ * POST /api/ai-post/posts/:postId/clone
+ * Copy a post into a new draft
+ */
+router.post('/posts/:postId/clone', (req, res) => {
+  aiPostController.clonePost(req, res);
+});
+
 /**
  * POST /api/ai-post/api-key
  * Save and validate Gemini API key
@@ -2,11 +2,15 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { authMiddleware } = require('../middleware/auth.middleware');
+const automationManager = require('../services/automation-manager.service');
+const { EncryptionService } = require('../services/encryption.service');
+
+const encryptionService = new EncryptionService();
 
 // Get AI model configuration
 router.get('/ai-model', authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const userId = req.userId;
     const user = await User.findById(userId).select('-password');
 
     if (!user) {
@@ -28,7 +32,7 @@ router.get('/ai-model', authMiddleware, async (req, res) => {
 // Update AI model configuration
 router.post('/ai-model', authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const userId = req.userId;
     const { selectedProvider, selectedModel, apiKey } = req.body;
 
     if (!selectedProvider || !selectedModel) {
@@ -48,10 +52,13 @@ router.post('/ai-model', authMiddleware, async (req, res) => {
     // Update AI configuration
     user.aiProvider = selectedProvider;
     user.aiModel = selectedModel;
-    user.aiApiKey = apiKey;
+    user.aiApiKey = encryptionService.encrypt(apiKey);
 
     await user.save();
 
+    // Running automation picks up the new provider for its next reply
+    await automationManager.refreshAIProviders(userId);
+
     res.json({ 
       message: 'AI model configuration saved successfully',
       success: true,
@@ -69,7 +76,7 @@ router.post('/ai-model', authMiddleware, async (req, res) => {
 // Get current AI configuration for use in other parts of the app
 router.get('/ai-model/current', authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const userId = req.userId;
     const user = await User.findById(userId).select('aiProvider aiModel aiApiKey');
 
     if (!user) {
@@ -87,7 +94,7 @@ router.get('/ai-model/current', authMiddleware, async (req, res) => {
       configured: true,
       provider: user.aiProvider,
       model: user.aiModel,
-      apiKey: user.aiApiKey // Only for internal use, never expose to frontend
+      hasKey: true // The key is only decrypted server-side, never sent to the frontend
     });
   } catch (error) {
     console.error('Error fetching current AI config:', error);
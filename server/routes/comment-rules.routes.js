@@ -0,0 +1,299 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CommentRule = require('../models/comment-rule.model');
+const InstagramAccount = require('../models/instagram-account.model');
+const CommentRuleService = require('../services/comment-rule.service');
+const ReplyPersonaService = require('../services/reply-persona.service');
+
+const LIST_FIELDS = ['keywords', 'postIds', 'usernameAllow', 'usernameDeny'];
+
+/**
+ * Normalize a comma/newline separated string or array into a clean list
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Pick and normalize rule fields from a request body
+ */
+function pickRuleFields(body) {
+  const fields = {};
+
+  ['name', 'enabled', 'priority'].forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  if (body.conditions) {
+    const conditions = { ...body.conditions };
+    LIST_FIELDS.forEach(field => {
+      if (conditions[field] !== undefined) {
+        conditions[field] = toList(conditions[field]);
+      }
+    });
+    ['usernameAllow', 'usernameDeny'].forEach(field => {
+      if (conditions[field]) {
+        conditions[field] = conditions[field].map(username => username.replace(/^@/, ''));
+      }
+    });
+    if (conditions.regex === '') {
+      conditions.regex = null;
+    }
+    fields.conditions = conditions;
+  }
+
+  if (body.action) {
+    fields.action = {
+      type: body.action.type,
+      template: body.action.template || null,
+      persona: body.action.persona || null
+    };
+  }
+
+  return fields;
+}
+
+/**
+ * Check that an ai_reply/private_reply persona exists for the user
+ */
+async function validatePersona(userId, action) {
+  if (!action?.persona) {
+    return null;
+  }
+
+  if (ReplyPersonaService.getBuiltInPersona(action.persona)) {
+    return null;
+  }
+
+  const user = await User.findById(userId).select('automationSettings.customPersonas');
+  const exists = user?.automationSettings?.customPersonas?.some(persona => persona.slug === action.persona);
+  return exists ? null : `Unknown persona "${action.persona}"`;
+}
+
+/**
+ * Send a 400 for mongoose validation errors, 500 otherwise
+ */
+function sendError(res, error, fallback) {
+  const isValidation = error.name === 'ValidationError';
+  res.status(isValidation ? 400 : 500).json({
+    success: false,
+    error: isValidation ? error.message : fallback
+  });
+}
+
+/**
+ * GET /api/rules - List the active Instagram account's comment rules in evaluation order
+ */
+router.get('/', async (req, res) => {
+  try {
+    const accountId = await InstagramAccount.getActiveAccountId(req.userId);
+    const rules = await CommentRule.getUserRules(req.userId, { accountId });
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Error fetching comment rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comment rules'
+    });
+  }
+});
+
+/**
+ * POST /api/rules - Create a comment rule for the active Instagram account
+ * (appended after existing rules unless priority is given)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const fields = pickRuleFields(req.body);
+    const accountId = await InstagramAccount.getActiveAccountId(req.userId);
+
+    const personaError = await validatePersona(req.userId, fields.action);
+    if (personaError) {
+      return res.status(400).json({
+        success: false,
+        error: personaError
+      });
+    }
+
+    if (fields.priority === undefined) {
+      const last = await CommentRule.findOne({ userId: req.userId, accountId }).sort({ priority: -1 }).select('priority');
+      fields.priority = last ? last.priority + 10 : 10;
+    }
+
+    const rule = await CommentRule.create({ ...fields, userId: req.userId, accountId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Error creating comment rule:', error);
+    sendError(res, error, 'Failed to create rule');
+  }
+});
+
+/**
+ * PUT /api/rules/reorder - Set priorities from an ordered list of rule IDs
+ */
+router.put('/reorder', async (req, res) => {
+  try {
+    const { ruleIds } = req.body;
+
+    if (!Array.isArray(ruleIds) || ruleIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'ruleIds must be an array of rule IDs'
+      });
+    }
+
+    const accountId = await InstagramAccount.getActiveAccountId(req.userId);
+    await CommentRule.bulkWrite(ruleIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, userId: req.userId, accountId },
+        update: { $set: { priority: (index + 1) * 10 } }
+      }
+    })));
+
+    const rules = await CommentRule.getUserRules(req.userId, { accountId });
+
+    res.json({
+      success: true,
+      message: 'Rules reordered successfully',
+      rules
+    });
+  } catch (error) {
+    console.error('Error reordering comment rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reorder rules'
+    });
+  }
+});
+
+/**
+ * POST /api/rules/test - Test a comment against the active account's rules
+ * Body: { text, username, postId }
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const { text, username, postId } = req.body;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        error: 'Comment text is required'
+      });
+    }
+
+    const comment = { text, username: username || '', postId: postId || null };
+    const accountId = await InstagramAccount.getActiveAccountId(req.userId);
+    const rules = await CommentRule.getUserRules(req.userId, { accountId });
+    const { rule, evaluations } = CommentRuleService.evaluate(rules, comment);
+
+    res.json({
+      success: true,
+      matched: !!rule,
+      rule: rule || null,
+      action: rule ? rule.action.type : 'ai_reply',
+      preview: rule?.action.template ? CommentRuleService.renderTemplate(rule.action.template, comment) : null,
+      evaluations
+    });
+  } catch (error) {
+    console.error('Error testing comment rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test comment'
+    });
+  }
+});
+
+/**
+ * PUT /api/rules/:id - Update a comment rule
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const accountId = await InstagramAccount.getActiveAccountId(req.userId);
+    const rule = await CommentRule.findOne({ _id: req.params.id, userId: req.userId, accountId });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const fields = pickRuleFields(req.body);
+
+    const personaError = await validatePersona(req.userId, fields.action);
+    if (personaError) {
+      return res.status(400).json({
+        success: false,
+        error: personaError
+      });
+    }
+
+    rule.set(fields);
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Error updating comment rule:', error);
+    sendError(res, error, 'Failed to update rule');
+  }
+});
+
+/**
+ * DELETE /api/rules/:id - Delete a comment rule
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const accountId = await InstagramAccount.getActiveAccountId(req.userId);
+    const result = await CommentRule.deleteOne({ _id: req.params.id, userId: req.userId, accountId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting comment rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
+const UserCredentialsModel = require('../models/user-credentials.model');
 const { EncryptionService } = require('../services/encryption.service');
+const automationManager = require('../services/automation-manager.service');
 const InstagramGraphService = require('../services/instagram-graph.service');
 const YouTubePublisherService = require('../services/youtube-publisher.service');
 const { authMiddleware } = require('../middleware/auth.middleware');
 
 const encryptionService = new EncryptionService();
+const credentialsModel = new UserCredentialsModel(null, encryptionService);
+
+/**
+ * Move the user's automation to their (new) active Instagram account
+ */
+async function switchAutomation(userId) {
+  try {
+    await automationManager.switchAccount(userId);
+  } catch (error) {
+    console.error('Automation could not move to the active Instagram account:', error.message);
+  }
+}
+
+/**
+ * Public fields of a connected Instagram account
+ */
+function formatAccount(account, activeAccountId) {
+  return {
+    accountId: account.accountId,
+    accountName: account.accountName,
+    accountType: account.accountType,
+    isActive: account.isActive !== false,
+    selected: account.accountId === activeAccountId,
+    tokenExpiresAt: account.tokenExpiresAt,
+    lastTokenError: account.lastTokenError,
+    connectedAt: account.createdAt
+  };
+}
 
 /**
  * GET /api/credentials - Get user's platform credentials status
@@ -30,14 +61,18 @@ router.get('/', async (req, res) => {
       });
     }
 
+    const account = await InstagramAccount.getActiveAccount(user);
+    const totalAccounts = await InstagramAccount.countDocuments({ userId: user._id });
+
     res.json({
       success: true,
       credentials: {
         instagram: {
-          configured: !!(user.instagramCredentials?.accessToken),
-          accountId: user.instagramCredentials?.accountId || null,
-          accountName: user.instagramCredentials?.accountName || null,
-          isActive: user.instagramCredentials?.isActive !== false
+          configured: !!(account?.accessToken),
+          accountId: account?.accountId || null,
+          accountName: account?.accountName || null,
+          isActive: account?.isActive !== false,
+          totalAccounts
         },
         youtube: {
           configured: !!(user.youtubeCredentials?.accessToken),
@@ -45,6 +80,12 @@ router.get('/', async (req, res) => {
           channelName: user.youtubeCredentials?.channelName || null,
           isActive: user.youtubeCredentials?.isActive !== false
         },
+        facebook: {
+          configured: !!(user.facebookCredentials?.accessToken),
+          name: user.facebookCredentials?.name || null,
+          selectedPageId: user.facebookCredentials?.selectedPageId || null,
+          totalPages: user.facebookCredentials?.pages?.length || 0
+        },
         gemini: {
           configured: !!user.geminiApiKey
         }
@@ -60,7 +101,8 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * POST /api/credentials/instagram - Save Instagram credentials
+ * POST /api/credentials/instagram - Save Instagram credentials as a connected
+ * account and make it the active one
  */
 router.post('/instagram', async (req, res) => {
   try {
@@ -90,19 +132,12 @@ router.post('/instagram', async (req, res) => {
       });
     }
 
-    // Encrypt the access token
-    const encryptedToken = encryptionService.encrypt(accessToken);
-
-    user.instagramCredentials = {
-      accessToken: encryptedToken,
-      accountId,
-      accountName: accountName || '',
-      appId: appId || '',
-      isActive: true,
-      lastUpdated: new Date()
-    };
+    const previousAccountId = user.activeInstagramAccountId;
+    await credentialsModel.saveCredentials(userId, 'instagram', { accessToken, accountId, accountName, appId });
 
-    await user.save();
+    if (previousAccountId && previousAccountId !== String(accountId)) {
+      await switchAutomation(userId);
+    }
 
     res.json({
       success: true,
@@ -118,7 +153,7 @@ router.post('/instagram', async (req, res) => {
 });
 
 /**
- * POST /api/credentials/instagram/test - Test Instagram connection
+ * POST /api/credentials/instagram/test - Test the active Instagram account's connection
  */
 router.post('/instagram/test', async (req, res) => {
   try {
@@ -131,8 +166,8 @@ router.post('/instagram/test', async (req, res) => {
       });
     }
 
-    const user = await User.findById(userId);
-    if (!user || !user.instagramCredentials?.accessToken) {
+    const account = await InstagramAccount.getActiveAccount(userId);
+    if (!account?.accessToken) {
       return res.status(400).json({
         success: false,
         error: 'Instagram credentials not configured'
@@ -140,11 +175,11 @@ router.post('/instagram/test', async (req, res) => {
     }
 
     // Decrypt the access token
-    const decryptedToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
+    const decryptedToken = encryptionService.decrypt(account.accessToken);
 
     // Test the connection
     const instagramService = new InstagramGraphService();
-    await instagramService.initialize(decryptedToken, user.instagramCredentials.accountId);
+    await instagramService.initialize(decryptedToken, account.accountId);
 
     // Get full account info including follower count
     const accountInfo = await instagramService.getAccountInfo();
@@ -168,7 +203,112 @@ router.post('/instagram/test', async (req, res) => {
 });
 
 /**
- * DELETE /api/credentials/instagram - Delete Instagram credentials
+ * GET /api/credentials/instagram/accounts - Connected Instagram accounts
+ */
+router.get('/instagram/accounts', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+
+    const active = await InstagramAccount.getActiveAccount(userId);
+    const accounts = await InstagramAccount.getUserAccounts(userId);
+
+    res.json({
+      success: true,
+      activeAccountId: active?.accountId || null,
+      accounts: accounts.map(account => formatAccount(account, active?.accountId))
+    });
+  } catch (error) {
+    console.error('Error listing Instagram accounts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list Instagram accounts'
+    });
+  }
+});
+
+/**
+ * POST /api/credentials/instagram/accounts/:accountId/activate - Switch the
+ * account automation, publishing and analytics work on
+ */
+router.post('/instagram/accounts/:accountId/activate', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const { accountId } = req.params;
+
+    const account = await InstagramAccount.findOne({ userId, accountId });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Instagram account not found'
+      });
+    }
+
+    const user = await User.findById(userId);
+    const changed = user.activeInstagramAccountId !== account.accountId;
+    user.activeInstagramAccountId = account.accountId;
+    await user.save();
+
+    if (changed) {
+      await switchAutomation(userId);
+    }
+
+    res.json({
+      success: true,
+      message: `Switched to @${account.accountName}`,
+      account: formatAccount(account, account.accountId)
+    });
+  } catch (error) {
+    console.error('Error switching Instagram account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to switch Instagram account'
+    });
+  }
+});
+
+/**
+ * DELETE /api/credentials/instagram/accounts/:accountId - Disconnect one account
+ */
+router.delete('/instagram/accounts/:accountId', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const { removed, wasActive } = await InstagramAccount.disconnectAccount(user, req.params.accountId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Instagram account not found'
+      });
+    }
+
+    if (wasActive) {
+      await switchAutomation(userId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Instagram account disconnected',
+      activeAccountId: user.activeInstagramAccountId
+    });
+  } catch (error) {
+    console.error('Error disconnecting Instagram account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disconnect Instagram account'
+    });
+  }
+});
+
+/**
+ * DELETE /api/credentials/instagram - Disconnect the active Instagram account
  */
 router.delete('/instagram', async (req, res) => {
   try {
@@ -189,8 +329,8 @@ router.delete('/instagram', async (req, res) => {
       });
     }
 
-    user.instagramCredentials = undefined;
-    await user.save();
+    await credentialsModel.deleteCredentials(userId, 'instagram');
+    await switchAutomation(userId);
 
     res.json({
       success: true,
@@ -60,11 +60,13 @@ router.get('/config-status', async (req, res) => {
     if (userId && mongoConnected) {
       try {
         const User = require('../models/User');
+        const InstagramAccount = require('../models/instagram-account.model');
         const user = await User.findById(userId);
         
         if (user) {
+          const account = await InstagramAccount.getActiveAccount(user);
           userCredentials = {
-            instagram: !!(user.instagramCredentials?.accessToken && user.instagramCredentials?.accountId),
+            instagram: !!(account?.accessToken && account.accountId),
             youtube: !!(user.youtubeCredentials?.accessToken && user.youtubeCredentials?.refreshToken),
             geminiApiKey: !!user.geminiApiKey
           };
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const DmFunnel = require('../models/dm-funnel.model');
+const FunnelDelivery = require('../models/funnel-delivery.model');
+const InstagramAccount = require('../models/instagram-account.model');
+const automationManager = require('../services/automation-manager.service');
+
+const FUNNEL_FIELDS = ['name', 'enabled', 'postIds', 'keywords', 'publicReply', 'dmMessage', 'link'];
+
+/**
+ * Pick and normalize funnel fields from a request body
+ */
+function pickFunnelFields(body) {
+  const fields = {};
+  FUNNEL_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  ['postIds', 'keywords'].forEach(field => {
+    if (fields[field] !== undefined) {
+      const items = Array.isArray(fields[field]) ? fields[field] : String(fields[field]).split(/[,\n]/);
+      fields[field] = items.map(item => String(item).trim()).filter(Boolean);
+    }
+  });
+
+  if (fields.publicReply === '') {
+    fields.publicReply = null;
+  }
+  if (fields.link === '') {
+    fields.link = null;
+  }
+
+  return fields;
+}
+
+/**
+ * Find one of the funnels on the user's active Instagram account, or null for
+ * unknown/invalid IDs
+ */
+async function findFunnel(userId, funnelId) {
+  if (!mongoose.Types.ObjectId.isValid(funnelId)) {
+    return null;
+  }
+  const accountId = await InstagramAccount.getActiveAccountId(userId);
+  return await DmFunnel.findOne({ _id: funnelId, userId, accountId });
+}
+
+/**
+ * Send a 400 for mongoose validation errors, 500 otherwise
+ */
+function sendError(res, error, fallback) {
+  const isValidation = error.name === 'ValidationError';
+  res.status(isValidation ? 400 : 500).json({
+    success: false,
+    error: isValidation ? error.message : fallback
+  });
+}
+
+/**
+ * GET /api/funnels - List the active Instagram account's DM funnels with their stats
+ */
+router.get('/', async (req, res) => {
+  try {
+    const accountId = await InstagramAccount.getActiveAccountId(req.userId);
+    const funnels = await DmFunnel.getUserFunnels(req.userId, { accountId });
+
+    res.json({
+      success: true,
+      funnels
+    });
+  } catch (error) {
+    console.error('Error fetching DM funnels:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch funnels'
+    });
+  }
+});
+
+/**
+ * POST /api/funnels - Create a DM funnel on the active Instagram account
+ */
+router.post('/', async (req, res) => {
+  try {
+    const accountId = await InstagramAccount.getActiveAccountId(req.userId);
+    const funnel = await DmFunnel.create({ ...pickFunnelFields(req.body), userId: req.userId, accountId });
+
+    await automationManager.refreshFunnels(req.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Funnel created successfully',
+      funnel
+    });
+  } catch (error) {
+    console.error('Error creating DM funnel:', error);
+    sendError(res, error, 'Failed to create funnel');
+  }
+});
+
+/**
+ * PUT /api/funnels/:id - Update a DM funnel
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const funnel = await findFunnel(req.userId, req.params.id);
+    if (!funnel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Funnel not found'
+      });
+    }
+
+    funnel.set(pickFunnelFields(req.body));
+    await funnel.save();
+
+    await automationManager.refreshFunnels(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Funnel updated successfully',
+      funnel
+    });
+  } catch (error) {
+    console.error('Error updating DM funnel:', error);
+    sendError(res, error, 'Failed to update funnel');
+  }
+});
+
+/**
+ * DELETE /api/funnels/:id - Delete a DM funnel and its delivery history
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const funnel = await findFunnel(req.userId, req.params.id);
+    if (!funnel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Funnel not found'
+      });
+    }
+
+    await Promise.all([
+      funnel.deleteOne(),
+      FunnelDelivery.deleteMany({ funnelId: funnel._id })
+    ]);
+
+    await automationManager.refreshFunnels(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Funnel deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting DM funnel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete funnel'
+    });
+  }
+});
+
+/**
+ * GET /api/funnels/:id/deliveries - Recent DM deliveries for a funnel
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const funnel = await findFunnel(req.userId, req.params.id);
+    if (!funnel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Funnel not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const deliveries = await FunnelDelivery.find({ funnelId: funnel._id, accountId: funnel.accountId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      deliveries
+    });
+  } catch (error) {
+    console.error('Error fetching funnel deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deliveries'
+    });
+  }
+});
+
+module.exports = router;
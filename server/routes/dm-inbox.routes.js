@@ -0,0 +1,309 @@
+const express = require('express');
+const router = express.Router();
+const dmResponderService = require('../services/dm-responder.service');
+
+const DM_MODES = ['auto', 'approval'];
+
+/**
+ * Load one of the user's threads or send a 404
+ */
+async function loadConversation(req, res) {
+  const conversation = await dmResponderService.getConversation(req.userId, req.params.id);
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+  return conversation;
+}
+
+/**
+ * Send a 400 when Meta's 24-hour window no longer allows a reply
+ */
+function windowClosed(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'The 24-hour messaging window for this conversation has closed. You can reply once they message again.'
+  });
+}
+
+/**
+ * GET /api/inbox/settings - DM automation settings
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await dmResponderService.getSettings(req.userId);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Error fetching DM settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch DM settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/inbox/settings - Enable DM automation and choose auto or approval mode
+ */
+router.put('/settings', async (req, res) => {
+  try {
+    const { enabled, mode } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled must be a boolean'
+      });
+    }
+    if (mode !== undefined && !DM_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of: ${DM_MODES.join(', ')}`
+      });
+    }
+
+    const settings = await dmResponderService.updateSettings(req.userId, { enabled, mode });
+
+    res.json({
+      success: true,
+      message: 'DM settings saved',
+      settings
+    });
+  } catch (error) {
+    console.error('Error saving DM settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save DM settings'
+    });
+  }
+});
+
+/**
+ * GET /api/inbox/conversations - Threads with their last message, most recent first
+ */
+router.get('/conversations', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const skip = parseInt(req.query.skip, 10) || 0;
+
+    const { conversations, unread } = await dmResponderService.listConversations(req.userId, { limit, skip });
+
+    res.json({
+      success: true,
+      conversations,
+      unread
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations'
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/sync - Import recent threads from Instagram
+ */
+router.post('/sync', async (req, res) => {
+  try {
+    const synced = await dmResponderService.sync(req.userId);
+
+    res.json({
+      success: true,
+      message: `Synced ${synced} conversation(s)`,
+      synced
+    });
+  } catch (error) {
+    console.error('Error syncing conversations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to sync conversations'
+    });
+  }
+});
+
+/**
+ * GET /api/inbox/conversations/:id - Full thread; marks it as read
+ */
+router.get('/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    await dmResponderService.markRead(conversation);
+
+    res.json({
+      success: true,
+      conversation: dmResponderService.serialize(conversation)
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation'
+    });
+  }
+});
+
+/**
+ * PUT /api/inbox/conversations/:id - Pause or resume AI replies for one thread
+ */
+router.put('/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (typeof req.body.autoReplyEnabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'autoReplyEnabled must be a boolean'
+      });
+    }
+
+    conversation.autoReplyEnabled = req.body.autoReplyEnabled;
+    await conversation.save();
+
+    res.json({
+      success: true,
+      conversation: dmResponderService.serialize(conversation)
+    });
+  } catch (error) {
+    console.error('Error updating conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update conversation'
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/conversations/:id/messages - Send a reply written in the dashboard
+ */
+router.post('/conversations/:id/messages', async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const text = (req.body.text || '').trim();
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message text is required'
+      });
+    }
+    if (!conversation.isWindowOpen()) {
+      return windowClosed(res);
+    }
+
+    const updated = await dmResponderService.sendMessage(req.userId, conversation, text, 'manual');
+
+    res.json({
+      success: true,
+      message: 'Message sent',
+      conversation: dmResponderService.serialize(updated)
+    });
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to send message'
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/conversations/:id/approve - Send the AI reply held for review (optionally edited)
+ */
+router.post('/conversations/:id/approve', async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (!conversation.pendingReply?.text) {
+      return res.status(404).json({
+        success: false,
+        error: 'No reply is waiting for approval'
+      });
+    }
+    if (!conversation.isWindowOpen()) {
+      return windowClosed(res);
+    }
+
+    const updated = await dmResponderService.approvePending(req.userId, conversation, req.body.text);
+
+    res.json({
+      success: true,
+      message: 'Reply sent',
+      conversation: dmResponderService.serialize(updated)
+    });
+  } catch (error) {
+    console.error('Error approving DM reply:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to send reply'
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/conversations/:id/discard - Drop the AI reply held for review
+ */
+router.post('/conversations/:id/discard', async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    await dmResponderService.discardPending(conversation);
+
+    res.json({
+      success: true,
+      message: 'Reply discarded',
+      conversation: dmResponderService.serialize(conversation)
+    });
+  } catch (error) {
+    console.error('Error discarding DM reply:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard reply'
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/conversations/:id/regenerate - Generate new AI reply options for the thread
+ */
+router.post('/conversations/:id/regenerate', async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (!conversation.messages.some(m => m.direction === 'inbound')) {
+      return res.status(400).json({
+        success: false,
+        error: 'There is no message to reply to yet'
+      });
+    }
+
+    const updated = await dmResponderService.regenerate(req.userId, conversation);
+
+    res.json({
+      success: true,
+      conversation: dmResponderService.serialize(updated)
+    });
+  } catch (error) {
+    console.error('Error regenerating DM reply:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to generate reply'
+    });
+  }
+});
+
+module.exports = router;
@@ -11,14 +11,39 @@ function createDualPublishRoutes(controller) {
     controller.startPublishJob(req, res);
   });
 
+  // Get user's jobs (before /dual/:jobId, which would otherwise match "jobs")
+  router.get('/dual/jobs', (req, res) => {
+    controller.getUserJobs(req, res);
+  });
+
   // Get job status
   router.get('/dual/:jobId', (req, res) => {
     controller.getJobStatus(req, res);
   });
 
-  // Get user's jobs
-  router.get('/dual/jobs', (req, res) => {
-    controller.getUserJobs(req, res);
+  // Cancel a pending or running job
+  router.delete('/dual/:jobId', (req, res) => {
+    controller.cancelJob(req, res);
+  });
+
+  // Approve (and edit) the content of a job waiting for review
+  router.post('/dual/:jobId/approve', (req, res) => {
+    controller.approveReview(req, res);
+  });
+
+  // Regenerate one field of a job waiting for review
+  router.post('/dual/:jobId/regenerate', (req, res) => {
+    controller.regenerateReviewField(req, res);
+  });
+
+  // Image of a YouTube thumbnail candidate
+  router.get('/dual/:jobId/thumbnails/:candidateId', (req, res) => {
+    controller.getThumbnail(req, res);
+  });
+
+  // Retry the failed platform of a partial job
+  router.post('/dual/:jobId/retry', (req, res) => {
+    controller.retryPlatform(req, res);
   });
 
   return router;
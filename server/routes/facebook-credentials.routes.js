@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { EncryptionService } = require('../services/encryption.service');
+const FacebookOAuthService = require('../services/oauth-facebook.service');
+
+const encryptionService = new EncryptionService();
+const facebookOAuth = new FacebookOAuthService();
+
+/**
+ * Facebook Pages from the user's Facebook Login. Connecting goes through
+ * /api/oauth/facebook.
+ */
+
+/**
+ * Page fields safe to send to the client (no access token)
+ */
+function formatPage(page) {
+  return {
+    pageId: page.pageId,
+    name: page.name,
+    category: page.category,
+    pictureUrl: page.pictureUrl,
+    canPublish: (page.tasks || []).includes('CREATE_CONTENT')
+  };
+}
+
+/**
+ * GET /api/credentials/facebook
+ * Facebook connection status and the Pages it reaches
+ */
+router.get('/facebook', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const user = await User.findById(userId);
+
+    if (!user || !user.facebookCredentials?.accessToken) {
+      return res.json({
+        success: true,
+        configured: false,
+        pages: []
+      });
+    }
+
+    const { name, pages = [], selectedPageId, tokenExpiresAt, lastUpdated } = user.facebookCredentials;
+
+    res.json({
+      success: true,
+      configured: true,
+      name,
+      pages: pages.map(formatPage),
+      selectedPage: selectedPageId || null,
+      tokenExpiresAt,
+      lastUpdated
+    });
+  } catch (error) {
+    console.error('[FacebookCredentials] Get error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/credentials/facebook/select-page
+ * Select the default Page for publishing
+ */
+router.post('/facebook/select-page', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const { pageId } = req.body;
+
+    if (!pageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Page ID is required'
+      });
+    }
+
+    const user = await User.findById(userId);
+    const page = user?.facebookCredentials?.pages?.find(candidate => candidate.pageId === pageId);
+
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Page ID. Page not found in your Facebook account.'
+      });
+    }
+
+    user.facebookCredentials.selectedPageId = pageId;
+    user.facebookCredentials.lastUpdated = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Facebook Page selected successfully',
+      selectedPage: formatPage(page)
+    });
+  } catch (error) {
+    console.error('[FacebookCredentials] Select page error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/credentials/facebook/refresh-pages
+ * Fetch the Pages (and their tokens) again with the stored user token
+ */
+router.post('/facebook/refresh-pages', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const user = await User.findById(userId);
+
+    if (!user?.facebookCredentials?.accessToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Facebook not connected. Please connect your Facebook account first.'
+      });
+    }
+
+    const accessToken = encryptionService.decrypt(user.facebookCredentials.accessToken);
+    const result = await facebookOAuth.fetchUserPages(accessToken);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: `Failed to fetch Pages: ${result.error}. Please reconnect your Facebook account.`
+      });
+    }
+
+    user.facebookCredentials.pages = result.pages.map(page => ({
+      ...page,
+      accessToken: encryptionService.encrypt(page.accessToken)
+    }));
+    if (!result.pages.some(page => page.pageId === user.facebookCredentials.selectedPageId)) {
+      user.facebookCredentials.selectedPageId = result.pages[0]?.pageId || null;
+    }
+    user.facebookCredentials.lastUpdated = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      pages: user.facebookCredentials.pages.map(formatPage),
+      selectedPage: user.facebookCredentials.selectedPageId,
+      totalPages: result.pages.length
+    });
+  } catch (error) {
+    console.error('[FacebookCredentials] Refresh pages error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/credentials/facebook
+ * Remove the Facebook login and its Page tokens
+ */
+router.delete('/facebook', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    user.facebookCredentials = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Facebook credentials deleted successfully'
+    });
+  } catch (error) {
+    console.error('[FacebookCredentials] Delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete Facebook credentials'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const DualPublisherService = require('../services/dual-publisher.service');
+const FacebookPublisherService = require('../services/facebook-publisher.service');
+
+const POST_TYPES = ['photo', 'link'];
+
+/**
+ * Whether a value is an absolute http(s) URL
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * POST /api/facebook/posts - Publish a photo or link post to a Page
+ * ({ type, message, imageUrl | link, pageId }; pageId defaults to the selected Page)
+ */
+router.post('/posts', async (req, res) => {
+  try {
+    const { type, message = '', imageUrl, link, pageId } = req.body || {};
+
+    if (!POST_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${POST_TYPES.join(', ')}`
+      });
+    }
+    if (typeof message !== 'string' || message.length > 63206) {
+      return res.status(400).json({
+        success: false,
+        error: 'message must be text of at most 63206 characters'
+      });
+    }
+    if (type === 'photo' && !isHttpUrl(imageUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: 'imageUrl must be a public http(s) URL'
+      });
+    }
+    if (type === 'link' && !isHttpUrl(link)) {
+      return res.status(400).json({
+        success: false,
+        error: 'link must be an http(s) URL'
+      });
+    }
+
+    const user = req.user;
+    const publisher = new DualPublisherService(req.app.get('io'));
+
+    let resolvedPageId;
+    try {
+      resolvedPageId = publisher.resolveFacebookPage(user, pageId);
+    } catch (pageError) {
+      return res.status(400).json({
+        success: false,
+        error: pageError.message
+      });
+    }
+
+    const facebook = new FacebookPublisherService();
+    facebook.initialize(await publisher.resolveFacebookPageToken(user._id, resolvedPageId), resolvedPageId);
+
+    const { postId } = type === 'photo'
+      ? await facebook.publishPhoto(imageUrl, message)
+      : await facebook.publishLink(link, message);
+    const permalink = await facebook.getPermalink(postId);
+
+    res.status(201).json({
+      success: true,
+      pageId: resolvedPageId,
+      postId,
+      permalink
+    });
+  } catch (error) {
+    console.error('Error publishing Facebook post:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
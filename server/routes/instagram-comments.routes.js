@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const instagramCommentsController = require('../controllers/instagram-comments.controller');
-const { authenticateToken } = require('../middleware/auth');
+const { authMiddleware } = require('../middleware/auth.middleware');
 
 /**
  * Instagram Comments Routes
@@ -9,18 +9,21 @@ const { authenticateToken } = require('../middleware/auth');
  */
 
 // Get comments for a specific media post
-router.get('/media/:mediaId/comments', authenticateToken, instagramCommentsController.getComments);
+router.get('/media/:mediaId/comments', authMiddleware, instagramCommentsController.getComments);
 
 // Get all recent comments across all posts
-router.get('/comments/recent', authenticateToken, instagramCommentsController.getAllRecentComments);
+router.get('/comments/recent', authMiddleware, instagramCommentsController.getAllRecentComments);
 
 // Reply to a comment
-router.post('/comments/:commentId/reply', authenticateToken, instagramCommentsController.replyToComment);
+router.post('/comments/:commentId/reply', authMiddleware, instagramCommentsController.replyToComment);
 
 // Delete a comment
-router.delete('/comments/:commentId', authenticateToken, instagramCommentsController.deleteComment);
+router.delete('/comments/:commentId', authMiddleware, instagramCommentsController.deleteComment);
 
 // Hide a comment
-router.post('/comments/:commentId/hide', authenticateToken, instagramCommentsController.hideComment);
+router.post('/comments/:commentId/hide', authMiddleware, instagramCommentsController.hideComment);
+
+// Unhide a comment
+router.post('/comments/:commentId/unhide', authMiddleware, instagramCommentsController.unhideComment);
 
 module.exports = router;
@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
+const automationManager = require('../services/automation-manager.service');
 const { authMiddleware } = require('../middleware/auth.middleware');
 
 /**
  * GET /api/instagram/status
- * Check Instagram connection status
+ * Check the active Instagram account's connection status
  */
 router.get('/status', authMiddleware, async (req, res) => {
   try {
@@ -20,7 +22,8 @@ router.get('/status', authMiddleware, async (req, res) => {
     }
 
     // Check if Instagram is connected
-    if (!user.instagramCredentials || !user.instagramCredentials.accessToken) {
+    const creds = await InstagramAccount.getActiveAccount(user);
+    if (!creds?.accessToken) {
       return res.json({
         success: true,
         connected: false,
@@ -29,7 +32,6 @@ router.get('/status', authMiddleware, async (req, res) => {
       });
     }
 
-    const creds = user.instagramCredentials;
     const now = new Date();
     const expiresAt = creds.tokenExpiresAt ? new Date(creds.tokenExpiresAt) : null;
     const isExpired = expiresAt && now > expiresAt;
@@ -72,7 +74,7 @@ router.get('/status', authMiddleware, async (req, res) => {
 
 /**
  * POST /api/instagram/disconnect
- * Disconnect Instagram account
+ * Disconnect an Instagram account ({ accountId }, default the active one)
  */
 router.post('/disconnect', authMiddleware, async (req, res) => {
   try {
@@ -86,15 +88,25 @@ router.post('/disconnect', authMiddleware, async (req, res) => {
       });
     }
 
-    // Clear Instagram credentials
-    user.instagramCredentials = {
-      isActive: false,
-      lastUpdated: new Date()
-    };
+    const accountId = req.body?.accountId || await InstagramAccount.getActiveAccountId(user);
+    const { removed, wasActive } = accountId
+      ? await InstagramAccount.disconnectAccount(user, accountId)
+      : { removed: false, wasActive: false };
 
-    await user.save();
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Instagram account not found'
+      });
+    }
+
+    if (wasActive) {
+      await automationManager.switchAccount(userId).catch(error => {
+        console.error('[InstagramStatus] Automation could not move to another account:', error.message);
+      });
+    }
 
-    console.log('[InstagramStatus] User disconnected Instagram:', userId);
+    console.log('[InstagramStatus] User disconnected Instagram:', userId, accountId);
 
     return res.json({
       success: true,
@@ -0,0 +1,50 @@
+const express = require('express');
+const fs = require('fs');
+const router = express.Router();
+const mediaStorageService = require('../services/media-storage.service');
+
+/**
+ * GET /api/media/:key
+ * Serves a file stored by the local disk driver. Public, so Instagram can fetch
+ * it, but only with the expiring signature from its URL.
+ */
+router.get('/:key', (req, res) => {
+  const { key } = req.params;
+  const { expires, signature } = req.query;
+
+  if (!mediaStorageService.local.verify(key, expires, signature)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid or expired media link'
+    });
+  }
+
+  let filePath;
+  try {
+    filePath = mediaStorageService.local.filePath(key);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Media not found'
+    });
+  }
+
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      console.error('[MediaRoutes] Error serving media:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to serve media'
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const mentionService = require('../services/mention.service');
+
+const MENTION_TYPES = ['comment', 'caption', 'story'];
+
+/**
+ * Load one of the user's mentions or send a 404
+ */
+async function loadMention(req, res) {
+  const mention = await mentionService.getMention(req.userId, req.params.id);
+  if (!mention) {
+    res.status(404).json({
+      success: false,
+      error: 'Mention not found'
+    });
+  }
+  return mention;
+}
+
+/**
+ * GET /api/mentions - List mentions (filter by ?type= and ?status=)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const skip = parseInt(req.query.skip, 10) || 0;
+    const type = MENTION_TYPES.includes(req.query.type) ? req.query.type : undefined;
+
+    const { mentions, counts } = await mentionService.list(req.userId, {
+      type,
+      status: req.query.status || undefined,
+      limit,
+      skip
+    });
+
+    res.json({
+      success: true,
+      mentions,
+      counts
+    });
+  } catch (error) {
+    console.error('Error fetching mentions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch mentions'
+    });
+  }
+});
+
+/**
+ * GET /api/mentions/settings - Whether new mentions get AI replies
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await mentionService.getSettings(req.userId);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Error fetching mention settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch mention settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/mentions/settings - Turn AI replies to mentions on or off
+ */
+router.put('/settings', async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled must be a boolean'
+      });
+    }
+
+    const settings = await mentionService.updateSettings(req.userId, req.body.enabled);
+
+    res.json({
+      success: true,
+      message: 'Mention settings saved',
+      settings
+    });
+  } catch (error) {
+    console.error('Error saving mention settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save mention settings'
+    });
+  }
+});
+
+/**
+ * POST /api/mentions/:id/regenerate - Generate reply candidates and hold them for approval
+ */
+router.post('/:id/regenerate', async (req, res) => {
+  try {
+    const mention = await loadMention(req, res);
+    if (!mention) return;
+
+    if (mention.status === 'replied') {
+      return res.status(400).json({
+        success: false,
+        error: 'This mention has already been answered'
+      });
+    }
+
+    const updated = await mentionService.regenerate(req.userId, mention);
+
+    res.json({
+      success: true,
+      mention: updated
+    });
+  } catch (error) {
+    console.error('Error generating mention reply:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to generate reply'
+    });
+  }
+});
+
+/**
+ * POST /api/mentions/:id/approve - Send the reply (optionally with final text)
+ */
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const mention = await loadMention(req, res);
+    if (!mention) return;
+
+    if (mention.status !== 'pending_approval') {
+      return res.status(404).json({
+        success: false,
+        error: 'No reply is waiting for approval'
+      });
+    }
+    if (!mentionService.canReply(mention)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Story mentions can only be answered within 24 hours'
+      });
+    }
+
+    const updated = await mentionService.approve(req.userId, mention, req.body.replyText);
+    if (updated.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        error: updated.error,
+        mention: updated
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply sent',
+      mention: updated
+    });
+  } catch (error) {
+    console.error('Error approving mention reply:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to send reply'
+    });
+  }
+});
+
+/**
+ * POST /api/mentions/:id/dismiss - Mark a mention as handled without replying
+ */
+router.post('/:id/dismiss', async (req, res) => {
+  try {
+    const mention = await loadMention(req, res);
+    if (!mention) return;
+
+    const updated = await mentionService.dismiss(mention);
+
+    res.json({
+      success: true,
+      message: 'Mention dismissed',
+      mention: updated
+    });
+  } catch (error) {
+    console.error('Error dismissing mention:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dismiss mention'
+    });
+  }
+});
+
+module.exports = router;
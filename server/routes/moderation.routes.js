@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const moderationReviewService = require('../services/moderation-review.service');
+const CommentModerationService = require('../services/comment-moderation.service');
+
+/**
+ * Load one of the user's moderated comments or send a 404
+ */
+async function loadItem(req, res) {
+  const item = await moderationReviewService.getItem(req.userId, req.params.commentId);
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      error: 'Moderated comment not found'
+    });
+  }
+  return item;
+}
+
+/**
+ * GET /api/moderation/settings - Moderation switch, AI pass and per-label actions
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await moderationReviewService.getSettings(req.userId);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Error fetching moderation settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch moderation settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/moderation/settings - Save moderation settings
+ */
+router.put('/settings', async (req, res) => {
+  try {
+    const { enabled, useLlm, actions = {} } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled must be a boolean'
+      });
+    }
+    if (useLlm !== undefined && typeof useLlm !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'useLlm must be a boolean'
+      });
+    }
+
+    const invalid = Object.entries(actions).find(([label, action]) =>
+      !CommentModerationService.LABELS.includes(label) || !CommentModerationService.ACTIONS.includes(action)
+    );
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid action for ${invalid[0]}. Use one of: ${CommentModerationService.ACTIONS.join(', ')}`
+      });
+    }
+
+    const settings = await moderationReviewService.updateSettings(req.userId, { enabled, useLlm, actions });
+
+    res.json({
+      success: true,
+      message: 'Moderation settings saved',
+      settings
+    });
+  } catch (error) {
+    console.error('Error saving moderation settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save moderation settings'
+    });
+  }
+});
+
+/**
+ * POST /api/moderation/test - Classify a sample comment without touching Instagram
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        error: 'Comment text is required'
+      });
+    }
+
+    const result = await moderationReviewService.test(req.userId, text);
+
+    res.json({
+      success: true,
+      result
+    });
+  } catch (error) {
+    console.error('Error testing moderation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to classify comment'
+    });
+  }
+});
+
+/**
+ * GET /api/moderation/comments - Moderated comments log (filter by ?label=)
+ */
+router.get('/comments', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const skip = parseInt(req.query.skip, 10) || 0;
+    const label = CommentModerationService.LABELS.includes(req.query.label) ? req.query.label : undefined;
+
+    const { items, counts } = await moderationReviewService.list(req.userId, { label, limit, skip });
+
+    res.json({
+      success: true,
+      items,
+      counts
+    });
+  } catch (error) {
+    console.error('Error fetching moderated comments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch moderated comments'
+    });
+  }
+});
+
+/**
+ * POST /api/moderation/comments/:commentId/undo - Unhide a hidden comment or clear a flag
+ */
+router.post('/comments/:commentId/undo', async (req, res) => {
+  try {
+    const item = await loadItem(req, res);
+    if (!item) return;
+
+    if (!['hidden', 'flagged'].includes(item.status)) {
+      return res.status(400).json({
+        success: false,
+        error: item.status === 'deleted'
+          ? 'Deleted comments cannot be restored'
+          : 'Nothing to undo for this comment'
+      });
+    }
+
+    const updated = await moderationReviewService.undo(req.userId, item);
+
+    res.json({
+      success: true,
+      message: 'Moderation undone',
+      item: updated
+    });
+  } catch (error) {
+    console.error('Error undoing moderation:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to undo moderation'
+    });
+  }
+});
+
+/**
+ * Hide or delete a comment that moderation flagged for review
+ */
+async function resolveFlag(req, res, action) {
+  try {
+    const item = await loadItem(req, res);
+    if (!item) return;
+
+    if (item.status !== 'flagged') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only comments flagged for review can be hidden or deleted here'
+      });
+    }
+
+    const updated = await moderationReviewService.resolveFlag(req.userId, item, action);
+
+    res.json({
+      success: true,
+      message: action === 'delete' ? 'Comment deleted' : 'Comment hidden',
+      item: updated
+    });
+  } catch (error) {
+    console.error(`Error trying to ${action} flagged comment:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message || `Failed to ${action} comment`
+    });
+  }
+}
+
+/**
+ * POST /api/moderation/comments/:commentId/hide - Hide a flagged comment
+ */
+router.post('/comments/:commentId/hide', (req, res) => resolveFlag(req, res, 'hide'));
+
+/**
+ * POST /api/moderation/comments/:commentId/delete - Delete a flagged comment
+ */
+router.post('/comments/:commentId/delete', (req, res) => resolveFlag(req, res, 'delete'));
+
+module.exports = router;
@@ -44,4 +44,14 @@ router.post('/youtube/refresh', authMiddleware, (req, res) => {
   oauthController.refreshYouTubeToken(req, res);
 });
 
+// Facebook Login (Pages)
+router.get('/facebook/auth-url', authMiddleware, (req, res) => {
+  oauthController.getFacebookAuthUrl(req, res);
+});
+
+// Callback does NOT require auth middleware (uses session-based state validation)
+router.get('/facebook/callback', (req, res) => {
+  oauthController.handleFacebookCallback(req, res);
+});
+
 module.exports = router;
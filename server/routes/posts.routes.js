@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
 const { EncryptionService } = require('../services/encryption.service');
 const InstagramGraphService = require('../services/instagram-graph.service');
 
 const encryptionService = new EncryptionService();
 
 /**
- * GET /api/posts - Get user's Instagram posts/reels
+ * GET /api/posts - Get the active Instagram account's posts/reels
  */
 router.get('/', async (req, res) => {
   try {
@@ -20,8 +21,8 @@ router.get('/', async (req, res) => {
       });
     }
 
-    const user = await User.findById(userId);
-    if (!user || !user.instagramCredentials?.accessToken) {
+    const account = await InstagramAccount.getActiveAccount(userId);
+    if (!account?.accessToken) {
       return res.status(200).json({
         success: true,
         posts: [],
@@ -30,7 +31,7 @@ router.get('/', async (req, res) => {
     }
 
     // Decrypt and sanitize the access token
-    const decryptedToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
+    const decryptedToken = encryptionService.decrypt(account.accessToken);
     const cleanToken = decryptedToken?.replace(/\s+/g, '').trim();
 
     if (!cleanToken) {
@@ -46,7 +47,7 @@ router.get('/', async (req, res) => {
     const instagramService = new InstagramGraphService();
     
     try {
-      await instagramService.initialize(cleanToken, user.instagramCredentials.accountId);
+      await instagramService.initialize(cleanToken, account.accountId);
     } catch (initError) {
       // Token is invalid or expired
       return res.status(200).json({
@@ -175,8 +176,8 @@ router.get('/:postId/comments', async (req, res) => {
       });
     }
 
-    const user = await User.findById(userId);
-    if (!user || !user.instagramCredentials?.accessToken) {
+    const account = await InstagramAccount.getActiveAccount(userId);
+    if (!account?.accessToken) {
       return res.status(400).json({
         success: false,
         error: 'Instagram credentials not configured'
@@ -186,11 +187,11 @@ router.get('/:postId/comments', async (req, res) => {
     const { postId } = req.params;
 
     // Decrypt the access token
-    const decryptedToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
+    const decryptedToken = encryptionService.decrypt(account.accessToken);
 
     // Initialize Instagram service
     const instagramService = new InstagramGraphService();
-    await instagramService.initialize(decryptedToken, user.instagramCredentials.accountId);
+    await instagramService.initialize(decryptedToken, account.accountId);
 
     // Get comments for the post
     const comments = await instagramService.getRecentComments(postId);
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const replyApprovalService = require('../services/reply-approval.service');
+
+/**
+ * Send the standard 404 for items that are missing or already reviewed
+ */
+function notPending(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Pending reply not found or already reviewed'
+  });
+}
+
+/**
+ * GET /api/approvals - List replies waiting for review
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const skip = parseInt(req.query.skip, 10) || 0;
+
+    const { items, total } = await replyApprovalService.listPending(req.userId, { limit, skip });
+
+    res.json({
+      success: true,
+      items,
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching pending replies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pending replies'
+    });
+  }
+});
+
+/**
+ * PUT /api/approvals/:commentId - Edit the reply text
+ */
+router.put('/:commentId', async (req, res) => {
+  try {
+    const replyText = typeof req.body.replyText === 'string' ? req.body.replyText.trim() : '';
+
+    if (!replyText) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reply text is required'
+      });
+    }
+
+    const item = await replyApprovalService.updateReply(req.userId, req.params.commentId, replyText);
+    if (!item) {
+      return notPending(res);
+    }
+
+    res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    console.error('Error updating pending reply:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update reply'
+    });
+  }
+});
+
+/**
+ * POST /api/approvals/:commentId/approve - Post the reply (optionally with final text)
+ */
+router.post('/:commentId/approve', async (req, res) => {
+  try {
+    const { replyText } = req.body;
+
+    if (replyText !== undefined && replyText !== null && typeof replyText !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Reply text must be a string'
+      });
+    }
+
+    const item = await replyApprovalService.approve(req.userId, req.params.commentId, replyText);
+    if (!item) {
+      return notPending(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply posted successfully',
+      item
+    });
+  } catch (error) {
+    console.error('Error approving reply:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to post reply'
+    });
+  }
+});
+
+/**
+ * POST /api/approvals/:commentId/reject - Discard the reply
+ */
+router.post('/:commentId/reject', async (req, res) => {
+  try {
+    const item = await replyApprovalService.reject(req.userId, req.params.commentId);
+    if (!item) {
+      return notPending(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply rejected',
+      item
+    });
+  } catch (error) {
+    console.error('Error rejecting reply:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject reply'
+    });
+  }
+});
+
+/**
+ * POST /api/approvals/:commentId/regenerate - Generate a fresh set of candidate replies
+ */
+router.post('/:commentId/regenerate', async (req, res) => {
+  try {
+    const item = await replyApprovalService.regenerate(req.userId, req.params.commentId);
+    if (!item) {
+      return notPending(res);
+    }
+
+    res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    console.error('Error regenerating replies:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to regenerate replies'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const ReplyPersonaService = require('../services/reply-persona.service');
+const automationManager = require('../services/automation-manager.service');
+
+const PERSONA_FIELDS = ['name', 'description', 'styleRules', 'emojiPolicy', 'maxLength', 'endWithQuestion'];
+
+/**
+ * Turn a persona name into a URL-safe slug
+ */
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 40);
+}
+
+/**
+ * Pick and normalize the editable persona fields from a request body
+ */
+function pickPersonaFields(body) {
+  const fields = {};
+  PERSONA_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  if (typeof fields.styleRules === 'string') {
+    fields.styleRules = fields.styleRules.split('\n');
+  }
+  if (Array.isArray(fields.styleRules)) {
+    fields.styleRules = fields.styleRules.map(rule => String(rule).trim()).filter(Boolean);
+  }
+
+  return fields;
+}
+
+/**
+ * GET /api/config/personas - List built-in and custom reply personas
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('automationSettings');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      activeTone: user.automationSettings?.replyTone || 'friendly',
+      builtIn: ReplyPersonaService.getBuiltInSlugs().map(slug => ReplyPersonaService.getBuiltInPersona(slug)),
+      custom: user.automationSettings?.customPersonas || []
+    });
+  } catch (error) {
+    console.error('Error fetching reply personas:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reply personas'
+    });
+  }
+});
+
+/**
+ * POST /api/config/personas - Create a custom reply persona
+ */
+router.post('/', async (req, res) => {
+  try {
+    const fields = pickPersonaFields(req.body);
+    const slug = slugify(req.body.slug || fields.name);
+
+    if (!fields.name || !slug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Persona name is required'
+      });
+    }
+
+    if (ReplyPersonaService.getBuiltInPersona(slug)) {
+      return res.status(400).json({
+        success: false,
+        error: `"${slug}" is a built-in persona. Please choose another name.`
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.automationSettings.customPersonas.some(persona => persona.slug === slug)) {
+      return res.status(409).json({
+        success: false,
+        error: `A persona named "${slug}" already exists`
+      });
+    }
+
+    user.automationSettings.customPersonas.push({ ...fields, slug });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Persona created successfully',
+      persona: user.automationSettings.customPersonas.find(persona => persona.slug === slug)
+    });
+  } catch (error) {
+    console.error('Error creating reply persona:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'ValidationError' ? error.message : 'Failed to create persona'
+    });
+  }
+});
+
+/**
+ * PUT /api/config/personas/:slug - Update a custom reply persona
+ */
+router.put('/:slug', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const persona = user.automationSettings.customPersonas.find(p => p.slug === req.params.slug);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        error: 'Persona not found'
+      });
+    }
+
+    persona.set(pickPersonaFields(req.body));
+    await user.save();
+
+    // Running automation picks up the new rules immediately
+    await automationManager.refreshPersona(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Persona updated successfully',
+      persona
+    });
+  } catch (error) {
+    console.error('Error updating reply persona:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'ValidationError' ? error.message : 'Failed to update persona'
+    });
+  }
+});
+
+/**
+ * DELETE /api/config/personas/:slug - Delete a custom reply persona
+ * If it was the active tone, the user falls back to "friendly".
+ */
+router.delete('/:slug', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const persona = user.automationSettings.customPersonas.find(p => p.slug === req.params.slug);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        error: 'Persona not found'
+      });
+    }
+
+    const wasActive = user.automationSettings.replyTone === persona.slug;
+    persona.deleteOne();
+    if (wasActive) {
+      user.automationSettings.replyTone = 'friendly';
+    }
+    await user.save();
+
+    if (wasActive) {
+      await automationManager.updateConfig(req.userId, { replyTone: 'friendly' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Persona deleted successfully',
+      activeTone: user.automationSettings.replyTone
+    });
+  } catch (error) {
+    console.error('Error deleting reply persona:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete persona'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const publishSchedulerService = require('../services/publish-scheduler.service');
+
+const KINDS = ['post', 'job'];
+
+/**
+ * Load one of the user's posts or dual publish jobs or send a 400/404
+ */
+async function loadItem(req, res) {
+  const { kind, id } = req.params;
+
+  if (!KINDS.includes(kind)) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown item type. Use one of: ${KINDS.join(', ')}`
+    });
+    return null;
+  }
+
+  const item = await publishSchedulerService.findItem(req.userId, kind, id).catch(() => null);
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      error: 'Scheduled item not found'
+    });
+  }
+  return item;
+}
+
+/**
+ * GET /api/schedule - Calendar items between ?from= and ?to= (defaults to the current month)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.to ? new Date(req.query.to) : new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    const items = await publishSchedulerService.listCalendar(req.userId, from, to);
+
+    res.json({
+      success: true,
+      items
+    });
+  } catch (error) {
+    console.error('Error fetching calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheduled content'
+    });
+  }
+});
+
+/**
+ * PUT /api/schedule/:kind/:id - Schedule or reschedule a post or job
+ */
+router.put('/:kind/:id', async (req, res) => {
+  try {
+    let scheduledFor;
+    try {
+      scheduledFor = publishSchedulerService.parseScheduleTime(req.body.scheduledFor);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const item = await loadItem(req, res);
+    if (!item) return;
+
+    const updated = await publishSchedulerService.reschedule(item, req.params.kind, scheduledFor)
+      .catch(error => {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+        return null;
+      });
+    if (!updated) return;
+
+    res.json({
+      success: true,
+      message: 'Publish time updated',
+      scheduledFor: updated.scheduledFor
+    });
+  } catch (error) {
+    console.error('Error rescheduling item:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reschedule'
+    });
+  }
+});
+
+/**
+ * POST /api/schedule/:kind/:id/cancel - Cancel a scheduled post (back to draft) or job
+ */
+router.post('/:kind/:id/cancel', async (req, res) => {
+  try {
+    const item = await loadItem(req, res);
+    if (!item) return;
+
+    const updated = await publishSchedulerService.cancel(item, req.params.kind)
+      .catch(error => {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+        return null;
+      });
+    if (!updated) return;
+
+    res.json({
+      success: true,
+      message: req.params.kind === 'post' ? 'Post moved back to drafts' : 'Publishing job cancelled',
+      status: updated.status
+    });
+  } catch (error) {
+    console.error('Error cancelling scheduled item:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const ActivityLog = require('../models/ActivityLog');
 const Post = require('../models/post.model');
+const InstagramAccount = require('../models/instagram-account.model');
 const { authMiddleware } = require('../middleware/auth.middleware');
 
 // Get dashboard stats
@@ -10,13 +11,17 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
     const userId = req.userId || req.user._id;
     console.log('[Stats] Fetching stats for userId:', userId);
 
+    // Stats cover the active Instagram account's posts
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    const scope = { userId, accountId };
+
     // Get actual posts count from Post model
-    const totalPosts = await Post.countDocuments({ userId });
+    const totalPosts = await Post.countDocuments(scope);
     console.log('[Stats] Total posts found:', totalPosts);
     
     // Get published posts count
-    const publishedPosts = await Post.countDocuments({ 
-      userId,
+    const publishedPosts = await Post.countDocuments({
+      ...scope,
       status: 'published'
     });
 
@@ -25,7 +30,7 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
     const recentPosts = await Post.countDocuments({
-      userId,
+      ...scope,
       createdAt: { $gte: thirtyDaysAgo }
     });
 
@@ -34,7 +39,7 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
     const weeklyPosts = await Post.countDocuments({
-      userId,
+      ...scope,
       createdAt: { $gte: sevenDaysAgo }
     });
     
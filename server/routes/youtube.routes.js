@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const PublishJob = require('../models/publish-job.model');
+const DualPublisherService = require('../services/dual-publisher.service');
+
+const PLAYLIST_PRIVACY = ['public', 'unlisted', 'private'];
+
+/**
+ * A publisher signed in to the user's YouTube account, or null after sending a 400
+ */
+async function loadPublisher(req, res) {
+  const publisher = new DualPublisherService(req.app.get('io'));
+
+  let youtubeToken;
+  try {
+    youtubeToken = await publisher.resolveYouTubeToken(req.user);
+  } catch (tokenError) {
+    res.status(400).json({
+      success: false,
+      error: tokenError.message
+    });
+    return null;
+  }
+
+  if (!youtubeToken) {
+    res.status(400).json({
+      success: false,
+      error: 'YouTube account not connected'
+    });
+    return null;
+  }
+
+  publisher.initialize(null, null, youtubeToken);
+  return publisher;
+}
+
+/**
+ * The user's job that published a video, or null after sending a 404/400
+ */
+async function loadVideoJob(req, res) {
+  const job = await PublishJob.findOne({
+    userId: req.userId,
+    'platforms.youtube.videoId': req.params.videoId
+  });
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'No publishing job found for this video'
+    });
+    return null;
+  }
+  if (job.platforms.youtube.deletedAt) {
+    res.status(400).json({
+      success: false,
+      error: 'This video has been deleted'
+    });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Message of a failed YouTube API call
+ */
+function youtubeError(error) {
+  return error.response?.data?.error?.message || error.message;
+}
+
+/**
+ * GET /api/youtube/playlists - Playlists of the connected channel
+ */
+router.get('/playlists', async (req, res) => {
+  try {
+    const publisher = await loadPublisher(req, res);
+    if (!publisher) return;
+
+    const playlists = await publisher.youtubeService.listPlaylists();
+
+    res.json({
+      success: true,
+      playlists
+    });
+  } catch (error) {
+    console.error('Error listing YouTube playlists:', error.message);
+    res.status(500).json({
+      success: false,
+      error: youtubeError(error)
+    });
+  }
+});
+
+/**
+ * POST /api/youtube/playlists - Create a playlist ({ title, description, privacyStatus })
+ */
+router.post('/playlists', async (req, res) => {
+  try {
+    const { title, description, privacyStatus = 'public' } = req.body || {};
+
+    if (typeof title !== 'string' || !title.trim() || title.length > 150) {
+      return res.status(400).json({
+        success: false,
+        error: 'title must be 1-150 characters'
+      });
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 5000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'description must be text of at most 5000 characters'
+      });
+    }
+    if (!PLAYLIST_PRIVACY.includes(privacyStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: `privacyStatus must be one of: ${PLAYLIST_PRIVACY.join(', ')}`
+      });
+    }
+
+    const publisher = await loadPublisher(req, res);
+    if (!publisher) return;
+
+    const playlist = await publisher.youtubeService.createPlaylist({ title: title.trim(), description, privacyStatus });
+
+    res.status(201).json({
+      success: true,
+      playlist
+    });
+  } catch (error) {
+    console.error('Error creating YouTube playlist:', error.message);
+    res.status(500).json({
+      success: false,
+      error: youtubeError(error)
+    });
+  }
+});
+
+/**
+ * PATCH /api/youtube/videos/:videoId - Edit the title, description and/or tags
+ * of a published video; the publishing job is updated to match
+ */
+router.patch('/videos/:videoId', async (req, res) => {
+  try {
+    const job = await loadVideoJob(req, res);
+    if (!job) return;
+
+    const publisher = await loadPublisher(req, res);
+    if (!publisher) return;
+
+    const { title, description, tags } = req.body || {};
+    let updated;
+    try {
+      updated = await publisher.updateYouTubeVideo(job, { title, description, tags });
+    } catch (updateError) {
+      if (updateError.response) throw updateError;
+      return res.status(400).json({
+        success: false,
+        error: updateError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId: updated.jobId,
+      youtube: updated.platformPayloads.youtube
+    });
+  } catch (error) {
+    console.error('Error updating YouTube video:', error.message);
+    res.status(500).json({
+      success: false,
+      error: youtubeError(error)
+    });
+  }
+});
+
+/**
+ * DELETE /api/youtube/videos/:videoId - Delete a published video; the
+ * publishing job records when it was deleted
+ */
+router.delete('/videos/:videoId', async (req, res) => {
+  try {
+    const job = await loadVideoJob(req, res);
+    if (!job) return;
+
+    const publisher = await loadPublisher(req, res);
+    if (!publisher) return;
+
+    const updated = await publisher.deleteYouTubeVideo(job);
+
+    res.json({
+      success: true,
+      jobId: updated.jobId,
+      deletedAt: updated.platforms.youtube.deletedAt
+    });
+  } catch (error) {
+    console.error('Error deleting YouTube video:', error.message);
+    res.status(500).json({
+      success: false,
+      error: youtubeError(error)
+    });
+  }
+});
+
+module.exports = router;
@@ -13,6 +13,7 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
 const { EncryptionService } = require('../services/encryption.service');
 const InstagramOAuthService = require('../services/oauth-instagram.service');
 
@@ -39,29 +40,30 @@ async function diagnoseToken(email) {
     console.log('📧 Name:', user.name);
     console.log('\n--------------------------------------------------\n');
 
-    // Check if Instagram credentials exist
-    if (!user.instagramCredentials || !user.instagramCredentials.accessToken) {
+    // Check if Instagram credentials exist (the active account's)
+    const account = await InstagramAccount.getActiveAccount(user);
+    if (!account?.accessToken) {
       console.error('❌ No Instagram credentials found for this user');
       console.log('\n💡 Solution: User needs to connect Instagram account via OAuth flow');
       process.exit(1);
     }
 
     console.log('📊 Instagram Credentials Status:');
-    console.log('  Account ID:', user.instagramCredentials.accountId || 'Not set');
-    console.log('  Account Name:', user.instagramCredentials.accountName || 'Not set');
-    console.log('  Account Type:', user.instagramCredentials.accountType || 'Not set');
-    console.log('  Token Expires:', user.instagramCredentials.tokenExpiresAt || 'Not set');
-    console.log('  Token Issued:', user.instagramCredentials.tokenIssuedAt || 'Not set');
-    console.log('  Token Validated:', user.instagramCredentials.tokenValidated || false);
-    console.log('  Token Error Count:', user.instagramCredentials.tokenErrorCount || 0);
-    console.log('  Last Token Error:', user.instagramCredentials.lastTokenError || 'None');
+    console.log('  Account ID:', account.accountId || 'Not set');
+    console.log('  Account Name:', account.accountName || 'Not set');
+    console.log('  Account Type:', account.accountType || 'Not set');
+    console.log('  Token Expires:', account.tokenExpiresAt || 'Not set');
+    console.log('  Token Issued:', account.tokenIssuedAt || 'Not set');
+    console.log('  Token Validated:', account.tokenValidated || false);
+    console.log('  Token Error Count:', account.tokenErrorCount || 0);
+    console.log('  Last Token Error:', account.lastTokenError || 'None');
     console.log('\n--------------------------------------------------\n');
 
     // Decrypt token
     console.log('🔓 Decrypting token...');
     let decryptedToken;
     try {
-      decryptedToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
+      decryptedToken = encryptionService.decrypt(account.accessToken);
       console.log('✅ Token decrypted successfully');
     } catch (error) {
       console.error('❌ Token decryption failed:', error.message);
@@ -1,4 +1,25 @@
 const User = require('../models/User');
+const { EncryptionService } = require('./encryption.service');
+
+const encryptionService = new EncryptionService();
+
+// API Configuration page ids that MultiProviderAIService knows under another name
+const PROVIDER_ALIASES = {
+  google: 'gemini',
+  anthropic: 'claude'
+};
+
+// Server-wide keys that back up the user's own provider
+const FALLBACK_PROVIDERS = {
+  gemini: { envKey: 'GEMINI_API_KEY', model: 'gemini-2.5-flash' },
+  openai: { envKey: 'OPENAI_API_KEY', model: 'gpt-4o-mini' },
+  claude: { envKey: 'ANTHROPIC_API_KEY', model: 'claude-3-5-sonnet-20241022' },
+  openrouter: { envKey: 'OPENROUTER_API_KEY', model: 'meta-llama/llama-3.1-8b-instruct:free' },
+  deepseek: { envKey: 'DEEPSEEK_API_KEY', model: 'deepseek-chat' }
+};
+
+// Order the fallbacks are tried in; override with AI_REPLY_PROVIDER_CHAIN=gemini,openai,...
+const DEFAULT_FALLBACK_ORDER = ['gemini', 'openai', 'claude', 'openrouter', 'deepseek'];
 
 /**
  * Get AI configuration for a user
@@ -18,14 +39,15 @@ class AIConfigService {
         throw new Error('User not found');
       }
 
-      if (!user.aiProvider || !user.aiModel || !user.aiApiKey) {
+      const apiKey = this.decryptApiKey(user.aiApiKey);
+      if (!user.aiProvider || !user.aiModel || !apiKey) {
         throw new Error('AI model not configured. Please configure in API Configuration page.');
       }
 
       return {
         provider: user.aiProvider,
         model: user.aiModel,
-        apiKey: user.aiApiKey
+        apiKey
       };
     } catch (error) {
       console.error('Error getting AI config:', error);
@@ -48,6 +70,70 @@ class AIConfigService {
     }
   }
 
+  /**
+   * Decrypt a stored aiApiKey (saved encrypted by the API Configuration route)
+   * @param {string} storedKey - User.aiApiKey
+   * @returns {string|null} API key, or null when missing or unreadable
+   */
+  static decryptApiKey(storedKey) {
+    if (!storedKey) {
+      return null;
+    }
+
+    try {
+      return encryptionService.decrypt(storedKey);
+    } catch (error) {
+      console.error('[AIConfigService] Could not decrypt AI API key:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Map an API Configuration page provider id to the MultiProviderAIService name
+   * @param {string} provider - Provider id
+   * @returns {string} Provider name
+   */
+  static normalizeProvider(provider) {
+    const id = String(provider || '').trim().toLowerCase();
+    return PROVIDER_ALIASES[id] || id;
+  }
+
+  /**
+   * Ordered providers for comment and DM replies: the user's own provider and key
+   * first, then every server-wide key from the environment
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<{provider: string, model: string, apiKey: string}>>} Provider chain
+   */
+  static async getReplyProviderChain(userId) {
+    const chain = [];
+
+    const user = await User.findById(userId).select('aiProvider aiModel aiApiKey').lean();
+    const userApiKey = user?.aiProvider ? this.decryptApiKey(user.aiApiKey) : null;
+    if (userApiKey) {
+      const provider = this.normalizeProvider(user.aiProvider);
+      chain.push({
+        provider,
+        model: user.aiModel || FALLBACK_PROVIDERS[provider]?.model || null,
+        apiKey: userApiKey
+      });
+    }
+
+    const order = process.env.AI_REPLY_PROVIDER_CHAIN
+      ? process.env.AI_REPLY_PROVIDER_CHAIN.split(',').map(provider => this.normalizeProvider(provider))
+      : DEFAULT_FALLBACK_ORDER;
+
+    for (const provider of order) {
+      const fallback = FALLBACK_PROVIDERS[provider];
+      const apiKey = fallback && process.env[fallback.envKey]?.trim();
+      if (!apiKey || chain.some(entry => entry.provider === provider && entry.apiKey === apiKey)) {
+        continue;
+      }
+      chain.push({ provider, model: fallback.model, apiKey });
+    }
+
+    return chain;
+  }
+
   /**
    * Get AI client based on provider
    * This method can be extended to return the appropriate AI client
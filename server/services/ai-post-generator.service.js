@@ -195,6 +195,149 @@ Format: space-separated, all lowercase, no numbering.
     };
   }
 
+  /**
+   * Generate an educational carousel: a slide-by-slide outline with one image
+   * prompt per slide, plus a caption and hashtags for the whole post.
+   * @param {Object} context - Same fields as generatePost
+   * @param {number} slideCount - Number of slides (2-10)
+   */
+  async generateCarousel(context, slideCount = 5) {
+    if (!this.initialized) throw new Error('Service not initialized. Call initialize() first.');
+
+    const count = Math.min(Math.max(parseInt(slideCount, 10) || 5, 2), 10);
+    const {
+      accountType = 'tech personal brand',
+      targetAudience = 'developers and computer science learners',
+      brandVoice = 'friendly, modern, educational',
+      topics = [],
+      additionalContext = ''
+    } = context;
+
+    const StateAnnotation = Annotation.Root({
+      accountType: Annotation,
+      targetAudience: Annotation,
+      brandVoice: Annotation,
+      topics: Annotation,
+      additionalContext: Annotation,
+      slides: Annotation,
+      caption: Annotation,
+      hashtags: Annotation
+    });
+
+    const workflow = new StateGraph(StateAnnotation);
+
+    // 🗂️ Step 1: Slide-by-slide outline
+    const generateOutline = async (state) => {
+      const topicsText = state.topics?.length
+        ? `Focus on these topics: ${state.topics.join(', ')}.`
+        : '';
+
+      const prompt = `
+You are an educator who makes Instagram carousel posts.
+Plan a ${count}-slide carousel that teaches one idea step by step.
+
+Account Type: ${state.accountType}
+Target Audience: ${state.targetAudience}
+Brand Voice: ${state.brandVoice}
+${topicsText}
+Additional Context: ${state.additionalContext}
+
+Requirements:
+- Slide 1 is a hook that makes people swipe.
+- Middle slides each teach one point; keep slide text under 30 words.
+- The last slide recaps and invites people to save or follow.
+- Every slide gets its own image prompt (100–200 characters): clean, professional,
+  developer realism (screens, diagrams, code editors), no text rendered in the image.
+
+Respond with JSON only, exactly ${count} items:
+[{"title": "...", "text": "...", "imagePrompt": "..."}]
+`;
+
+      const response = await this.model.invoke(prompt);
+      const raw = (response?.content || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+
+      let slides;
+      try {
+        slides = JSON.parse(raw);
+      } catch {
+        throw new Error('Carousel outline was not valid JSON');
+      }
+
+      slides = (Array.isArray(slides) ? slides : [])
+        .filter(slide => slide?.imagePrompt)
+        .slice(0, count)
+        .map(slide => ({
+          title: String(slide.title || '').trim(),
+          text: String(slide.text || '').trim(),
+          imagePrompt: String(slide.imagePrompt).trim()
+        }));
+
+      if (slides.length < 2) {
+        throw new Error('Carousel outline had too few usable slides');
+      }
+      return { ...state, slides };
+    };
+
+    // ✍️ Step 2: Caption that introduces the carousel
+    const generateCaption = async (state) => {
+      const outline = state.slides.map((slide, i) => `${i + 1}. ${slide.title}: ${slide.text}`).join('\n');
+      const prompt = `
+Write an Instagram caption for this carousel post:
+${outline}
+
+Rules:
+- 60–100 words, friendly and professional, with 3–5 well-placed emojis.
+- Tease what the reader learns and tell them to swipe.
+- End with a call-to-action to save the post.
+- IMPORTANT: Output ONLY the caption text itself.
+`;
+
+      const response = await this.model.invoke(prompt);
+      const caption = (response?.content || '').trim();
+      return { ...state, caption };
+    };
+
+    // 🔖 Step 3: Hashtags
+    const generateHashtags = async (state) => {
+      const prompt = `
+Generate 12–15 Instagram hashtags based on this caption:
+"${state.caption}"
+
+Mix of broad and niche tags.
+Format: space-separated, all lowercase, no numbering.
+`;
+
+      const response = await this.model.invoke(prompt);
+      const hashtags = (response?.content || '').trim();
+      return { ...state, hashtags };
+    };
+
+    workflow.addNode('generateOutline', generateOutline);
+    workflow.addNode('generateCaption', generateCaption);
+    workflow.addNode('generateHashtags', generateHashtags);
+
+    workflow.setEntryPoint('generateOutline');
+    workflow.addEdge('generateOutline', 'generateCaption');
+    workflow.addEdge('generateCaption', 'generateHashtags');
+    workflow.addEdge('generateHashtags', '__end__');
+
+    const app = workflow.compile({ checkpointer: new MemorySaver() });
+    const initialState = { accountType, targetAudience, brandVoice, topics, additionalContext };
+    const result = await app.invoke(initialState, {
+      configurable: { thread_id: Date.now().toString() }
+    });
+
+    console.log(`[AIPostGeneratorService] Carousel with ${result.slides.length} slides generated 🎉`);
+
+    return {
+      caption: result.caption,
+      hashtags: result.hashtags,
+      fullCaption: `${result.caption}\n\n${result.hashtags}`,
+      imagePrompt: result.slides[0].imagePrompt,
+      slides: result.slides
+    };
+  }
+
   static async validateApiKey(apiKey) {
     try {
       const cleanApiKey = apiKey.toString().trim();
@@ -1,118 +1,152 @@
-const { ChatGoogleGenerativeAI } = require("@langchain/google-genai");
-
+const MultiProviderAIService = require("./multi-provider-ai.service");
+const ReplyPersonaService = require("./reply-persona.service");
+
+/**
+ * AIReplyService - Comment, mention and DM replies in the user's persona
+ *
+ * Prompts run down an ordered provider chain (AIConfigService.getReplyProviderChain):
+ * the user's own provider and key first, then the server-wide keys. The first
+ * provider that returns a usable answer wins; if every provider fails, built-in
+ * template replies are used and reported as provider "fallback".
+ */
 class AIReplyService {
-  constructor(apiKey) {
-    if (!apiKey || typeof apiKey !== "string") {
-      throw new Error("Gemini API key is required");
-    }
-
-    const trimmed = apiKey.trim();
-    if (!trimmed) throw new Error("Gemini API key cannot be empty");
+  /**
+   * @param {Array|string} providers - [{ provider, model, apiKey }] in the order to try;
+   *   a bare string is treated as a Gemini API key
+   */
+  constructor(providers) {
+    this.ai = new MultiProviderAIService();
+    this.setProviders(
+      typeof providers === "string"
+        ? [{ provider: "gemini", model: "gemini-2.5-flash", apiKey: providers }]
+        : providers
+    );
 
-    this.model = new ChatGoogleGenerativeAI({
-      apiKey: trimmed,
-      model: "gemini-2.5-flash", // Changed from gemini-2.5-flash (which doesn't exist yet)
+    this.generationOptions = {
       temperature: 0.9, // Balanced creativity
-      topP: 0.95,
-      maxOutputTokens: 250,
-    });
+      maxTokens: 250,
+    };
 
     this.MAX_RETRIES = 3;
-    this.DEFAULT_TONE = "engaging_friendly_curious";
+    this.DEFAULT_TONE = "friendly";
   }
 
   /**
-   * Generate a single reply (picks the first option from generateReplyOptions)
+   * Replace the provider chain (after the user changes their AI configuration)
    */
-  async generateReply(commentText, tone = this.DEFAULT_TONE, context = null) {
-    if (!commentText) throw new Error("Comment is required");
+  setProviders(providers) {
+    const chain = (providers || [])
+      .filter(entry => entry?.provider && typeof entry.apiKey === "string" && entry.apiKey.trim())
+      .map(entry => ({ provider: entry.provider, model: entry.model || null, apiKey: entry.apiKey.trim() }));
 
-    console.log(`[AIReplyService] Generating reply for: "${commentText.substring(0, 50)}..."`);
-    console.log(`[AIReplyService] Tone: ${tone}, Context:`, context ? 'provided' : 'none');
+    if (!chain.length) throw new Error("At least one AI provider with an API key is required");
+    this.providers = chain;
+  }
 
-    for (let attempt = 1; attempt <= this.MAX_RETRIES; attempt++) {
-      try {
-        console.log(`[AIReplyService] Attempt ${attempt}/${this.MAX_RETRIES}`);
-        
-        const prompt = this.buildPrompt(commentText, context);
-        const response = await this.model.invoke(prompt);
-        let raw = this.extract(response);
-
-        console.log(`[AIReplyService] Raw response length: ${raw?.length || 0}`);
-        
-        if (!raw || this.looksBad(raw)) {
-          console.log(`[AIReplyService] Empty or bad response (attempt ${attempt}/${this.MAX_RETRIES}). Retrying...`);
-          continue;
-        }
+  /**
+   * Run a prompt down the provider chain until one returns a usable answer
+   * @param {string} prompt - Prompt text
+   * @param {Function} parse - Raw text -> result; an empty result moves on to the next provider
+   * @param {Object} options - Generation options ({ temperature, maxTokens })
+   * @returns {Promise<{result: *, provider: string, model: string}>}
+   */
+  async complete(prompt, parse = raw => raw, options = this.generationOptions) {
+    const failures = [];
 
-        const replies = this.formatToArray(raw);
-        console.log(`[AIReplyService] Parsed ${replies.length} replies`);
-        
-        if (replies.length > 0) {
-          const selectedReply = replies[0];
-          console.log(`[AIReplyService] Selected reply: "${selectedReply}"`);
-          return selectedReply;
+    for (const { provider, model, apiKey } of this.providers) {
+      try {
+        const raw = await this.ai.generate(provider, model, prompt, apiKey, options);
+        const result = parse(raw);
+        if (Array.isArray(result) ? result.length > 0 : result) {
+          return { result, provider, model };
         }
-
-        console.log(`[AIReplyService] Empty reply from Gemini (attempt ${attempt}/${this.MAX_RETRIES}). Retrying...`);
+        failures.push(`${provider}: unusable response`);
       } catch (err) {
-        console.error(`[AIReplyService] Error on attempt ${attempt}:`, err.message);
-        if (attempt === this.MAX_RETRIES) {
-          console.log(`[AIReplyService] Using fallback reply template after repeated failures.`);
-          return this.getFallbackReply(commentText, context);
-        }
+        failures.push(err.message);
       }
+      console.warn(`[AIReplyService] ${failures[failures.length - 1]}`);
     }
 
-    console.log(`[AIReplyService] Using fallback reply template after repeated empty responses from Gemini.`);
-    return this.getFallbackReply(commentText, context);
+    throw new Error(`All AI providers failed (${failures.join("; ")})`);
   }
 
   /**
-   * Generate multiple reply options (returns array of 5 replies)
+   * Turn a tone into a prompt profile.
+   * Accepts a profile built by ReplyPersonaService (custom personas + brand)
+   * or a built-in tone name.
    */
-  async generateReplyOptions(commentText, tone = this.DEFAULT_TONE, context = null) {
-    if (!commentText) throw new Error("Comment is required");
-
-    const prompt = this.buildPrompt(commentText, context);
+  resolveProfile(tone) {
+    if (tone && typeof tone === "object") return tone;
+    return ReplyPersonaService.buildProfile(ReplyPersonaService.resolvePersona(tone));
+  }
 
-    for (let i = 1; i <= this.MAX_RETRIES; i++) {
-      try {
-        const response = await this.model.invoke(prompt);
-        let raw = this.extract(response);
+  /**
+   * Parse a numbered list of replies and hold each one to the persona
+   * @private
+   */
+  parseReplies(raw, profile) {
+    if (!raw || this.looksBad(raw)) return [];
+    return this.formatToArray(raw)
+      .map(reply => ReplyPersonaService.enforceProfile(reply, profile))
+      .filter(Boolean);
+  }
 
-        if (!raw || this.looksBad(raw)) continue;
+  /**
+   * Generate reply options along with the provider/model that wrote them
+   * @returns {Promise<{replies: string[], provider: string, model: string|null}>}
+   */
+  async generateReplyCandidates(commentText, tone = this.DEFAULT_TONE, context = null) {
+    if (!commentText) throw new Error("Comment is required");
 
-        const replies = this.formatToArray(raw);
-        if (replies.length) return replies;
+    console.log(`[AIReplyService] Generating replies for: "${commentText.substring(0, 50)}..."`);
+    const profile = this.resolveProfile(tone);
+    const prompt = this.buildPrompt(commentText, context, profile);
 
+    for (let attempt = 1; attempt <= this.MAX_RETRIES; attempt++) {
+      try {
+        const { result, provider, model } = await this.complete(prompt, raw => this.parseReplies(raw, profile));
+        console.log(`[AIReplyService] ${result.length} replies from ${provider}/${model}`);
+        return { replies: result, provider, model };
       } catch (err) {
-        if (i === this.MAX_RETRIES) return this.defaultReplies(commentText);
+        console.error(`[AIReplyService] Attempt ${attempt}/${this.MAX_RETRIES}:`, err.message);
       }
     }
 
-    return this.defaultReplies(commentText);
+    console.log(`[AIReplyService] Using fallback reply templates after repeated failures.`);
+    return { replies: this.defaultReplies(commentText, profile), provider: "fallback", model: null };
+  }
+
+  /**
+   * Generate a single reply (picks the first option from generateReplyCandidates)
+   */
+  async generateReply(commentText, tone = this.DEFAULT_TONE, context = null) {
+    const { replies } = await this.generateReplyCandidates(commentText, tone, context);
+    return replies[0];
+  }
+
+  /**
+   * Generate multiple reply options (returns array of 5 replies)
+   */
+  async generateReplyOptions(commentText, tone = this.DEFAULT_TONE, context = null) {
+    const { replies } = await this.generateReplyCandidates(commentText, tone, context);
+    return replies;
   }
 
-  buildPrompt(commentText, context) {
+  buildPrompt(commentText, context, profile = this.resolveProfile(this.DEFAULT_TONE)) {
     return `
-You are a *SUPER FRIENDLY + ENGAGING + CURIOUS* Instagram creator.
-Your job: Generate **5 different** human-like, warm, natural Instagram comment replies.
-
-🔥 STYLE RULES:
-- Replies must feel like real creator talking.
-- Very friendly, warm, positive.
-- 1–2 emojis max (😄✨❤️🔥).
-- Add a small curiosity question at the end.
+${ReplyPersonaService.formatPromptSection(profile)}
 - Each reply MUST be totally unique.
 - No robotic wording.
 - No JSON. No code. Only pure text.
 - Each reply separated clearly in a list.
 
+Your job: Generate **5 different** human-like, natural Instagram comment replies in this persona.
+
 🧠 USER COMMENT:
 "${commentText}"
 
 ${context?.caption ? `Post Caption: "${context.caption}"` : ""}
+${context?.mention ? `They tagged your account ${context.mention}. Thank them for the shout-out; this is not your post.` : ""}
 
 ✨ OUTPUT FORMAT (VERY IMPORTANT):
 Write EXACTLY like this:
@@ -127,17 +161,86 @@ Generate now:
     `;
   }
 
-  extract(res) {
-    if (!res) return "";
-    if (typeof res === "string") return res;
-    if (res.text) return res.text;
+  /**
+   * Generate reply options for a direct message thread
+   * @param {Array} history - [{ direction: 'inbound'|'outbound', text }], oldest first
+   */
+  async generateDmReplyOptions(history, tone = this.DEFAULT_TONE) {
+    const lastInbound = [...(history || [])].reverse().find(m => m.direction === "inbound");
+    if (!lastInbound?.text) throw new Error("Message is required");
+
+    const profile = this.resolveProfile(tone);
+    const prompt = this.buildDmPrompt(history, profile);
 
-    if (Array.isArray(res.content)) {
-      const c = res.content.find(x => x.text);
-      return c?.text || "";
+    for (let i = 1; i <= this.MAX_RETRIES; i++) {
+      try {
+        const { result } = await this.complete(prompt, raw => this.parseReplies(raw, profile));
+        return result;
+      } catch (err) {
+        console.error(`[AIReplyService] DM reply error on attempt ${i}:`, err.message);
+      }
     }
 
-    return "";
+    return this.defaultReplies(lastInbound.text, profile);
+  }
+
+  buildDmPrompt(history, profile = this.resolveProfile(this.DEFAULT_TONE)) {
+    // Only the recent part of the thread matters; older turns just cost tokens
+    const transcript = (history || [])
+      .slice(-10)
+      .map(m => `${m.direction === "inbound" ? "THEM" : "YOU"}: ${m.text}`)
+      .join("\n");
+
+    return `
+${ReplyPersonaService.formatPromptSection(profile)}
+- This is a private Instagram direct message, not a public comment.
+- Reply to their latest message, keeping the earlier conversation in mind.
+- Never invent prices, links or promises that are not in the conversation.
+- No JSON. No code. Only pure text.
+
+Your job: Generate **3 different** natural direct message replies in this persona.
+
+💬 CONVERSATION (oldest first):
+${transcript}
+
+✨ OUTPUT FORMAT (VERY IMPORTANT):
+Write EXACTLY like this:
+
+1. reply text
+2. reply text
+3. reply text
+
+Generate now:
+    `;
+  }
+
+  /**
+   * Classify a comment for moderation
+   * @returns {Promise<'spam'|'toxic'|'scam'|'ok'>}
+   */
+  async classifyComment(commentText) {
+    if (!commentText) return "ok";
+
+    const prompt = `
+You moderate comments on a brand's Instagram posts. Classify the comment below with exactly one word:
+
+spam  - self-promotion, "follow me", "check my page", bot-like or repeated filler
+toxic - insults, harassment, hate or threats aimed at anyone
+scam  - fake giveaways, investment/crypto offers, "DM me to earn", phishing links, impersonation
+ok    - anything else, including criticism and complaints
+
+COMMENT:
+"${commentText}"
+
+Answer with one word only:
+    `;
+
+    const { result } = await this.complete(
+      prompt,
+      raw => String(raw || "").trim().toLowerCase().replace(/[^a-z]/g, ""),
+      { ...this.generationOptions, temperature: 0 }
+    );
+    return ["spam", "toxic", "scam"].includes(result) ? result : "ok";
   }
 
   looksBad(t) {
@@ -162,26 +265,29 @@ Generate now:
     return lines;
   }
 
-  /**
-   * Get a single fallback reply (for generateReply method)
-   */
-  getFallbackReply(commentText, context) {
-    const replies = this.defaultReplies(commentText);
-    // Pick a random reply from the defaults
-    return replies[Math.floor(Math.random() * replies.length)];
-  }
-
   /**
    * Get multiple default replies (for generateReplyOptions method)
    */
-  defaultReplies(comment) {
-    return [
+  defaultReplies(comment, profile = null) {
+    // Personas that don't ask follow-up questions get neutral thank-you templates
+    if (profile && !profile.endWithQuestion) {
+      return [
+        `Thank you for your comment, we really appreciate it.`,
+        `Thank you for sharing your thoughts with us.`,
+        `We appreciate you taking the time to comment. Thank you.`,
+        `Thank you for your feedback, it means a lot to us.`,
+        `Thanks for engaging with our post, we value your support.`
+      ].map(reply => ReplyPersonaService.enforceProfile(reply, profile));
+    }
+
+    const replies = [
       `Aww thank you so much! 😄💛 Really means a lot! Btw, what made you comment this?`,
       `You're so sweet! ❤️ Appreciate it! Which part did you vibe with the most?`,
       `Thanks a ton! 😇✨ Love hearing from you! Anything specific you liked?`,
       `That’s so kind! 😄🔥 What caught your attention here?`,
       `You made my day! 💛😄 Tell me… what stood out the most to you?`
     ];
+    return profile ? replies.map(reply => ReplyPersonaService.enforceProfile(reply, profile)) : replies;
   }
 }
 
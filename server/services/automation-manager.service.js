@@ -0,0 +1,441 @@
+const StorageService = require('./storage.service');
+const InstagramGraphService = require('./instagram-graph.service');
+const AIReplyService = require('./ai-reply.service');
+const AutomationWorkflow = require('./automation-workflow.service');
+const ReplyPersonaService = require('./reply-persona.service');
+const AIConfigService = require('./ai-config.service');
+const DmFunnelService = require('./dm-funnel.service');
+const { EncryptionService } = require('./encryption.service');
+const UserCredentialsModel = require('../models/user-credentials.model');
+const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
+
+/**
+ * Automation Manager
+ * Keeps one isolated automation runtime per user, working on the user's
+ * active Instagram account (see instagram-account.model.js)
+ *
+ * Each runtime owns its own StorageService (scoped to the user and account), Instagram
+ * Graph client, AI reply service and AutomationWorkflow, so starting or
+ * stopping automation for one user never touches another user's poll timer,
+ * credentials or stats.
+ */
+class AutomationManager {
+  constructor() {
+    this.encryptionService = new EncryptionService();
+    this.runtimes = new Map(); // userId -> { workflow, storageService, instagramService, aiReplyService }
+    this.pendingInits = new Map(); // userId -> Promise (guards concurrent starts)
+  }
+
+  /**
+   * Build a fresh runtime for a user from their stored credentials and settings
+   * @private
+   */
+  async createRuntime(userId) {
+    const credentialsModel = new UserCredentialsModel(null, this.encryptionService);
+
+    // Get the active account's Instagram credentials from credentials model
+    const credentials = await credentialsModel.getCredentials(userId, 'instagram');
+
+    if (!credentials || !credentials.accessToken || !credentials.accountId) {
+      throw new Error('Instagram credentials not configured. Please add your access token and account ID.');
+    }
+
+    const storageService = new StorageService(userId, credentials.accountId);
+
+    // Check if platform is active
+    if (credentials.isActive === false) {
+      throw new Error('Instagram platform is disabled. Please enable it in settings.');
+    }
+
+    // The user's own AI provider first, then the server-wide keys
+    const providerChain = await AIConfigService.getReplyProviderChain(userId);
+    if (providerChain.length === 0) {
+      throw new Error('No AI provider configured. Add one on the API Configuration page or set GEMINI_API_KEY.');
+    }
+
+    // Initialize Instagram Graph API service (credentials are already decrypted by the model)
+    const instagramService = new InstagramGraphService();
+    await instagramService.initialize(credentials.accessToken, credentials.accountId);
+
+    const aiReplyService = new AIReplyService(providerChain);
+
+    // Get user settings for selected posts, tone and poll interval
+    const user = await User.findById(userId);
+    const config = await storageService.getConfig() || {};
+
+    const triggerMode = this.resolveTriggerMode(config.triggerMode || 'webhook');
+    const replyTone = config.replyTone || user?.automationSettings?.replyTone || 'friendly';
+    const personaProfile = await ReplyPersonaService.loadProfile(userId, replyTone);
+    const funnels = await DmFunnelService.loadFunnels(userId, credentials.accountId);
+
+    const workflow = new AutomationWorkflow(
+      instagramService,
+      aiReplyService,
+      storageService,
+      {
+        replyTone,
+        personaProfile,
+        pollIntervalSeconds: config.pollIntervalSeconds || user?.automationSettings?.pollIntervalSeconds || 30,
+        maxCommentsPerCheck: config.maxCommentsPerCheck || 10,
+        selectedPostIds: user?.automationSettings?.selectedPosts || [],
+        monitorAll: user?.automationSettings?.monitorAll || false,
+        triggerMode,
+        approvalMode: config.approvalMode || false,
+        funnels,
+        moderation: user?.automationSettings?.moderation || null
+      }
+    );
+
+    return { workflow, storageService, instagramService, aiReplyService };
+  }
+
+  /**
+   * Webhook delivery needs the Meta webhook to be configured; otherwise fall back to polling
+   * @private
+   */
+  resolveTriggerMode(triggerMode) {
+    if (triggerMode === 'webhook' && !process.env.INSTAGRAM_WEBHOOK_VERIFY_TOKEN) {
+      console.warn('[AutomationManager] INSTAGRAM_WEBHOOK_VERIFY_TOKEN not set, falling back to polling');
+      return 'polling';
+    }
+    return triggerMode;
+  }
+
+  /**
+   * Get the user's runtime, creating it if needed.
+   * A stopped runtime is rebuilt so credential or settings changes are picked up.
+   * @param {string} userId - User ID
+   */
+  async getOrCreateRuntime(userId) {
+    const key = String(userId);
+    const existing = this.runtimes.get(key);
+
+    if (existing && existing.workflow.getState().isRunning) {
+      return existing;
+    }
+
+    if (this.pendingInits.has(key)) {
+      return this.pendingInits.get(key);
+    }
+
+    const init = this.createRuntime(key)
+      .then(runtime => {
+        this.runtimes.set(key, runtime);
+        return runtime;
+      })
+      .finally(() => {
+        this.pendingInits.delete(key);
+      });
+
+    this.pendingInits.set(key, init);
+    return init;
+  }
+
+  /**
+   * Get the user's runtime without creating one
+   * @param {string} userId - User ID
+   */
+  getRuntime(userId) {
+    return this.runtimes.get(String(userId)) || null;
+  }
+
+  /**
+   * Start automation for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<{alreadyRunning: boolean, status: Object}>}
+   */
+  async start(userId) {
+    const runtime = await this.getOrCreateRuntime(userId);
+
+    if (runtime.workflow.getState().isRunning) {
+      return { alreadyRunning: true, status: runtime.workflow.getState() };
+    }
+
+    await runtime.workflow.start();
+    console.log(`[AutomationManager] Automation started for user ${userId}`);
+
+    return { alreadyRunning: false, status: runtime.workflow.getState() };
+  }
+
+  /**
+   * Stop automation for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Final workflow state, or null if the user had no runtime
+   */
+  async stop(userId) {
+    const runtime = this.getRuntime(userId);
+
+    if (!runtime) {
+      return null;
+    }
+
+    await runtime.workflow.stop();
+    console.log(`[AutomationManager] Automation stopped for user ${userId}`);
+
+    return runtime.workflow.getState();
+  }
+
+  /**
+   * Move a user's automation to their newly active Instagram account.
+   * The runtime is dropped so the next start builds one for that account;
+   * automation that was running is restarted right away.
+   * @param {string} userId - User ID
+   * @returns {Promise<{restarted: boolean, status: Object|null}>}
+   */
+  async switchAccount(userId) {
+    const key = String(userId);
+    const runtime = this.getRuntime(key);
+    const wasRunning = Boolean(runtime?.workflow.getState().isRunning);
+
+    if (wasRunning) {
+      await runtime.workflow.stop();
+    }
+    this.runtimes.delete(key);
+
+    if (!wasRunning) {
+      return { restarted: false, status: null };
+    }
+
+    const { status } = await this.start(key);
+    console.log(`[AutomationManager] Automation moved to the active Instagram account for user ${userId}`);
+    return { restarted: true, status };
+  }
+
+  /**
+   * Get workflow state for a user
+   * @param {string} userId - User ID
+   * @returns {Object|null} Workflow state, or null if the user has no runtime
+   */
+  getStatus(userId) {
+    const runtime = this.getRuntime(userId);
+    return runtime ? runtime.workflow.getState() : null;
+  }
+
+  /**
+   * Update configuration (tone, interval, trigger mode, approval mode, moderation) of a user's running workflow
+   * @param {string} userId - User ID
+   * @param {Object} config - Partial workflow configuration
+   */
+  async updateConfig(userId, config) {
+    const runtime = this.getRuntime(userId);
+    if (!runtime) {
+      return;
+    }
+
+    const update = { ...config };
+
+    if (update.triggerMode) {
+      update.triggerMode = this.resolveTriggerMode(update.triggerMode);
+    }
+
+    if (update.replyTone) {
+      try {
+        update.personaProfile = await ReplyPersonaService.loadProfile(userId, update.replyTone);
+      } catch (error) {
+        console.error(`[AutomationManager] Failed to load persona for user ${userId}:`, error.message);
+      }
+    }
+
+    runtime.workflow.updateConfig(update);
+  }
+
+  /**
+   * Reload the persona profile after custom personas or brand fields change
+   * @param {string} userId - User ID
+   */
+  async refreshPersona(userId) {
+    const runtime = this.getRuntime(userId);
+    if (!runtime) {
+      return;
+    }
+
+    try {
+      const personaProfile = await ReplyPersonaService.loadProfile(userId, runtime.workflow.replyTone);
+      runtime.workflow.updateConfig({ personaProfile });
+    } catch (error) {
+      console.error(`[AutomationManager] Failed to refresh persona for user ${userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Reload the AI provider chain after the user changes their AI configuration
+   * @param {string} userId - User ID
+   */
+  async refreshAIProviders(userId) {
+    const runtime = this.getRuntime(userId);
+    if (!runtime) {
+      return;
+    }
+
+    try {
+      const providerChain = await AIConfigService.getReplyProviderChain(userId);
+      runtime.aiReplyService.setProviders(providerChain);
+    } catch (error) {
+      console.error(`[AutomationManager] Failed to refresh AI providers for user ${userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Reload the enabled DM funnels after they are created, edited or deleted
+   * @param {string} userId - User ID
+   */
+  async refreshFunnels(userId) {
+    const runtime = this.getRuntime(userId);
+    if (!runtime) {
+      return;
+    }
+
+    try {
+      const funnels = await DmFunnelService.loadFunnels(userId, runtime.storageService.accountId);
+      runtime.workflow.updateConfig({ funnels });
+    } catch (error) {
+      console.error(`[AutomationManager] Failed to refresh funnels for user ${userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Find the running runtime that manages an Instagram account
+   * @param {string} accountId - Instagram account ID from the webhook entry
+   */
+  findRuntimeByAccountId(accountId) {
+    for (const runtime of this.runtimes.values()) {
+      if (
+        String(runtime.instagramService.instagramAccountId) === String(accountId) &&
+        runtime.workflow.getState().isRunning
+      ) {
+        return runtime;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the user that connected this Instagram account, whether or not it is
+   * their active account or automation is running. When several users connected
+   * it, the one running automation for it wins, then one that has it active.
+   * @param {string} accountId - Instagram account ID from the webhook entry
+   * @returns {Promise<string|null>} User ID
+   */
+  async findUserIdByAccountId(accountId) {
+    const runtime = this.findRuntimeByAccountId(accountId);
+    if (runtime) {
+      return String(runtime.storageService.userId);
+    }
+
+    const owners = await InstagramAccount.find({ accountId: String(accountId) })
+      .sort({ createdAt: -1 })
+      .select('userId')
+      .lean();
+    if (owners.length === 0) {
+      return null;
+    }
+
+    const active = await User.findOne({
+      _id: { $in: owners.map(owner => owner.userId) },
+      activeInstagramAccountId: String(accountId)
+    }).select('_id').lean();
+    return String(active ? active._id : owners[0].userId);
+  }
+
+  /**
+   * Whether an Instagram account is the user's active one, the account automated
+   * replies are sent from
+   * @param {string} userId - User ID
+   * @param {string} accountId - Instagram account ID
+   */
+  async isActiveAccount(userId, accountId) {
+    const activeAccountId = await InstagramAccount.getActiveAccountId(userId);
+    return activeAccountId !== null && String(activeAccountId) === String(accountId);
+  }
+
+  /**
+   * Route webhook events from the event bus to the owning user's workflow
+   * @param {EventEmitter} eventBus - Shared event bus (see event-bus.service.js)
+   */
+  subscribeToWebhooks(eventBus) {
+    eventBus.subscribe('instagram:comment', (event) => this.handleWebhookComment(event));
+    console.log('[AutomationManager] Listening for webhook comments');
+  }
+
+  /**
+   * Feed a webhook comment into the owning user's workflow
+   * @private
+   */
+  async handleWebhookComment(event) {
+    if (!event?.accountId || !event.commentId) {
+      return;
+    }
+
+    const runtime = this.findRuntimeByAccountId(event.accountId);
+    if (!runtime) {
+      console.log(`[AutomationManager] No running automation for account ${event.accountId}, ignoring comment ${event.commentId}`);
+      return;
+    }
+
+    await runtime.workflow.enqueueWebhookComment({
+      id: event.commentId,
+      postId: event.mediaId,
+      parentId: event.parentId,
+      username: event.from?.username,
+      fromId: event.from?.id,
+      text: event.text,
+      timestamp: event.timestamp
+    });
+  }
+
+  /**
+   * Restore every runtime that was active before the last shutdown.
+   * Relies on the isActive flag written by AutomationWorkflow.persistState (saveAutomationState).
+   */
+  async restoreActiveAutomations() {
+    const users = await User.find({ 'automationSettings.isActive': true }).select('_id');
+
+    console.log(`[AutomationManager] Found ${users.length} users with active automation`);
+
+    let restored = 0;
+    for (const user of users) {
+      const userId = user._id.toString();
+
+      try {
+        const runtime = await this.getOrCreateRuntime(userId);
+        const shouldResume = await runtime.workflow.restoreState();
+
+        if (!shouldResume) {
+          continue;
+        }
+
+        await runtime.workflow.start();
+        restored++;
+
+        await runtime.storageService.appendLog({
+          type: 'info',
+          message: 'Automation resumed after server restart',
+          details: {
+            stats: runtime.workflow.getState().stats
+          }
+        });
+      } catch (error) {
+        console.error(`[AutomationManager] Failed to restore automation for user ${userId}:`, error.message);
+      }
+    }
+
+    console.log(`[AutomationManager] Restored ${restored} automation runtime(s)`);
+    return restored;
+  }
+
+  /**
+   * Halt every poll timer without persisting isActive=false,
+   * so active runtimes are restored on the next boot
+   */
+  shutdown() {
+    for (const [userId, runtime] of this.runtimes) {
+      runtime.workflow.stopPolling();
+      console.log(`[AutomationManager] Polling halted for user ${userId}`);
+    }
+  }
+}
+
+// Export singleton instance
+const automationManager = new AutomationManager();
+module.exports = automationManager;
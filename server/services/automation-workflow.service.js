@@ -1,9 +1,31 @@
 const { StateGraph, END } = require('@langchain/langgraph');
 const { ErrorHandler, ErrorAction } = require('./error-handler.service');
+const eventBus = require('./event-bus.service');
+const CommentRuleService = require('./comment-rule.service');
+const CommentModerationService = require('./comment-moderation.service');
+const DmFunnelService = require('./dm-funnel.service');
+const ReplyPersonaService = require('./reply-persona.service');
 
 /**
  * AutomationWorkflow - Manages the Instagram comment automation workflow using LangGraph
  * Orchestrates comment detection, AI reply generation, and posting
+ *
+ * Trigger modes:
+ * - webhook: comments pushed by the Meta webhook are queued and processed immediately, no polling
+ * - polling: posts are polled every pollIntervalSeconds (webhook comments are still accepted)
+ *
+ * With approvalMode on, generated replies are stored as pending items
+ * (ProcessedComment status reply_generated) instead of being posted; see reply-approval.service.js
+ *
+ * Moderation (comment-moderation.service.js) runs first during detection: comments
+ * classified as spam, toxic or scam are hidden, deleted or flagged and never replied to.
+ *
+ * DM funnels (dm-funnel.service.js) run next and fully handle the
+ * comments they match; their posts are watched even when not selected for auto-replies.
+ *
+ * Comment rules (comment-rule.service.js) are applied next: skip and hide
+ * are handled there, while template, ai_reply and private_reply rules ride along on
+ * the comment (`comment.rule`) and shape generation and posting.
  */
 class AutomationWorkflow {
   constructor(instagramService, aiReplyService, storageService, config = {}) {
@@ -26,8 +48,13 @@ class AutomationWorkflow {
     this.pollIntervalSeconds = config.pollIntervalSeconds || 30;
     this.maxCommentsPerCheck = config.maxCommentsPerCheck || 10;
     this.replyTone = config.replyTone || 'friendly';
+    this.personaProfile = config.personaProfile || null; // Resolved persona + brand (ReplyPersonaService)
     this.selectedPostIds = config.selectedPostIds || [];
     this.monitorAll = config.monitorAll || false;
+    this.triggerMode = config.triggerMode === 'webhook' ? 'webhook' : 'polling';
+    this.approvalMode = !!config.approvalMode;
+    this.funnels = config.funnels || []; // Enabled DmFunnel documents
+    this.moderation = config.moderation || null; // User.automationSettings.moderation
 
     // Workflow state
     this.state = {
@@ -39,6 +66,7 @@ class AutomationWorkflow {
       stats: {
         commentsDetected: 0,
         repliesGenerated: 0,
+        repliesQueued: 0,
         repliesPosted: 0,
         errorCount: 0
       }
@@ -48,6 +76,15 @@ class AutomationWorkflow {
     this.pollTimer = null;
     this.isProcessing = false;
 
+    // Comments pushed by the webhook, waiting for the next detection pass
+    this.webhookQueue = [];
+    this.queuedCommentIds = new Set();
+    this.webhookDrainTimer = null;
+    this.botUsername = null;
+
+    // Reply budget of maxCommentsPerCheck per pollIntervalSeconds, shared with mention replies
+    this.replyWindow = { start: 0, count: 0 };
+
     // Initialize LangGraph workflow
     this.graph = null;
     this.initializeGraph();
@@ -69,6 +106,8 @@ class AutomationWorkflow {
         stats: null,
         currentComment: null,
         currentReply: null,
+        currentReplyOptions: null,
+        currentReplySource: null,
         shouldContinue: null
       }
     });
@@ -77,6 +116,7 @@ class AutomationWorkflow {
     workflow.addNode('detectComments', this.detectCommentsNode.bind(this));
     workflow.addNode('generateReply', this.generateReplyNode.bind(this));
     workflow.addNode('postReply', this.postReplyNode.bind(this));
+    workflow.addNode('queueForApproval', this.queueForApprovalNode.bind(this));
     workflow.addNode('errorHandling', this.errorHandlingNode.bind(this));
 
     // Define the workflow edges
@@ -92,16 +132,20 @@ class AutomationWorkflow {
       }
     );
 
-    // Edge from generateReply to postReply or errorHandling
+    // Edge from generateReply to postReply, queueForApproval or errorHandling
     workflow.addConditionalEdges(
       'generateReply',
       this.routeAfterGeneration.bind(this),
       {
         'postReply': 'postReply',
+        'queueForApproval': 'queueForApproval',
         'errorHandling': 'errorHandling'
       }
     );
 
+    // Edge from queueForApproval back to detectComments
+    workflow.addEdge('queueForApproval', 'detectComments');
+
     // Edge from postReply back to detectComments or errorHandling
     workflow.addConditionalEdges(
       'postReply',
@@ -124,6 +168,8 @@ class AutomationWorkflow {
    * @private
    */
   async detectCommentsNode(state) {
+    let drained = [];
+
     try {
       console.log('[AutomationWorkflow] ========== Starting Comment Detection ==========');
       console.log('[AutomationWorkflow] Current time:', new Date().toISOString());
@@ -131,113 +177,46 @@ class AutomationWorkflow {
       // Update last check time
       state.lastCheckTime = new Date();
 
-      // Get posts to monitor (either selected posts or recent posts)
-      let posts;
-      if (!this.monitorAll && this.selectedPostIds && this.selectedPostIds.length > 0) {
-        console.log(`[AutomationWorkflow] Monitoring ${this.selectedPostIds.length} selected posts`);
-        // For selected posts, we need to fetch them individually
-        // For now, get all posts and filter
-        const allPosts = await this.errorHandler.executeWithRetry(
-          () => this.instagramService.getAccountPosts(100),
-          { operation: 'getAccountPosts', node: 'detectComments' }
-        );
-        posts = allPosts.filter(post => this.selectedPostIds.includes(post.id));
-        console.log(`[AutomationWorkflow] Found ${posts.length} matching posts from ${allPosts.length} total posts`);
-      } else {
-        // Get recent posts from the authenticated user with error handling
-        console.log('[AutomationWorkflow] Fetching recent posts (monitoring all posts)...');
-        const fetchLimit = this.monitorAll ? 25 : 5;
-        posts = await this.errorHandler.executeWithRetry(
-          () => this.instagramService.getAccountPosts(fetchLimit),
-          { operation: 'getAccountPosts', node: 'detectComments' }
-        );
-      }
-      
-      console.log(`[AutomationWorkflow] Checking ${posts.length} posts for comments`);
-      
-      const newComments = [];
-
-      // Get bot's own username to filter out self-replies
-      const botUsername = await this.instagramService.getAccountInfo().then(info => info.username).catch(() => null);
-      console.log(`[AutomationWorkflow] Bot username: @${botUsername}`);
-
-      // Fetch comments for each post
-      for (const post of posts) {
-        console.log(`[AutomationWorkflow] Checking post ${post.id} (${post.type}) - ${post.commentCount} comments`);
-        try {
-          const comments = await this.errorHandler.executeWithRetry(
-            () => this.instagramService.getRecentComments(post.id),
-            { operation: 'getRecentComments', node: 'detectComments', postId: post.id }
-          );
-          
-          console.log(`[AutomationWorkflow] Retrieved ${comments.length} comments from post ${post.id}`);
-          
-          // Filter out already processed comments and bot's own comments
-          for (const comment of comments) {
-            // Skip bot's own comments to prevent infinite loop
-            if (botUsername && comment.username === botUsername) {
-              console.log(`[AutomationWorkflow] Skipping bot's own comment ${comment.id}`);
-              continue;
-            }
-
-            const isProcessed = await this.storageService.isCommentProcessed(comment.id);
-            
-            console.log(`[AutomationWorkflow] Comment ${comment.id} from @${comment.username}: "${comment.text.substring(0, 50)}..." - Processed: ${isProcessed}`);
-            
-            // Skip if already processed
-            if (isProcessed) {
-              console.log(`[AutomationWorkflow] Skipping already processed comment ${comment.id}`);
-              continue;
-            }
-            
-            // Graph API doesn't return replies in the main comments list, so all are top-level
-            newComments.push({
-              ...comment,
-              postCaption: post.caption,
-              postType: post.type
-            });
-
-            // Log comment detection
-            await this.storageService.appendLog({
-              type: 'comment_detected',
-              message: `New comment detected from @${comment.username}`,
-              details: {
-                commentId: comment.id,
-                postId: comment.postId,
-                username: comment.username,
-                text: comment.text
-              }
-            });
+      // Comments still pending from an earlier pass come first, then newly queued ones.
+      // Polled ones are carried too, so re-polling them does not take another reply slot
+      const carriedOver = state.pendingComments || [];
+      drained = await this.drainWebhookQueue();
+      const newComments = [...carriedOver, ...drained];
+
+      if (this.triggerMode === 'polling') {
+        const polledComments = await this.pollForComments();
+        for (const comment of polledComments) {
+          if (!newComments.some(existing => existing.id === comment.id)) {
+            newComments.push(comment);
           }
-        } catch (error) {
-          // Handle error for individual post
-          const errorResult = await this.errorHandler.handleError(error, {
-            operation: 'getRecentComments',
-            node: 'detectComments',
-            postId: post.id
-          });
-          
-          // If we should stop automation, throw the error
-          if (errorResult.shouldStop) {
-            throw error;
-          }
-          // Otherwise continue with other posts
         }
       }
 
-      // Limit to max comments per check
-      const commentsToProcess = newComments.slice(0, this.maxCommentsPerCheck);
+      // Limit to max comments per check; carried-over comments already hold a reply slot
+      const wanted = Math.max(0, Math.min(newComments.length, this.maxCommentsPerCheck) - carriedOver.length);
+      const limit = carriedOver.length + this.takeReplySlots(wanted);
+      const commentsToProcess = newComments.slice(0, limit);
 
-      state.pendingComments = commentsToProcess;
-      state.stats.commentsDetected += commentsToProcess.length;
+      // Webhook comments over the limit go back to the queue; polled ones are picked up on the next poll
+      const overflow = newComments
+        .slice(limit)
+        .filter(comment => comment.source === 'webhook');
+      this.requeueWebhookComments(overflow);
+
+      state.stats.commentsDetected += commentsToProcess.length - carriedOver.length;
+      state.pendingComments = await this.applyRules(
+        await this.applyFunnels(await this.applyModeration(commentsToProcess))
+      );
 
       console.log(`[AutomationWorkflow] Found ${commentsToProcess.length} new comments to process`);
-      console.log(`[AutomationWorkflow] Total posts checked: ${posts.length}`);
       console.log(`[AutomationWorkflow] Total new comments found: ${newComments.length}`);
 
       return state;
     } catch (error) {
       console.error('[AutomationWorkflow] Error in detectCommentsNode:', error.message);
+
+      // Drained webhook comments are still unprocessed; queue them for the next pass
+      this.requeueWebhookComments(drained);
       
       // Handle error with error handler
       const errorResult = await this.errorHandler.handleError(error, {
@@ -261,6 +240,589 @@ class AutomationWorkflow {
     }
   }
 
+  /**
+   * Poll monitored posts for comments that have not been processed yet
+   * @private
+   * @returns {Promise<Array>} New comments
+   */
+  async pollForComments() {
+    // Get posts to monitor (either selected posts or recent posts)
+    let posts;
+    if (!this.monitorAll && this.selectedPostIds && this.selectedPostIds.length > 0) {
+      console.log(`[AutomationWorkflow] Monitoring ${this.selectedPostIds.length} selected posts`);
+      // For selected posts, we need to fetch them individually
+      // For now, get all posts and filter
+      const allPosts = await this.errorHandler.executeWithRetry(
+        () => this.instagramService.getAccountPosts(100),
+        { operation: 'getAccountPosts', node: 'detectComments' }
+      );
+      posts = allPosts.filter(post => this.selectedPostIds.includes(post.id) || this.isFunnelPost(post.id));
+      console.log(`[AutomationWorkflow] Found ${posts.length} matching posts from ${allPosts.length} total posts`);
+    } else {
+      // Get recent posts from the authenticated user with error handling
+      console.log('[AutomationWorkflow] Fetching recent posts (monitoring all posts)...');
+      const fetchLimit = this.monitorAll ? 25 : 5;
+      posts = await this.errorHandler.executeWithRetry(
+        () => this.instagramService.getAccountPosts(fetchLimit),
+        { operation: 'getAccountPosts', node: 'detectComments' }
+      );
+    }
+    
+    console.log(`[AutomationWorkflow] Checking ${posts.length} posts for comments`);
+    
+    const newComments = [];
+
+    // Get bot's own username to filter out self-replies
+    const botUsername = await this.getBotUsername();
+    console.log(`[AutomationWorkflow] Bot username: @${botUsername}`);
+
+    // Fetch comments for each post
+    for (const post of posts) {
+      console.log(`[AutomationWorkflow] Checking post ${post.id} (${post.type}) - ${post.commentCount} comments`);
+      try {
+        const comments = await this.errorHandler.executeWithRetry(
+          () => this.instagramService.getRecentComments(post.id),
+          { operation: 'getRecentComments', node: 'detectComments', postId: post.id }
+        );
+        
+        console.log(`[AutomationWorkflow] Retrieved ${comments.length} comments from post ${post.id}`);
+        
+        // Filter out already processed comments and bot's own comments
+        for (const comment of comments) {
+          // Skip bot's own comments to prevent infinite loop
+          if (botUsername && comment.username === botUsername) {
+            console.log(`[AutomationWorkflow] Skipping bot's own comment ${comment.id}`);
+            continue;
+          }
+
+          const isProcessed = await this.storageService.isCommentProcessed(comment.id);
+          
+          console.log(`[AutomationWorkflow] Comment ${comment.id} from @${comment.username}: "${comment.text.substring(0, 50)}..." - Processed: ${isProcessed}`);
+          
+          // Skip if already processed
+          if (isProcessed) {
+            console.log(`[AutomationWorkflow] Skipping already processed comment ${comment.id}`);
+            continue;
+          }
+          
+          // Graph API doesn't return replies in the main comments list, so all are top-level
+          newComments.push({
+            ...comment,
+            postCaption: post.caption,
+            postType: post.type
+          });
+
+          // Log comment detection
+          await this.storageService.appendLog({
+            type: 'comment_detected',
+            message: `New comment detected from @${comment.username}`,
+            details: {
+              commentId: comment.id,
+              postId: comment.postId,
+              username: comment.username,
+              text: comment.text
+            }
+          });
+        }
+      } catch (error) {
+        // Handle error for individual post
+        const errorResult = await this.errorHandler.handleError(error, {
+          operation: 'getRecentComments',
+          node: 'detectComments',
+          postId: post.id
+        });
+        
+        // If we should stop automation, throw the error
+        if (errorResult.shouldStop) {
+          throw error;
+        }
+        // Otherwise continue with other posts
+      }
+    }
+
+    console.log(`[AutomationWorkflow] Total posts checked: ${posts.length}`);
+
+    return newComments;
+  }
+
+  /**
+   * Classify comments and hide, delete or flag the ones that are spam, toxic or scam
+   * @private
+   * @param {Array} comments - Detected comments
+   * @returns {Promise<Array>} Comments that passed moderation
+   */
+  async applyModeration(comments) {
+    if (!this.moderation?.enabled) {
+      return comments;
+    }
+
+    const remaining = [];
+
+    for (const comment of comments) {
+      // Comments carried over from an earlier pass were already evaluated
+      if (comment.rule !== undefined) {
+        remaining.push(comment);
+        continue;
+      }
+
+      const verdict = await CommentModerationService.classify(comment, {
+        useLlm: this.moderation.useLlm,
+        aiReplyService: this.aiReplyService
+      });
+      if (verdict.label === 'ok') {
+        remaining.push(comment);
+        continue;
+      }
+
+      await this.moderateComment(comment, verdict);
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Apply the configured moderation action to a comment and record the outcome
+   * @private
+   */
+  async moderateComment(comment, verdict) {
+    const action = CommentModerationService.actionFor(this.moderation, verdict.label);
+    const statusMap = { hide: 'hidden', delete: 'deleted', flag: 'flagged' };
+    let status = statusMap[action];
+    let failure = null;
+
+    try {
+      if (action === 'hide') {
+        await this.errorHandler.executeWithRetry(
+          () => this.instagramService.hideComment(comment.id),
+          { operation: 'hideComment', node: 'detectComments', commentId: comment.id }
+        );
+      } else if (action === 'delete') {
+        await this.errorHandler.executeWithRetry(
+          () => this.instagramService.deleteComment(comment.id),
+          { operation: 'deleteComment', node: 'detectComments', commentId: comment.id }
+        );
+      }
+    } catch (error) {
+      status = 'failed';
+      failure = error.message;
+      console.error(`[AutomationWorkflow] Failed to ${action} comment ${comment.id}:`, error.message);
+    }
+
+    const moderation = {
+      label: verdict.label,
+      score: verdict.score,
+      reasons: verdict.reasons,
+      source: verdict.source,
+      action
+    };
+
+    await this.markCommentProcessed(comment.id, {
+      postId: comment.postId,
+      username: comment.username,
+      text: comment.text,
+      moderation,
+      status
+    });
+
+    await this.storageService.appendLog({
+      type: failure ? 'error' : 'warning',
+      message: failure
+        ? `Failed to ${action} ${verdict.label} comment from @${comment.username}: ${failure}`
+        : `Moderation ${status} ${verdict.label} comment from @${comment.username}`,
+      details: {
+        commentId: comment.id,
+        postId: comment.postId,
+        username: comment.username,
+        ...moderation
+      }
+    });
+  }
+
+  /**
+   * Run DM funnels for matching comments; comments on funnel-only posts that
+   * match no funnel are marked skipped so they are not auto-replied to
+   * @private
+   * @param {Array} comments - Detected comments
+   * @returns {Promise<Array>} Comments left for rules and reply generation
+   */
+  async applyFunnels(comments) {
+    const remaining = [];
+
+    for (const comment of comments) {
+      // Comments carried over from an earlier pass were already evaluated
+      if (comment.rule !== undefined) {
+        remaining.push(comment);
+        continue;
+      }
+
+      const funnel = DmFunnelService.matchFunnel(this.funnels, comment);
+      if (funnel) {
+        await this.runFunnel(funnel, comment);
+        continue;
+      }
+
+      if (!this.isMonitoredPost(comment.postId)) {
+        await this.markCommentProcessed(comment.id, {
+          postId: comment.postId,
+          username: comment.username,
+          text: comment.text,
+          status: 'skipped'
+        });
+        continue;
+      }
+
+      remaining.push(comment);
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Send a funnel's acknowledgement and DM for a comment and record the outcome
+   * @private
+   */
+  async runFunnel(funnel, comment) {
+    let result;
+    try {
+      result = await DmFunnelService.run(funnel, comment, this.instagramService);
+    } catch (error) {
+      result = { status: 'failed', error: error.message };
+    }
+
+    const statusMap = { sent: 'reply_posted', failed: 'failed', duplicate: 'skipped' };
+
+    await this.markCommentProcessed(comment.id, {
+      postId: comment.postId,
+      username: comment.username,
+      text: comment.text,
+      reply: result.message || null,
+      funnelId: String(funnel._id),
+      status: statusMap[result.status]
+    });
+
+    if (result.status === 'sent') {
+      this.state.stats.repliesPosted++;
+    }
+
+    const messages = {
+      sent: `Funnel "${funnel.name}" sent a DM to @${comment.username}`,
+      failed: `Funnel "${funnel.name}" failed to DM @${comment.username}: ${result.error}`,
+      duplicate: `Funnel "${funnel.name}" skipped @${comment.username} (already messaged)`
+    };
+
+    await this.storageService.appendLog({
+      type: result.status === 'failed' ? 'error' : 'reply_posted',
+      message: messages[result.status],
+      details: {
+        commentId: comment.id,
+        postId: comment.postId,
+        username: comment.username,
+        funnelId: String(funnel._id),
+        funnelName: funnel.name,
+        status: result.status,
+        publicReply: result.publicReply || null,
+        error: result.error || null
+      }
+    });
+  }
+
+  /**
+   * Evaluate the user's comment rules and handle skip/hide matches right away
+   * @private
+   * @param {Array} comments - Detected comments
+   * @returns {Promise<Array>} Comments that still need a reply, annotated with `rule`
+   */
+  async applyRules(comments) {
+    // Comments carried over from an earlier pass were already evaluated
+    const unevaluated = comments.filter(comment => comment.rule === undefined);
+    if (unevaluated.length === 0) {
+      return comments;
+    }
+
+    let rules = [];
+    try {
+      rules = await CommentRuleService.loadRules(this.storageService.userId, this.storageService.accountId);
+    } catch (error) {
+      console.error('[AutomationWorkflow] Failed to load comment rules:', error.message);
+    }
+
+    const remaining = [];
+
+    for (const comment of comments) {
+      if (comment.rule !== undefined) {
+        remaining.push(comment);
+        continue;
+      }
+
+      const { rule } = CommentRuleService.evaluate(rules, comment);
+      if (!rule) {
+        comment.rule = null;
+        remaining.push(comment);
+        continue;
+      }
+
+      comment.rule = CommentRuleService.describeMatch(rule);
+      await CommentRuleService.recordMatch(rule._id);
+
+      await this.storageService.appendLog({
+        type: 'info',
+        message: `Rule "${rule.name}" matched comment from @${comment.username} (${rule.action.type})`,
+        details: {
+          commentId: comment.id,
+          postId: comment.postId,
+          username: comment.username,
+          ruleId: comment.rule.ruleId,
+          ruleName: comment.rule.ruleName,
+          action: comment.rule.action
+        }
+      });
+
+      if (comment.rule.action === 'skip') {
+        await this.markCommentProcessed(comment.id, {
+          postId: comment.postId,
+          username: comment.username,
+          text: comment.text,
+          rule: comment.rule,
+          status: 'skipped'
+        });
+        continue;
+      }
+
+      if (comment.rule.action === 'hide') {
+        await this.hideComment(comment);
+        continue;
+      }
+
+      remaining.push(comment);
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Hide a comment matched by a hide rule and record the outcome
+   * @private
+   */
+  async hideComment(comment) {
+    let status = 'hidden';
+    try {
+      await this.errorHandler.executeWithRetry(
+        () => this.instagramService.hideComment(comment.id),
+        { operation: 'hideComment', node: 'detectComments', commentId: comment.id }
+      );
+    } catch (error) {
+      status = 'failed';
+      console.error(`[AutomationWorkflow] Failed to hide comment ${comment.id}:`, error.message);
+      await this.storageService.appendLog({
+        type: 'error',
+        message: `Failed to hide comment from @${comment.username}: ${error.message}`,
+        details: {
+          commentId: comment.id,
+          ruleId: comment.rule.ruleId,
+          ruleName: comment.rule.ruleName
+        }
+      });
+    }
+
+    await this.markCommentProcessed(comment.id, {
+      postId: comment.postId,
+      username: comment.username,
+      text: comment.text,
+      rule: comment.rule,
+      status
+    });
+  }
+
+  /**
+   * Tone or persona profile to reply with, honouring an ai_reply rule's persona
+   * @private
+   */
+  async resolveReplyTone(comment) {
+    const persona = comment.rule?.persona;
+    if (!persona || persona === this.replyTone) {
+      return this.personaProfile || this.replyTone;
+    }
+
+    try {
+      return await ReplyPersonaService.loadProfile(this.storageService.userId, persona);
+    } catch (error) {
+      console.error(`[AutomationWorkflow] Failed to load persona "${persona}":`, error.message);
+      return this.personaProfile || this.replyTone;
+    }
+  }
+
+  /**
+   * Whether a comment is answered with a user-written template instead of AI
+   * @private
+   */
+  isTemplateReply(comment) {
+    return !!comment?.rule?.template && ['template', 'private_reply'].includes(comment.rule.action);
+  }
+
+  /**
+   * Get the bot's own username (cached after the first successful lookup)
+   * @private
+   */
+  async getBotUsername() {
+    if (!this.botUsername) {
+      this.botUsername = await this.instagramService.getAccountInfo()
+        .then(info => info.username)
+        .catch(() => null);
+    }
+    return this.botUsername;
+  }
+
+  /**
+   * Check whether a post is covered by the selected-posts setting
+   * @private
+   */
+  isMonitoredPost(postId) {
+    if (this.monitorAll || !this.selectedPostIds || this.selectedPostIds.length === 0) {
+      return true;
+    }
+    return this.selectedPostIds.includes(postId);
+  }
+
+  /**
+   * Check whether a post is explicitly targeted by a DM funnel
+   * @private
+   */
+  isFunnelPost(postId) {
+    return this.funnels.some(funnel => funnel.postIds?.includes(postId));
+  }
+
+  /**
+   * Queue a comment delivered by the Meta webhook and trigger a workflow cycle
+   * @param {Object} comment - { id, postId, parentId, username, fromId, text, timestamp }
+   * @returns {Promise<boolean>} True if the comment was queued
+   */
+  async enqueueWebhookComment(comment) {
+    if (!this.state.isRunning || !comment?.id || !comment.text) {
+      return false;
+    }
+
+    // Threaded replies (including our own replies) are not top-level comments
+    if (comment.parentId) {
+      return false;
+    }
+
+    // Skip bot's own comments to prevent infinite loop
+    if (comment.fromId && comment.fromId === this.instagramService.instagramAccountId) {
+      return false;
+    }
+    const botUsername = await this.getBotUsername();
+    if (botUsername && comment.username === botUsername) {
+      return false;
+    }
+
+    if (!this.isMonitoredPost(comment.postId) && !this.isFunnelPost(comment.postId)) {
+      console.log(`[AutomationWorkflow] Ignoring webhook comment ${comment.id} on unmonitored post ${comment.postId}`);
+      return false;
+    }
+
+    if (this.queuedCommentIds.has(comment.id) || await this.storageService.isCommentProcessed(comment.id)) {
+      console.log(`[AutomationWorkflow] Skipping duplicate webhook comment ${comment.id}`);
+      return false;
+    }
+
+    this.queuedCommentIds.add(comment.id);
+    this.webhookQueue.push({
+      id: comment.id,
+      postId: comment.postId,
+      username: comment.username || 'unknown',
+      fromId: comment.fromId || null,
+      text: comment.text,
+      timestamp: comment.timestamp ? new Date(comment.timestamp) : new Date(),
+      source: 'webhook'
+    });
+
+    // Log comment detection
+    await this.storageService.appendLog({
+      type: 'comment_detected',
+      message: `New comment received from @${comment.username || 'unknown'} via webhook`,
+      details: {
+        commentId: comment.id,
+        postId: comment.postId,
+        username: comment.username,
+        text: comment.text,
+        source: 'webhook'
+      }
+    });
+
+    // Run now; if a cycle is in progress it drains the queue on its next detection pass
+    this.executeWorkflowCycle();
+
+    return true;
+  }
+
+  /**
+   * Take every queued webhook comment that has not been processed in the meantime
+   * @private
+   */
+  async drainWebhookQueue() {
+    const queued = this.webhookQueue.splice(0, this.webhookQueue.length);
+    const comments = [];
+
+    // Ids stay in queuedCommentIds until the comment is marked processed or dropped after a failure
+    for (const comment of queued) {
+      if (await this.storageService.isCommentProcessed(comment.id)) {
+        this.queuedCommentIds.delete(comment.id);
+        continue;
+      }
+      comments.push(comment);
+    }
+
+    return comments;
+  }
+
+  /**
+   * Put webhook comments back at the front of the queue
+   * @private
+   */
+  requeueWebhookComments(comments) {
+    const fresh = comments.filter(comment => !this.webhookQueue.some(queued => queued.id === comment.id));
+    fresh.forEach(comment => this.queuedCommentIds.add(comment.id));
+    this.webhookQueue.unshift(...fresh);
+  }
+
+  /**
+   * Take up to `requested` slots from the reply budget
+   * @param {number} requested - Replies about to be handled
+   * @returns {number} Slots granted (0 once the window's budget is spent)
+   */
+  takeReplySlots(requested) {
+    const now = Date.now();
+    if (now - this.replyWindow.start >= this.pollIntervalSeconds * 1000) {
+      this.replyWindow = { start: now, count: 0 };
+    }
+
+    const granted = Math.max(0, Math.min(requested, this.maxCommentsPerCheck - this.replyWindow.count));
+    this.replyWindow.count += granted;
+    return granted;
+  }
+
+  /**
+   * Milliseconds until the reply budget resets (0 when slots are left)
+   */
+  replyBudgetResetIn() {
+    const elapsed = Date.now() - this.replyWindow.start;
+    const windowMs = this.pollIntervalSeconds * 1000;
+
+    if (elapsed >= windowMs || this.replyWindow.count < this.maxCommentsPerCheck) {
+      return 0;
+    }
+    return windowMs - elapsed;
+  }
+
+  /**
+   * Mark a comment processed and release its webhook dedupe entry
+   * @private
+   */
+  async markCommentProcessed(commentId, data) {
+    await this.storageService.markCommentProcessed(commentId, data);
+    this.queuedCommentIds.delete(commentId);
+  }
+
   /**
    * Node: Generate AI reply for a comment
    * @private
@@ -279,32 +841,44 @@ class AutomationWorkflow {
 
       console.log(`[AutomationWorkflow] Generating reply for comment: "${comment.text}"`);
 
-      // Generate reply using AI service with error handling and retry
-      const reply = await this.errorHandler.executeWithRetry(
-        () => this.aiReplyService.generateReply(
-          comment.text,
-          this.replyTone,
+      const context = {
+        caption: comment.postCaption,
+        postType: comment.postType
+      };
+
+      const tone = await this.resolveReplyTone(comment);
+
+      // Templates are used as-is; reviewers pick from several AI candidates; automatic mode posts a single reply
+      let options;
+      let source = null;
+      if (this.isTemplateReply(comment)) {
+        options = [CommentRuleService.renderTemplate(comment.rule.template, comment)];
+      } else {
+        const candidates = await this.errorHandler.executeWithRetry(
+          () => this.aiReplyService.generateReplyCandidates(comment.text, tone, context),
           {
-            caption: comment.postCaption,
-            postType: comment.postType
+            operation: 'generateReplyCandidates',
+            node: 'generateReply',
+            commentId: comment.id
           }
-        ),
-        {
-          operation: 'generateReply',
-          node: 'generateReply',
-          commentId: comment.id
-        }
-      );
+        );
+        options = this.approvalMode ? candidates.replies : candidates.replies.slice(0, 1);
+        source = { aiProvider: candidates.provider, aiModel: candidates.model };
+      }
 
-      const trimmedReply = typeof reply === 'string' ? reply.trim() : '';
+      const replyOptions = (options || [])
+        .map(option => (typeof option === 'string' ? option.trim() : ''))
+        .filter(Boolean);
+      const trimmedReply = replyOptions[0] || '';
 
       if (!trimmedReply) {
         console.warn('[AutomationWorkflow] Generated reply was empty. Marking comment as processed to avoid retry loop.');
-        await this.storageService.markCommentProcessed(comment.id, {
+        await this.markCommentProcessed(comment.id, {
           postId: comment.postId,
           username: comment.username,
           text: comment.text,
           reply: null,
+          rule: comment.rule,
           status: 'skipped'
         });
         state.pendingComments.shift();
@@ -314,17 +888,23 @@ class AutomationWorkflow {
       }
 
       state.currentReply = trimmedReply;
+      state.currentReplyOptions = replyOptions;
+      state.currentReplySource = source;
       state.stats.repliesGenerated++;
 
       // Log reply generation
       await this.storageService.appendLog({
         type: 'reply_generated',
-        message: `AI reply generated for comment from @${comment.username}`,
+        message: `${this.isTemplateReply(comment) ? 'Template' : 'AI'} reply generated for comment from @${comment.username}`,
         details: {
           commentId: comment.id,
           commentText: comment.text,
           reply: trimmedReply,
-          tone: this.replyTone
+          tone: comment.rule?.persona || this.replyTone,
+          ...source,
+          approvalMode: this.approvalMode,
+          ruleId: comment.rule?.ruleId,
+          ruleName: comment.rule?.ruleName
         }
       });
 
@@ -353,7 +933,10 @@ class AutomationWorkflow {
       
       // If we should skip this comment, remove it from pending
       if (errorResult.action === ErrorAction.SKIP_AND_CONTINUE) {
-        state.pendingComments.shift();
+        const skipped = state.pendingComments.shift();
+        if (skipped) {
+          this.queuedCommentIds.delete(skipped.id);
+        }
       }
       
       return state;
@@ -376,9 +959,8 @@ class AutomationWorkflow {
       console.log(`[AutomationWorkflow] Posting reply to comment ${comment.id}`);
 
       // Post the reply to Instagram with error handling and retry
-      // Use smart reply: tries public first, falls back to private if needed
       const replyResult = await this.errorHandler.executeWithRetry(
-        () => this.instagramService.replyToCommentSmart(comment.id, reply),
+        () => this.sendReply(comment.id, reply, comment.rule?.action),
         {
           operation: 'replyToComment',
           node: 'postReply',
@@ -392,12 +974,14 @@ class AutomationWorkflow {
       console.log(`[AutomationWorkflow] Successfully posted ${replyTypeDisplay}`);
 
       // Mark comment as processed with full data
-      await this.storageService.markCommentProcessed(comment.id, {
+      await this.markCommentProcessed(comment.id, {
         postId: comment.postId,
         username: comment.username,
         text: comment.text,
         reply: reply,
-        replyId: replyResult?.id || null,
+        replyId: replyResult?.data?.id || null,
+        rule: comment.rule,
+        ...state.currentReplySource,
         status: 'reply_posted'
       });
       state.processedComments.add(comment.id);
@@ -416,7 +1000,9 @@ class AutomationWorkflow {
           postId: comment.postId,
           username: comment.username,
           reply: reply,
-          replyType: replyType
+          replyType: replyType,
+          ruleId: comment.rule?.ruleId,
+          ruleName: comment.rule?.ruleName
         }
       });
 
@@ -425,6 +1011,7 @@ class AutomationWorkflow {
       // Clear current comment and reply
       state.currentComment = null;
       state.currentReply = null;
+      state.currentReplySource = null;
 
       return state;
     } catch (error) {
@@ -454,11 +1041,13 @@ class AutomationWorkflow {
         errorResult.action !== ErrorAction.RETRY_WITH_BACKOFF
       ) {
         try {
-          await this.storageService.markCommentProcessed(state.currentComment.id, {
+          await this.markCommentProcessed(state.currentComment.id, {
             postId: state.currentComment.postId,
             username: state.currentComment.username,
             text: state.currentComment.text,
             reply: state.currentReply || null,
+            rule: state.currentComment.rule,
+            ...state.currentReplySource,
             status: errorResult.action === ErrorAction.SKIP_AND_CONTINUE ? 'failed' : 'skipped'
           });
         } catch (markError) {
@@ -468,7 +1057,8 @@ class AutomationWorkflow {
 
       // Remove failed comment from pending (skip and continue)
       if (state.pendingComments.length > 0) {
-        state.pendingComments.shift();
+        const failed = state.pendingComments.shift();
+        this.queuedCommentIds.delete(failed.id);
       }
 
       state.currentComment = null;
@@ -483,6 +1073,118 @@ class AutomationWorkflow {
     }
   }
 
+  /**
+   * Node: Store the generated replies as a pending item for human review
+   * @private
+   */
+  async queueForApprovalNode(state) {
+    const comment = state.currentComment;
+    const replyOptions = state.currentReplyOptions || [state.currentReply];
+
+    try {
+      if (!comment) {
+        return state;
+      }
+
+      // reply_generated counts as processed, so the comment is not detected again
+      await this.markCommentProcessed(comment.id, {
+        postId: comment.postId,
+        username: comment.username,
+        text: comment.text,
+        reply: replyOptions[0],
+        replyOptions,
+        postCaption: comment.postCaption,
+        postType: comment.postType,
+        rule: comment.rule,
+        ...state.currentReplySource,
+        status: 'reply_generated'
+      });
+      state.processedComments.add(comment.id);
+      state.stats.repliesQueued++;
+
+      await this.storageService.appendLog({
+        type: 'info',
+        message: `Reply to @${comment.username} is waiting for approval`,
+        details: {
+          commentId: comment.id,
+          postId: comment.postId,
+          optionsCount: replyOptions.length
+        }
+      });
+
+      eventBus.emit('reply:pending', {
+        userId: this.storageService.userId,
+        commentId: comment.id,
+        postId: comment.postId,
+        username: comment.username,
+        text: comment.text,
+        replyOptions
+      });
+
+      console.log(`[AutomationWorkflow] Queued reply to comment ${comment.id} for approval`);
+    } catch (error) {
+      console.error('[AutomationWorkflow] Error in queueForApprovalNode:', error.message);
+      if (comment) {
+        this.queuedCommentIds.delete(comment.id);
+      }
+    }
+
+    state.pendingComments.shift();
+    state.currentComment = null;
+    state.currentReply = null;
+    state.currentReplyOptions = null;
+    state.currentReplySource = null;
+
+    return state;
+  }
+
+  /**
+   * Post a reply that a reviewer approved
+   * @param {Object} item - Pending ProcessedComment ({ commentId, postId, username, ruleAction })
+   * @param {string} reply - Approved reply text
+   * @returns {Promise<Object>} Result of replyToCommentSmart
+   */
+  async postApprovedReply(item, reply) {
+    const replyResult = await this.errorHandler.executeWithRetry(
+      () => this.sendReply(item.commentId, reply, item.ruleAction),
+      {
+        operation: 'replyToComment',
+        node: 'postReply',
+        commentId: item.commentId
+      }
+    );
+
+    const replyType = replyResult?.type || 'public';
+    this.state.stats.repliesPosted++;
+
+    await this.storageService.appendLog({
+      type: 'reply_posted',
+      message: `Approved ${replyType === 'private' ? 'private reply' : 'public reply'} posted to comment from @${item.username}`,
+      details: {
+        commentId: item.commentId,
+        postId: item.postId,
+        username: item.username,
+        reply,
+        replyType,
+        approved: true
+      }
+    });
+
+    return replyResult;
+  }
+
+  /**
+   * Send a reply: private_reply rules always DM the commenter, everything else
+   * uses smart reply (public first, private fallback)
+   * @private
+   */
+  async sendReply(commentId, reply, ruleAction = null) {
+    if (ruleAction === 'private_reply') {
+      return await this.instagramService.sendPrivateReply(commentId, reply);
+    }
+    return await this.instagramService.replyToCommentSmart(commentId, reply);
+  }
+
   /**
    * Node: Handle errors and log them
    * @private
@@ -539,9 +1241,9 @@ class AutomationWorkflow {
    * @private
    */
   routeAfterGeneration(state) {
-    // If reply was generated successfully, post it
+    // If reply was generated successfully, post it or hold it for review (templates are pre-approved)
     if (state.currentReply) {
-      return 'postReply';
+      return this.approvalMode && !this.isTemplateReply(state.currentComment) ? 'queueForApproval' : 'postReply';
     }
     // Otherwise, handle the error
     return 'errorHandling';
@@ -587,13 +1289,19 @@ class AutomationWorkflow {
       type: 'info',
       message: 'Automation workflow started',
       details: {
+        triggerMode: this.triggerMode,
+        approvalMode: this.approvalMode,
         pollIntervalSeconds: this.pollIntervalSeconds,
         replyTone: this.replyTone
       }
     });
 
-    // Start the polling mechanism
-    this.startPolling();
+    // Webhook mode waits for pushed comments; polling mode starts the poll timer
+    if (this.triggerMode === 'polling') {
+      this.startPolling();
+    } else {
+      console.log('[AutomationWorkflow] Waiting for webhook comments (polling disabled)');
+    }
   }
 
   /**
@@ -611,6 +1319,12 @@ class AutomationWorkflow {
     // Stop the polling mechanism
     this.stopPolling();
 
+    // Drop queued webhook comments; they are not marked processed, so polling can still pick them up
+    this.webhookQueue = [];
+    this.queuedCommentIds.clear();
+    clearTimeout(this.webhookDrainTimer);
+    this.webhookDrainTimer = null;
+
     // Persist automation state
     await this.persistState();
 
@@ -697,6 +1411,16 @@ class AutomationWorkflow {
       });
     } finally {
       this.isProcessing = false;
+
+      // Comments pushed while the cycle was finishing (or held back by the reply budget)
+      // would otherwise wait for the next trigger
+      if (this.state.isRunning && this.webhookQueue.length > 0 && !this.webhookDrainTimer) {
+        this.webhookDrainTimer = setTimeout(() => {
+          this.webhookDrainTimer = null;
+          this.executeWorkflowCycle();
+        }, this.replyBudgetResetIn());
+        this.webhookDrainTimer.unref?.();
+      }
     }
   }
 
@@ -708,7 +1432,9 @@ class AutomationWorkflow {
       isRunning: this.state.isRunning,
       lastCheckTime: this.state.lastCheckTime,
       stats: this.state.stats,
-      pendingCommentsCount: this.state.pendingComments.length,
+      triggerMode: this.triggerMode,
+      approvalMode: this.approvalMode,
+      pendingCommentsCount: this.state.pendingComments.length + this.webhookQueue.length,
       processedCommentsCount: this.state.processedComments.size,
       errorCount: this.state.errors.length,
       isProcessing: this.isProcessing
@@ -716,12 +1442,17 @@ class AutomationWorkflow {
   }
 
   /**
-   * Update configuration (reply tone, poll interval)
+   * Update configuration (reply tone, poll interval, trigger mode, approval mode, moderation)
    */
   updateConfig(config) {
     if (config.replyTone) {
       this.replyTone = config.replyTone;
+      // Without a resolved profile the AI service falls back to the built-in persona of that name
+      this.personaProfile = config.personaProfile || null;
       console.log(`[AutomationWorkflow] Reply tone updated to: ${this.replyTone}`);
+    } else if (config.personaProfile) {
+      this.personaProfile = config.personaProfile;
+      console.log(`[AutomationWorkflow] Persona profile refreshed for: ${this.replyTone}`);
     }
 
     if (config.pollIntervalSeconds) {
@@ -729,10 +1460,38 @@ class AutomationWorkflow {
       console.log(`[AutomationWorkflow] Poll interval updated to: ${this.pollIntervalSeconds}s`);
       
       // Restart polling with new interval if running
-      if (this.state.isRunning) {
+      if (this.state.isRunning && this.triggerMode === 'polling') {
         this.startPolling();
       }
     }
+
+    if (Array.isArray(config.funnels)) {
+      this.funnels = config.funnels;
+      console.log(`[AutomationWorkflow] ${this.funnels.length} DM funnel(s) active`);
+    }
+
+    if (config.moderation) {
+      this.moderation = config.moderation;
+      console.log(`[AutomationWorkflow] Comment moderation ${this.moderation.enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    if (typeof config.approvalMode === 'boolean') {
+      this.approvalMode = config.approvalMode;
+      console.log(`[AutomationWorkflow] Approval mode ${this.approvalMode ? 'enabled' : 'disabled'}`);
+    }
+
+    if (config.triggerMode && config.triggerMode !== this.triggerMode) {
+      this.triggerMode = config.triggerMode === 'webhook' ? 'webhook' : 'polling';
+      console.log(`[AutomationWorkflow] Trigger mode updated to: ${this.triggerMode}`);
+
+      if (this.state.isRunning) {
+        if (this.triggerMode === 'polling') {
+          this.startPolling();
+        } else {
+          this.stopPolling();
+        }
+      }
+    }
   }
 
   /**
@@ -742,6 +1501,7 @@ class AutomationWorkflow {
     this.state.stats = {
       commentsDetected: 0,
       repliesGenerated: 0,
+      repliesQueued: 0,
       repliesPosted: 0,
       errorCount: 0
     };
@@ -0,0 +1,111 @@
+// Heuristic signals: [label, weight, reason, pattern]. A label is assigned once its weights reach FLAG_THRESHOLD.
+const SIGNALS = [
+  ['scam', 0.5, 'link', /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|xyz|top|info|io|me|link|site|online)\/\S*/i],
+  ['scam', 0.5, 'shortened or chat link', /\b(bit\.ly|tinyurl\.com|t\.me|wa\.me|cutt\.ly|rb\.gy|shorturl\.at)\b/i],
+  ['scam', 0.6, 'crypto or investment offer', /\b(bitcoin|btc|crypto|forex|binary options?|passive income|investment (plan|platform|manager)|trading (account|expert))\b/i],
+  ['scam', 0.6, 'easy money promise', /\b(earn|make|made)\s+\$?\d[\d,.]*\s*(k|usd|dollars|\$)?\s*(daily|weekly|a day|per day|a week|from home)\b/i],
+  ['scam', 0.6, 'prize bait', /\b(you('ve| have)? won|claim your (prize|reward|gift)|giveaway winner|selected as (a |the )?winner)\b/i],
+  ['scam', 0.5, 'contact off-platform', /\b(whats\s?app|telegram|signal)\b.{0,30}(\+?\d[\d\s-]{6,}|@\w+|me|now)/i],
+  ['spam', 1.0, 'self-promotion', /\b(check (out )?my (page|profile|bio|account|story)|visit my (page|profile)|go to my (page|profile|bio))\b/i],
+  ['spam', 0.7, 'follow bait', /\b(follow (me|back|my page)|follow for follow)\b/i],
+  ['spam', 0.7, 'engagement swap', /\b(f4f|l4l|like4like|follow4follow|sub4sub)\b/i],
+  ['spam', 0.7, 'promotion offer', /\b(promote (it|this|your (page|account|content)) on|dm (us |me )?for (promo|promotion|collab)|send (this|it|pics?) to @\w+)\b/i],
+  ['toxic', 1.0, 'self-harm or threat', /\b(kill (yo)?urself|kys|go die|hope you die|i('ll| will) (kill|hurt) you)\b/i],
+  ['toxic', 1.0, 'personal insult', /\b(you('re| are)|ur|u r)\s+(so\s+|such\s+an?\s+|an?\s+)?(ugly|stupid|dumb|trash|garbage|pathetic|worthless|idiot|moron|loser|disgusting)\b/i],
+  ['toxic', 0.6, 'insult', /\b(idiot|moron|loser|stupid|dumb|trash|garbage|pathetic|worthless|disgusting|clown)\b/i],
+  ['toxic', 0.6, 'profanity', /\b(f+u+c+k+(ing|er|ed)?|sh[i1]t|b[i1]tch|a+ss+hole|bastard|wtf)\b/i],
+  ['toxic', 0.4, 'hostility', /\b(shut up|hate (you|this|u)|nobody (cares|asked)|unfollow(ing|ed)?)\b/i]
+];
+
+const FLAG_THRESHOLD = 1.0;
+const LABELS = ['spam', 'toxic', 'scam'];
+const ACTIONS = ['hide', 'delete', 'flag'];
+
+/**
+ * CommentModerationService - Classifies comments as spam, toxic, scam or ok
+ *
+ * A local keyword/heuristic pass runs first. With the LLM pass enabled, comments
+ * the heuristics let through get a second look from the AI model
+ * (AIReplyService.classifyComment).
+ * Classification is pure, so the same code backs automation and the "test a comment" endpoint.
+ */
+class CommentModerationService {
+  /**
+   * Score a comment with the local heuristics
+   * @param {Object} comment - { text }
+   * @returns {{label: string, score: number, reasons: string[], source: 'local'}}
+   */
+  static classifyLocal(comment) {
+    const text = comment.text || '';
+    const scores = { spam: 0, toxic: 0, scam: 0 };
+    const reasons = { spam: [], toxic: [], scam: [] };
+
+    for (const [label, weight, reason, pattern] of SIGNALS) {
+      if (pattern.test(text)) {
+        scores[label] += weight;
+        reasons[label].push(reason);
+      }
+    }
+
+    // Tagging a crowd of accounts is the classic bot pattern
+    const mentionCount = (text.match(/@[\w.]+/g) || []).length;
+    if (mentionCount >= 3) {
+      scores.spam += 0.5;
+      reasons.spam.push(`${mentionCount} mentions`);
+    }
+
+    // The same word over and over
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const counts = words.reduce((acc, word) => acc.set(word, (acc.get(word) || 0) + 1), new Map());
+    if (words.length >= 6 && Math.max(...counts.values()) / words.length >= 0.5) {
+      scores.spam += 0.5;
+      reasons.spam.push('repeated words');
+    }
+
+    const label = LABELS.reduce((best, current) => (scores[current] > scores[best] ? current : best), LABELS[0]);
+    const score = Math.round(scores[label] * 100) / 100;
+
+    if (score < FLAG_THRESHOLD) {
+      return { label: 'ok', score, reasons: reasons[label], source: 'local' };
+    }
+    return { label, score, reasons: reasons[label], source: 'local' };
+  }
+
+  /**
+   * Classify a comment, asking the AI model about comments the heuristics let through
+   * @param {Object} comment - { text }
+   * @param {Object} options - { useLlm, aiReplyService }
+   * @returns {Promise<{label: string, score: number, reasons: string[], source: 'local'|'llm'}>}
+   */
+  static async classify(comment, { useLlm = false, aiReplyService = null } = {}) {
+    const local = this.classifyLocal(comment);
+    if (local.label !== 'ok' || !useLlm || !aiReplyService || !comment.text) {
+      return local;
+    }
+
+    try {
+      const label = await aiReplyService.classifyComment(comment.text);
+      if (label === 'ok') {
+        return local;
+      }
+      return { label, score: FLAG_THRESHOLD, reasons: [...local.reasons, 'AI classification'], source: 'llm' };
+    } catch (error) {
+      console.error('[CommentModerationService] LLM classification failed, using heuristics:', error.message);
+      return local;
+    }
+  }
+
+  /**
+   * The action configured for a label
+   * @param {Object} settings - User.automationSettings.moderation
+   * @param {string} label - spam, toxic or scam
+   */
+  static actionFor(settings, label) {
+    return settings?.actions?.[label] || 'flag';
+  }
+}
+
+CommentModerationService.LABELS = LABELS;
+CommentModerationService.ACTIONS = ACTIONS;
+
+module.exports = CommentModerationService;
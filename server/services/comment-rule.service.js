@@ -0,0 +1,159 @@
+const CommentRule = require('../models/comment-rule.model');
+
+// Pictographic emoji plus the modifiers/joiners that can appear between them
+const EMOJI_REGEX = /\p{Extended_Pictographic}|\p{Emoji_Modifier}|\uFE0F|\u200D/gu;
+
+/**
+ * CommentRuleService - Evaluates per-user comment rules
+ *
+ * Rules (see comment-rule.model.js) are checked in ascending priority order and
+ * the first enabled rule whose conditions all match wins. Evaluation is pure so
+ * the same code backs automation and the "test a comment" endpoint.
+ */
+class CommentRuleService {
+  /**
+   * Load a user's enabled rules for an Instagram account in evaluation order
+   * @param {string} userId - User ID
+   * @param {string|null} accountId - Instagram account ID
+   */
+  static async loadRules(userId, accountId) {
+    return await CommentRule.getUserRules(userId, { accountId, enabledOnly: true });
+  }
+
+  /**
+   * Check whether a comment consists only of emojis
+   * @param {string} text - Comment text
+   */
+  static isEmojiOnly(text) {
+    if (!text || !text.trim()) {
+      return false;
+    }
+    const stripped = text.replace(EMOJI_REGEX, '').replace(/\s+/g, '');
+    return stripped.length === 0;
+  }
+
+  /**
+   * Test a single rule against a comment
+   * @param {Object} rule - CommentRule document
+   * @param {Object} comment - { text, postId, username }
+   * @returns {{matched: boolean, failedCondition: string|null}}
+   */
+  static matchRule(rule, comment) {
+    const conditions = rule.conditions || {};
+    const text = comment.text || '';
+    const lowerText = text.toLowerCase();
+    const username = String(comment.username || '').replace(/^@/, '').toLowerCase();
+
+    const fail = (condition) => ({ matched: false, failedCondition: condition });
+
+    if (conditions.usernameDeny?.length && conditions.usernameDeny.includes(username)) {
+      return fail('usernameDeny');
+    }
+
+    if (conditions.usernameAllow?.length && !conditions.usernameAllow.includes(username)) {
+      return fail('usernameAllow');
+    }
+
+    if (conditions.postIds?.length && !conditions.postIds.includes(comment.postId)) {
+      return fail('postIds');
+    }
+
+    if (conditions.minLength && text.trim().length < conditions.minLength) {
+      return fail('minLength');
+    }
+
+    if (conditions.emojiOnly && !this.isEmojiOnly(text)) {
+      return fail('emojiOnly');
+    }
+
+    if (conditions.keywords?.length) {
+      const hasKeyword = conditions.keywords
+        .filter(Boolean)
+        .some(keyword => lowerText.includes(keyword.toLowerCase()));
+      if (!hasKeyword) {
+        return fail('keywords');
+      }
+    }
+
+    if (conditions.regex) {
+      // Patterns refused on save never run, even if stored some other way
+      if (CommentRule.regexProblem(conditions.regex)) {
+        return fail('regex');
+      }
+      if (!new RegExp(conditions.regex, 'i').test(text)) {
+        return fail('regex');
+      }
+    }
+
+    return { matched: true, failedCondition: null };
+  }
+
+  /**
+   * Find the first rule that matches a comment
+   * @param {Array} rules - Rules in evaluation order
+   * @param {Object} comment - { text, postId, username }
+   * @returns {{rule: Object|null, evaluations: Array}}
+   */
+  static evaluate(rules, comment) {
+    const evaluations = [];
+
+    for (const rule of rules || []) {
+      if (rule.enabled === false) {
+        evaluations.push({ ruleId: rule._id, name: rule.name, matched: false, failedCondition: 'disabled' });
+        continue;
+      }
+
+      const result = this.matchRule(rule, comment);
+      evaluations.push({ ruleId: rule._id, name: rule.name, ...result });
+
+      if (result.matched) {
+        return { rule, evaluations };
+      }
+    }
+
+    return { rule: null, evaluations };
+  }
+
+  /**
+   * Fill {username} and {comment} placeholders in a template
+   * @param {string} template - Template text
+   * @param {Object} comment - { text, username }
+   */
+  static renderTemplate(template, comment) {
+    return String(template || '')
+      .replace(/\{username\}/g, comment.username ? `@${comment.username}` : '')
+      .replace(/\{comment\}/g, comment.text || '')
+      .trim();
+  }
+
+  /**
+   * Summary of a matched rule stored on the comment, ProcessedComment and ActivityLog
+   * @param {Object} rule - CommentRule document
+   */
+  static describeMatch(rule) {
+    return {
+      ruleId: String(rule._id),
+      ruleName: rule.name,
+      action: rule.action.type,
+      template: rule.action.template || null,
+      persona: rule.action.persona || null
+    };
+  }
+
+  /**
+   * Bump a rule's match counter (best effort)
+   * @param {string} ruleId - Rule ID
+   */
+  static async recordMatch(ruleId) {
+    try {
+      await CommentRule.updateOne(
+        { _id: ruleId },
+        { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } }
+      );
+    } catch (error) {
+      console.error('[CommentRuleService] Failed to record rule match:', error.message);
+    }
+  }
+}
+
+module.exports = CommentRuleService;
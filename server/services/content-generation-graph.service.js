@@ -634,9 +634,20 @@ Return as JSON:
         }
       };
 
+      // Facebook payload (Page video or Reel; Facebook takes longer posts than Instagram)
+      const facebookPayload = {
+        title: state.selectedTopic,
+        message: `${state.description}\n\n${state.selectedHashtags.join(' ')}`,
+        hashtags: state.selectedHashtags,
+        metadata: {
+          shortCaption: state.shortCaption
+        }
+      };
+
       const platformPayloads = {
         instagram: instagramPayload,
-        youtube: youtubePayload
+        youtube: youtubePayload,
+        facebook: facebookPayload
       };
 
       // Log to database
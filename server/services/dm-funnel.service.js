@@ -0,0 +1,174 @@
+const DmFunnel = require('../models/dm-funnel.model');
+const FunnelDelivery = require('../models/funnel-delivery.model');
+
+/**
+ * DmFunnelService - Runs keyword-triggered comment-to-DM funnels
+ *
+ * The DM goes out as a private reply to the comment (sendPrivateReply); if that
+ * fails and the commenter's IGSID is known (webhook comments), a direct message
+ * is tried instead. Each commenter is messaged at most once per funnel.
+ */
+class DmFunnelService {
+  /**
+   * Load a user's enabled funnels on an Instagram account
+   * @param {string} userId - User ID
+   * @param {string|null} accountId - Instagram account ID
+   */
+  static async loadFunnels(userId, accountId) {
+    return await DmFunnel.getUserFunnels(userId, { accountId, enabledOnly: true });
+  }
+
+  /**
+   * Escape a keyword for use in a regular expression
+   * @private
+   */
+  static escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Check whether a comment contains one of the funnel's keywords as a whole word
+   * @param {Object} funnel - DmFunnel document
+   * @param {string} text - Comment text
+   */
+  static matchesKeyword(funnel, text) {
+    return (funnel.keywords || []).filter(Boolean).some(keyword => {
+      const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${this.escapeRegex(keyword)}($|[^\\p{L}\\p{N}])`, 'iu');
+      return pattern.test(text || '');
+    });
+  }
+
+  /**
+   * Find the funnel that a comment triggers, if any
+   * @param {Array} funnels - Enabled funnels
+   * @param {Object} comment - { text, postId }
+   */
+  static matchFunnel(funnels, comment) {
+    return (funnels || []).find(funnel =>
+      funnel.enabled !== false &&
+      (!funnel.postIds?.length || funnel.postIds.includes(comment.postId)) &&
+      this.matchesKeyword(funnel, comment.text)
+    ) || null;
+  }
+
+  /**
+   * Fill {username} and {link} placeholders
+   * @param {string} template - Template text
+   * @param {Object} funnel - DmFunnel document
+   * @param {Object} comment - { username }
+   */
+  static renderTemplate(template, funnel, comment) {
+    return String(template || '')
+      .replace(/\{username\}/g, comment.username ? `@${comment.username}` : '')
+      .replace(/\{link\}/g, funnel.link || '')
+      .trim();
+  }
+
+  /**
+   * Build the private message; the link is appended when the template does not place it
+   * @param {Object} funnel - DmFunnel document
+   * @param {Object} comment - { username }
+   */
+  static buildMessage(funnel, comment) {
+    const message = this.renderTemplate(funnel.dmMessage, funnel, comment);
+    if (funnel.link && !funnel.dmMessage.includes('{link}')) {
+      return `${message}\n${funnel.link}`;
+    }
+    return message;
+  }
+
+  /**
+   * Reserve the (funnel, commenter) pair; returns null if the commenter was already messaged
+   * @private
+   */
+  static async claimDelivery(funnel, comment, recipient) {
+    try {
+      return await FunnelDelivery.create({
+        funnelId: funnel._id,
+        userId: funnel.userId,
+        accountId: funnel.accountId,
+        recipient,
+        commentId: comment.id,
+        postId: comment.postId
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // A previous attempt that failed may be retried from a new comment; one that
+      // is still being sent is left alone, so the commenter doesn't get it twice
+      return await FunnelDelivery.findOneAndUpdate(
+        { funnelId: funnel._id, recipient, status: 'failed' },
+        { $set: { commentId: comment.id, postId: comment.postId, status: 'pending', error: null } },
+        { new: true }
+      );
+    }
+  }
+
+  /**
+   * Run a funnel for a comment
+   * @param {Object} funnel - DmFunnel document
+   * @param {Object} comment - { id, postId, username, fromId, text }
+   * @param {InstagramGraphService} instagramService - Authenticated Graph client
+   * @returns {Promise<{status: 'sent'|'failed'|'duplicate', message?: string, publicReply?: string, error?: string}>}
+   */
+  static async run(funnel, comment, instagramService) {
+    const recipient = String(comment.username || comment.fromId || '').toLowerCase();
+    if (!recipient) {
+      return { status: 'failed', error: 'Commenter could not be identified' };
+    }
+
+    const delivery = await this.claimDelivery(funnel, comment, recipient);
+    if (!delivery) {
+      return { status: 'duplicate' };
+    }
+
+    await DmFunnel.updateOne(
+      { _id: funnel._id },
+      { $inc: { 'stats.triggered': 1 }, $set: { lastTriggeredAt: new Date() } }
+    );
+
+    // The public acknowledgement is best effort; the DM is what counts
+    let publicReply = null;
+    if (funnel.publicReply) {
+      publicReply = this.renderTemplate(funnel.publicReply, funnel, comment);
+      try {
+        const result = await instagramService.replyToComment(comment.id, publicReply);
+        delivery.publicReplyId = result?.data?.id || null;
+      } catch (error) {
+        console.error(`[DmFunnelService] Public acknowledgement failed for comment ${comment.id}:`, error.message);
+      }
+    }
+
+    const message = this.buildMessage(funnel, comment);
+
+    try {
+      try {
+        await instagramService.sendPrivateReply(comment.id, message);
+      } catch (privateError) {
+        if (!comment.fromId) {
+          throw privateError;
+        }
+        console.log(`[DmFunnelService] Private reply failed, sending direct message: ${privateError.message}`);
+        await instagramService.sendDirectMessage(comment.fromId, message);
+      }
+
+      delivery.status = 'sent';
+      delivery.sentAt = new Date();
+      await delivery.save();
+      await DmFunnel.updateOne({ _id: funnel._id }, { $inc: { 'stats.dmSent': 1 } });
+
+      return { status: 'sent', message, publicReply };
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.error = error.message;
+      await delivery.save();
+      await DmFunnel.updateOne({ _id: funnel._id }, { $inc: { 'stats.failed': 1 } });
+
+      return { status: 'failed', message, publicReply, error: error.message };
+    }
+  }
+}
+
+module.exports = DmFunnelService;
@@ -0,0 +1,407 @@
+const mongoose = require('mongoose');
+const DmConversation = require('../models/dm-conversation.model');
+const InstagramAccount = require('../models/instagram-account.model');
+const User = require('../models/User');
+const automationManager = require('./automation-manager.service');
+const eventBus = require('./event-bus.service');
+
+const DEFAULT_SETTINGS = { enabled: false, mode: 'approval' };
+
+/**
+ * DmResponderService - AI-assisted replies to Instagram direct messages
+ *
+ * Messages arrive through the messages webhook (instagram:message) and are
+ * stored per contact in DmConversation. When DM automation is enabled, a reply
+ * is generated from the recent thread with the user's reply persona and either
+ * sent right away (auto mode) or held on the thread for review (approval mode).
+ * Nothing is sent once Meta's 24-hour messaging window has closed.
+ *
+ * Sending and generation use the user's automation runtime, which is built on
+ * demand, so the inbox works while comment automation is stopped. Messages to
+ * any of the user's connected accounts are stored; only those to the active
+ * account are answered.
+ */
+class DmResponderService {
+  constructor(manager = automationManager) {
+    this.manager = manager;
+    // Per-thread promise chains so replies to rapid messages are generated one at a time
+    this.threadQueues = new Map();
+  }
+
+  /**
+   * Listen for incoming messages on the event bus
+   * @param {EventEmitter} eventBus - Shared event bus (see event-bus.service.js)
+   */
+  subscribeToWebhooks(bus = eventBus) {
+    bus.subscribe('instagram:message', (event) => this.handleIncomingMessage(event));
+    console.log('[DmResponder] Listening for direct messages');
+  }
+
+  /**
+   * Get a user's DM automation settings
+   * @param {string} userId - User ID
+   */
+  async getSettings(userId) {
+    const user = await User.findById(userId).select('automationSettings.dmAutomation').lean();
+    return { ...DEFAULT_SETTINGS, ...(user?.automationSettings?.dmAutomation || {}) };
+  }
+
+  /**
+   * Update a user's DM automation settings
+   * @param {string} userId - User ID
+   * @param {Object} settings - { enabled, mode }
+   */
+  async updateSettings(userId, { enabled, mode } = {}) {
+    const update = {};
+    if (typeof enabled === 'boolean') {
+      update['automationSettings.dmAutomation.enabled'] = enabled;
+    }
+    if (mode !== undefined) {
+      update['automationSettings.dmAutomation.mode'] = mode;
+    }
+
+    await User.updateOne({ _id: userId }, { $set: update }, { runValidators: true });
+    return await this.getSettings(userId);
+  }
+
+  /**
+   * Reuse the user's runtime when there is one; sending a DM does not need a fresh one
+   * @private
+   */
+  async getRuntime(userId) {
+    return this.manager.getRuntime(userId) || await this.manager.getOrCreateRuntime(userId);
+  }
+
+  /**
+   * Notify the dashboard that a thread changed
+   * @private
+   */
+  notify(userId, conversation, type) {
+    eventBus.emit('inbox:update', {
+      userId: String(userId),
+      conversationId: String(conversation._id),
+      participantUsername: conversation.participantUsername,
+      type
+    });
+  }
+
+  /**
+   * Store an incoming webhook message and reply to it when DM automation is enabled
+   * @param {Object} event - instagram:message payload
+   */
+  async handleIncomingMessage(event) {
+    const message = event?.message;
+    if (!event?.accountId || !message || message.is_deleted) {
+      return;
+    }
+
+    // Echoes are messages the account itself sent (from here or the Instagram app)
+    const isEcho = Boolean(message.is_echo) || String(event.senderId) === String(event.accountId);
+    const participantId = isEcho ? event.recipientId : event.senderId;
+    if (!participantId) {
+      return;
+    }
+
+    const userId = await this.manager.findUserIdByAccountId(event.accountId);
+    if (!userId) {
+      console.log(`[DmResponder] No user for account ${event.accountId}, ignoring message`);
+      return;
+    }
+
+    const conversation = await DmConversation.appendMessage(userId, String(event.accountId), participantId, {
+      messageId: message.mid || null,
+      direction: isEcho ? 'outbound' : 'inbound',
+      source: isEcho ? 'manual' : 'contact',
+      text: message.text || this.describeAttachments(message.attachments),
+      createdAt: event.timestamp
+    });
+
+    if (!conversation) {
+      return;
+    }
+
+    this.notify(userId, conversation, 'message');
+
+    // The runtime (profile lookups, replies) works on the active account only
+    if (isEcho || !await this.manager.isActiveAccount(userId, event.accountId)) {
+      return;
+    }
+
+    if (!conversation.participantUsername) {
+      await this.loadParticipantProfile(userId, conversation);
+    }
+
+    if (message.text) {
+      await this.enqueue(conversation, () => this.respond(userId, conversation._id));
+    }
+  }
+
+  /**
+   * Placeholder text for messages without text
+   * @private
+   */
+  describeAttachments(attachments = []) {
+    if (attachments.some(a => a.type === 'story_mention')) {
+      return '[mentioned you in their story]';
+    }
+    return attachments.length ? '[attachment]' : '';
+  }
+
+  /**
+   * Fill in the contact's username for a new thread; best effort
+   * @private
+   */
+  async loadParticipantProfile(userId, conversation) {
+    try {
+      const runtime = await this.getRuntime(userId);
+      const profile = await runtime.instagramService.getMessagingProfile(conversation.participantId);
+      if (profile?.username) {
+        conversation.participantUsername = profile.username;
+        await DmConversation.updateOne({ _id: conversation._id }, { $set: { participantUsername: profile.username } });
+      }
+    } catch (error) {
+      console.error(`[DmResponder] Could not load profile for ${conversation.participantId}:`, error.message);
+    }
+  }
+
+  /**
+   * Run a task after earlier tasks on the same thread
+   * @private
+   */
+  enqueue(conversation, task) {
+    const key = String(conversation._id);
+    const previous = this.threadQueues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    this.threadQueues.set(key, next);
+    return next.finally(() => {
+      if (this.threadQueues.get(key) === next) {
+        this.threadQueues.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Generate a reply for the latest inbound message and send or queue it
+   * @private
+   */
+  async respond(userId, conversationId) {
+    const settings = await this.getSettings(userId);
+    if (!settings.enabled) {
+      return;
+    }
+
+    const conversation = await DmConversation.findOne({ _id: conversationId, userId });
+    if (!conversation || !conversation.autoReplyEnabled || !conversation.isWindowOpen()) {
+      return;
+    }
+
+    // Already answered (e.g. a human replied while this task was queued)
+    const lastMessage = conversation.messages[conversation.messages.length - 1];
+    if (!lastMessage || lastMessage.direction !== 'inbound') {
+      return;
+    }
+
+    const runtime = await this.getRuntime(userId);
+    const options = await this.generateOptions(runtime, conversation);
+
+    if (settings.mode === 'auto') {
+      try {
+        await this.sendMessage(userId, conversation, options[0], 'ai');
+      } catch (error) {
+        console.error(`[DmResponder] Auto reply failed for conversation ${conversation._id}:`, error.message);
+        await runtime.storageService.appendLog({
+          type: 'error',
+          action: 'dm_reply',
+          message: `Failed to send DM reply: ${error.message}`,
+          details: { conversationId: String(conversation._id), participantId: conversation.participantId }
+        });
+      }
+      return;
+    }
+
+    conversation.pendingReply = { text: options[0], options, generatedAt: new Date() };
+    await conversation.save();
+    this.notify(userId, conversation, 'pending');
+  }
+
+  /**
+   * @private
+   */
+  async generateOptions(runtime, conversation) {
+    const { workflow, aiReplyService } = runtime;
+    return await aiReplyService.generateDmReplyOptions(
+      conversation.messages,
+      workflow.personaProfile || workflow.replyTone
+    );
+  }
+
+  /**
+   * Get one of the active account's threads (the account messages are sent
+   * from), or null for unknown/invalid IDs
+   * @param {string} userId - User ID
+   * @param {string} conversationId - DmConversation ID
+   */
+  async getConversation(userId, conversationId) {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return null;
+    }
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    return await DmConversation.findOne({ _id: conversationId, userId, accountId });
+  }
+
+  /**
+   * List the active Instagram account's threads, most recent first
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit, skip }
+   */
+  async listConversations(userId, options = {}) {
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    const [conversations, unread] = await Promise.all([
+      DmConversation.getUserConversations(userId, { ...options, accountId }),
+      DmConversation.countDocuments({ userId, accountId, unreadCount: { $gt: 0 } })
+    ]);
+
+    return { conversations: conversations.map(c => this.serialize(c)), unread };
+  }
+
+  /**
+   * Plain object with the messaging window state the dashboard needs
+   * @param {Object} conversation - DmConversation document
+   */
+  serialize(conversation) {
+    return {
+      ...conversation.toObject(),
+      windowOpen: conversation.isWindowOpen(),
+      windowClosesAt: conversation.windowClosesAt()
+    };
+  }
+
+  /**
+   * Reset the unread counter when a thread is opened
+   * @param {Object} conversation - DmConversation document
+   */
+  async markRead(conversation) {
+    if (conversation.unreadCount > 0) {
+      conversation.unreadCount = 0;
+      await conversation.save();
+    }
+    return conversation;
+  }
+
+  /**
+   * Send a message in a thread and record it
+   * @param {string} userId - User ID
+   * @param {Object} conversation - DmConversation document
+   * @param {string} text - Message text
+   * @param {string} source - 'manual' or 'ai'
+   */
+  async sendMessage(userId, conversation, text, source = 'manual') {
+    const body = (text || '').trim();
+    if (!body) {
+      throw new Error('Message text is required');
+    }
+    if (!conversation.isWindowOpen()) {
+      throw new Error('The 24-hour messaging window for this conversation has closed');
+    }
+
+    const runtime = await this.getRuntime(userId);
+    const result = await runtime.instagramService.sendDirectMessage(conversation.participantId, body);
+
+    // appendMessage skips the write if the webhook echo of this message was stored first
+    await DmConversation.appendMessage(userId, conversation.accountId, conversation.participantId, {
+      messageId: result?.message_id || null,
+      direction: 'outbound',
+      source,
+      text: body
+    });
+    const updated = await DmConversation.findOneAndUpdate(
+      { _id: conversation._id },
+      { $unset: { pendingReply: 1 } },
+      { new: true }
+    );
+
+    await runtime.storageService.appendLog({
+      type: 'reply_posted',
+      action: 'dm_reply',
+      message: `Sent ${source === 'ai' ? 'AI' : 'manual'} DM${conversation.participantUsername ? ` to @${conversation.participantUsername}` : ''}`,
+      details: { conversationId: String(conversation._id), reply: body }
+    });
+
+    this.notify(userId, updated, 'message');
+    return updated;
+  }
+
+  /**
+   * Send the reply held for approval, optionally edited
+   * @param {string} userId - User ID
+   * @param {Object} conversation - DmConversation document with a pending reply
+   * @param {string} text - Optional final text; defaults to the pending reply
+   */
+  async approvePending(userId, conversation, text = null) {
+    return await this.sendMessage(userId, conversation, text || conversation.pendingReply?.text, 'ai');
+  }
+
+  /**
+   * Drop the reply held for approval
+   * @param {Object} conversation - DmConversation document
+   */
+  async discardPending(conversation) {
+    conversation.pendingReply = undefined;
+    await conversation.save();
+    return conversation;
+  }
+
+  /**
+   * Generate fresh reply options for the thread and hold them for approval
+   * @param {string} userId - User ID
+   * @param {Object} conversation - DmConversation document
+   */
+  async regenerate(userId, conversation) {
+    const runtime = await this.getRuntime(userId);
+    const options = await this.generateOptions(runtime, conversation);
+
+    conversation.pendingReply = { text: options[0], options, generatedAt: new Date() };
+    await conversation.save();
+    return conversation;
+  }
+
+  /**
+   * Import recent threads from the Graph API (messages received before the webhook was set up)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of threads touched
+   */
+  async sync(userId) {
+    const runtime = await this.getRuntime(userId);
+    const accountId = String(runtime.instagramService.instagramAccountId);
+    const threads = await runtime.instagramService.getConversations(20);
+
+    let synced = 0;
+    for (const thread of threads || []) {
+      const participant = (thread.participants?.data || []).find(p => String(p.id) !== accountId);
+      if (!participant) {
+        continue;
+      }
+
+      // Graph returns newest first
+      const messages = [...(thread.messages?.data || [])].reverse();
+      for (const message of messages) {
+        const isOutbound = String(message.from?.id) === accountId;
+        await DmConversation.appendMessage(userId, accountId, participant.id, {
+          messageId: message.id,
+          direction: isOutbound ? 'outbound' : 'inbound',
+          source: isOutbound ? 'manual' : 'contact',
+          text: message.message || '[attachment]',
+          createdAt: message.created_time ? new Date(message.created_time) : new Date()
+        }, { participantUsername: participant.username, countUnread: false });
+      }
+      synced++;
+    }
+
+    return synced;
+  }
+}
+
+// Export singleton instance
+const dmResponderService = new DmResponderService();
+module.exports = dmResponderService;
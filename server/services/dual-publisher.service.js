@@ -1,8 +1,14 @@
 const ContentGenerationGraphService = require('./content-generation-graph.service');
 const InstagramPublisherService = require('./instagram-publisher.service');
 const YouTubePublisherService = require('./youtube-publisher.service');
+const FacebookPublisherService = require('./facebook-publisher.service');
 const FFmpegService = require('./ffmpeg.service');
+const ImageGeneratorService = require('./image-generator.service');
+const storyService = require('./story.service');
+const mediaStorageService = require('./media-storage.service');
 const PublishJob = require('../models/publish-job.model');
+const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
 const { EncryptionService } = require('./encryption.service');
 const fs = require('fs');
 const path = require('path');
@@ -10,18 +16,71 @@ const crypto = require('crypto');
 
 const encryptionService = new EncryptionService();
 
+// How long processed files are kept for a retry, or for the review of a paused job
+const ASSET_RETENTION_MS = 48 * 60 * 60 * 1000;
+const RETRY_PLATFORMS = ['instagram', 'youtube', 'facebook'];
+// 'auto' picks Shorts or standard from the video's aspect ratio and duration
+const YOUTUBE_FORMATS = ['shorts', 'standard', 'auto'];
+const YOUTUBE_LICENSES = ['youtube', 'creativeCommon'];
+const FACEBOOK_FORMATS = ['reel', 'video'];
+
+// Fields editable during review: where each lives in platformPayloads, which graph
+// node rewrites it, and which parts of the node's output are kept
+const REVIEW_FIELDS = {
+  instagramCaption: {
+    platform: 'instagram',
+    key: 'caption',
+    node: 'description_node',
+    keep: ['shortCaption'],
+    read: (state) => `${state.shortCaption}\n\n${(state.selectedHashtags || []).join(' ')}`
+  },
+  youtubeTitle: {
+    platform: 'youtube',
+    key: 'title',
+    node: 'topic_node',
+    keep: ['topics', 'selectedTopic'],
+    read: (state) => state.selectedTopic
+  },
+  youtubeDescription: {
+    platform: 'youtube',
+    key: 'description',
+    node: 'description_node',
+    keep: ['description'],
+    read: (state) => state.description
+  },
+  youtubeTags: {
+    platform: 'youtube',
+    key: 'tags',
+    node: 'seo_tags_node',
+    keep: ['seoTags', 'videoCategory'],
+    read: (state) => state.seoTags
+  }
+};
+
+// Graph outputs worth keeping between runs (logs, errors and provider config are not)
+const CONTENT_STATE_KEYS = [
+  'contextText', 'videoMetadata', 'topics', 'selectedTopic', 'description', 'shortCaption',
+  'keywords', 'hashtags', 'selectedHashtags', 'seoTags', 'videoCategory', 'thumbnailSuggestions'
+];
+
+// Abort reason used by the job queue when another worker has taken over the job
+const LEASE_LOST = 'lease_lost';
+
 /**
  * Dual Publisher Service
- * Orchestrates content generation and publishing to Instagram + YouTube
+ * Orchestrates content generation and publishing to Instagram + YouTube,
+ * and to a Facebook Page when the job asks for it
  */
 class DualPublisherService {
   constructor(io) {
     this.io = io; // Socket.IO instance
     this.instagramService = new InstagramPublisherService();
     this.youtubeService = new YouTubePublisherService();
+    this.facebookService = new FacebookPublisherService();
     this.ffmpegService = new FFmpegService();
     this.uploadDir = path.join(__dirname, '../uploads');
     this.processedDir = path.join(__dirname, '../processed');
+    this.abortSignal = null;
 
     // Ensure directories exist
     if (!fs.existsSync(this.uploadDir)) {
@@ -49,10 +108,118 @@ class DualPublisherService {
     }
   }
 
+  /**
+   * Cancel the running job when the signal aborts: the current encode is
+   * killed and the remaining steps are skipped
+   * @param {AbortSignal} signal - From the job queue
+   */
+  setAbortSignal(signal) {
+    this.abortSignal = signal;
+    this.ffmpegService.setAbortSignal(signal);
+  }
+
+  /** Stop between steps once the job has been cancelled */
+  throwIfCancelled() {
+    if (this.abortSignal?.aborted) {
+      throw new Error('Publishing job was cancelled');
+    }
+  }
+
+  /**
+   * Decrypt the Instagram token of a job's account (the user's active account
+   * when none is given) and get a usable YouTube token, refreshing it when it
+   * expires within the next 5 minutes
+   * @param {Object} user - User document
+   * @param {string|null} [accountId] - Instagram account ID (PublishJob.accountId)
+   * @returns {Promise<{instagramToken: string, instagramAccountId: string, youtubeToken: string|null}>}
+   */
+  async resolveUserCredentials(user, accountId = null) {
+    const account = await InstagramAccount.resolveAccount(user, accountId);
+    if (!account?.accessToken) {
+      throw new Error(accountId
+        ? 'The Instagram account of this job is no longer connected'
+        : 'Instagram credentials not configured');
+    }
+
+    // Decrypt and immediately sanitize token
+    let instagramToken = encryptionService.decrypt(account.accessToken);
+    if (instagramToken) {
+      instagramToken = instagramToken
+        .replace(/[\s\n\r\t]+/g, '')  // Remove all whitespace
+        .replace(/%20/g, '')           // Remove URL-encoded spaces
+        .trim();
+    }
+    const youtubeToken = await this.resolveYouTubeToken(user);
+
+    return {
+      instagramToken,
+      instagramAccountId: account.accountId,
+      youtubeToken
+    };
+  }
+
+  /**
+   * The user's YouTube access token, refreshed when it has expired
+   * @returns {Promise<string|null>} null when YouTube isn't connected
+   */
+  async resolveYouTubeToken(user) {
+    if (!user.youtubeCredentials?.accessToken) {
+      return null;
+    }
+
+    // Token still valid for more than 5 minutes
+    const tokenExpiresAt = user.youtubeCredentials.tokenExpiresAt;
+    if (tokenExpiresAt && tokenExpiresAt > new Date(Date.now() + 5 * 60 * 1000)) {
+      return encryptionService.decrypt(user.youtubeCredentials.accessToken);
+    }
+
+    console.log('[DualPublisher] YouTube token expired or expiring soon, refreshing...');
+
+    // Refresh the token
+    const YouTubeOAuthService = require('./oauth-youtube.service');
+    const youtubeOAuth = new YouTubeOAuthService();
+
+    const clientId = encryptionService.decrypt(user.youtubeCredentials.clientId);
+    const clientSecret = encryptionService.decrypt(user.youtubeCredentials.clientSecret);
+    const refreshToken = encryptionService.decrypt(user.youtubeCredentials.refreshToken);
+
+    const refreshResult = await youtubeOAuth.refreshAccessToken(
+      clientId,
+      clientSecret,
+      refreshToken
+    );
+
+    if (!refreshResult.success) {
+      console.error('[DualPublisher] YouTube token refresh failed:', refreshResult.error);
+      throw new Error(`YouTube token refresh failed: ${refreshResult.error}. Please reconnect your YouTube account.`);
+    }
+
+    console.log('[DualPublisher] YouTube token refreshed successfully');
+
+    // Update user with new token
+    user.youtubeCredentials.accessToken = encryptionService.encrypt(refreshResult.accessToken);
+    user.youtubeCredentials.tokenExpiresAt = new Date(refreshResult.expiresIn);
+    user.youtubeCredentials.lastUpdated = new Date();
+    await user.save();
+
+    return refreshResult.accessToken;
+  }
+
   /**
    * Create a new publish job
+   * @param {Object} options - { scheduledFor } to leave the job for the publish scheduler,
+   *   { alsoStory } to also push the video to Instagram Stories,
+   *   { priority } for the job queue (higher runs first),
+   *   { reviewBeforePublish } to pause for approval once content is generated,
+   *   { youtubeFormat } one of YOUTUBE_FORMATS (default 'shorts'),
+   *   { thumbnail: { aiImage, textOverlay } } extras for the YouTube thumbnail candidates,
+   *   { youtubeSettings } from resolveYouTubeSettings,
+   *   { youtubeChannelId } the channel to upload to (from resolveYouTubeChannel),
+   *   { accountId } the Instagram account to publish to,
+   *   { facebookPageId } the Page to also publish to (from resolveFacebookPage),
+   *   { facebookFormat } one of FACEBOOK_FORMATS (default 'reel')
    */
-  async createJob(userId, videoFile, contextText, aiProviders) {
+  async createJob(userId, videoFile, contextText, aiProviders, options = {}) {
     const jobId = crypto.randomBytes(16).toString('hex');
 
     // Save video file temporarily
@@ -60,29 +227,148 @@ class DualPublisherService {
     const videoPath = path.join(this.uploadDir, videoFilename);
     fs.writeFileSync(videoPath, videoFile);
 
+    const steps = [
+      { name: 'validate_video', status: 'pending' },
+      { name: 'process_video', status: 'pending' },
+      { name: 'generate_content', status: 'pending' },
+      { name: 'generate_thumbnails', status: 'pending' },
+      { name: 'publish_instagram', status: 'pending' },
+      { name: 'publish_youtube', status: 'pending' }
+    ];
+    if (options.reviewBeforePublish) {
+      steps.splice(4, 0, { name: 'review_content', status: 'pending' });
+    }
+    if (options.facebookPageId) {
+      steps.push({ name: 'publish_facebook', status: 'pending' });
+    }
+    if (options.alsoStory) {
+      steps.push({ name: 'publish_story', status: 'pending' });
+    }
+
     // Create job in database
     const job = await PublishJob.create({
       userId,
+      accountId: options.accountId || null,
       jobId,
       videoFilename,
       contextText,
       aiProviders,
+      status: options.scheduledFor ? 'scheduled' : 'pending',
+      scheduledFor: options.scheduledFor || null,
+      alsoStory: !!options.alsoStory,
+      reviewBeforePublish: !!options.reviewBeforePublish,
+      youtubeFormat: options.youtubeFormat || 'shorts',
+      thumbnailOptions: {
+        aiImage: !!options.thumbnail?.aiImage,
+        textOverlay: !!options.thumbnail?.textOverlay
+      },
+      youtubeSettings: options.youtubeSettings || {},
+      youtubeChannelId: options.youtubeChannelId || null,
+      facebookPageId: options.facebookPageId || null,
+      facebookFormat: options.facebookFormat || 'reel',
+      priority: options.priority || 0,
       progress: {
         currentStep: 'initializing',
         percentage: 0,
-        steps: [
-          { name: 'validate_video', status: 'pending' },
-          { name: 'process_video', status: 'pending' },
-          { name: 'generate_content', status: 'pending' },
-          { name: 'publish_instagram', status: 'pending' },
-          { name: 'publish_youtube', status: 'pending' }
-        ]
+        steps
       }
     });
 
     return { jobId, job };
   }
 
+  /**
+   * Check the per-job YouTube upload settings
+   * @param {Object} input - { publishAt, playlistId, madeForKids, language, license }
+   * @param {Date} [scheduledFor] - When the job itself is scheduled; publishAt must come after it
+   * @returns {Object} Settings to store on the job
+   */
+  resolveYouTubeSettings(input = {}, scheduledFor = null) {
+    const settings = {
+      madeForKids: !!input.madeForKids,
+      license: input.license || 'youtube'
+    };
+
+    if (input.publishAt) {
+      const publishAt = new Date(input.publishAt);
+      if (Number.isNaN(publishAt.getTime())) {
+        throw new Error('youtubePublishAt must be a valid date');
+      }
+      if (publishAt <= (scheduledFor || new Date())) {
+        throw new Error(scheduledFor
+          ? 'youtubePublishAt must be after the time the job is scheduled for'
+          : 'youtubePublishAt must be in the future');
+      }
+      settings.publishAt = publishAt;
+    }
+    if (input.playlistId) {
+      if (typeof input.playlistId !== 'string' || !/^[\w-]+$/.test(input.playlistId)) {
+        throw new Error('youtubePlaylistId is not a valid playlist ID');
+      }
+      settings.playlistId = input.playlistId;
+    }
+    if (input.language) {
+      if (typeof input.language !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(input.language)) {
+        throw new Error('youtubeLanguage must be a language code such as en or pt-BR');
+      }
+      settings.language = input.language;
+    }
+    if (!YOUTUBE_LICENSES.includes(settings.license)) {
+      throw new Error(`youtubeLicense must be one of: ${YOUTUBE_LICENSES.join(', ')}`);
+    }
+
+    return settings;
+  }
+
+  /**
+   * The YouTube channel a job should upload to: the requested one, which must be
+   * among the user's channels, or the user's selected channel
+   * @returns {string|null} null to upload to the token's default channel
+   */
+  resolveYouTubeChannel(user, channelId) {
+    const channels = user.youtubeCredentials?.channels || [];
+    if (!channelId) {
+      return user.youtubeCredentials?.selectedChannelId || null;
+    }
+    if (!channels.some(channel => channel.channelId === channelId)) {
+      throw new Error('youtubeChannelId is not one of your YouTube channels');
+    }
+    return channelId;
+  }
+
+  /**
+   * The Facebook Page a job should also publish to: the requested one, which must
+   * be among the user's Pages, or the user's selected Page
+   */
+  resolveFacebookPage(user, pageId) {
+    const pages = user.facebookCredentials?.pages || [];
+    if (!user.facebookCredentials?.accessToken || pages.length === 0) {
+      throw new Error('Facebook not connected. Connect a Facebook account that manages a Page first.');
+    }
+
+    const resolved = pageId || user.facebookCredentials.selectedPageId;
+    if (!resolved) {
+      throw new Error('Select a Facebook Page to publish to');
+    }
+    if (!pages.some(page => page.pageId === resolved)) {
+      throw new Error('facebookPageId is not one of your Facebook Pages');
+    }
+    return resolved;
+  }
+
+  /**
+   * Decrypt the access token of one of the user's Pages
+   * @returns {Promise<string>}
+   */
+  async resolveFacebookPageToken(userId, pageId) {
+    const user = await User.findById(userId).select('facebookCredentials');
+    const page = user?.facebookCredentials?.pages?.find(candidate => candidate.pageId === pageId);
+    if (!page?.accessToken) {
+      throw new Error('The Facebook Page of this job is no longer connected');
+    }
+    return encryptionService.decrypt(page.accessToken);
+  }
+
   /**
    * Update job progress and emit to client
    */
@@ -115,13 +401,15 @@ class DualPublisherService {
     if (data.keywords) job.generatedContent.keywords = data.keywords;
     if (data.hashtags) job.generatedContent.hashtags = data.hashtags;
 
-    // Update platform status if provided
-    if (data.instagram) {
-      job.platforms.instagram = { ...job.platforms.instagram, ...data.instagram };
-    }
-    if (data.youtube) {
-      job.platforms.youtube = { ...job.platforms.youtube, ...data.youtube };
-    }
+    // Update platform status if provided, field by field so the rest of the
+    // platform's state (e.g. a YouTube upload session) is kept. Strings such as
+    // process_video's 'ready' are only reported to the client.
+    ['instagram', 'youtube', 'facebook', 'story'].forEach(platform => {
+      if (!data[platform] || typeof data[platform] !== 'object') return;
+      Object.entries(data[platform]).forEach(([field, value]) => {
+        job.set(`platforms.${platform}.${field}`, value);
+      });
+    });
 
     await job.save();
 
@@ -147,227 +435,200 @@ class DualPublisherService {
     }
 
     const filesToCleanup = [];
+    let processed = null;
+    let pausedAssets = null;
 
     try {
       job.status = 'processing';
       await job.save();
 
-      const videoPath = path.join(this.uploadDir, job.videoFilename);
-      filesToCleanup.push(videoPath);
+      let platformPayloads;
 
-      // Step 1: Validate video
-      await this.updateProgress(jobId, 'validate_video', 'processing');
+      if (job.reviewedAt) {
+        // Approved after review: publish the files kept while it waited, with the edited content
+        processed = this.loadRetainedAssets(job);
+        ['instagram', 'youtube', 'story', 'thumbnail'].forEach(key => {
+          if (processed[key]) filesToCleanup.push(processed[key].outputPath);
+        });
+        filesToCleanup.push(...this.thumbnailPaths(job));
+        platformPayloads = job.platformPayloads;
+      } else {
+        const videoPath = path.join(this.uploadDir, job.videoFilename);
+        filesToCleanup.push(videoPath);
 
-      const validation = await this.ffmpegService.validateVideo(videoPath);
+        // Step 1: Validate video
+        this.throwIfCancelled();
+        await this.updateProgress(jobId, 'validate_video', 'processing');
 
-      if (!validation.valid) {
-        throw new Error(`Video validation failed: ${validation.errors.join(', ')}`);
-      }
+        const validation = await this.ffmpegService.validateVideo(videoPath);
 
-      await this.updateProgress(jobId, 'validate_video', 'completed', {
-        metadata: validation.metadata,
-        warnings: validation.warnings
-      });
+        if (!validation.valid) {
+          throw new Error(`Video validation failed: ${validation.errors.join(', ')}`);
+        }
 
-      // Step 2: Process video for both platforms
-      await this.updateProgress(jobId, 'process_video', 'processing');
+        await this.updateProgress(jobId, 'validate_video', 'completed', {
+          metadata: validation.metadata,
+          warnings: validation.warnings
+        });
 
-      const processOptions = {
-        convertInstagram: true,
-        convertYouTube: true,
-        generateThumbnail: true,
-        generatePreview: false
-      };
+        // Step 2: Process video for both platforms
+        this.throwIfCancelled();
+        await this.updateProgress(jobId, 'process_video', 'processing');
 
-      const processed = await this.ffmpegService.processVideo(
-        videoPath,
-        this.processedDir,
-        processOptions
-      );
+        const processOptions = {
+          convertInstagram: true,
+          convertYouTube: true,
+          convertStory: job.alsoStory,
+          youtubeFormat: job.youtubeFormat,
+          generateThumbnail: true,
+          generatePreview: false
+        };
 
-      // Track processed files for cleanup
-      if (processed.instagram) filesToCleanup.push(processed.instagram.outputPath);
-      if (processed.youtube) filesToCleanup.push(processed.youtube.outputPath);
-      if (processed.thumbnail) filesToCleanup.push(processed.thumbnail.outputPath);
-      if (processed.preview) filesToCleanup.push(processed.preview.outputPath);
-
-      if (processed.errors.length > 0) {
-        // Emit errors via websocket but continue if we have at least one successful conversion
-        this.io.to(`job:${jobId}`).emit('job:warning', {
-          jobId,
-          warnings: processed.errors
-        });
-      }
+        processed = await this.ffmpegService.processVideo(
+          videoPath,
+          this.processedDir,
+          processOptions
+        );
 
-      if (!processed.instagram && !processed.youtube) {
-        throw new Error('Video processing failed for both platforms');
-      }
+        // Track processed files for cleanup
+        if (processed.instagram) filesToCleanup.push(processed.instagram.outputPath);
+        if (processed.youtube) filesToCleanup.push(processed.youtube.outputPath);
+        if (processed.story) filesToCleanup.push(processed.story.outputPath);
+        if (processed.thumbnail) filesToCleanup.push(processed.thumbnail.outputPath);
+        if (processed.preview) filesToCleanup.push(processed.preview.outputPath);
 
-      await this.updateProgress(jobId, 'process_video', 'completed', {
-        instagram: processed.instagram ? 'ready' : 'failed',
-        youtube: processed.youtube ? 'ready' : 'failed',
-        thumbnail: processed.thumbnail ? 'ready' : 'failed'
-      });
+        if (processed.errors.length > 0) {
+          // Emit errors via websocket but continue if we have at least one successful conversion
+          this.io.to(`job:${jobId}`).emit('job:warning', {
+            jobId,
+            warnings: processed.errors
+          });
+        }
 
-      // Execute LangGraph workflow for content generation
-      await this.updateProgress(jobId, 'generate_content', 'processing');
+        if (!processed.instagram && !processed.youtube) {
+          throw new Error('Video processing failed for both platforms');
+        }
 
-      const contentGraph = new ContentGenerationGraphService(job.userId);
-      const graphResult = await contentGraph.execute(job.contextText, job.aiProviders);
+        await this.updateProgress(jobId, 'process_video', 'completed', {
+          instagram: processed.instagram ? 'ready' : 'failed',
+          youtube: processed.youtube ? 'ready' : 'failed',
+          thumbnail: processed.thumbnail ? 'ready' : 'failed',
+          youtubeFormat: processed.youtube?.format
+        });
+        // The format 'auto' settled on, for the upload (also after a review or retry)
+        if (processed.youtube) {
+          await PublishJob.updateOne({ jobId }, { $set: { 'platforms.youtube.format': processed.youtube.format } });
+        }
 
-      if (graphResult.errors.length > 0) {
-        throw new Error(`Content generation failed: ${graphResult.errors.map(e => e.error).join(', ')}`);
-      }
+        // Execute LangGraph workflow for content generation
+        this.throwIfCancelled();
+        await this.updateProgress(jobId, 'generate_content', 'processing');
 
-      // Update progress with generated content
-      await this.updateProgress(jobId, 'generate_content', 'completed', {
-        title: graphResult.selectedTopic,
-        description: graphResult.description,
-        keywords: graphResult.keywords,
-        hashtags: graphResult.selectedHashtags,
-        platformPayloads: graphResult.platformPayloads
-      });
+        const contentGraph = new ContentGenerationGraphService(job.userId);
+        const graphResult = await contentGraph.execute(job.contextText, job.aiProviders);
 
-      // Use platform payloads from graph
-      const instagramCaption = graphResult.platformPayloads.instagram.caption;
-      const youtubeDescription = graphResult.platformPayloads.youtube.description;
+        if (graphResult.errors.length > 0) {
+          throw new Error(`Content generation failed: ${graphResult.errors.map(e => e.error).join(', ')}`);
+        }
 
-      // Publish to both platforms simultaneously
-      const publishPromises = [];
+        // Update progress with generated content
+        await this.updateProgress(jobId, 'generate_content', 'completed', {
+          title: graphResult.selectedTopic,
+          description: graphResult.description,
+          keywords: graphResult.keywords,
+          hashtags: graphResult.selectedHashtags,
+          platformPayloads: graphResult.platformPayloads
+        });
 
-      // Instagram Reels
-      if (processed.instagram) {
-        publishPromises.push(
-          (async () => {
-            try {
-              await this.updateProgress(jobId, 'publish_instagram', 'processing');
-
-              const igVideoPath = processed.instagram.outputPath;
-              const videoBuffer = fs.readFileSync(igVideoPath);
-
-              // Use cover image if available
-              let coverUrl = null;
-              if (processed.thumbnail) {
-                try {
-                  const thumbnailBuffer = fs.readFileSync(processed.thumbnail.outputPath);
-                  coverUrl = await this.instagramService.uploadImageToPublicServer(
-                    thumbnailBuffer,
-                    path.basename(processed.thumbnail.outputPath)
-                  );
-                } catch (err) {
-                  console.error('[DualPublisher] Thumbnail upload failed:', err.message);
-                  // Continue without cover image
-                }
-              }
+        // Keep the generated content so a failed platform can be retried as-is,
+        // and the graph state so single fields can be regenerated during review
+        platformPayloads = graphResult.platformPayloads;
+        const contentState = Object.fromEntries(CONTENT_STATE_KEYS.map(key => [key, graphResult[key] ?? null]));
+        await PublishJob.updateOne({ jobId }, { $set: { platformPayloads, contentState } });
 
-              // Publish as Instagram Reel
-              const result = await this.instagramService.publishReel(
-                videoBuffer,
-                instagramCaption,
-                path.basename(igVideoPath),
-                coverUrl
-              );
+        // YouTube thumbnail candidates, picked from during review
+        if (processed.youtube) {
+          this.throwIfCancelled();
+          filesToCleanup.push(...await this.buildThumbnails(jobId, videoPath, platformPayloads.youtube));
+        }
 
-              await this.updateProgress(jobId, 'publish_instagram', 'completed', {
-                instagram: {
-                  status: 'completed',
-                  mediaId: result.id,
-                  permalink: result.permalink,
-                  mediaType: result.mediaType,
-                  publishedAt: new Date(),
-                  apiResponse: result.publishResponse
-                }
-              });
+        if (job.reviewBeforePublish) {
+          pausedAssets = await this.pauseForReview(jobId, processed);
+          return await PublishJob.findOne({ jobId });
+        }
+      }
 
-              // Emit socket event for successful Instagram publish
-              this.io.to(`job:${jobId}`).emit('publish:instagram:done', {
-                jobId,
-                mediaId: result.id,
-                permalink: result.permalink,
-                mediaType: result.mediaType
-              });
+      this.throwIfCancelled();
 
-            } catch (error) {
-              await this.updateProgress(jobId, 'publish_instagram', 'failed', {
-                instagram: {
-                  status: 'failed',
-                  error: error.message
-                }
-              });
+      // Publish to both platforms simultaneously
+      const publishPromises = [];
 
-              // Emit socket event for failed Instagram publish
-              this.io.to(`job:${jobId}`).emit('publish:instagram:error', {
-                jobId,
-                error: error.message
-              });
-            }
-          })()
-        );
+      // Platforms that went out before a crash are not published again
+      // Instagram Reels
+      if (processed.instagram && job.platforms.instagram.status !== 'completed') {
+        publishPromises.push(this.publishInstagram(jobId, {
+          videoPath: processed.instagram.outputPath,
+          thumbnailPath: processed.thumbnail?.outputPath,
+          caption: platformPayloads.instagram.caption
+        }));
       }
 
       // YouTube
-      if (processed.youtube) {
+      if (processed.youtube && job.platforms.youtube.status !== 'completed') {
+        publishPromises.push(this.publishYouTube(jobId, {
+          videoPath: processed.youtube.outputPath,
+          payload: platformPayloads.youtube
+        }));
+      }
+
+      // Facebook Page
+      if (job.facebookPageId && job.platforms.facebook.status !== 'completed') {
+        publishPromises.push(this.publishFacebook(jobId, {
+          videoPath: this.facebookVideo(job, processed)?.outputPath,
+          payload: platformPayloads.facebook
+        }));
+      }
+
+      // Instagram Story (optional; a failed story doesn't fail the job)
+      if (job.alsoStory && job.platforms.story.status !== 'completed') {
         publishPromises.push(
           (async () => {
             try {
-              await this.updateProgress(jobId, 'publish_youtube', 'processing');
-
-              const ytVideoPath = processed.youtube.outputPath;
-              const youtubePayload = graphResult.platformPayloads.youtube;
-
-              // Upload with progress tracking
-              const result = await this.youtubeService.uploadVideo(
-                ytVideoPath,
-                {
-                  title: youtubePayload.title,
-                  description: youtubePayload.description,
-                  tags: youtubePayload.tags,
-                  categoryId: youtubePayload.categoryId,
-                  privacyStatus: youtubePayload.privacy
-                },
-                // Progress callback
-                (bytesUploaded, totalBytes, percentage) => {
-                  // Emit progress event every 5%
-                  if (percentage % 5 === 0 || percentage === 100) {
-                    this.io.to(`job:${jobId}`).emit('publish:youtube:progress', {
-                      jobId,
-                      bytesUploaded,
-                      totalBytes,
-                      percentage,
-                      sizeMB: (totalBytes / 1024 / 1024).toFixed(2)
-                    });
-                  }
-                }
+              await this.updateProgress(jobId, 'publish_story', 'processing');
+
+              if (!processed.story) {
+                throw new Error('Video could not be converted for Stories');
+              }
+
+              const { mediaId, media } = await storyService.publishFile(
+                this.instagramService,
+                processed.story.outputPath,
+                'video'
               );
+              await this.recordHostedMedia(jobId, 'story', media);
 
-              await this.updateProgress(jobId, 'publish_youtube', 'completed', {
-                youtube: {
+              await this.updateProgress(jobId, 'publish_story', 'completed', {
+                story: {
                   status: 'completed',
-                  videoId: result.videoId,
-                  url: result.url,
-                  publishedAt: new Date(),
-                  apiResponse: result.apiResponse
+                  mediaId,
+                  publishedAt: new Date()
                 }
               });
 
-              // Emit socket event for successful YouTube publish
-              this.io.to(`job:${jobId}`).emit('publish:youtube:done', {
+              this.io.to(`job:${jobId}`).emit('publish:story:done', {
                 jobId,
-                videoId: result.videoId,
-                url: result.url,
-                title: result.title
+                mediaId
               });
 
             } catch (error) {
-              await this.updateProgress(jobId, 'publish_youtube', 'failed', {
-                youtube: {
+              await this.updateProgress(jobId, 'publish_story', 'failed', {
+                story: {
                   status: 'failed',
                   error: error.message
                 }
               });
 
-              // Emit socket event for failed YouTube publish
-              this.io.to(`job:${jobId}`).emit('publish:youtube:error', {
+              this.io.to(`job:${jobId}`).emit('publish:story:error', {
                 jobId,
                 error: error.message
               });
@@ -376,38 +637,44 @@ class DualPublisherService {
         );
       }
 
-      // Wait for both to complete
+      // Wait for all platforms to complete
       await Promise.all(publishPromises);
 
-      // Update final job status
-      job = await PublishJob.findOne({ jobId });
-      const instagramSuccess = job.platforms.instagram.status === 'completed';
-      const youtubeSuccess = job.platforms.youtube.status === 'completed';
+      return await this.finalizeJob(jobId);
 
-      if (instagramSuccess && youtubeSuccess) {
-        job.status = 'completed';
-      } else if (instagramSuccess || youtubeSuccess) {
-        job.status = 'partial';
-      } else {
-        job.status = 'failed';
+    } catch (error) {
+      // Another worker owns the job now; leave its state alone
+      if (this.abortSignal?.reason === LEASE_LOST) {
+        throw error;
       }
 
-      job.completedAt = new Date();
-      await job.save();
+      if (this.abortSignal?.aborted) {
+        console.log(`[DualPublisher] Job ${jobId} cancelled`);
+        job.status = 'cancelled';
+        job.error = 'Cancelled by user';
+        job.completedAt = new Date();
+        await job.save();
 
-      return job;
+        this.io.to(`job:${jobId}`).emit('job:cancelled', { jobId });
+        return job;
+      }
 
-    } catch (error) {
       console.error('[DualPublisher] Job execution error:', error);
       job.status = 'failed';
       job.error = error.message;
       await job.save();
       throw error;
     } finally {
-      // Cleanup video files
+      // Cleanup video files, except what a retry of the failed platform or the
+      // review needs (and all of them when another worker is taking the job over)
       try {
-        if (filesToCleanup.length > 0) {
-          await this.ffmpegService.cleanup(filesToCleanup);
+        if (this.abortSignal?.reason !== LEASE_LOST) {
+          await this.releaseHostedMedia(jobId);
+          const retained = pausedAssets || await this.retainFailedAssets(jobId, processed);
+          const toDelete = filesToCleanup.filter(file => !retained.includes(file));
+          if (toDelete.length > 0) {
+            await this.ffmpegService.cleanup(toDelete);
+          }
         }
       } catch (err) {
         console.error('[DualPublisher] Failed to cleanup video files:', err);
@@ -415,6 +682,881 @@ class DualPublisherService {
     }
   }
 
+  /**
+   * Publish the processed video as an Instagram Reel.
+   * Records the outcome on the job; never throws.
+   * @param {Object} media - { videoPath, thumbnailPath, caption }
+   */
+  async publishInstagram(jobId, { videoPath, thumbnailPath, caption }) {
+    try {
+      await this.updateProgress(jobId, 'publish_instagram', 'processing');
+
+      // Host the cover image if available
+      if (thumbnailPath) {
+        try {
+          const cover = await this.instagramService.uploadImageToPublicServer(
+            fs.readFileSync(thumbnailPath),
+            path.basename(thumbnailPath)
+          );
+          await this.recordHostedMedia(jobId, 'cover', cover);
+        } catch (err) {
+          console.error('[DualPublisher] Thumbnail upload failed:', err.message);
+          // Continue without cover image
+        }
+      }
+
+      const video = await this.instagramService.uploadVideoToPublicServer(
+        fs.readFileSync(videoPath),
+        path.basename(videoPath)
+      );
+      await this.recordHostedMedia(jobId, 'reel', video);
+
+      // Publish as Instagram Reel
+      const mediaId = await this.instagramService.publishReelFromUrl(video.url, caption);
+
+      await this.updateProgress(jobId, 'publish_instagram', 'completed', {
+        instagram: {
+          status: 'completed',
+          mediaId,
+          publishedAt: new Date()
+        }
+      });
+
+      // Emit socket event for successful Instagram publish
+      this.io.to(`job:${jobId}`).emit('publish:instagram:done', {
+        jobId,
+        mediaId,
+        mediaType: 'REELS'
+      });
+
+    } catch (error) {
+      await this.updateProgress(jobId, 'publish_instagram', 'failed', {
+        instagram: {
+          status: 'failed',
+          error: error.message
+        }
+      });
+
+      // Emit socket event for failed Instagram publish
+      this.io.to(`job:${jobId}`).emit('publish:instagram:error', {
+        jobId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Upload the processed video to YouTube.
+   * Records the outcome on the job; never throws.
+   * @param {Object} media - { videoPath, payload } with payload from platformPayloads.youtube
+   */
+  async publishYouTube(jobId, { videoPath, payload }) {
+    try {
+      await this.updateProgress(jobId, 'publish_youtube', 'processing');
+
+      // An upload interrupted by a crash or a failed attempt continues where it
+      // stopped, with the file it was sending (a re-run processes the video again)
+      const { platforms, youtubeSettings: settings = {}, youtubeChannelId } = await PublishJob.findOne(
+        { jobId },
+        { 'platforms.youtube.uploadSession': 1, 'platforms.youtube.format': 1, youtubeSettings: 1, youtubeChannelId: 1 }
+      ).lean();
+
+      // The token changes when the user reconnects YouTube, so check it still reaches the channel
+      if (youtubeChannelId) {
+        await this.youtubeService.verifyChannelAccess(youtubeChannelId);
+      }
+
+      let session = platforms?.youtube?.uploadSession;
+      let uploadPath = videoPath;
+      if (session?.file && session.file !== path.basename(videoPath)) {
+        const sessionPath = path.join(this.processedDir, session.file);
+        if (fs.existsSync(sessionPath)) {
+          uploadPath = sessionPath;
+        } else {
+          session = null;
+        }
+      }
+
+      // A publish time that passed while the job waited (e.g. in review) goes out right away
+      const publishAt = settings.publishAt > new Date() ? settings.publishAt : null;
+
+      // Upload with progress tracking
+      const result = await this.youtubeService.uploadVideo(
+        uploadPath,
+        {
+          title: payload.title,
+          description: payload.description,
+          tags: payload.tags,
+          categoryId: payload.categoryId,
+          privacyStatus: payload.privacy,
+          format: platforms?.youtube?.format || 'shorts',
+          publishAt,
+          madeForKids: settings.madeForKids,
+          language: settings.language,
+          license: settings.license
+        },
+        // Progress callback, once per acknowledged chunk
+        (bytesUploaded, totalBytes, percentage) => {
+          this.io.to(`job:${jobId}`).emit('publish:youtube:progress', {
+            jobId,
+            bytesUploaded,
+            totalBytes,
+            percentage,
+            sizeMB: (totalBytes / 1024 / 1024).toFixed(2)
+          });
+        },
+        youtubeChannelId,
+        {
+          session,
+          signal: this.abortSignal,
+          // Persist the session after every chunk so any worker can resume it
+          onSession: (next) => PublishJob.updateOne(
+            { jobId },
+            next
+              ? { $set: { 'platforms.youtube.uploadSession': { ...next, file: path.basename(uploadPath), updatedAt: new Date() } } }
+              : { $unset: { 'platforms.youtube.uploadSession': 1 } }
+          )
+        }
+      );
+
+      await PublishJob.updateOne({ jobId }, { $unset: { 'platforms.youtube.uploadSession': 1 } });
+      if (uploadPath !== videoPath) {
+        await this.ffmpegService.cleanup([uploadPath]);
+      }
+
+      await this.setYouTubeThumbnail(jobId, result.videoId);
+      if (settings.playlistId) {
+        await this.addToYouTubePlaylist(jobId, settings.playlistId, result.videoId);
+      }
+
+      await this.updateProgress(jobId, 'publish_youtube', 'completed', {
+        youtube: {
+          status: 'completed',
+          videoId: result.videoId,
+          url: result.url,
+          publishedAt: new Date(),
+          publishAt,
+          apiResponse: result.apiResponse
+        }
+      });
+
+      // Emit socket event for successful YouTube publish
+      this.io.to(`job:${jobId}`).emit('publish:youtube:done', {
+        jobId,
+        videoId: result.videoId,
+        url: result.url,
+        title: result.title
+      });
+
+    } catch (error) {
+      await this.updateProgress(jobId, 'publish_youtube', 'failed', {
+        youtube: {
+          status: 'failed',
+          error: error.message
+        }
+      });
+
+      // Emit socket event for failed YouTube publish
+      this.io.to(`job:${jobId}`).emit('publish:youtube:error', {
+        jobId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Publish the processed video to the job's Facebook Page, as a Reel or a
+   * regular video. Records the outcome on the job; never throws.
+   * @param {Object} media - { videoPath, payload } with payload from platformPayloads.facebook
+   */
+  async publishFacebook(jobId, { videoPath, payload }) {
+    try {
+      await this.updateProgress(jobId, 'publish_facebook', 'processing');
+
+      if (!videoPath) {
+        throw new Error('Video could not be converted for Facebook');
+      }
+      if (!payload) {
+        throw new Error('No Facebook content was generated for this job');
+      }
+
+      const { userId, facebookPageId, facebookFormat } = await PublishJob.findOne(
+        { jobId },
+        { userId: 1, facebookPageId: 1, facebookFormat: 1 }
+      ).lean();
+      const pageToken = await this.resolveFacebookPageToken(userId, facebookPageId);
+      this.facebookService.initialize(pageToken, facebookPageId);
+
+      const { videoId } = facebookFormat === 'video'
+        ? await this.facebookService.publishVideo(videoPath, { title: payload.title, description: payload.message })
+        : await this.facebookService.publishReel(videoPath, payload.message);
+      const permalink = await this.facebookService.getPermalink(videoId);
+
+      await this.updateProgress(jobId, 'publish_facebook', 'completed', {
+        facebook: {
+          status: 'completed',
+          videoId,
+          permalink,
+          publishedAt: new Date()
+        }
+      });
+
+      this.io.to(`job:${jobId}`).emit('publish:facebook:done', {
+        jobId,
+        videoId,
+        permalink,
+        format: facebookFormat
+      });
+
+    } catch (error) {
+      await this.updateProgress(jobId, 'publish_facebook', 'failed', {
+        facebook: {
+          status: 'failed',
+          error: error.message
+        }
+      });
+
+      this.io.to(`job:${jobId}`).emit('publish:facebook:error', {
+        jobId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * The processed file a job publishes to Facebook: Reels share Instagram's
+   * vertical video, regular videos YouTube's
+   */
+  facebookVideo(job, processed) {
+    return job.facebookFormat === 'video'
+      ? processed.youtube || processed.instagram
+      : processed.instagram;
+  }
+
+  /**
+   * Build YouTube thumbnail candidates: the best-scoring frames of the video, plus
+   * an AI image from the suggested prompt when the job asks for one, with the
+   * suggested text drawn on when asked. Never throws; without candidates YouTube
+   * keeps picking its own thumbnail.
+   * @param {Object} youtubePayload - platformPayloads.youtube, with the thumbnail node's suggestions
+   * @returns {Promise<string[]>} Paths of the files created
+   */
+  async buildThumbnails(jobId, videoPath, youtubePayload) {
+    const job = await PublishJob.findOne({ jobId });
+    const basename = path.basename(videoPath, path.extname(videoPath));
+    const suggestions = youtubePayload?.thumbnail;
+    const created = [];
+
+    try {
+      await this.updateProgress(jobId, 'generate_thumbnails', 'processing');
+
+      const frames = await this.ffmpegService.extractThumbnailFrames(videoPath, this.processedDir, basename);
+      const candidates = frames.map((frame, index) => ({ id: `frame${index + 1}`, source: 'frame', ...frame }));
+      created.push(...frames.map(frame => frame.outputPath));
+
+      const warnings = [];
+      if (job.thumbnailOptions?.aiImage) {
+        try {
+          const aiPath = await this.generateAIThumbnail(job, basename, suggestions?.imagePrompt || youtubePayload.title);
+          candidates.push({ id: 'ai', source: 'ai', outputPath: aiPath });
+          created.push(aiPath);
+        } catch (error) {
+          warnings.push(`AI thumbnail: ${error.message}`);
+        }
+      }
+
+      const text = suggestions?.textOverlays?.[0] || youtubePayload?.title;
+      if (job.thumbnailOptions?.textOverlay && text) {
+        try {
+          for (const candidate of candidates) {
+            const textPath = candidate.outputPath.replace(/\.jpg$/, '_text.jpg');
+            await this.ffmpegService.addThumbnailText(candidate.outputPath, textPath, text);
+            created.push(textPath);
+            candidate.outputPath = textPath;
+            candidate.text = text;
+          }
+        } catch (error) {
+          warnings.push(error.message);
+        }
+      }
+
+      if (candidates.length === 0) {
+        throw new Error('No frames could be extracted');
+      }
+
+      // The AI image was asked for, so it goes out unless the user picks a frame
+      const selected = candidates.find(candidate => candidate.source === 'ai') || candidates[0];
+      await PublishJob.updateOne({ jobId }, {
+        $set: {
+          thumbnails: {
+            candidates: candidates.map(({ id, source, outputPath, score, time, text: overlay }) => ({
+              id, source, file: path.basename(outputPath), score, time, text: overlay
+            })),
+            selected: selected.id
+          }
+        }
+      });
+
+      await this.updateProgress(jobId, 'generate_thumbnails', 'completed', { thumbnails: candidates.length });
+      if (warnings.length > 0) {
+        this.io.to(`job:${jobId}`).emit('job:warning', { jobId, warnings });
+      }
+    } catch (error) {
+      if (this.abortSignal?.aborted) throw error;
+
+      console.error('[DualPublisher] Thumbnail generation failed:', error.message);
+      await this.updateProgress(jobId, 'generate_thumbnails', 'failed', { error: error.message });
+      this.io.to(`job:${jobId}`).emit('job:warning', { jobId, warnings: [`Thumbnails: ${error.message}`] });
+    }
+
+    return created;
+  }
+
+  /**
+   * Generate a 1280x720 thumbnail image with the user's Gemini key
+   * @returns {Promise<string>} Path of the image
+   */
+  async generateAIThumbnail(job, basename, prompt) {
+    const user = await User.findById(job.userId).select('geminiApiKey');
+    const apiKey = user?.geminiApiKey || process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new Error('Gemini API key not configured');
+    }
+
+    const imageGenerator = new ImageGeneratorService();
+    imageGenerator.initialize(apiKey);
+    const image = await imageGenerator.generateImage(
+      `${prompt}\n\nWide 16:9 YouTube thumbnail, bold and high contrast, no text.`,
+      { enrich: false }
+    );
+
+    const sourcePath = path.join(this.processedDir, `${basename}_ai_source`);
+    const outputPath = path.join(this.processedDir, `${basename}_ai.jpg`);
+    try {
+      fs.writeFileSync(sourcePath, image);
+      await this.ffmpegService.convertImageForThumbnail(sourcePath, outputPath);
+    } finally {
+      await this.ffmpegService.cleanup([sourcePath]);
+    }
+    return outputPath;
+  }
+
+  /**
+   * Files of a job's thumbnail candidates
+   */
+  thumbnailPaths(job) {
+    return (job.thumbnails?.candidates || []).map(candidate => path.join(this.processedDir, candidate.file));
+  }
+
+  /**
+   * Upload the job's selected thumbnail to its YouTube video. A failure is
+   * recorded on the job as a warning; the video stays published.
+   */
+  async setYouTubeThumbnail(jobId, videoId) {
+    const job = await PublishJob.findOne({ jobId }, { thumbnails: 1 }).lean();
+    const selected = job?.thumbnails?.candidates?.find(candidate => candidate.id === job.thumbnails.selected);
+    if (!selected) return;
+
+    try {
+      const imagePath = path.join(this.processedDir, selected.file);
+      if (!fs.existsSync(imagePath)) {
+        throw new Error('The thumbnail file is no longer available');
+      }
+      await this.youtubeService.setThumbnail(videoId, imagePath);
+      await PublishJob.updateOne(
+        { jobId },
+        { $set: { 'platforms.youtube.thumbnailSet': true }, $unset: { 'platforms.youtube.thumbnailError': 1 } }
+      );
+    } catch (error) {
+      await PublishJob.updateOne({ jobId }, { $set: { 'platforms.youtube.thumbnailError': error.message } });
+      this.io.to(`job:${jobId}`).emit('job:warning', { jobId, warnings: [error.message] });
+    }
+  }
+
+  /**
+   * Add a job's uploaded video to its playlist. A failure is recorded on the
+   * job as a warning; the video stays published.
+   */
+  async addToYouTubePlaylist(jobId, playlistId, videoId) {
+    try {
+      const playlistItemId = await this.youtubeService.addToPlaylist(playlistId, videoId);
+      await PublishJob.updateOne(
+        { jobId },
+        { $set: { 'platforms.youtube.playlistItemId': playlistItemId }, $unset: { 'platforms.youtube.playlistError': 1 } }
+      );
+    } catch (error) {
+      await PublishJob.updateOne({ jobId }, { $set: { 'platforms.youtube.playlistError': error.message } });
+      this.io.to(`job:${jobId}`).emit('job:warning', { jobId, warnings: [error.message] });
+    }
+  }
+
+  /**
+   * Edit the title, description and/or tags of a job's published YouTube video,
+   * and keep the job's YouTube payload in step
+   * @param {Object} job - PublishJob with a published YouTube video
+   * @param {Object} changes - { title, description, tags }
+   * @returns {Promise<Object>} The updated job
+   */
+  async updateYouTubeVideo(job, changes) {
+    const { title, description, tags } = changes;
+    if (title === undefined && description === undefined && tags === undefined) {
+      throw new Error('Nothing to update: send title, description or tags');
+    }
+    if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > 100)) {
+      throw new Error('title must be 1-100 characters');
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 5000)) {
+      throw new Error('description must be text of at most 5000 characters');
+    }
+    if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+      throw new Error('tags must be a list of strings');
+    }
+
+    const snippet = await this.youtubeService.updateVideoMetadata(job.platforms.youtube.videoId, changes);
+
+    const update = { 'platforms.youtube.updatedAt': new Date() };
+    if (title !== undefined) update['platformPayloads.youtube.title'] = snippet.title;
+    if (description !== undefined) update['platformPayloads.youtube.description'] = snippet.description;
+    if (tags !== undefined) update['platformPayloads.youtube.tags'] = snippet.tags || [];
+
+    return await PublishJob.findOneAndUpdate({ jobId: job.jobId }, { $set: update }, { new: true });
+  }
+
+  /**
+   * Delete a job's published YouTube video and mark it deleted on the job
+   * @returns {Promise<Object>} The updated job
+   */
+  async deleteYouTubeVideo(job) {
+    await this.youtubeService.deleteVideo(job.platforms.youtube.videoId);
+
+    return await PublishJob.findOneAndUpdate(
+      { jobId: job.jobId },
+      { $set: { 'platforms.youtube.deletedAt': new Date() }, $unset: { 'platforms.youtube.url': 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Note a file uploaded to media storage on the job, so it can be deleted
+   * once the job no longer needs it
+   * @param {'reel'|'cover'|'story'} role - What the file was uploaded for
+   * @param {Object} media - { url, driver, key } from media storage
+   */
+  async recordHostedMedia(jobId, role, media) {
+    await PublishJob.updateOne(
+      { jobId },
+      { $push: { hostedMedia: { role, url: media.url, driver: media.driver, key: media.key } } }
+    );
+  }
+
+  /**
+   * Delete the job's hosted copies. Instagram keeps its own copy once a
+   * container is published, so they are only needed while publishing.
+   */
+  async releaseHostedMedia(jobId) {
+    const job = await PublishJob.findOneAndUpdate(
+      { jobId, 'hostedMedia.0': { $exists: true } },
+      { $set: { hostedMedia: [] } }
+    );
+    if (!job) return;
+
+    await Promise.all(job.hostedMedia.map(media => mediaStorageService.remove(media)));
+  }
+
+  /**
+   * Set the job's final status from the results of the platforms it targets
+   */
+  async finalizeJob(jobId) {
+    const job = await PublishJob.findOne({ jobId });
+    const targets = job.facebookPageId ? ['instagram', 'youtube', 'facebook'] : ['instagram', 'youtube'];
+    const succeeded = targets.filter(platform => job.platforms[platform].status === 'completed');
+
+    if (succeeded.length === targets.length) {
+      job.status = 'completed';
+    } else if (succeeded.length > 0) {
+      job.status = 'partial';
+    } else {
+      job.status = 'failed';
+    }
+
+    job.completedAt = new Date();
+    await job.save();
+
+    return job;
+  }
+
+  /**
+   * Keep the processed files of platforms that failed after content was
+   * generated, so they can be retried until retainedUntil
+   * @returns {Promise<string[]>} Paths that must not be cleaned up
+   */
+  async retainFailedAssets(jobId, processed) {
+    const job = await PublishJob.findOne({ jobId });
+    if (!job?.platformPayloads || !processed) return [];
+
+    const failed = RETRY_PLATFORMS.filter(platform => job.platforms[platform].status === 'failed');
+    return await this.retainAssets(job, processed, failed);
+  }
+
+  /**
+   * Record which processed files to keep on the job, for ASSET_RETENTION_MS.
+   * Files kept earlier that are no longer listed are forgotten (the caller deletes them).
+   * @param {string[]} platforms - Platforms whose files to keep ('story' included)
+   * @returns {Promise<string[]>} Paths that must not be cleaned up
+   */
+  async retainAssets(job, processed, platforms) {
+    const assets = {};
+    if (platforms.includes('instagram') && processed.instagram) {
+      assets.instagram = path.basename(processed.instagram.outputPath);
+      if (processed.thumbnail) {
+        assets.thumbnail = path.basename(processed.thumbnail.outputPath);
+      }
+    }
+    if (platforms.includes('youtube') && processed.youtube) {
+      assets.youtube = path.basename(processed.youtube.outputPath);
+    }
+    if (platforms.includes('story') && processed.story) {
+      assets.story = path.basename(processed.story.outputPath);
+    }
+    const facebookVideo = platforms.includes('facebook') && job.facebookPageId && this.facebookVideo(job, processed);
+    if (facebookVideo) {
+      assets.facebook = path.basename(facebookVideo.outputPath);
+    }
+
+    if (Object.keys(assets).length === 0) {
+      if (job.retainedUntil) {
+        job.assets = undefined;
+        job.retainedUntil = null;
+        await job.save();
+      }
+      return [];
+    }
+
+    job.assets = assets;
+    job.retainedUntil = new Date(Date.now() + ASSET_RETENTION_MS);
+    await job.save();
+
+    // Facebook shares its file with Instagram or YouTube; the thumbnail candidates go with the YouTube video
+    const filenames = [...new Set(Object.values(assets))];
+    return [
+      ...filenames.map(filename => path.join(this.processedDir, filename)),
+      ...(assets.youtube ? this.thumbnailPaths(job) : [])
+    ];
+  }
+
+  /**
+   * Processed files kept on the job, in the shape FFmpegService.processVideo returns
+   */
+  loadRetainedAssets(job) {
+    const asset = (key) => job.assets?.[key]
+      ? { outputPath: path.join(this.processedDir, job.assets[key]) }
+      : null;
+
+    const processed = {
+      instagram: asset('instagram'),
+      youtube: asset('youtube'),
+      story: asset('story'),
+      thumbnail: asset('thumbnail'),
+      errors: []
+    };
+
+    if (!processed.instagram && !processed.youtube) {
+      throw new Error('The processed video for this job is no longer available. Please publish it again.');
+    }
+    return processed;
+  }
+
+  /**
+   * Park a job whose content is ready until the user approves it.
+   * All processed files are kept; they expire like retry files do.
+   * @returns {Promise<string[]>} Paths that must not be cleaned up
+   */
+  async pauseForReview(jobId, processed) {
+    const job = await PublishJob.findOne({ jobId });
+    const retained = await this.retainAssets(job, processed, ['instagram', 'youtube', 'story']);
+
+    job.status = 'awaiting_review';
+    await job.save();
+    await this.updateProgress(jobId, 'review_content', 'processing');
+
+    this.io.to(`job:${jobId}`).emit('job:awaiting_review', {
+      jobId,
+      platformPayloads: job.platformPayloads,
+      thumbnails: this.getThumbnailChoices(job),
+      reviewExpiresAt: job.retainedUntil
+    });
+
+    console.log(`[DualPublisher] Job ${jobId} is waiting for review`);
+    return retained;
+  }
+
+  /**
+   * The reviewable fields of a job's generated content
+   * @returns {{instagramCaption: string, youtubeTitle: string, youtubeDescription: string, youtubeTags: string[]}}
+   */
+  getReviewContent(job) {
+    return Object.fromEntries(Object.entries(REVIEW_FIELDS).map(([field, { platform, key }]) => [
+      field,
+      job.platformPayloads?.[platform]?.[key] ?? null
+    ]));
+  }
+
+  /**
+   * The thumbnail candidates a reviewer can pick from
+   * @returns {{candidates: Array<{id, source, score, text}>, selected: string}}
+   */
+  getThumbnailChoices(job) {
+    return {
+      candidates: (job.thumbnails?.candidates || []).map(({ id, source, score, text }) => ({ id, source, score, text })),
+      selected: job.thumbnails?.selected || null
+    };
+  }
+
+  /**
+   * Why a job's review can't be changed, or null if it can
+   */
+  getReviewError(job) {
+    if (job.status !== 'awaiting_review') {
+      return 'This job is not waiting for review';
+    }
+    if (!(job.retainedUntil > new Date())) {
+      return 'The review window for this job has passed. Please publish it again.';
+    }
+    return null;
+  }
+
+  /**
+   * Check edited review fields against the platforms' limits
+   * @param {Object} edits - Any of the REVIEW_FIELDS
+   */
+  validateReviewEdits(edits) {
+    const { instagramCaption, youtubeTitle, youtubeDescription, youtubeTags } = edits;
+
+    if (instagramCaption !== undefined && (typeof instagramCaption !== 'string' || instagramCaption.length > 2200)) {
+      throw new Error('instagramCaption must be text of at most 2200 characters');
+    }
+    if (youtubeTitle !== undefined && (typeof youtubeTitle !== 'string' || !youtubeTitle.trim() || youtubeTitle.length > 100)) {
+      throw new Error('youtubeTitle must be 1-100 characters');
+    }
+    if (youtubeDescription !== undefined && (typeof youtubeDescription !== 'string' || youtubeDescription.length > 5000)) {
+      throw new Error('youtubeDescription must be text of at most 5000 characters');
+    }
+    if (youtubeTags !== undefined && (!Array.isArray(youtubeTags) || youtubeTags.some(tag => typeof tag !== 'string'))) {
+      throw new Error('youtubeTags must be a list of strings');
+    }
+  }
+
+  /**
+   * Approve a job's content, with the user's edits, and put it back in the queue.
+   * Call getReviewError first.
+   * @param {Object} edits - Any of the REVIEW_FIELDS, and thumbnail (a candidate id);
+   *   missing fields keep their generated value
+   */
+  async approveReview(jobId, edits = {}) {
+    this.validateReviewEdits(edits);
+
+    const job = await PublishJob.findOne({ jobId });
+    const thumbnail = {};
+    if (edits.thumbnail !== undefined) {
+      if (!job.thumbnails?.candidates?.some(candidate => candidate.id === edits.thumbnail)) {
+        throw new Error('thumbnail must be one of the job\'s thumbnail candidates');
+      }
+      thumbnail['thumbnails.selected'] = edits.thumbnail;
+    }
+
+    const platformPayloads = Object.fromEntries(
+      Object.entries(job.platformPayloads).map(([platform, payload]) => [platform, { ...payload }])
+    );
+    Object.entries(REVIEW_FIELDS).forEach(([field, { platform, key }]) => {
+      if (edits[field] !== undefined) {
+        platformPayloads[platform][key] = edits[field];
+      }
+    });
+
+    // Only one approval wins; the queue counts its attempts afresh
+    const approved = await PublishJob.findOneAndUpdate(
+      { jobId, status: 'awaiting_review' },
+      { $set: { status: 'pending', platformPayloads, ...thumbnail, reviewedAt: new Date(), publishAttempts: 0 } },
+      { new: true }
+    );
+    if (!approved) {
+      throw new Error('This job is not waiting for review');
+    }
+
+    await this.updateProgress(jobId, 'review_content', 'completed', {
+      title: platformPayloads.youtube.title,
+      description: platformPayloads.youtube.description,
+      platformPayloads
+    });
+    return approved;
+  }
+
+  /**
+   * Regenerate one reviewable field with its content generation node.
+   * Call getReviewError first.
+   * @param {string} field - One of the REVIEW_FIELDS
+   * @returns {Promise<*>} The new value, already saved on the job
+   */
+  async regenerateReviewField(jobId, field) {
+    const spec = REVIEW_FIELDS[field];
+    if (!spec) {
+      throw new Error(`Unknown field. Use one of: ${Object.keys(REVIEW_FIELDS).join(', ')}`);
+    }
+
+    const job = await PublishJob.findOne({ jobId });
+    if (!job.contentState) {
+      throw new Error('This job has no generation state to regenerate from');
+    }
+
+    const contentGraph = new ContentGenerationGraphService(job.userId);
+    const result = await contentGraph.executeSingleNode(spec.node, {
+      ...job.contentState,
+      nodeConfigs: job.aiProviders,
+      nodeLogs: [],
+      errors: []
+    });
+
+    if (result.errors.length > 0) {
+      throw new Error(`Regeneration failed: ${result.errors.map(e => e.error).join(', ')}`);
+    }
+
+    const value = spec.read(result);
+    const update = { [`platformPayloads.${spec.platform}.${spec.key}`]: value };
+    spec.keep.forEach(key => {
+      update[`contentState.${key}`] = result[key];
+    });
+
+    const updated = await PublishJob.findOneAndUpdate(
+      { jobId, status: 'awaiting_review' },
+      { $set: update }
+    );
+    if (!updated) {
+      throw new Error('This job is not waiting for review');
+    }
+
+    return value;
+  }
+
+  /**
+   * Why a platform of a job can't be retried, or null if it can
+   * @param {Object} job - PublishJob document
+   * @param {'instagram'|'youtube'|'facebook'} platform - Platform to retry
+   */
+  getRetryError(job, platform) {
+    if (!RETRY_PLATFORMS.includes(platform)) {
+      return `Unknown platform. Use one of: ${RETRY_PLATFORMS.join(', ')}`;
+    }
+    if (!['partial', 'failed'].includes(job.status) || job.platforms[platform].status !== 'failed') {
+      return `${platform} did not fail for this job`;
+    }
+    if (!job.platformPayloads || !job.assets?.[platform] || !(job.retainedUntil > new Date())) {
+      return 'The processed video for this job is no longer available. Please publish it again.';
+    }
+    return null;
+  }
+
+  /**
+   * Republish one failed platform of a job with the content and files it already has.
+   * Call getRetryError first; the service must be initialized with the user's credentials.
+   * @param {'instagram'|'youtube'|'facebook'} platform - Platform to retry
+   */
+  async retryPlatform(jobId, platform) {
+    // Claim the platform so a double click doesn't publish twice
+    const job = await PublishJob.findOneAndUpdate(
+      { jobId, [`platforms.${platform}.status`]: 'failed' },
+      { $set: { [`platforms.${platform}.status`]: 'processing' }, $unset: { [`platforms.${platform}.error`]: 1 } },
+      { new: true }
+    );
+    if (!job) {
+      throw new Error(`A retry for ${platform} is already running`);
+    }
+
+    const assetPath = (filename) => filename && path.join(this.processedDir, filename);
+
+    if (platform === 'instagram') {
+      await this.publishInstagram(jobId, {
+        videoPath: assetPath(job.assets.instagram),
+        thumbnailPath: assetPath(job.assets.thumbnail),
+        caption: job.platformPayloads.instagram.caption
+      });
+    } else if (platform === 'youtube') {
+      await this.publishYouTube(jobId, {
+        videoPath: assetPath(job.assets.youtube),
+        payload: job.platformPayloads.youtube
+      });
+    } else {
+      await this.publishFacebook(jobId, {
+        videoPath: assetPath(job.assets.facebook),
+        payload: job.platformPayloads.facebook
+      });
+    }
+
+    await this.releaseHostedMedia(jobId);
+    const finished = await this.finalizeJob(jobId);
+
+    // The files for a platform that went out are no longer needed, unless
+    // another platform still waiting for a retry shares them
+    if (finished.platforms[platform].status === 'completed') {
+      const released = platform === 'instagram' ? ['instagram', 'thumbnail'] : [platform];
+      const kept = ['instagram', 'youtube', 'facebook', 'thumbnail']
+        .filter(key => !released.includes(key))
+        .map(key => finished.assets[key]);
+      await this.ffmpegService.cleanup(released
+        .map(key => finished.assets[key])
+        .filter(filename => filename && !kept.includes(filename))
+        .map(assetPath));
+      if (platform === 'youtube') {
+        await this.ffmpegService.cleanup(this.thumbnailPaths(finished));
+      }
+
+      released.forEach(key => {
+        finished.assets[key] = undefined;
+      });
+      if (!finished.assets.instagram && !finished.assets.youtube && !finished.assets.facebook) {
+        finished.retainedUntil = null;
+      }
+      await finished.save();
+    }
+
+    this.io.to(`job:${jobId}`).emit('job:retried', {
+      jobId,
+      platform,
+      status: finished.status
+    });
+
+    return finished;
+  }
+
+  /**
+   * Delete retained files whose retry or review window has passed.
+   * Jobs still waiting for review then can't be published and are failed.
+   */
+  async purgeExpiredAssets() {
+    const expired = await PublishJob.find({ retainedUntil: { $ne: null, $lte: new Date() } });
+
+    for (const job of expired) {
+      const { instagram, youtube, facebook, story, thumbnail } = job.assets || {};
+      const files = [...new Set([instagram, youtube, facebook, story, thumbnail])]
+        .filter(Boolean)
+        .map(filename => path.join(this.processedDir, filename));
+      if (youtube) files.push(...this.thumbnailPaths(job));
+      await this.ffmpegService.cleanup(files);
+
+      job.assets = undefined;
+      job.retainedUntil = null;
+      if (job.status === 'awaiting_review') {
+        job.status = 'failed';
+        job.error = 'Not reviewed in time';
+        job.completedAt = new Date();
+      }
+      await job.save();
+    }
+
+    if (expired.length > 0) {
+      console.log(`[DualPublisher] Removed retained files of ${expired.length} expired job(s)`);
+    }
+  }
+
   /**
    * Get job status
    */
@@ -423,13 +1565,19 @@ class DualPublisherService {
   }
 
   /**
-   * Get user's jobs
+   * Get user's jobs for their active Instagram account
    */
   async getUserJobs(userId, limit = 20) {
-    return await PublishJob.find({ userId })
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    return await PublishJob.find({ userId, accountId })
       .sort({ createdAt: -1 })
       .limit(limit);
   }
 }
 
+DualPublisherService.LEASE_LOST = LEASE_LOST;
+DualPublisherService.YOUTUBE_FORMATS = YOUTUBE_FORMATS;
+DualPublisherService.YOUTUBE_LICENSES = YOUTUBE_LICENSES;
+DualPublisherService.FACEBOOK_FORMATS = FACEBOOK_FORMATS;
+
 module.exports = DualPublisherService;
@@ -0,0 +1,48 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Event Bus
+ * Process-wide emitter connecting the Meta webhook receiver to automation
+ *
+ * Webhook events (all payloads carry `accountId`, the Instagram account that received the event):
+ * - instagram:comment      { accountId, commentId, mediaId, parentId, text, from, timestamp, raw }
+ * - instagram:mention      { accountId, type: 'comment'|'caption', mediaId, commentId, timestamp, raw }
+ *                          { accountId, type: 'story', senderId, messageId, mediaUrl, timestamp, raw }
+ * - instagram:message      { accountId, senderId, recipientId, message, timestamp, raw }
+ * - instagram:postback     { accountId, senderId, payload, timestamp, raw }
+ * - instagram:story_insight { accountId, storyId, metrics, timestamp, raw }
+ *
+ * Automation events (payloads carry `userId`):
+ * - reply:pending          { userId, commentId, postId, username, text, replyOptions }
+ * - inbox:update           { userId, conversationId, participantUsername, type: 'message'|'pending' }
+ * - mention:update         { userId, mentionId, type, status, username }
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per automation subsystem, not per user
+    this.setMaxListeners(50);
+  }
+
+  /**
+   * Subscribe an async handler; rejections are logged instead of crashing the process
+   * @param {string} event - Event name
+   * @param {Function} handler - Async handler receiving the event payload
+   */
+  subscribe(event, handler) {
+    const listener = (payload) => {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch(error => {
+          console.error(`[EventBus] Handler for ${event} failed:`, error.message);
+        });
+    };
+
+    this.on(event, listener);
+    return () => this.off(event, listener);
+  }
+}
+
+// Export singleton instance
+const eventBus = new EventBus();
+module.exports = eventBus;
@@ -0,0 +1,189 @@
+// facebook-publisher.service.js
+
+const axios = require('axios');
+const FormData = require('form-data');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Facebook Page Publisher Service
+ *
+ * Publishes photo posts, link posts, videos and Reels to a Page.
+ * REQUIREMENTS:
+ *  - Page access token from the user's Facebook Login (see oauth-facebook.service.js)
+ *  - pages_manage_posts permission on the Page
+ */
+class FacebookPublisherService {
+  constructor() {
+    this.apiVersion = 'v24.0';
+    this.graphApiUrl = `https://graph.facebook.com/${this.apiVersion}`;
+    // Video files go to the video host
+    this.graphVideoUrl = `https://graph-video.facebook.com/${this.apiVersion}`;
+    this.accessToken = null;
+    this.pageId = null;
+  }
+
+  /**
+   * Initialize with a Page access token + the Page ID
+   */
+  initialize(pageAccessToken, pageId) {
+    this.accessToken = pageAccessToken ? pageAccessToken.replace(/\s+/g, '').trim() : null;
+    this.pageId = pageId;
+  }
+
+  /** Page token, or an error when the service wasn't initialized */
+  _getToken() {
+    if (!this.accessToken || !this.pageId) {
+      throw new Error('Facebook Page not configured');
+    }
+    return this.accessToken;
+  }
+
+  /** Message of a failed Graph API call */
+  _graphError(error) {
+    return error.response?.data?.error?.message || error.message;
+  }
+
+  // -----------------------------------------------------------
+  // PHOTO / LINK POSTS
+  // -----------------------------------------------------------
+
+  /**
+   * Publish a photo post from a public image URL
+   * @returns {Promise<{postId: string, photoId: string}>}
+   */
+  async publishPhoto(imageUrl, message) {
+    const token = this._getToken();
+
+    try {
+      const res = await axios.post(`${this.graphApiUrl}/${this.pageId}/photos`, null, {
+        params: {
+          url: imageUrl,
+          message: message || '',
+          published: true,
+          access_token: token
+        }
+      });
+      return { postId: res.data.post_id || res.data.id, photoId: res.data.id };
+    } catch (error) {
+      throw new Error('Failed to publish Facebook photo: ' + this._graphError(error));
+    }
+  }
+
+  /**
+   * Publish a link post; Facebook builds the preview from the page's metadata
+   * @returns {Promise<{postId: string}>}
+   */
+  async publishLink(link, message) {
+    const token = this._getToken();
+
+    try {
+      const res = await axios.post(`${this.graphApiUrl}/${this.pageId}/feed`, null, {
+        params: {
+          link,
+          message: message || '',
+          access_token: token
+        }
+      });
+      return { postId: res.data.id };
+    } catch (error) {
+      throw new Error('Failed to publish Facebook link: ' + this._graphError(error));
+    }
+  }
+
+  // -----------------------------------------------------------
+  // VIDEO / REELS
+  // -----------------------------------------------------------
+
+  /**
+   * Upload a video file to the Page's videos
+   * @param {Object} metadata - { title, description }
+   * @returns {Promise<{videoId: string}>}
+   */
+  async publishVideo(videoPath, { title, description } = {}) {
+    const token = this._getToken();
+
+    const formData = new FormData();
+    formData.append('source', fs.createReadStream(videoPath), path.basename(videoPath));
+    formData.append('title', title || '');
+    formData.append('description', description || '');
+    formData.append('access_token', token);
+
+    try {
+      const res = await axios.post(`${this.graphVideoUrl}/${this.pageId}/videos`, formData, {
+        headers: formData.getHeaders(),
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+      return { videoId: res.data.id };
+    } catch (error) {
+      throw new Error('Failed to upload Facebook video: ' + this._graphError(error));
+    }
+  }
+
+  /**
+   * Publish a vertical video as a Reel: start an upload session, send the
+   * file, then finish it as published
+   * @returns {Promise<{videoId: string}>}
+   */
+  async publishReel(videoPath, description) {
+    const token = this._getToken();
+
+    let videoId;
+    try {
+      const start = await axios.post(`${this.graphApiUrl}/${this.pageId}/video_reels`, null, {
+        params: { upload_phase: 'start', access_token: token }
+      });
+      videoId = start.data.video_id;
+
+      const fileSize = fs.statSync(videoPath).size;
+      await axios.post(start.data.upload_url, fs.createReadStream(videoPath), {
+        headers: {
+          Authorization: `OAuth ${token}`,
+          offset: 0,
+          file_size: fileSize,
+          'Content-Type': 'application/octet-stream'
+        },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+
+      const finish = await axios.post(`${this.graphApiUrl}/${this.pageId}/video_reels`, null, {
+        params: {
+          upload_phase: 'finish',
+          video_id: videoId,
+          video_state: 'PUBLISHED',
+          description: description || '',
+          access_token: token
+        }
+      });
+      if (!finish.data.success) {
+        throw new Error('Facebook did not accept the Reel');
+      }
+    } catch (error) {
+      throw new Error('Failed to publish Facebook Reel: ' + this._graphError(error));
+    }
+
+    return { videoId };
+  }
+
+  /**
+   * Public URL of a published post or video; null when Facebook doesn't give one (yet)
+   */
+  async getPermalink(objectId) {
+    try {
+      const res = await axios.get(`${this.graphApiUrl}/${objectId}`, {
+        params: { fields: 'permalink_url', access_token: this._getToken() }
+      });
+      const permalink = res.data.permalink_url;
+      if (!permalink) return null;
+      // Videos report a path on facebook.com
+      return permalink.startsWith('/') ? `https://www.facebook.com${permalink}` : permalink;
+    } catch (error) {
+      console.warn('[FacebookPublisherService] Permalink lookup failed:', this._graphError(error));
+      return null;
+    }
+  }
+}
+
+module.exports = FacebookPublisherService;
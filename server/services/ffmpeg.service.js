@@ -39,12 +39,58 @@ class FFmpegService {
         audioBitrate: '192k',
         resolution: '1080:1920', // Changed to vertical for Shorts
         isShorts: true // Flag to indicate Shorts format
+      },
+      youtubeStandard: {
+        // Full-length YouTube videos (16:9, 720p up to 4K; see VideoProcessorService)
+        aspectRatio: '16:9',
+        minDuration: 1,
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        crf: 20,
+        audioBitrate: '192k',
+        maxResolution: '3840:2160',
+        isShorts: false
+      },
+      youtubeThumbnail: {
+        // Custom thumbnails: 16:9, JPEG under 2MB
+        resolution: '1280:720',
+        fontSize: 72
+      },
+      story: {
+        aspectRatio: '9:16',
+        maxDuration: 60,
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        videoBitrate: '3500k',
+        audioBitrate: '128k',
+        resolution: '1080:1920',
+        // Instagram draws the profile bar and reply box over the top and bottom ~250px
+        safeArea: '1080:1420'
       }
     };
     
     // Initialize video processor for YouTube Shorts
     const VideoProcessorService = require('./video-processor.service');
     this.videoProcessor = new VideoProcessorService();
+
+    // Aborting this signal kills the running encode (see setAbortSignal)
+    this.abortSignal = null;
+  }
+
+  /**
+   * Kill running and future encodes when the signal aborts (cancelled publish jobs)
+   * @param {AbortSignal} signal - Abort signal, or null to clear it
+   */
+  setAbortSignal(signal) {
+    this.abortSignal = signal;
+    this.videoProcessor.abortSignal = signal;
+  }
+
+  /**
+   * Run an ffmpeg command; the child process is killed if the abort signal fires
+   */
+  exec(command) {
+    return execAsync(command, { signal: this.abortSignal || undefined });
   }
 
   /**
@@ -185,7 +231,7 @@ class FFmpegService {
         -t ${spec.maxDuration} \
         -y "${outputPath}"`;
 
-      await execAsync(command);
+      await this.exec(command);
       
       return {
         success: true,
@@ -197,6 +243,139 @@ class FFmpegService {
     }
   }
 
+  /**
+   * Filter that fits the whole frame over a blurred 1080x1920 fill.
+   * Vertical media fills the screen; anything else is kept inside the story-safe area.
+   */
+  buildStoryFilter(aspectRatio) {
+    const spec = this.platforms.story;
+    const fit = Math.abs(aspectRatio - 9 / 16) < 0.01 ? spec.resolution : spec.safeArea;
+
+    return `[0:v]scale=${fit}:force_original_aspect_ratio=decrease[fg];[0:v]scale=${spec.resolution}:force_original_aspect_ratio=increase,crop=${spec.resolution},boxblur=20:5[bg];[bg][fg]overlay=(W-w)/2:(H-h)/2,setsar=1`;
+  }
+
+  /**
+   * Convert video for Instagram Stories (1080x1920, nothing cropped, max 60s)
+   */
+  async convertForStory(inputPath, outputPath) {
+    try {
+      const metadata = await this.getVideoMetadata(inputPath);
+      const spec = this.platforms.story;
+
+      const command = `ffmpeg -i "${inputPath}" \
+        -filter_complex "${this.buildStoryFilter(metadata.aspectRatio)}" \
+        -c:v ${spec.videoCodec} \
+        -preset medium \
+        -b:v ${spec.videoBitrate} \
+        -maxrate ${spec.videoBitrate} \
+        -bufsize ${parseInt(spec.videoBitrate) * 2}k \
+        -c:a ${spec.audioCodec} \
+        -b:a ${spec.audioBitrate} \
+        -ar 44100 \
+        -movflags +faststart \
+        -pix_fmt yuv420p \
+        -t ${spec.maxDuration} \
+        -y "${outputPath}"`;
+
+      await this.exec(command);
+
+      return {
+        success: true,
+        outputPath,
+        platform: 'story'
+      };
+    } catch (error) {
+      throw new Error(`Story conversion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert an image for Instagram Stories (1080x1920 JPEG)
+   */
+  async convertImageForStory(inputPath, outputPath) {
+    try {
+      const metadata = await this.getVideoMetadata(inputPath);
+
+      const command = `ffmpeg -i "${inputPath}" \
+        -filter_complex "${this.buildStoryFilter(metadata.aspectRatio)}" \
+        -frames:v 1 \
+        -q:v 2 \
+        -y "${outputPath}"`;
+
+      await this.exec(command);
+
+      return {
+        success: true,
+        outputPath,
+        platform: 'story'
+      };
+    } catch (error) {
+      throw new Error(`Story image conversion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick the YouTube format for a video
+   * @param {string} format - 'shorts', 'standard' or 'auto'
+   * @param {Object} metadata - { width, height, duration } of the source
+   * @returns {'shorts'|'standard'} Auto picks Shorts for vertical or square videos
+   *   that fit the Shorts length, standard for everything else
+   */
+  resolveYouTubeFormat(format, { width, height, duration }) {
+    if (format !== 'auto') return format;
+    return height >= width && duration <= this.platforms.youtube.maxDuration ? 'shorts' : 'standard';
+  }
+
+  /**
+   * Convert video for YouTube
+   * @param {string} format - 'shorts' (default), 'standard' or 'auto'
+   */
+  async convertForYouTube(inputPath, outputPath, format = 'shorts') {
+    if (format === 'shorts') {
+      return await this.convertForYouTubeShorts(inputPath, outputPath);
+    }
+
+    const metadata = await this.videoProcessor.probeVideo(inputPath);
+    const resolved = this.resolveYouTubeFormat(format, metadata);
+    console.log(`[FFmpeg] YouTube format: ${resolved}${format === 'auto' ? ' (auto-detected)' : ''}`);
+
+    return resolved === 'shorts'
+      ? await this.convertForYouTubeShorts(inputPath, outputPath)
+      : await this.convertForYouTubeStandard(inputPath, outputPath);
+  }
+
+  /**
+   * Convert video for a standard YouTube video (16:9, up to 4K, full length)
+   */
+  async convertForYouTubeStandard(inputPath, outputPath) {
+    try {
+      console.log('[FFmpeg] Converting video for YouTube (16:9 standard)');
+
+      const { width, height } = await this.videoProcessor.convertToYouTubeStandardFormat(
+        inputPath,
+        outputPath,
+        (percentage) => {
+          console.log(`[FFmpeg] YouTube conversion progress: ${percentage}%`);
+        }
+      );
+
+      const outputMetadata = await this.videoProcessor.probeVideo(outputPath);
+
+      return {
+        success: true,
+        outputPath,
+        platform: 'youtube',
+        format: 'standard',
+        resolution: `${width}x${height}`,
+        duration: outputMetadata.duration,
+        aspectRatio: this.platforms.youtubeStandard.aspectRatio
+      };
+    } catch (error) {
+      console.error('[FFmpeg] YouTube conversion failed:', error);
+      throw new Error(`YouTube conversion failed: ${error.message}`);
+    }
+  }
+
   /**
    * Convert video for YouTube Shorts (9:16 vertical, 1080x1920)
    * 
@@ -206,7 +385,7 @@ class FFmpegService {
    * - H.264 + AAC encoding
    * - Proper metadata for YouTube Shorts detection
    */
-  async convertForYouTube(inputPath, outputPath) {
+  async convertForYouTubeShorts(inputPath, outputPath) {
     try {
       console.log('[FFmpeg] Converting video for YouTube Shorts (9:16 vertical)');
       
@@ -249,6 +428,121 @@ class FFmpegService {
     }
   }
 
+  /**
+   * Filter that fills a 1280x720 YouTube thumbnail: 16:9 frames are scaled,
+   * anything else is fitted over a blurred fill like stories are
+   */
+  buildThumbnailFilter(aspectRatio) {
+    const { resolution } = this.platforms.youtubeThumbnail;
+    if (Math.abs(aspectRatio - 16 / 9) < 0.01) {
+      return `[0:v]scale=${resolution}:force_original_aspect_ratio=increase,crop=${resolution},setsar=1`;
+    }
+    return `[0:v]scale=${resolution}:force_original_aspect_ratio=decrease[fg];[0:v]scale=${resolution}:force_original_aspect_ratio=increase,crop=${resolution},boxblur=20:5[bg];[bg][fg]overlay=(W-w)/2:(H-h)/2,setsar=1`;
+  }
+
+  /**
+   * Extract frames spread over the video as YouTube thumbnail candidates.
+   * Twice as many frames as needed are sampled and scored (see scoreFrame);
+   * the best `count` are kept.
+   * @returns {Promise<Array<{outputPath: string, time: number, score: number}>>} Best first
+   */
+  async extractThumbnailFrames(inputPath, outputDir, basename, count = 3) {
+    const metadata = await this.getVideoMetadata(inputPath);
+    const filter = this.buildThumbnailFilter(metadata.aspectRatio);
+    const samples = count * 2;
+
+    const frames = [];
+    for (let i = 0; i < samples; i++) {
+      // Skip the very start and end, which are often black or a title card
+      const time = Number(((metadata.duration * (i + 1)) / (samples + 1)).toFixed(2));
+      const outputPath = path.join(outputDir, `${basename}_frame${i + 1}.jpg`);
+
+      try {
+        await this.exec(`ffmpeg -ss ${time} -i "${inputPath}" \
+          -filter_complex "${filter}" \
+          -frames:v 1 \
+          -q:v 2 \
+          -y "${outputPath}"`);
+        frames.push({ outputPath, time, score: await this.scoreFrame(outputPath) });
+      } catch (error) {
+        if (this.abortSignal?.aborted) throw error;
+        console.warn(`[FFmpeg] Skipping thumbnail frame at ${time}s:`, error.message);
+      }
+    }
+
+    frames.sort((a, b) => b.score - a.score);
+    await this.cleanup(frames.slice(count).map(frame => frame.outputPath));
+    return frames.slice(0, count);
+  }
+
+  /**
+   * Score a frame for use as a thumbnail (0-1, higher is better): half detail
+   * (luma entropy), then exposure (average brightness near mid-grey) and colour
+   * (average saturation). Blurry, dark, washed out and flat frames score low.
+   */
+  async scoreFrame(imagePath) {
+    // Quoted inside the filter graph; frames are written by extractThumbnailFrames, so the path is ours
+    const { stdout } = await this.exec(`ffprobe -v error -f lavfi \
+      -i "movie='${imagePath}',signalstats,entropy" \
+      -show_entries frame_tags=lavfi.signalstats.YAVG,lavfi.signalstats.SATAVG,lavfi.entropy.normalized_entropy.normal.Y \
+      -of json`);
+
+    const tags = JSON.parse(stdout).frames?.[0]?.tags || {};
+    const brightness = parseFloat(tags['lavfi.signalstats.YAVG']) || 0;
+    const saturation = parseFloat(tags['lavfi.signalstats.SATAVG']) || 0;
+    const detail = parseFloat(tags['lavfi.entropy.normalized_entropy.normal.Y']) || 0;
+
+    const exposure = 1 - Math.min(Math.abs(brightness - 128) / 128, 1);
+    const colour = Math.min(saturation / 64, 1);
+    return Number((0.5 * detail + 0.3 * exposure + 0.2 * colour).toFixed(3));
+  }
+
+  /**
+   * Fit any image (e.g. an AI-generated one) to a 1280x720 thumbnail
+   */
+  async convertImageForThumbnail(inputPath, outputPath) {
+    try {
+      const { resolution } = this.platforms.youtubeThumbnail;
+      await this.exec(`ffmpeg -i "${inputPath}" \
+        -vf "scale=${resolution}:force_original_aspect_ratio=increase,crop=${resolution},setsar=1" \
+        -frames:v 1 \
+        -q:v 2 \
+        -y "${outputPath}"`);
+
+      return { success: true, outputPath };
+    } catch (error) {
+      throw new Error(`Thumbnail image conversion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Draw title text across the bottom of a thumbnail with FFmpeg drawtext.
+   * The text goes through a file so it needs no escaping. Uses the system's
+   * default font unless THUMBNAIL_FONT_FILE points at a .ttf/.otf.
+   */
+  async addThumbnailText(inputPath, outputPath, text) {
+    const textPath = `${outputPath}.txt`;
+    try {
+      const spec = this.platforms.youtubeThumbnail;
+      fs.writeFileSync(textPath, text.toUpperCase());
+
+      const font = process.env.THUMBNAIL_FONT_FILE ? `fontfile='${process.env.THUMBNAIL_FONT_FILE}':` : '';
+      const drawtext = `drawtext=${font}textfile='${textPath}':fontsize=${spec.fontSize}:fontcolor=white:borderw=6:bordercolor=black:x=(w-text_w)/2:y=h-text_h-60`;
+
+      await this.exec(`ffmpeg -i "${inputPath}" \
+        -vf "${drawtext}" \
+        -frames:v 1 \
+        -q:v 2 \
+        -y "${outputPath}"`);
+
+      return { success: true, outputPath };
+    } catch (error) {
+      throw new Error(`Thumbnail text failed: ${error.message}`);
+    } finally {
+      await this.cleanup([textPath]);
+    }
+  }
+
   /**
    * Generate thumbnail from video
    */
@@ -261,7 +555,7 @@ class FFmpegService {
         -q:v 2 \
         -y "${outputPath}"`;
 
-      await execAsync(command);
+      await this.exec(command);
       
       return {
         success: true,
@@ -287,7 +581,7 @@ class FFmpegService {
         -movflags +faststart \
         -y "${outputPath}"`;
 
-      await execAsync(command);
+      await this.exec(command);
       
       return {
         success: true,
@@ -301,6 +595,8 @@ class FFmpegService {
 
   /**
    * Process video for both platforms
+   * @param {Object} options - Which outputs to create; youtubeFormat is
+   *   'shorts' (default), 'standard' or 'auto' (see convertForYouTube)
    */
   async processVideo(inputPath, outputDir, options = {}) {
     const results = {
@@ -308,6 +604,7 @@ class FFmpegService {
       validation: null,
       instagram: null,
       youtube: null,
+      story: null,
       thumbnail: null,
       preview: null,
       errors: []
@@ -337,12 +634,22 @@ class FFmpegService {
       if (options.convertYouTube !== false) {
         try {
           const ytPath = path.join(outputDir, `${basename}_youtube.mp4`);
-          results.youtube = await this.convertForYouTube(inputPath, ytPath);
+          results.youtube = await this.convertForYouTube(inputPath, ytPath, options.youtubeFormat);
         } catch (error) {
           results.errors.push(`YouTube conversion: ${error.message}`);
         }
       }
 
+      // Generate Instagram Story version (only when asked for)
+      if (options.convertStory) {
+        try {
+          const storyPath = path.join(outputDir, `${basename}_story.mp4`);
+          results.story = await this.convertForStory(inputPath, storyPath);
+        } catch (error) {
+          results.errors.push(`Story conversion: ${error.message}`);
+        }
+      }
+
       // Generate thumbnail
       if (options.generateThumbnail !== false) {
         try {
@@ -63,13 +63,15 @@ Square image, highest resolution supported by the model, suitable for developer-
 
   /**
    * Main image generation function
+   * @param {Object} options - { enrich: false } sends the prompt as-is, without the
+   *   square social post styling (e.g. for YouTube thumbnails)
    */
-  async generateImage(rawPrompt) {
+  async generateImage(rawPrompt, { enrich = true } = {}) {
     if (!this.initialized) {
       throw new Error('Image generator not initialized');
     }
 
-    const enriched = this.enrichPrompt(rawPrompt);
+    const enriched = enrich ? this.enrichPrompt(rawPrompt) : rawPrompt;
 
     try {
       console.log('[ImageGeneratorService] Generating with Gemini SDK...');
@@ -232,11 +232,12 @@ class InstagramCommentsService {
   /**
    * Hide a comment (doesn't delete it, just hides from public view)
    * @param {string} commentId - The ID of the comment to hide
+   * @param {boolean} hide - True to hide, false to unhide
    * @returns {Promise<Object>} Hide result
    */
-  async hideComment(commentId) {
+  async hideComment(commentId, hide = true) {
     try {
-      console.log('[InstagramCommentsService] Hiding comment:', commentId);
+      console.log(`[InstagramCommentsService] ${hide ? 'Hiding' : 'Unhiding'} comment:`, commentId);
       
       const cleanToken = this.accessToken?.replace(/\s+/g, '').trim();
       
@@ -245,28 +246,28 @@ class InstagramCommentsService {
         null,
         {
           params: {
-            hide: true,
+            hide: hide,
             access_token: cleanToken
           },
           timeout: 10000
         }
       );
 
-      console.log('[InstagramCommentsService] Comment hidden successfully');
+      console.log(`[InstagramCommentsService] Comment ${hide ? 'hidden' : 'unhidden'} successfully`);
       
       return {
         success: true,
-        message: 'Comment hidden successfully'
+        message: `Comment ${hide ? 'hidden' : 'unhidden'} successfully`
       };
     } catch (error) {
-      console.error('[InstagramCommentsService] Hide comment error:', error.response?.data || error.message);
+      console.error(`[InstagramCommentsService] ${hide ? 'Hide' : 'Unhide'} comment error:`, error.response?.data || error.message);
       
       const errorCode = error.response?.data?.error?.code;
       if (errorCode === 190) {
         throw new Error('Invalid OAuth access token. Please reconnect your Instagram account.');
       }
       
-      throw new Error(`Failed to hide comment: ${error.response?.data?.error?.message || error.message}`);
+      throw new Error(`Failed to ${hide ? 'hide' : 'unhide'} comment: ${error.response?.data?.error?.message || error.message}`);
     }
   }
 }
@@ -306,6 +306,101 @@ class InstagramGraphService {
     }
   }
 
+  /**
+   * Get a comment on someone else's media that @mentions the account
+   * @param {string} commentId - Comment ID from the mentions webhook
+   */
+  async getMentionedComment(commentId) {
+    this._ensureAuthenticated();
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/${this.instagramAccountId}`, {
+        params: {
+          access_token: this.accessToken,
+          fields: `mentioned_comment.comment_id(${commentId}){id,text,username,timestamp,media{id,permalink,caption}}`
+        }
+      });
+
+      return response.data.mentioned_comment;
+    } catch (error) {
+      throw new Error(`Failed to fetch mentioned comment: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Get someone else's media whose caption @mentions the account
+   * @param {string} mediaId - Media ID from the mentions webhook
+   */
+  async getMentionedMedia(mediaId) {
+    this._ensureAuthenticated();
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/${this.instagramAccountId}`, {
+        params: {
+          access_token: this.accessToken,
+          fields: `mentioned_media.media_id(${mediaId}){id,caption,username,permalink,media_type,timestamp}`
+        }
+      });
+
+      return response.data.mentioned_media;
+    } catch (error) {
+      throw new Error(`Failed to fetch mentioned media: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Reply under a mention on someone else's media
+   * @param {string} mediaId - Media the account was mentioned on
+   * @param {string|null} commentId - Mentioning comment, or null for a caption mention
+   * @param {string} text - Reply text
+   */
+  async replyToMention(mediaId, commentId, text) {
+    this._ensureAuthenticated();
+
+    if (!text || text.trim().length === 0) {
+      throw new Error('Reply text cannot be empty');
+    }
+
+    try {
+      const params = {
+        access_token: this.accessToken,
+        media_id: mediaId,
+        message: text.trim()
+      };
+      if (commentId) {
+        params.comment_id = commentId;
+      }
+
+      const response = await axios.post(`${this.baseUrl}/${this.instagramAccountId}/mentions`, null, { params });
+
+      console.log(`[InstagramGraphService] Successfully replied to mention on media ${mediaId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to reply to mention: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Get the public profile of someone who messaged the account
+   * @param {string} userId - Instagram Scoped ID (IGSID)
+   */
+  async getMessagingProfile(userId) {
+    this._ensureAuthenticated();
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/${userId}`, {
+        params: {
+          access_token: this.accessToken,
+          fields: 'name,username'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch profile: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
   /**
    * Get conversation threads (DMs)
    */
@@ -2,7 +2,11 @@
 
 const axios = require('axios');
 const FormData = require('form-data');
-const crypto = require('crypto');
+const mediaStorageService = require('./media-storage.service');
+
+// Instagram's limits on carousel children
+const CAROUSEL_MIN_ITEMS = 2;
+const CAROUSEL_MAX_ITEMS = 10;
 
 /**
  * Instagram Content Publisher Service
@@ -61,56 +65,15 @@ class InstagramPublisherService {
   }
 
   // -----------------------------------------------------------
-  // IMAGE UPLOAD HELPERS
+  // MEDIA UPLOAD HELPERS
   // -----------------------------------------------------------
 
-  /** Upload to Cloudinary */
-  async uploadToCloudinary(imageBuffer, filename) {
-    const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
-    if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
-      throw new Error('Cloudinary credentials not configured.');
-    }
-
-    try {
-      const timestamp = Math.round(Date.now() / 1000);
-      const signature = crypto.createHash('sha1').update(`timestamp=${timestamp}${CLOUDINARY_API_SECRET}`).digest('hex');
-
-      const formData = new FormData();
-      formData.append('file', imageBuffer, filename);
-      formData.append('timestamp', timestamp);
-      formData.append('api_key', CLOUDINARY_API_KEY);
-      formData.append('signature', signature);
-
-      const res = await axios.post(
-        `https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/image/upload`,
-        formData,
-        { headers: formData.getHeaders() }
-      );
-
-      return res.data.secure_url;
-    } catch (err) {
-      throw new Error('Cloudinary upload failed: ' + err.message);
-    }
-  }
-
-  /** Upload using Cloudinary + fallback to imgbb */
+  /**
+   * Host an image where Instagram can fetch it (see media-storage.service.js)
+   * @returns {Promise<{url: string, driver: string, key: string}>} Save driver/key with the URL
+   */
   async uploadImageToPublicServer(imageBuffer, filename) {
-    try {
-      return await this.uploadToCloudinary(imageBuffer, filename);
-    } catch {
-      console.warn('Cloudinary failed. Trying imgbb...');
-      try {
-        const formData = new FormData();
-        formData.append('image', imageBuffer.toString('base64'));
-        const res = await axios.post('https://api.imgbb.com/1/upload', formData, {
-          params: { key: process.env.IMGBB_API_KEY },
-          headers: formData.getHeaders()
-        });
-        return res.data.data.url;
-      } catch {
-        throw new Error('Both Cloudinary and imgbb upload failed.');
-      }
-    }
+    return await mediaStorageService.upload(imageBuffer, { filename, kind: 'image' });
   }
 
   /** Validate image URL */
@@ -190,46 +153,98 @@ class InstagramPublisherService {
 
   /** Main Publish Function */
   async publishPost(imageBuffer, caption, filename = 'post.jpg') {
-    const imageUrl = await this.uploadImageToPublicServer(imageBuffer, filename);
-    const containerId = await this.createMediaContainer(imageUrl, caption);
+    const image = await this.uploadImageToPublicServer(imageBuffer, filename);
+    const containerId = await this.createMediaContainer(image.url, caption);
     await this.waitForContainerReady(containerId);
     const mediaId = await this.publishMediaContainer(containerId);
-    return { success: true, mediaId, imageUrl };
+    return { success: true, mediaId, imageUrl: image.url, imageStorage: { driver: image.driver, key: image.key } };
   }
 
   // -----------------------------------------------------------
   // REELS (VIDEO) PUBLISH FLOW
   // -----------------------------------------------------------
 
+  /**
+   * Host a video where Instagram can fetch it (see media-storage.service.js)
+   * @returns {Promise<{url: string, driver: string, key: string}>} Save driver/key with the URL
+   */
   async uploadVideoToPublicServer(videoBuffer, filename) {
-    try {
-      const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
-      const timestamp = Math.round(Date.now() / 1000);
-      const signature = crypto.createHash('sha1').update(`timestamp=${timestamp}${CLOUDINARY_API_SECRET}`).digest('hex');
+    return await mediaStorageService.upload(videoBuffer, { filename, kind: 'video' });
+  }
 
-      const formData = new FormData();
-      formData.append('file', videoBuffer, filename);
-      formData.append('api_key', CLOUDINARY_API_KEY);
-      formData.append('timestamp', timestamp);
-      formData.append('signature', signature);
+  async createReelsContainer(videoUrl, caption) {
+    const token = this._getCleanToken();
+    const formData = new FormData();
+    formData.append('media_type', 'REELS');
+    formData.append('video_url', videoUrl);
+    formData.append('caption', caption || '');
+    formData.append('access_token', token);
 
+    try {
       const res = await axios.post(
-        `https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/video/upload`,
+        `${this.graphApiUrl}/${this.instagramAccountId}/media`,
         formData,
         { headers: formData.getHeaders() }
       );
+      return res.data.id;
+    } catch (e) {
+      throw new Error('Failed to create Reels container: ' + e.message);
+    }
+  }
+
+  // -----------------------------------------------------------
+  // CAROUSEL PUBLISH FLOW
+  // -----------------------------------------------------------
 
-      return res.data.secure_url;
-    } catch (err) {
-      throw new Error('Video upload failed: ' + err.message);
+  /**
+   * Upload carousel files and return their public URLs
+   * @param {Array<{buffer: Buffer, filename: string, mimetype: string}>} files - 2-10 images/videos
+   * @returns {Promise<Array<{type: 'image'|'video', url: string, storage: {driver: string, key: string}}>>}
+   */
+  async uploadCarouselMedia(files) {
+    const media = [];
+    for (const file of files) {
+      const type = file.mimetype?.startsWith('video/') ? 'video' : 'image';
+      const { url, driver, key } = type === 'video'
+        ? await this.uploadVideoToPublicServer(file.buffer, file.filename)
+        : await this.uploadImageToPublicServer(file.buffer, file.filename);
+      media.push({ type, url, storage: { driver, key } });
     }
+    return media;
   }
 
-  async createReelsContainer(videoUrl, caption) {
+  /** Create one carousel child container (no caption; that goes on the parent) */
+  async createCarouselItemContainer({ type, url }) {
     const token = this._getCleanToken();
     const formData = new FormData();
-    formData.append('media_type', 'REELS');
-    formData.append('video_url', videoUrl);
+    formData.append('is_carousel_item', 'true');
+    if (type === 'video') {
+      formData.append('media_type', 'VIDEO');
+      formData.append('video_url', url);
+    } else {
+      await this.validateImageUrl(url);
+      formData.append('image_url', url);
+    }
+    formData.append('access_token', token);
+
+    try {
+      const res = await axios.post(
+        `${this.graphApiUrl}/${this.instagramAccountId}/media`,
+        formData,
+        { headers: formData.getHeaders() }
+      );
+      return res.data.id;
+    } catch (error) {
+      throw new Error('Failed to create carousel item: ' + (error.response?.data?.error?.message || error.message));
+    }
+  }
+
+  /** Create the CAROUSEL parent container from finished children */
+  async createCarouselContainer(childIds, caption) {
+    const token = this._getCleanToken();
+    const formData = new FormData();
+    formData.append('media_type', 'CAROUSEL');
+    formData.append('children', childIds.join(','));
     formData.append('caption', caption || '');
     formData.append('access_token', token);
 
@@ -240,11 +255,122 @@ class InstagramPublisherService {
         { headers: formData.getHeaders() }
       );
       return res.data.id;
-    } catch (e) {
-      throw new Error('Failed to create Reels container: ' + e.message);
+    } catch (error) {
+      throw new Error('Failed to create carousel container: ' + (error.response?.data?.error?.message || error.message));
+    }
+  }
+
+  /**
+   * Wait until every container is FINISHED. Unlike waitForContainerReady this
+   * fails on ERROR/EXPIRED or timeout, since Instagram rejects a carousel
+   * (or story) whose media is still processing.
+   */
+  async waitForContainersFinished(containerIds, { attempts = 30, intervalMs = 5000 } = {}) {
+    let pending = [...containerIds];
+
+    for (let i = 0; i < attempts && pending.length > 0; i++) {
+      const statuses = await Promise.all(pending.map(id => this.checkContainerStatus(id)));
+
+      const failed = statuses.find(status => ['ERROR', 'EXPIRED'].includes(status.status_code));
+      if (failed) {
+        throw new Error(`Media container ${failed.id} failed: ${failed.error_message || failed.status_code}`);
+      }
+
+      pending = pending.filter((id, index) => statuses[index].status_code !== 'FINISHED');
+      if (pending.length > 0) {
+        await new Promise(r => setTimeout(r, intervalMs));
+      }
+    }
+
+    if (pending.length > 0) {
+      throw new Error(`Timed out waiting for ${pending.length} media container(s) to finish processing`);
     }
   }
 
+  /**
+   * Publish a carousel from hosted media
+   * @param {Array<{type: 'image'|'video', url: string}>} media - 2-10 items, in slide order
+   * @param {string} caption - Post caption
+   * @returns {Promise<string>} Published media ID
+   */
+  async publishCarousel(media, caption) {
+    if (!Array.isArray(media) || media.length < CAROUSEL_MIN_ITEMS || media.length > CAROUSEL_MAX_ITEMS) {
+      throw new Error(`A carousel needs ${CAROUSEL_MIN_ITEMS}-${CAROUSEL_MAX_ITEMS} images or videos`);
+    }
+
+    const childIds = [];
+    for (const item of media) {
+      childIds.push(await this.createCarouselItemContainer(item));
+    }
+    await this.waitForContainersFinished(childIds);
+
+    const containerId = await this.createCarouselContainer(childIds, caption);
+    await this.waitForContainersFinished([containerId]);
+    return await this.publishMediaContainer(containerId);
+  }
+
+  /**
+   * Publish a saved Post (single image or carousel) from its hosted media
+   * @param {Object} post - Post document
+   * @returns {Promise<string>} Published media ID
+   */
+  async publishSavedPost(post) {
+    // Signed URLs may have expired since upload (e.g. for a post scheduled days ahead)
+    if (post.mediaType === 'carousel') {
+      return await this.publishCarousel(
+        post.slides.map(slide => ({ type: slide.type, url: mediaStorageService.resolveUrl(slide.storage, slide.url) })),
+        post.caption
+      );
+    }
+
+    const containerId = await this.createMediaContainer(
+      mediaStorageService.resolveUrl(post.imageStorage, post.imageUrl),
+      post.caption
+    );
+    await this.waitForContainerReady(containerId);
+    return await this.publishMediaContainer(containerId);
+  }
+
+  // -----------------------------------------------------------
+  // STORIES PUBLISH FLOW
+  // -----------------------------------------------------------
+
+  /** Create a STORIES container (stories have no caption) */
+  async createStoryContainer({ type, url }) {
+    const token = this._getCleanToken();
+    const formData = new FormData();
+    formData.append('media_type', 'STORIES');
+    if (type === 'video') {
+      formData.append('video_url', url);
+    } else {
+      await this.validateImageUrl(url);
+      formData.append('image_url', url);
+    }
+    formData.append('access_token', token);
+
+    try {
+      const res = await axios.post(
+        `${this.graphApiUrl}/${this.instagramAccountId}/media`,
+        formData,
+        { headers: formData.getHeaders() }
+      );
+      return res.data.id;
+    } catch (error) {
+      throw new Error('Failed to create story container: ' + (error.response?.data?.error?.message || error.message));
+    }
+  }
+
+  /**
+   * Publish a story from hosted media (already converted to 1080x1920)
+   * @param {{type: 'image'|'video', url: string}} media - Story image or video
+   * @returns {Promise<string>} Published story media ID
+   */
+  async publishStory(media) {
+    const containerId = await this.createStoryContainer(media);
+    await this.waitForContainersFinished([containerId]);
+    return await this.publishMediaContainer(containerId);
+  }
+
   /**
    * Check Instagram Content Publishing Limit/Quota
    * This endpoint checks the rate limit for content publishing
@@ -291,11 +417,19 @@ class InstagramPublisherService {
   }
 
   async publishReel(videoBuffer, caption, filename = 'reel.mp4') {
-    const videoUrl = await this.uploadVideoToPublicServer(videoBuffer, filename);
+    const video = await this.uploadVideoToPublicServer(videoBuffer, filename);
+    return await this.publishReelFromUrl(video.url, caption);
+  }
+
+  /** Publish a Reel from an already hosted video; returns the media ID */
+  async publishReelFromUrl(videoUrl, caption) {
     const containerId = await this.createReelsContainer(videoUrl, caption);
     await this.waitForContainerReady(containerId);
     return await this.publishMediaContainer(containerId);
   }
 }
 
+InstagramPublisherService.CAROUSEL_MIN_ITEMS = CAROUSEL_MIN_ITEMS;
+InstagramPublisherService.CAROUSEL_MAX_ITEMS = CAROUSEL_MAX_ITEMS;
+
 module.exports = InstagramPublisherService;
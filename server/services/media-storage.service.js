@@ -0,0 +1,426 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Signed URLs (local and S3) are valid this long; 7 days is S3's maximum
+const URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime'
+};
+
+// Keys never contain slashes, so they are safe as file names and URL segments
+const buildKey = (filename) => {
+  const safeName = path.basename(filename || 'media').replace(/[^a-zA-Z0-9._-]/g, '_');
+  return `${Date.now()}-${crypto.randomBytes(6).toString('hex')}-${safeName}`;
+};
+
+const contentTypeFor = (filename, kind) =>
+  CONTENT_TYPES[path.extname(filename || '').toLowerCase()] || (kind === 'video' ? 'video/mp4' : 'image/jpeg');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as AWS Signature V4 expects
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Local disk driver
+ * Keeps files under server/storage/media and serves them from this app at
+ * /api/media/:key behind expiring HMAC-signed URLs (see routes/media.routes.js).
+ * MEDIA_PUBLIC_URL must be reachable by Instagram (e.g. an ngrok URL in development).
+ */
+class LocalDiskDriver {
+  constructor() {
+    this.name = 'local';
+    this.dir = process.env.MEDIA_STORAGE_LOCAL_DIR || path.join(__dirname, '../storage/media');
+    this.baseUrl = (process.env.MEDIA_PUBLIC_URL || process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`)
+      .replace(/\/+$/, '');
+    this.secret = process.env.MEDIA_URL_SECRET || process.env.ENCRYPTION_KEY;
+  }
+
+  isConfigured() {
+    return !!this.secret;
+  }
+
+  supports() {
+    return true;
+  }
+
+  async upload(buffer, { filename }) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const key = buildKey(filename);
+    await fs.promises.writeFile(path.join(this.dir, key), buffer);
+    return { key, url: this.signUrl(key) };
+  }
+
+  async remove(key) {
+    await fs.promises.unlink(this.filePath(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  signature(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  signUrl(key) {
+    const expires = Math.floor(Date.now() / 1000) + URL_TTL_SECONDS;
+    return `${this.baseUrl}/api/media/${encodeURIComponent(key)}?expires=${expires}&signature=${this.signature(key, expires)}`;
+  }
+
+  /**
+   * Check a signed URL's query
+   * @returns {boolean} Whether the signature matches and hasn't expired
+   */
+  verify(key, expires, signature) {
+    if (!/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) return false;
+
+    const expected = Buffer.from(this.signature(key, expires));
+    const given = Buffer.from(String(signature || ''));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /** Absolute path of a stored file; throws for keys that could leave the storage dir */
+  filePath(key) {
+    if (!/^[a-zA-Z0-9._-]+$/.test(key) || key.startsWith('.')) {
+      throw new Error('Invalid media key');
+    }
+    return path.join(this.dir, key);
+  }
+}
+
+/**
+ * S3-compatible driver (AWS S3, MinIO, R2, ...)
+ * Objects stay private; Instagram gets presigned GET URLs. Requests are signed
+ * with AWS Signature V4. Path-style addressing is used whenever S3_ENDPOINT is set,
+ * which is what MinIO expects.
+ */
+class S3Driver {
+  constructor() {
+    this.name = 's3';
+    this.bucket = process.env.S3_BUCKET;
+    this.region = process.env.S3_REGION || 'us-east-1';
+    this.accessKeyId = process.env.S3_ACCESS_KEY_ID;
+    this.secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+    this.endpoint = process.env.S3_ENDPOINT
+      ? new URL(process.env.S3_ENDPOINT)
+      : new URL(`https://s3.${this.region}.amazonaws.com`);
+    this.pathStyle = !!process.env.S3_ENDPOINT || process.env.S3_FORCE_PATH_STYLE === 'true';
+  }
+
+  isConfigured() {
+    return !!(this.bucket && this.accessKeyId && this.secretAccessKey);
+  }
+
+  supports() {
+    return true;
+  }
+
+  /** Host and canonical path of an object */
+  location(key) {
+    const objectPath = `/${encodeRfc3986(key)}`;
+    return this.pathStyle
+      ? { host: this.endpoint.host, path: `/${this.bucket}${objectPath}` }
+      : { host: `${this.bucket}.${this.endpoint.host}`, path: objectPath };
+  }
+
+  /** Signing key and credential scope for a request date */
+  credentials(amzDate) {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region)
+    );
+    return { scope, signingKey };
+  }
+
+  sign(amzDate, canonicalRequest) {
+    const { scope, signingKey } = this.credentials(amzDate);
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    return { scope, signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex') };
+  }
+
+  /** Send a signed request for one object */
+  async request(method, key, body = Buffer.alloc(0), extraHeaders = {}) {
+    const { host, path: objectPath } = this.location(key);
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+    const payloadHash = sha256(body);
+
+    const headers = {
+      ...extraHeaders,
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const signedHeaders = names.join(';');
+    const canonicalHeaders = names.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+
+    const canonicalRequest = [method, objectPath, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const { scope, signature } = this.sign(amzDate, canonicalRequest);
+
+    await axios({
+      method,
+      url: `${this.endpoint.protocol}//${host}${objectPath}`,
+      data: body,
+      headers: {
+        ...headers,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+  }
+
+  async upload(buffer, { filename, kind }) {
+    const key = buildKey(filename);
+    try {
+      await this.request('PUT', key, buffer, { 'content-type': contentTypeFor(filename, kind) });
+    } catch (error) {
+      throw new Error(`S3 upload failed: ${error.response?.status || error.message}`);
+    }
+    return { key, url: this.signUrl(key) };
+  }
+
+  async remove(key) {
+    await this.request('DELETE', key);
+  }
+
+  /** Presigned GET URL */
+  signUrl(key) {
+    const { host, path: objectPath } = this.location(key);
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+    const { scope } = this.credentials(amzDate);
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(URL_TTL_SECONDS, 7 * 24 * 60 * 60)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    const canonicalRequest = ['GET', objectPath, canonicalQuery, `host:${host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    const { signature } = this.sign(amzDate, canonicalRequest);
+
+    return `${this.endpoint.protocol}//${host}${objectPath}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+  }
+}
+
+/**
+ * Cloudinary driver (images and videos); keys are "<resource type>/<public id>"
+ */
+class CloudinaryDriver {
+  constructor() {
+    this.name = 'cloudinary';
+  }
+
+  get config() {
+    const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
+    return { cloudName: CLOUDINARY_CLOUD_NAME, apiKey: CLOUDINARY_API_KEY, apiSecret: CLOUDINARY_API_SECRET };
+  }
+
+  isConfigured() {
+    const { cloudName, apiKey, apiSecret } = this.config;
+    return !!(cloudName && apiKey && apiSecret);
+  }
+
+  supports() {
+    return true;
+  }
+
+  /** Signature over the sorted request params, as Cloudinary expects */
+  signParams(params) {
+    const toSign = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+    return crypto.createHash('sha1').update(`${toSign}${this.config.apiSecret}`).digest('hex');
+  }
+
+  async upload(buffer, { filename, kind }) {
+    const { cloudName, apiKey } = this.config;
+    const resourceType = kind === 'video' ? 'video' : 'image';
+    const timestamp = Math.round(Date.now() / 1000);
+
+    const formData = new FormData();
+    formData.append('file', buffer, filename);
+    formData.append('timestamp', timestamp);
+    formData.append('api_key', apiKey);
+    formData.append('signature', this.signParams({ timestamp }));
+
+    try {
+      const res = await axios.post(
+        `https://api.cloudinary.com/v1_1/${cloudName}/${resourceType}/upload`,
+        formData,
+        { headers: formData.getHeaders(), maxBodyLength: Infinity }
+      );
+      return { key: `${resourceType}/${res.data.public_id}`, url: res.data.secure_url };
+    } catch (err) {
+      throw new Error('Cloudinary upload failed: ' + err.message);
+    }
+  }
+
+  async remove(key) {
+    const { cloudName, apiKey } = this.config;
+    const [resourceType, ...rest] = key.split('/');
+    const params = { public_id: rest.join('/'), timestamp: Math.round(Date.now() / 1000) };
+
+    const formData = new FormData();
+    Object.entries(params).forEach(([name, value]) => formData.append(name, value));
+    formData.append('api_key', apiKey);
+    formData.append('signature', this.signParams(params));
+
+    await axios.post(
+      `https://api.cloudinary.com/v1_1/${cloudName}/${resourceType}/destroy`,
+      formData,
+      { headers: formData.getHeaders() }
+    );
+  }
+}
+
+/**
+ * imgbb driver (images only). imgbb has no delete API, so removal only logs.
+ */
+class ImgbbDriver {
+  constructor() {
+    this.name = 'imgbb';
+  }
+
+  isConfigured() {
+    return !!process.env.IMGBB_API_KEY;
+  }
+
+  supports(kind) {
+    return kind === 'image';
+  }
+
+  async upload(buffer) {
+    const formData = new FormData();
+    formData.append('image', buffer.toString('base64'));
+
+    try {
+      const res = await axios.post('https://api.imgbb.com/1/upload', formData, {
+        params: { key: process.env.IMGBB_API_KEY },
+        headers: formData.getHeaders()
+      });
+      return { key: res.data.data.id, url: res.data.data.url };
+    } catch (err) {
+      throw new Error('imgbb upload failed: ' + err.message);
+    }
+  }
+
+  async remove(key) {
+    console.warn(`[MediaStorage] imgbb has no delete API; image ${key} stays hosted`);
+  }
+}
+
+/**
+ * Media Storage Service
+ * Puts media where Instagram can fetch it by URL.
+ *
+ * The driver is picked with MEDIA_STORAGE_DRIVER (local, s3, cloudinary or imgbb;
+ * default cloudinary). MEDIA_STORAGE_FALLBACK names a driver to try when the first
+ * one fails or can't hold the media; it defaults to imgbb behind cloudinary, which
+ * is how image uploads always worked.
+ *
+ * Every upload returns a reference { url, driver, key }. Models keep the driver and
+ * key next to the URL (see media-ref.schema.js) so the file can be removed later,
+ * and so signed URLs (local, s3) can be re-issued once the stored one expires.
+ */
+class MediaStorageService {
+  constructor() {
+    this.drivers = {
+      local: new LocalDiskDriver(),
+      s3: new S3Driver(),
+      cloudinary: new CloudinaryDriver(),
+      imgbb: new ImgbbDriver()
+    };
+
+    let primary = process.env.MEDIA_STORAGE_DRIVER || 'cloudinary';
+    if (!this.drivers[primary]) {
+      console.error(`[MediaStorage] Unknown MEDIA_STORAGE_DRIVER "${primary}" (use one of: ${Object.keys(this.drivers).join(', ')}); using cloudinary`);
+      primary = 'cloudinary';
+    }
+    const fallback = process.env.MEDIA_STORAGE_FALLBACK ?? (primary === 'cloudinary' ? 'imgbb' : '');
+    this.order = [primary, fallback].filter((name, index, names) => name && this.drivers[name] && names.indexOf(name) === index);
+  }
+
+  /**
+   * Store a file and get a public URL for it
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { filename, kind: 'image'|'video' }
+   * @returns {Promise<{url: string, driver: string, key: string}>}
+   */
+  async upload(buffer, { filename, kind = 'image' } = {}) {
+    const errors = [];
+
+    for (const name of this.order) {
+      const driver = this.drivers[name];
+      if (!driver.supports(kind)) {
+        errors.push(`${name} does not host ${kind}s`);
+        continue;
+      }
+      if (!driver.isConfigured()) {
+        errors.push(`${name} is not configured`);
+        continue;
+      }
+
+      try {
+        const { key, url } = await driver.upload(buffer, { filename, kind });
+        return { url, driver: name, key };
+      } catch (error) {
+        console.warn(`[MediaStorage] ${name} upload failed:`, error.message);
+        errors.push(error.message);
+      }
+    }
+
+    throw new Error(`Media upload failed: ${errors.join('; ')}`);
+  }
+
+  /**
+   * A URL for stored media that is valid right now. Signed URLs are re-issued;
+   * other drivers (and media stored before drivers were recorded) keep their URL.
+   * @param {Object} ref - { driver, key } as saved on the model
+   * @param {string} url - The URL saved with it
+   */
+  resolveUrl(ref, url) {
+    const driver = this.drivers[ref?.driver];
+    return driver?.signUrl && ref.key ? driver.signUrl(ref.key) : url;
+  }
+
+  /**
+   * Delete stored media. Failures are logged, not thrown.
+   * @param {Object} ref - { driver, key } as saved on the model
+   */
+  async remove(ref) {
+    const driver = this.drivers[ref?.driver];
+    if (!driver || !ref.key) return;
+
+    try {
+      await driver.remove(ref.key);
+    } catch (error) {
+      console.error(`[MediaStorage] Failed to delete ${ref.driver} media ${ref.key}:`, error.message);
+    }
+  }
+
+  /** The local disk driver, for serving its files */
+  get local() {
+    return this.drivers.local;
+  }
+}
+
+// Export singleton instance
+const mediaStorageService = new MediaStorageService();
+module.exports = mediaStorageService;
@@ -0,0 +1,504 @@
+const mongoose = require('mongoose');
+const Mention = require('../models/mention.model');
+const CommentRule = require('../models/comment-rule.model');
+const ActivityLog = require('../models/ActivityLog');
+const DmConversation = require('../models/dm-conversation.model');
+const InstagramAccount = require('../models/instagram-account.model');
+const User = require('../models/User');
+const CommentRuleService = require('./comment-rule.service');
+const automationManager = require('./automation-manager.service');
+const eventBus = require('./event-bus.service');
+
+// Phrases the reply prompt uses to explain where the account was tagged
+const MENTION_CONTEXT = {
+  comment: 'in a comment on their post',
+  caption: 'in the caption of their post',
+  story: 'in their story'
+};
+
+/**
+ * MentionService - Records @mentions and story mentions and answers them
+ *
+ * Every mention from the mentions webhook (and story mentions, which arrive as
+ * DMs) of any of the user's connected accounts is stored in Mention. For the
+ * active account, with mention replies enabled and automation running,
+ * a mention goes through the same pipeline as a comment: comment rules first
+ * (skip and hide both mean "don't answer", since the media is not ours), then a
+ * template or an AI reply in the matched or default persona, held for review in
+ * approval mode. Comment and caption mentions are answered under the mention;
+ * story mentions get a DM.
+ *
+ * Replies draw from the workflow's reply budget (maxCommentsPerCheck per
+ * pollIntervalSeconds, shared with comment replies), and Graph calls go through
+ * the workflow's error handler.
+ */
+class MentionService {
+  constructor(manager = automationManager) {
+    this.manager = manager;
+    // userId -> { ids, timer, draining }
+    this.queues = new Map();
+  }
+
+  /**
+   * Listen for mentions on the event bus
+   * @param {EventEmitter} bus - Shared event bus (see event-bus.service.js)
+   */
+  subscribeToWebhooks(bus = eventBus) {
+    bus.subscribe('instagram:mention', (event) => this.handleMention(event));
+    console.log('[MentionService] Listening for mentions');
+  }
+
+  /**
+   * Get a user's mention settings
+   * @param {string} userId - User ID
+   */
+  async getSettings(userId) {
+    const user = await User.findById(userId).select('automationSettings.mentionReplies').lean();
+    return { enabled: !!user?.automationSettings?.mentionReplies };
+  }
+
+  /**
+   * Turn AI replies to mentions on or off
+   * @param {string} userId - User ID
+   * @param {boolean} enabled - Reply to new mentions
+   */
+  async updateSettings(userId, enabled) {
+    await User.updateOne({ _id: userId }, { $set: { 'automationSettings.mentionReplies': enabled } });
+    return await this.getSettings(userId);
+  }
+
+  /**
+   * Notify the dashboard that a mention changed
+   * @private
+   */
+  notify(userId, mention) {
+    eventBus.emit('mention:update', {
+      userId: String(userId),
+      mentionId: String(mention._id),
+      type: mention.type,
+      status: mention.status,
+      username: mention.username
+    });
+  }
+
+  /**
+   * Record a webhook mention and queue a reply when mention replies are enabled
+   * @param {Object} event - instagram:mention payload
+   */
+  async handleMention(event) {
+    if (!event?.accountId) {
+      return;
+    }
+
+    const userId = await this.manager.findUserIdByAccountId(event.accountId);
+    if (!userId) {
+      console.log(`[MentionService] No user for account ${event.accountId}, ignoring mention`);
+      return;
+    }
+
+    // Details are looked up and replies sent through the runtime, which works on the active account
+    const isActive = await this.manager.isActiveAccount(userId, event.accountId);
+    const mention = await this.record(userId, event, { fetchDetails: isActive });
+    if (!mention) {
+      return;
+    }
+
+    await ActivityLog.log(
+      userId,
+      'mention_received',
+      'mention',
+      `@${mention.username || 'unknown'} mentioned you ${MENTION_CONTEXT[mention.type]}`,
+      { mentionId: String(mention._id), type: mention.type, mediaId: mention.mediaId, text: mention.text },
+      null,
+      String(event.accountId)
+    );
+    this.notify(userId, mention);
+
+    const settings = await this.getSettings(userId);
+    const runtime = this.manager.getRuntime(userId);
+    if (isActive && settings.enabled && runtime?.workflow.getState().isRunning) {
+      await this.queueReply(userId, mention);
+    }
+  }
+
+  /**
+   * Store a mention with whatever details the Graph API returns; null for duplicates
+   * @private
+   * @param {Object} options - { fetchDetails: false stores the webhook fields only }
+   */
+  async record(userId, event, { fetchDetails = true } = {}) {
+    const type = event.type || (event.commentId ? 'comment' : 'caption');
+    const sourceId = type === 'story' ? event.messageId : (event.commentId || event.mediaId);
+    if (!sourceId) {
+      return null;
+    }
+
+    const accountId = String(event.accountId);
+    if (await Mention.exists({ userId, accountId, sourceId })) {
+      return null;
+    }
+
+    const details = fetchDetails ? await this.fetchDetails(userId, type, event) : {};
+
+    try {
+      return await Mention.create({
+        userId,
+        accountId,
+        type,
+        sourceId,
+        mediaId: details.mediaId || event.mediaId || null,
+        commentId: event.commentId || null,
+        messageId: event.messageId || null,
+        fromId: event.senderId || null,
+        mediaUrl: event.mediaUrl || null,
+        username: details.username || null,
+        text: details.text || '',
+        permalink: details.permalink || null
+      });
+    } catch (error) {
+      // Webhook retries can race the exists() check
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the mentioning text and author; best effort, a mention is stored either way
+   * @private
+   */
+  async fetchDetails(userId, type, event) {
+    try {
+      const runtime = this.manager.getRuntime(userId) || await this.manager.getOrCreateRuntime(userId);
+      const { instagramService } = runtime;
+
+      if (type === 'comment') {
+        const comment = await instagramService.getMentionedComment(event.commentId);
+        return {
+          text: comment?.text,
+          username: comment?.username,
+          mediaId: comment?.media?.id,
+          permalink: comment?.media?.permalink
+        };
+      }
+
+      if (type === 'caption') {
+        const media = await instagramService.getMentionedMedia(event.mediaId);
+        return { text: media?.caption, username: media?.username, permalink: media?.permalink };
+      }
+
+      const profile = await instagramService.getMessagingProfile(event.senderId);
+      return { username: profile?.username };
+    } catch (error) {
+      console.error(`[MentionService] Could not load ${type} mention details:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Add a mention to the user's reply queue
+   * @private
+   */
+  async queueReply(userId, mention) {
+    mention.status = 'queued';
+    await mention.save();
+
+    const key = String(userId);
+    if (!this.queues.has(key)) {
+      this.queues.set(key, { ids: [], timer: null, draining: false });
+    }
+    this.queues.get(key).ids.push(String(mention._id));
+
+    await this.drain(key);
+  }
+
+  /**
+   * Answer queued mentions within the workflow's reply budget, scheduling the rest
+   * @private
+   */
+  async drain(userId) {
+    const queue = this.queues.get(userId);
+    if (!queue || queue.draining || queue.timer) {
+      return;
+    }
+
+    queue.draining = true;
+    try {
+      while (queue.ids.length > 0) {
+        const runtime = this.manager.getRuntime(userId);
+
+        // Automation was stopped: leave the rest for manual review
+        if (!runtime?.workflow.getState().isRunning) {
+          await Mention.updateMany({ _id: { $in: queue.ids }, status: 'queued' }, { $set: { status: 'received' } });
+          queue.ids = [];
+          break;
+        }
+
+        if (runtime.workflow.takeReplySlots(1) === 0) {
+          queue.timer = setTimeout(() => {
+            queue.timer = null;
+            this.drain(userId);
+          }, runtime.workflow.replyBudgetResetIn());
+          queue.timer.unref?.();
+          break;
+        }
+
+        const mentionId = queue.ids.shift();
+
+        try {
+          await this.process(userId, mentionId, runtime);
+        } catch (error) {
+          console.error(`[MentionService] Failed to process mention ${mentionId}:`, error.message);
+          await Mention.updateOne({ _id: mentionId }, { $set: { status: 'failed', error: error.message } });
+        }
+      }
+    } finally {
+      queue.draining = false;
+    }
+  }
+
+  /**
+   * Apply rules, generate the reply and send it or hold it for approval
+   * @private
+   */
+  async process(userId, mentionId, runtime) {
+    const mention = await Mention.findOne({ _id: mentionId, userId, status: 'queued' });
+    if (!mention) {
+      return;
+    }
+
+    let rules = [];
+    try {
+      rules = await CommentRuleService.loadRules(userId, mention.accountId);
+    } catch (error) {
+      console.error('[MentionService] Failed to load comment rules:', error.message);
+    }
+
+    const { rule } = CommentRuleService.evaluate(rules, this.asComment(mention));
+    const match = rule ? CommentRuleService.describeMatch(rule) : null;
+
+    if (match) {
+      await CommentRuleService.recordMatch(rule._id);
+      mention.ruleId = match.ruleId;
+      mention.ruleName = match.ruleName;
+      mention.ruleAction = match.action;
+
+      if (['skip', 'hide'].includes(match.action)) {
+        mention.status = 'skipped';
+        await mention.save();
+        this.notify(userId, mention);
+        return;
+      }
+    }
+
+    const options = await this.generateOptions(runtime, mention, match);
+    if (options.length === 0) {
+      mention.status = 'skipped';
+      await mention.save();
+      this.notify(userId, mention);
+      return;
+    }
+
+    // Templates are pre-approved, as for comments
+    if (runtime.workflow.approvalMode && !runtime.workflow.isTemplateReply({ rule: match })) {
+      mention.status = 'pending_approval';
+      mention.replyOptions = options;
+      mention.replyText = options[0];
+      await mention.save();
+      this.notify(userId, mention);
+      return;
+    }
+
+    await this.sendReply(userId, runtime, mention, options[0]);
+  }
+
+  /**
+   * The comment shape used by rules and templates
+   * @private
+   */
+  asComment(mention) {
+    return {
+      text: mention.text || '',
+      username: mention.username,
+      postId: mention.mediaId
+    };
+  }
+
+  /**
+   * Template text, or AI candidates in the matched rule's persona
+   * @private
+   */
+  async generateOptions(runtime, mention, match = null) {
+    const { workflow, aiReplyService } = runtime;
+
+    if (workflow.isTemplateReply({ rule: match })) {
+      return [CommentRuleService.renderTemplate(match.template, this.asComment(mention))].filter(Boolean);
+    }
+
+    const tone = await workflow.resolveReplyTone({ rule: match });
+    const options = await workflow.errorHandler.executeWithRetry(
+      () => aiReplyService.generateReplyOptions(
+        mention.text || 'Mentioned you in their story',
+        tone,
+        { mention: MENTION_CONTEXT[mention.type] }
+      ),
+      { operation: 'generateReplyOptions', node: 'mentions' }
+    );
+
+    return (options || []).map(option => String(option).trim()).filter(Boolean);
+  }
+
+  /**
+   * Answer under the mention, or by DM for story mentions
+   * @private
+   */
+  async deliver(instagramService, mention, text) {
+    if (mention.type === 'story') {
+      return await instagramService.sendDirectMessage(mention.fromId, text);
+    }
+    return await instagramService.replyToMention(mention.mediaId, mention.commentId, text);
+  }
+
+  /**
+   * Send a reply and record the outcome
+   * @private
+   */
+  async sendReply(userId, runtime, mention, text) {
+    try {
+      await runtime.workflow.errorHandler.executeWithRetry(
+        () => this.deliver(runtime.instagramService, mention, text),
+        { operation: 'replyToMention', node: 'mentions' }
+      );
+
+      mention.status = 'replied';
+      mention.replyText = text;
+      mention.repliedAt = new Date();
+      mention.error = null;
+      await mention.save();
+
+      await ActivityLog.log(
+        userId,
+        'mention_replied',
+        'mention',
+        `Replied to @${mention.username || 'unknown'}'s ${mention.type} mention`,
+        { mentionId: String(mention._id), type: mention.type, reply: text, ruleName: mention.ruleName },
+        null,
+        runtime.storageService.accountId
+      );
+    } catch (error) {
+      mention.status = 'failed';
+      mention.error = error.message;
+      await mention.save();
+
+      await ActivityLog.log(
+        userId,
+        'error',
+        'mention',
+        `Failed to reply to @${mention.username || 'unknown'}'s mention: ${error.message}`,
+        { mentionId: String(mention._id), type: mention.type },
+        null,
+        runtime.storageService.accountId
+      );
+    }
+
+    this.notify(userId, mention);
+    return mention;
+  }
+
+  /**
+   * List the active Instagram account's mentions with per-status counts
+   * @param {string} userId - User ID
+   * @param {Object} options - { type, status, limit, skip }
+   */
+  async list(userId, options = {}) {
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    const [mentions, counts] = await Promise.all([
+      Mention.getUserMentions(userId, { ...options, accountId }),
+      Mention.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)), accountId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    return {
+      mentions,
+      counts: Object.fromEntries(counts.map(c => [c._id, c.count]))
+    };
+  }
+
+  /**
+   * Get one of the active account's mentions (the account a reply goes out
+   * from), or null for unknown/invalid IDs
+   * @param {string} userId - User ID
+   * @param {string} mentionId - Mention ID
+   */
+  async getMention(userId, mentionId) {
+    if (!mongoose.Types.ObjectId.isValid(mentionId)) {
+      return null;
+    }
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    return await Mention.findOne({ _id: mentionId, userId, accountId });
+  }
+
+  /**
+   * Whether a story mention can still be answered by DM
+   * @param {Object} mention - Mention document
+   */
+  canReply(mention) {
+    if (mention.type !== 'story') {
+      return true;
+    }
+    return Date.now() - new Date(mention.createdAt).getTime() < DmConversation.MESSAGING_WINDOW_MS;
+  }
+
+  /**
+   * Send the reply (optionally edited) for a mention held for approval
+   * @param {string} userId - User ID
+   * @param {Object} mention - Mention document
+   * @param {string} text - Optional final text; defaults to the stored reply
+   */
+  async approve(userId, mention, text = null) {
+    const reply = (text || mention.replyText || '').trim();
+    if (!reply) {
+      throw new Error('Reply text is required');
+    }
+
+    const runtime = await this.manager.getOrCreateRuntime(userId);
+    return await this.sendReply(userId, runtime, mention, reply);
+  }
+
+  /**
+   * Dismiss a mention without replying
+   * @param {Object} mention - Mention document
+   */
+  async dismiss(mention) {
+    mention.status = 'skipped';
+    await mention.save();
+    return mention;
+  }
+
+  /**
+   * Generate reply candidates for a mention and hold them for approval
+   * @param {string} userId - User ID
+   * @param {Object} mention - Mention document
+   */
+  async regenerate(userId, mention) {
+    const runtime = await this.manager.getOrCreateRuntime(userId);
+
+    // Keep the persona or template of the rule the mention matched, if it still exists
+    const rule = mention.ruleId ? await CommentRule.findOne({ _id: mention.ruleId, userId }).lean() : null;
+    const match = rule && !['skip', 'hide'].includes(rule.action.type) ? CommentRuleService.describeMatch(rule) : null;
+
+    mention.replyOptions = await this.generateOptions(runtime, mention, match);
+    mention.replyText = mention.replyOptions[0] || null;
+    mention.status = 'pending_approval';
+    mention.error = null;
+    await mention.save();
+    return mention;
+  }
+}
+
+// Export singleton instance
+const mentionService = new MentionService();
+module.exports = mentionService;
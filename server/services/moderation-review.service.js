@@ -0,0 +1,160 @@
+const ProcessedComment = require('../models/ProcessedComment');
+const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
+const automationManager = require('./automation-manager.service');
+const CommentModerationService = require('./comment-moderation.service');
+
+const DEFAULT_ACTIONS = { spam: 'hide', toxic: 'hide', scam: 'delete' };
+
+/**
+ * ModerationReviewService - Settings and the moderated comments log
+ *
+ * Moderated items are ProcessedComment documents with a `moderation` verdict,
+ * written by AutomationWorkflow.moderateComment. Undo and the follow-up actions
+ * on flagged comments go through the user's automation runtime, which is built
+ * on demand so the log can be worked while automation is stopped.
+ */
+class ModerationReviewService {
+  constructor(manager = automationManager) {
+    this.manager = manager;
+  }
+
+  /**
+   * Get the user's moderation settings
+   * @param {string} userId - User ID
+   */
+  async getSettings(userId) {
+    const user = await User.findById(userId).select('automationSettings.moderation').lean();
+    const moderation = user?.automationSettings?.moderation || {};
+
+    return {
+      enabled: !!moderation.enabled,
+      useLlm: !!moderation.useLlm,
+      actions: { ...DEFAULT_ACTIONS, ...moderation.actions }
+    };
+  }
+
+  /**
+   * Save moderation settings and apply them to a running workflow
+   * @param {string} userId - User ID
+   * @param {Object} changes - { enabled, useLlm, actions: { spam, toxic, scam } }
+   */
+  async updateSettings(userId, changes) {
+    const update = {};
+
+    if (typeof changes.enabled === 'boolean') {
+      update['automationSettings.moderation.enabled'] = changes.enabled;
+    }
+    if (typeof changes.useLlm === 'boolean') {
+      update['automationSettings.moderation.useLlm'] = changes.useLlm;
+    }
+    for (const label of CommentModerationService.LABELS) {
+      if (changes.actions?.[label]) {
+        update[`automationSettings.moderation.actions.${label}`] = changes.actions[label];
+      }
+    }
+
+    await User.updateOne({ _id: userId }, { $set: update });
+
+    const settings = await this.getSettings(userId);
+    await this.manager.updateConfig(userId, { moderation: settings });
+    return settings;
+  }
+
+  /**
+   * Classify a sample comment with the user's settings
+   * @param {string} userId - User ID
+   * @param {string} text - Comment text
+   * @returns {Promise<Object>} Verdict plus the action automation would take
+   */
+  async test(userId, text) {
+    const settings = await this.getSettings(userId);
+
+    let aiReplyService = null;
+    if (settings.useLlm) {
+      try {
+        const runtime = this.manager.getRuntime(userId) || await this.manager.getOrCreateRuntime(userId);
+        aiReplyService = runtime.aiReplyService;
+      } catch (error) {
+        console.error(`[ModerationReview] AI check unavailable for user ${userId}:`, error.message);
+      }
+    }
+
+    const verdict = await CommentModerationService.classify({ text }, { useLlm: settings.useLlm, aiReplyService });
+
+    return {
+      ...verdict,
+      action: verdict.label === 'ok' ? null : CommentModerationService.actionFor(settings, verdict.label)
+    };
+  }
+
+  /**
+   * List moderated comments of the user's active Instagram account with per-label counts
+   * @param {string} userId - User ID
+   * @param {Object} options - { label, limit, skip }
+   */
+  async list(userId, options = {}) {
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    const [items, counts] = await Promise.all([
+      ProcessedComment.getModeratedComments(userId, { ...options, accountId }),
+      ProcessedComment.getModerationCounts(userId, accountId)
+    ]);
+
+    return { items, counts };
+  }
+
+  /**
+   * Get a single moderated comment
+   * @param {string} userId - User ID
+   * @param {string} commentId - Instagram comment ID
+   */
+  async getItem(userId, commentId) {
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    return await ProcessedComment.findOne({ userId, accountId, commentId, 'moderation.label': { $exists: true } });
+  }
+
+  /**
+   * Reverse a moderation decision: unhide a hidden comment or clear a flag
+   * The comment stays out of automatic replies.
+   * @param {string} userId - User ID
+   * @param {Object} item - ProcessedComment document
+   */
+  async undo(userId, item) {
+    if (item.status === 'hidden') {
+      const runtime = await this.manager.getOrCreateRuntime(userId);
+      await runtime.instagramService.hideComment(item.commentId, false);
+    }
+
+    item.moderation.undoneAt = new Date();
+    item.status = 'skipped';
+    item.reviewedAt = new Date();
+    await item.save();
+    return item;
+  }
+
+  /**
+   * Hide or delete a comment that moderation flagged for review
+   * @param {string} userId - User ID
+   * @param {Object} item - ProcessedComment document
+   * @param {'hide'|'delete'} action - What to do with it
+   */
+  async resolveFlag(userId, item, action) {
+    const runtime = await this.manager.getOrCreateRuntime(userId);
+
+    if (action === 'delete') {
+      await runtime.instagramService.deleteComment(item.commentId);
+      item.status = 'deleted';
+    } else {
+      await runtime.instagramService.hideComment(item.commentId);
+      item.status = 'hidden';
+    }
+
+    item.moderation.action = action;
+    item.reviewedAt = new Date();
+    await item.save();
+    return item;
+  }
+}
+
+const moderationReviewService = new ModerationReviewService();
+module.exports = moderationReviewService;
@@ -3,7 +3,9 @@ const axios = require('axios');
 
 /**
  * Multi-Provider AI Service
- * Supports: Google Gemini, OpenAI, OpenRouter, Anthropic Claude, Meta LLaMA
+ * Supports: Google Gemini, OpenAI, OpenRouter, Anthropic Claude, Meta LLaMA, DeepSeek
+ *
+ * Every call accepts optional generation options: { temperature, maxTokens }
  */
 class MultiProviderAIService {
   constructor() {
@@ -12,7 +14,8 @@ class MultiProviderAIService {
       openai: this.callOpenAI.bind(this),
       openrouter: this.callOpenRouter.bind(this),
       claude: this.callClaude.bind(this),
-      llama: this.callLLaMA.bind(this)
+      llama: this.callLLaMA.bind(this),
+      deepseek: this.callDeepSeek.bind(this)
     };
   }
 
@@ -42,13 +45,13 @@ class MultiProviderAIService {
   /**
    * Generate content using specified provider
    */
-  async generate(provider, model, prompt, apiKey) {
+  async generate(provider, model, prompt, apiKey, options = {}) {
     if (!this.providers[provider]) {
       throw new Error(`Unsupported provider: ${provider}`);
     }
 
     try {
-      const response = await this.providers[provider](model, prompt, apiKey);
+      const response = await this.providers[provider](model, prompt, apiKey, options);
       return this.cleanResponse(response);
     } catch (error) {
       console.error(`[MultiProviderAI] Error with ${provider}:`, error.message);
@@ -59,12 +62,12 @@ class MultiProviderAIService {
   /**
    * Google Gemini
    */
-  async callGemini(model, prompt, apiKey) {
+  async callGemini(model, prompt, apiKey, options = {}) {
     const llm = new ChatGoogleGenerativeAI({
       apiKey: apiKey || process.env.GEMINI_API_KEY,
       model: model || 'gemini-2.5-flash',
-      temperature: 0.7,
-      maxOutputTokens: 4096  // Increased to 4096 to handle longer responses
+      temperature: options.temperature ?? 0.7,
+      maxOutputTokens: options.maxTokens || 4096  // Increased to 4096 to handle longer responses
     });
 
     const response = await llm.invoke(prompt);
@@ -80,14 +83,14 @@ class MultiProviderAIService {
   /**
    * OpenAI
    */
-  async callOpenAI(model, prompt, apiKey) {
+  async callOpenAI(model, prompt, apiKey, options = {}) {
     const response = await axios.post(
       'https://api.openai.com/v1/chat/completions',
       {
         model: model || 'gpt-4o-mini',
         messages: [{ role: 'user', content: prompt }],
-        temperature: 0.7,
-        max_tokens: 1024
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens || 1024
       },
       {
         headers: {
@@ -103,14 +106,14 @@ class MultiProviderAIService {
   /**
    * OpenRouter (supports multiple models)
    */
-  async callOpenRouter(model, prompt, apiKey) {
+  async callOpenRouter(model, prompt, apiKey, options = {}) {
     const response = await axios.post(
       'https://openrouter.ai/api/v1/chat/completions',
       {
         model: model || 'meta-llama/llama-3.1-8b-instruct:free',
         messages: [{ role: 'user', content: prompt }],
-        temperature: 0.7,
-        max_tokens: 1024
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens || 1024
       },
       {
         headers: {
@@ -128,12 +131,13 @@ class MultiProviderAIService {
   /**
    * Anthropic Claude
    */
-  async callClaude(model, prompt, apiKey) {
+  async callClaude(model, prompt, apiKey, options = {}) {
     const response = await axios.post(
       'https://api.anthropic.com/v1/messages',
       {
         model: model || 'claude-3-5-sonnet-20241022',
-        max_tokens: 1024,
+        max_tokens: options.maxTokens || 1024,
+        temperature: options.temperature ?? 0.7,
         messages: [{ role: 'user', content: prompt }]
       },
       {
@@ -151,9 +155,32 @@ class MultiProviderAIService {
   /**
    * Meta LLaMA (via OpenRouter or local endpoint)
    */
-  async callLLaMA(model, prompt, apiKey) {
+  async callLLaMA(model, prompt, apiKey, options = {}) {
     // Use OpenRouter for LLaMA models
-    return this.callOpenRouter(model || 'meta-llama/llama-3.1-70b-instruct', prompt, apiKey);
+    return this.callOpenRouter(model || 'meta-llama/llama-3.1-70b-instruct', prompt, apiKey, options);
+  }
+
+  /**
+   * DeepSeek (OpenAI-compatible API)
+   */
+  async callDeepSeek(model, prompt, apiKey, options = {}) {
+    const response = await axios.post(
+      'https://api.deepseek.com/v1/chat/completions',
+      {
+        model: model || 'deepseek-chat',
+        messages: [{ role: 'user', content: prompt }],
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens || 1024
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${apiKey || process.env.DEEPSEEK_API_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    return response.data.choices[0].message.content;
   }
 
   /**
@@ -0,0 +1,142 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Facebook OAuth Service
+ * Facebook Login for the Pages a user manages. The long-lived user token it
+ * yields hands out Page access tokens, which don't expire.
+ */
+class FacebookOAuthService {
+  constructor() {
+    this.apiVersion = 'v24.0';
+    this.authUrl = `https://www.facebook.com/${this.apiVersion}/dialog/oauth`;
+    this.graphApiUrl = `https://graph.facebook.com/${this.apiVersion}`;
+
+    // List the user's Pages, and publish photos, links and videos to them
+    this.requiredScopes = [
+      'pages_show_list',
+      'pages_read_engagement',
+      'pages_manage_posts'
+    ];
+  }
+
+  /**
+   * Generate OAuth authorization URL
+   */
+  generateAuthUrl(clientId, redirectUri, state = null) {
+    const stateParam = state || crypto.randomBytes(16).toString('hex');
+
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: this.requiredScopes.join(','),
+      response_type: 'code',
+      state: stateParam,
+      // Ask again for Pages left out of an earlier grant
+      auth_type: 'rerequest'
+    });
+
+    return {
+      url: `${this.authUrl}?${params.toString()}`,
+      state: stateParam
+    };
+  }
+
+  /**
+   * Exchange the authorization code for a long-lived (~60 days) user token
+   */
+  async exchangeCodeForToken(clientId, clientSecret, code, redirectUri) {
+    try {
+      const shortLived = await axios.get(`${this.graphApiUrl}/oauth/access_token`, {
+        params: {
+          client_id: clientId,
+          client_secret: clientSecret,
+          redirect_uri: redirectUri,
+          code
+        }
+      });
+
+      const longLived = await axios.get(`${this.graphApiUrl}/oauth/access_token`, {
+        params: {
+          grant_type: 'fb_exchange_token',
+          client_id: clientId,
+          client_secret: clientSecret,
+          fb_exchange_token: shortLived.data.access_token
+        }
+      });
+
+      const { access_token: accessToken, expires_in: expiresIn } = longLived.data;
+      return {
+        success: true,
+        accessToken,
+        tokenExpiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null
+      };
+    } catch (error) {
+      console.error('[FacebookOAuth] Token exchange error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  /**
+   * Facebook profile behind a user token
+   */
+  async getProfile(accessToken) {
+    try {
+      const response = await axios.get(`${this.graphApiUrl}/me`, {
+        params: {
+          fields: 'id,name',
+          access_token: accessToken
+        }
+      });
+
+      return {
+        success: true,
+        userId: response.data.id,
+        name: response.data.name
+      };
+    } catch (error) {
+      console.error('[FacebookOAuth] Get profile error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  /**
+   * Pages the user granted access to, each with its Page access token
+   */
+  async fetchUserPages(accessToken) {
+    try {
+      const response = await axios.get(`${this.graphApiUrl}/me/accounts`, {
+        params: {
+          fields: 'id,name,category,access_token,tasks,picture{url}',
+          limit: 100,
+          access_token: accessToken
+        }
+      });
+
+      const pages = (response.data.data || []).map(page => ({
+        pageId: page.id,
+        name: page.name,
+        category: page.category,
+        pictureUrl: page.picture?.data?.url,
+        accessToken: page.access_token,
+        tasks: page.tasks || []
+      }));
+
+      return { success: true, pages };
+    } catch (error) {
+      console.error('[FacebookOAuth] Fetch pages error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+}
+
+module.exports = FacebookOAuthService;
@@ -44,7 +44,9 @@ class YouTubeOAuthService {
       access_type: 'offline', // Get refresh token
       scope: this.requiredScopes,
       state: stateParam,
-      prompt: 'consent' // Force consent screen to get refresh token
+      // Force consent screen to get refresh token, and let users with brand
+      // accounts pick which channel to connect
+      prompt: 'select_account consent'
     });
 
     return {
@@ -161,6 +163,43 @@ class YouTubeOAuthService {
     }
   }
 
+  /**
+   * List the channels an access token can publish to
+   * @returns {Promise<{success: boolean, channels?: Object[], error?: string}>}
+   */
+  async fetchUserChannels(accessToken) {
+    try {
+      const response = await axios.get('https://www.googleapis.com/youtube/v3/channels', {
+        params: {
+          part: 'snippet,statistics',
+          mine: true,
+          maxResults: 50
+        },
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+
+      const channels = (response.data.items || []).map(channel => ({
+        channelId: channel.id,
+        title: channel.snippet.title,
+        description: channel.snippet.description,
+        customUrl: channel.snippet.customUrl,
+        thumbnailUrl: channel.snippet.thumbnails?.default?.url,
+        subscriberCount: Number(channel.statistics?.subscriberCount) || 0,
+        videoCount: Number(channel.statistics?.videoCount) || 0
+      }));
+
+      return { success: true, channels };
+    } catch (error) {
+      console.error('[YouTubeOAuth] Fetch channels error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
   /**
    * Revoke access token
    */
@@ -0,0 +1,308 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PublishJob = require('../models/publish-job.model');
+const User = require('../models/User');
+const DualPublisherService = require('./dual-publisher.service');
+
+const LEASE_MS = 2 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_ATTEMPTS = 3;
+const GLOBAL_CONCURRENCY = parseInt(process.env.PUBLISH_QUEUE_CONCURRENCY, 10) || 2;
+const PER_USER_CONCURRENCY = parseInt(process.env.PUBLISH_QUEUE_PER_USER_CONCURRENCY, 10) || 1;
+
+// Named priorities accepted by the API; scheduled jobs that come due run as 'high'
+const PRIORITIES = { low: -10, normal: 0, high: 10 };
+
+/**
+ * Publish Queue Service
+ * Runs dual publish jobs ('pending' PublishJobs) in the background.
+ *
+ * The queue lives in Mongo, so it survives restarts and can be shared by
+ * several server processes:
+ * - A worker claims the highest-priority, oldest pending job with an atomic
+ *   update that sets workerId and a lease (leaseExpiresAt)
+ * - While the job runs, a heartbeat renews the lease every HEARTBEAT_MS
+ * - Jobs whose lease ran out (the worker crashed or was restarted) go back to
+ *   'pending' and are picked up again, up to MAX_ATTEMPTS
+ * - At most GLOBAL_CONCURRENCY jobs run at once, and PER_USER_CONCURRENCY per
+ *   user; both are checked against the database when claiming, so with several
+ *   processes the caps can briefly be exceeded by a job or two
+ *
+ * Cancelling a running job sets cancelRequested; the worker holding it aborts
+ * on its next heartbeat (or right away when it runs in this process), which
+ * kills the FFmpeg child process and skips the remaining steps.
+ */
+class PublishQueueService {
+  constructor() {
+    this.io = null;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    // jobId -> { controller, heartbeat }
+    this.running = new Map();
+    this.pollInterval = null;
+    this.pollIntervalMs = 10 * 1000;
+    this.isFilling = false;
+    this.uploadDir = path.join(__dirname, '../uploads');
+    this.processedDir = path.join(__dirname, '../processed');
+  }
+
+  /**
+   * Start taking jobs from the queue
+   * @param {Object} io - Socket.IO instance for job progress
+   */
+  start(io) {
+    if (this.pollInterval) {
+      console.log('[PublishQueue] Service already running');
+      return;
+    }
+
+    this.io = io;
+    console.log(`[PublishQueue] Worker ${this.workerId} started (max ${GLOBAL_CONCURRENCY} jobs, ${PER_USER_CONCURRENCY} per user)`);
+
+    this.fill();
+    this.pollInterval = setInterval(() => this.fill(), this.pollIntervalMs);
+  }
+
+  /**
+   * Stop taking new jobs. Running jobs finish; if the process exits first,
+   * their leases run out and another worker picks them up.
+   */
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      console.log('[PublishQueue] Service stopped');
+    }
+  }
+
+  /**
+   * Turn a named priority into the number stored on the job
+   * @param {string} name - 'low', 'normal' or 'high'
+   */
+  resolvePriority(name) {
+    if (name === undefined || name === null || name === '') return PRIORITIES.normal;
+    if (!(name in PRIORITIES)) {
+      throw new Error(`priority must be one of: ${Object.keys(PRIORITIES).join(', ')}`);
+    }
+    return PRIORITIES[name];
+  }
+
+  /**
+   * Reclaim stale leases, then start jobs until a concurrency cap is reached.
+   * Called on every poll and whenever a job is queued or finishes.
+   */
+  async fill() {
+    if (this.isFilling || !this.pollInterval) return;
+    this.isFilling = true;
+
+    try {
+      await this.reclaimStaleLeases();
+
+      let job;
+      while ((job = await this.claimNext())) {
+        this.run(job);
+      }
+    } catch (error) {
+      console.error('[PublishQueue] Fill failed:', error.message);
+    } finally {
+      this.isFilling = false;
+    }
+  }
+
+  /**
+   * Atomically claim the next job that fits under the concurrency caps
+   */
+  async claimNext() {
+    const now = new Date();
+
+    const active = await PublishJob.aggregate([
+      { $match: { status: 'processing', leaseExpiresAt: { $gt: now } } },
+      { $group: { _id: '$userId', count: { $sum: 1 } } }
+    ]);
+
+    const total = active.reduce((sum, entry) => sum + entry.count, 0);
+    if (total >= GLOBAL_CONCURRENCY) return null;
+
+    const busyUsers = active
+      .filter(entry => entry.count >= PER_USER_CONCURRENCY)
+      .map(entry => entry._id);
+
+    return await PublishJob.findOneAndUpdate(
+      {
+        status: 'pending',
+        // Set while the publish scheduler is still handing a due job over
+        lockedAt: null,
+        userId: { $nin: busyUsers }
+      },
+      {
+        $set: {
+          status: 'processing',
+          workerId: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + LEASE_MS)
+        },
+        $inc: { publishAttempts: 1 }
+      },
+      { sort: { priority: -1, createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Put jobs whose worker stopped renewing its lease back in the queue.
+   * Jobs left 'processing' without any lease (started before the queue
+   * existed) are treated the same way.
+   */
+  async reclaimStaleLeases() {
+    const now = new Date();
+    const stale = {
+      status: 'processing',
+      $or: [
+        { leaseExpiresAt: { $ne: null, $lte: now } },
+        { leaseExpiresAt: null, updatedAt: { $lte: new Date(now.getTime() - LEASE_MS) } }
+      ]
+    };
+    const release = { workerId: null, leaseExpiresAt: null };
+
+    await PublishJob.updateMany(
+      { ...stale, cancelRequested: true },
+      { $set: { ...release, status: 'cancelled', error: 'Cancelled by user', completedAt: now } }
+    );
+    await PublishJob.updateMany(
+      { ...stale, publishAttempts: { $gte: MAX_ATTEMPTS } },
+      { $set: { ...release, status: 'failed', error: `Publishing did not finish after ${MAX_ATTEMPTS} attempts`, completedAt: now } }
+    );
+    const { modifiedCount } = await PublishJob.updateMany(stale, { $set: { ...release, status: 'pending' } });
+
+    if (modifiedCount > 0) {
+      console.log(`[PublishQueue] Re-queued ${modifiedCount} interrupted job(s)`);
+    }
+  }
+
+  /**
+   * Run a claimed job with the owner's credentials, renewing its lease until it's done
+   */
+  async run(job) {
+    const controller = new AbortController();
+    const heartbeat = setInterval(() => this.heartbeat(job.jobId, controller), HEARTBEAT_MS);
+    this.running.set(job.jobId, { controller, heartbeat });
+
+    try {
+      const user = await User.findById(job.userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      // One publisher per job, so concurrent jobs never share credentials
+      const publisherService = new DualPublisherService(this.io);
+      const credentials = await publisherService.resolveUserCredentials(user, job.accountId);
+      publisherService.initialize(
+        credentials.instagramToken,
+        credentials.instagramAccountId,
+        credentials.youtubeToken
+      );
+      publisherService.setAbortSignal(controller.signal);
+
+      const finished = await publisherService.executeJob(job.jobId);
+      console.log(`[PublishQueue] Job ${job.jobId} finished: ${finished.status}`);
+      this.notifySchedule(job, { status: finished.status });
+    } catch (error) {
+      if (controller.signal.reason === DualPublisherService.LEASE_LOST) {
+        console.warn(`[PublishQueue] Lost the lease on job ${job.jobId}; another worker has it`);
+      } else {
+        console.error(`[PublishQueue] Job ${job.jobId} failed:`, error.message);
+
+        // executeJob records its own failures; this covers errors before it ran
+        await PublishJob.updateOne(
+          { jobId: job.jobId, status: 'processing', workerId: this.workerId },
+          { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+        );
+        this.notifySchedule(job, { status: 'failed', error: error.message });
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.running.delete(job.jobId);
+
+      await PublishJob.updateOne(
+        { jobId: job.jobId, workerId: this.workerId },
+        { $set: { workerId: null, leaseExpiresAt: null } }
+      ).catch(error => console.error('[PublishQueue] Failed to release lease:', error.message));
+
+      this.fill();
+    }
+  }
+
+  /**
+   * Renew a running job's lease; abort it if it was cancelled or taken over
+   */
+  async heartbeat(jobId, controller) {
+    try {
+      // Matching on workerId only: a job that just finished still belongs to us
+      const job = await PublishJob.findOneAndUpdate(
+        { jobId, workerId: this.workerId },
+        { $set: { leaseExpiresAt: new Date(Date.now() + LEASE_MS) } },
+        { new: true, projection: { status: 1, cancelRequested: 1 } }
+      );
+
+      if (!job) {
+        controller.abort(DualPublisherService.LEASE_LOST);
+      } else if (job.status === 'processing' && job.cancelRequested) {
+        controller.abort('cancelled');
+      }
+    } catch (error) {
+      console.error(`[PublishQueue] Heartbeat for job ${jobId} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Keep the content calendar current for jobs that were scheduled
+   */
+  notifySchedule(job, payload) {
+    if (this.io && job.scheduledFor) {
+      this.io.emit(`schedule:${job.userId}`, { type: 'job', id: job.jobId, ...payload });
+    }
+  }
+
+  /**
+   * Cancel a job. Waiting jobs (including those awaiting review) are cancelled right
+   * away and their files removed; a running job stops at the next heartbeat, or
+   * immediately in this process.
+   * @param {Object} job - PublishJob document
+   * @returns {Promise<Object>} Updated job
+   */
+  async cancel(job) {
+    const waiting = await PublishJob.findOneAndUpdate(
+      { _id: job._id, status: { $in: ['pending', 'scheduled', 'awaiting_review'] } },
+      {
+        $set: { status: 'cancelled', cancelRequested: true, error: 'Cancelled by user', completedAt: new Date(), retainedUntil: null },
+        $unset: { assets: 1 }
+      }
+    );
+    // The job as it was before the update, so it still lists the files to remove
+    if (waiting) {
+      const files = [
+        path.join(this.uploadDir, waiting.videoFilename),
+        ...Object.values(waiting.toObject().assets || {}).map(filename => path.join(this.processedDir, filename)),
+        ...(waiting.thumbnails?.candidates || []).map(candidate => path.join(this.processedDir, candidate.file))
+      ];
+      files.forEach(file => fs.promises.unlink(file).catch(() => {}));
+      this.io?.to(`job:${waiting.jobId}`).emit('job:cancelled', { jobId: waiting.jobId });
+      return await PublishJob.findById(waiting._id);
+    }
+
+    const running = await PublishJob.findOneAndUpdate(
+      { _id: job._id, status: 'processing' },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    );
+    if (!running) {
+      throw new Error(`A ${job.status} job cannot be cancelled`);
+    }
+
+    this.running.get(running.jobId)?.controller.abort('cancelled');
+    return running;
+  }
+}
+
+// Export singleton instance
+const publishQueueService = new PublishQueueService();
+module.exports = publishQueueService;
@@ -0,0 +1,442 @@
+const fs = require('fs');
+const path = require('path');
+const Post = require('../models/post.model');
+const PublishJob = require('../models/publish-job.model');
+const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
+const DualPublisherService = require('./dual-publisher.service');
+const InstagramPublisherService = require('./instagram-publisher.service');
+const storyService = require('./story.service');
+const mediaStorageService = require('./media-storage.service');
+const publishQueueService = require('./publish-queue.service');
+const { EncryptionService } = require('./encryption.service');
+
+const encryptionService = new EncryptionService();
+
+const MAX_ATTEMPTS = 3;
+const QUOTA_RETRY_MS = 60 * 60 * 1000; // Instagram's quota is a rolling 24h window
+const CLAIM_STALE_MS = 15 * 60 * 1000;
+const ASSET_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Publish Scheduler Service
+ * Publishes scheduled Posts (single images) once their scheduledFor time has passed,
+ * and hands due PublishJobs (dual publish videos) to the publish queue, which runs them.
+ *
+ * All scheduling state lives in Mongo, so nothing is lost on restart:
+ * - A due item is claimed with an atomic status change and a lockedAt stamp
+ * - Claims left behind by a crashed process are released after a timeout
+ *   and retried, up to MAX_ATTEMPTS
+ * - When Instagram's content_publishing_limit is used up the item goes back
+ *   to 'scheduled' with deferredUntil and deferredReason set, and is picked up again later
+ *
+ * Once an hour it also deletes the retry files of dual publish jobs whose
+ * retention window has passed.
+ */
+class PublishSchedulerService {
+  constructor() {
+    this.io = null;
+    this.pollInterval = null;
+    this.pollIntervalMs = 30 * 1000;
+    this.isTicking = false;
+    this.lastAssetPurgeAt = 0;
+  }
+
+  /**
+   * Start polling for due items
+   * @param {Object} io - Socket.IO instance for calendar/job updates
+   */
+  start(io) {
+    if (this.pollInterval) {
+      console.log('[PublishScheduler] Service already running');
+      return;
+    }
+
+    this.io = io;
+    console.log('[PublishScheduler] Starting scheduled publishing service');
+
+    this.tick();
+    this.pollInterval = setInterval(() => this.tick(), this.pollIntervalMs);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      console.log('[PublishScheduler] Service stopped');
+    }
+  }
+
+  /**
+   * Release stale claims, then publish everything that is due
+   */
+  async tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      await this.releaseStaleClaims();
+
+      let item;
+      while ((item = await this.claimNext(Post, 'publishing'))) {
+        await this.publishPost(item);
+      }
+      // A claimed job stays 'pending' but locked until queueJob hands it over
+      while ((item = await this.claimNext(PublishJob, 'pending'))) {
+        await this.queueJob(item);
+      }
+
+      if (Date.now() - this.lastAssetPurgeAt >= ASSET_PURGE_INTERVAL_MS) {
+        this.lastAssetPurgeAt = Date.now();
+        await new DualPublisherService(this.io).purgeExpiredAssets();
+      }
+    } catch (error) {
+      console.error('[PublishScheduler] Tick failed:', error.message);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Atomically claim the oldest due item of a model
+   * @param {Object} Model - Post or PublishJob
+   * @param {string} runningStatus - Status that marks the item as claimed
+   */
+  async claimNext(Model, runningStatus) {
+    const now = new Date();
+
+    return await Model.findOneAndUpdate(
+      {
+        status: 'scheduled',
+        scheduledFor: { $lte: now },
+        $or: [{ deferredUntil: null }, { deferredUntil: { $lte: now } }]
+      },
+      {
+        $set: { status: runningStatus, lockedAt: now },
+        $inc: { publishAttempts: 1 }
+      },
+      { sort: { scheduledFor: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Put items whose worker died mid-publish back in the queue
+   */
+  async releaseStaleClaims() {
+    const targets = [
+      { Model: PublishJob, runningStatus: 'pending' },
+      { Model: Post, runningStatus: 'publishing' }
+    ];
+
+    for (const { Model, runningStatus } of targets) {
+      const stale = {
+        status: runningStatus,
+        lockedAt: { $ne: null, $lte: new Date(Date.now() - CLAIM_STALE_MS) }
+      };
+
+      await Model.updateMany(
+        { ...stale, publishAttempts: { $gte: MAX_ATTEMPTS } },
+        { $set: { status: 'failed', lockedAt: null, error: `Publishing did not finish after ${MAX_ATTEMPTS} attempts` } }
+      );
+      const { modifiedCount } = await Model.updateMany(stale, { $set: { status: 'scheduled', lockedAt: null } });
+
+      if (modifiedCount > 0) {
+        console.log(`[PublishScheduler] Re-queued ${modifiedCount} interrupted ${Model.modelName} item(s)`);
+      }
+    }
+  }
+
+  /**
+   * Whether the account has used up its content publishing quota.
+   * If the limit can't be read we go ahead and let the publish call decide.
+   * @param {InstagramPublisherService} instagramService - Initialized publisher
+   */
+  async isQuotaExhausted(instagramService) {
+    try {
+      const limit = await instagramService.checkPublishingLimit();
+      const total = limit.config?.quota_total;
+      return limit.available && typeof total === 'number' && (limit.quotaUsage || 0) >= total;
+    } catch (error) {
+      console.warn('[PublishScheduler] Could not check publishing limit:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Return a claimed item to the queue until the quota frees up.
+   * The deferral doesn't count as a publish attempt.
+   */
+  async defer(item) {
+    item.status = 'scheduled';
+    item.lockedAt = null;
+    item.deferredUntil = new Date(Date.now() + QUOTA_RETRY_MS);
+    item.publishAttempts = Math.max(0, item.publishAttempts - 1);
+    item.deferredReason = 'Instagram publishing limit reached';
+    await item.save();
+
+    console.log(`[PublishScheduler] Quota exhausted, deferred ${item.constructor.modelName} ${item._id} until ${item.deferredUntil.toISOString()}`);
+  }
+
+  /**
+   * Publish a scheduled image post
+   */
+  async publishPost(post) {
+    try {
+      const account = await InstagramAccount.resolveAccount(post.userId, post.accountId);
+      if (!account?.accessToken) {
+        throw new Error('Instagram credentials not configured');
+      }
+      if (!post.hasAllMedia()) {
+        throw new Error('Post is missing an image to publish');
+      }
+
+      const instagramService = new InstagramPublisherService();
+      instagramService.initialize(
+        encryptionService.decrypt(account.accessToken),
+        account.accountId
+      );
+
+      if (await this.isQuotaExhausted(instagramService)) {
+        await this.defer(post);
+        this.notify(post.userId, { type: 'post', id: post._id, status: 'deferred', deferredUntil: post.deferredUntil });
+        return;
+      }
+
+      const mediaId = await instagramService.publishSavedPost(post);
+
+      post.status = 'published';
+      post.publishedAt = new Date();
+      post.instagramMediaId = mediaId;
+      post.lockedAt = null;
+      post.deferredUntil = null;
+      post.deferredReason = null;
+      post.error = undefined;
+      await post.save();
+
+      console.log(`[PublishScheduler] Published scheduled post ${post._id}`);
+      this.notify(post.userId, { type: 'post', id: post._id, status: 'published', mediaId });
+
+      if (post.alsoStory) {
+        await storyService.publishPostStory(post, instagramService);
+      }
+    } catch (error) {
+      console.error(`[PublishScheduler] Scheduled post ${post._id} failed:`, error.message);
+
+      post.status = 'failed';
+      post.error = `Publishing failed: ${error.message}`;
+      post.lockedAt = null;
+      await post.save();
+
+      this.notify(post.userId, { type: 'post', id: post._id, status: 'failed', error: post.error });
+    }
+  }
+
+  /**
+   * Hand a due dual publish job to the publish queue, ahead of jobs started by hand.
+   * Quota is checked here so a job that can't publish yet doesn't take a worker.
+   */
+  async queueJob(job) {
+    try {
+      const user = await User.findById(job.userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const publisherService = new DualPublisherService(this.io);
+      const credentials = await publisherService.resolveUserCredentials(user, job.accountId);
+      publisherService.initialize(
+        credentials.instagramToken,
+        credentials.instagramAccountId,
+        credentials.youtubeToken
+      );
+
+      if (await this.isQuotaExhausted(publisherService.instagramService)) {
+        await this.defer(job);
+        this.notify(job.userId, { type: 'job', id: job.jobId, status: 'deferred', deferredUntil: job.deferredUntil });
+        return;
+      }
+
+      // The queue counts its own attempts from here
+      await PublishJob.updateOne(
+        { _id: job._id },
+        { $set: { lockedAt: null, deferredUntil: null, deferredReason: null, publishAttempts: 0, priority: publishQueueService.resolvePriority('high') } }
+      );
+      this.notify(job.userId, { type: 'job', id: job.jobId, status: 'pending' });
+      publishQueueService.fill();
+    } catch (error) {
+      console.error(`[PublishScheduler] Scheduled job ${job.jobId} failed:`, error.message);
+
+      await PublishJob.updateOne(
+        { _id: job._id },
+        { $set: { status: 'failed', error: error.message, lockedAt: null } }
+      );
+      this.notify(job.userId, { type: 'job', id: job.jobId, status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Tell the user's open calendar that something changed
+   */
+  notify(userId, payload) {
+    if (this.io) {
+      this.io.emit(`schedule:${userId}`, payload);
+    }
+  }
+
+  /**
+   * Parse and validate a requested publish time
+   * @param {string|Date} value - ISO date string or Date
+   * @returns {Date}
+   */
+  parseScheduleTime(value) {
+    const scheduledFor = new Date(value);
+
+    if (!value || Number.isNaN(scheduledFor.getTime())) {
+      throw new Error('scheduledFor must be a valid date');
+    }
+    if (scheduledFor.getTime() < Date.now() - 60 * 1000) {
+      throw new Error('scheduledFor must be in the future');
+    }
+    return scheduledFor;
+  }
+
+  /**
+   * Scheduled and published posts and jobs of the active Instagram account in a
+   * date range, for the calendar
+   * @param {string} userId - User ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   */
+  async listCalendar(userId, from, to) {
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    const inRange = {
+      userId,
+      accountId,
+      $or: [
+        { scheduledFor: { $gte: from, $lt: to } },
+        { scheduledFor: null, publishedAt: { $gte: from, $lt: to } }
+      ]
+    };
+
+    const [posts, jobs] = await Promise.all([
+      Post.find({ ...inRange, status: { $ne: 'draft' } }).lean(),
+      PublishJob.find({
+        userId,
+        accountId,
+        $or: [
+          { scheduledFor: { $gte: from, $lt: to } },
+          { scheduledFor: null, completedAt: { $gte: from, $lt: to } }
+        ]
+      }).lean()
+    ]);
+
+    const items = [
+      ...posts.map(post => ({
+        id: post._id,
+        kind: 'post',
+        title: post.caption?.split('\n')[0].substring(0, 80) || 'Instagram post',
+        status: post.status,
+        scheduledFor: post.scheduledFor,
+        publishedAt: post.publishedAt,
+        imageUrl: mediaStorageService.resolveUrl(post.imageStorage, post.imageUrl),
+        deferredUntil: post.deferredUntil,
+        deferredReason: post.deferredReason,
+        error: post.error
+      })),
+      ...jobs.map(job => ({
+        id: job.jobId,
+        kind: 'job',
+        title: job.generatedContent?.title || job.contextText?.substring(0, 80) || 'Video',
+        status: job.status,
+        scheduledFor: job.scheduledFor,
+        publishedAt: job.completedAt,
+        imageUrl: null,
+        deferredUntil: job.deferredUntil,
+        deferredReason: job.deferredReason,
+        error: job.error
+      }))
+    ];
+
+    return items.sort((a, b) =>
+      new Date(a.scheduledFor || a.publishedAt) - new Date(b.scheduledFor || b.publishedAt)
+    );
+  }
+
+  /**
+   * Load one of the user's posts or jobs
+   * @param {'post'|'job'} kind - Item type
+   */
+  async findItem(userId, kind, id) {
+    if (kind === 'post') {
+      return await Post.findOne({ _id: id, userId });
+    }
+    return await PublishJob.findOne({ jobId: id, userId });
+  }
+
+  /**
+   * Move an item to a new publish time. Drafts and failed posts can be
+   * (re)scheduled too; dual publish jobs only while they haven't started.
+   * The status is re-checked in the update so an item the worker just
+   * claimed is left alone.
+   */
+  async reschedule(item, kind, scheduledFor) {
+    const movable = kind === 'post' ? ['draft', 'scheduled', 'failed'] : ['scheduled'];
+
+    if (!movable.includes(item.status)) {
+      throw new Error(`A ${item.status} ${kind} cannot be rescheduled`);
+    }
+    if (kind === 'post' && !item.hasAllMedia()) {
+      throw new Error('Post is missing an image to publish');
+    }
+
+    const updated = await item.constructor.findOneAndUpdate(
+      { _id: item._id, status: { $in: movable } },
+      {
+        $set: { status: 'scheduled', scheduledFor, deferredUntil: null, deferredReason: null, publishAttempts: 0 },
+        $unset: { error: 1 }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error('This item is already being published');
+    }
+    return updated;
+  }
+
+  /**
+   * Cancel a scheduled item. Posts go back to drafts; jobs are cancelled
+   * and their uploaded video is removed.
+   */
+  async cancel(item, kind) {
+    if (item.status !== 'scheduled') {
+      throw new Error(`Only scheduled items can be cancelled (this one is ${item.status})`);
+    }
+
+    const update = kind === 'post'
+      ? { status: 'draft', scheduledFor: null, deferredUntil: null, deferredReason: null }
+      : { status: 'cancelled', deferredUntil: null, deferredReason: null };
+
+    const updated = await item.constructor.findOneAndUpdate(
+      { _id: item._id, status: 'scheduled' },
+      { $set: update },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error('This item is already being published');
+    }
+
+    if (kind === 'job') {
+      const videoPath = path.join(__dirname, '../uploads', updated.videoFilename);
+      fs.promises.unlink(videoPath).catch(error => {
+        console.warn(`[PublishScheduler] Could not remove video for cancelled job ${updated.jobId}:`, error.message);
+      });
+    }
+    return updated;
+  }
+}
+
+const publishSchedulerService = new PublishSchedulerService();
+module.exports = publishSchedulerService;
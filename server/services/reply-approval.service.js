@@ -0,0 +1,161 @@
+const ProcessedComment = require('../models/ProcessedComment');
+const InstagramAccount = require('../models/instagram-account.model');
+const automationManager = require('./automation-manager.service');
+
+/**
+ * ReplyApprovalService - Human review of AI replies held back in approval mode
+ *
+ * Pending items are ProcessedComment documents with status reply_generated,
+ * written by AutomationWorkflow.queueForApprovalNode. Approving posts the reply
+ * through the user's automation runtime (replyToCommentSmart); the runtime is
+ * built on demand, so reviews work while automation is stopped.
+ */
+class ReplyApprovalService {
+  constructor(manager = automationManager) {
+    this.manager = manager;
+  }
+
+  /**
+   * List replies waiting for review on the user's active Instagram account
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit, skip }
+   */
+  async listPending(userId, options = {}) {
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    const [items, total] = await Promise.all([
+      ProcessedComment.getPendingApprovals(userId, { ...options, accountId }),
+      ProcessedComment.countDocuments({ userId, accountId, status: 'reply_generated' })
+    ]);
+
+    return { items, total };
+  }
+
+  /**
+   * Get a single pending item
+   * @param {string} userId - User ID
+   * @param {string} commentId - Instagram comment ID
+   * @returns {Promise<Object|null>} Pending item, or null if it is not (or no longer) pending
+   *   on the active account, whose runtime would post the reply
+   */
+  async getPending(userId, commentId) {
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    return await ProcessedComment.findOne({ userId, accountId, commentId, status: 'reply_generated' });
+  }
+
+  /**
+   * Replace the reply text a reviewer will approve
+   * @param {string} userId - User ID
+   * @param {string} commentId - Instagram comment ID
+   * @param {string} replyText - Edited reply
+   */
+  async updateReply(userId, commentId, replyText) {
+    const item = await this.getPending(userId, commentId);
+    if (!item) {
+      return null;
+    }
+
+    item.replyText = replyText;
+    await item.save();
+    return item;
+  }
+
+  /**
+   * Post the reply and mark the item as posted
+   *
+   * The item is claimed (status posting) before anything is sent, so a second
+   * approval of the same item - a double click or another reviewer - finds
+   * nothing pending instead of posting the reply twice.
+   * @param {string} userId - User ID
+   * @param {string} commentId - Instagram comment ID
+   * @param {string} replyText - Optional final text; defaults to the stored reply
+   */
+  async approve(userId, commentId, replyText = null) {
+    const accountId = await InstagramAccount.getActiveAccountId(userId);
+    const item = await ProcessedComment.findOneAndUpdate(
+      { userId, accountId, commentId, status: 'reply_generated' },
+      { $set: { status: 'posting' } },
+      { new: true }
+    );
+    if (!item) {
+      return null;
+    }
+
+    try {
+      const reply = (replyText || item.replyText || '').trim();
+      if (!reply) {
+        throw new Error('Reply text is required');
+      }
+
+      const runtime = await this.manager.getOrCreateRuntime(userId);
+      const replyResult = await runtime.workflow.postApprovedReply(item, reply);
+
+      item.replyText = reply;
+      item.replyId = replyResult?.data?.id || null;
+      item.status = 'reply_posted';
+      item.repliedAt = new Date();
+      item.reviewedAt = new Date();
+      item.error = null;
+      await item.save();
+
+      return item;
+    } catch (error) {
+      // Release the claim and keep the item pending so the reviewer can retry
+      item.status = 'reply_generated';
+      item.error = error.message;
+      await item.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Reject the item; nothing is posted
+   * @param {string} userId - User ID
+   * @param {string} commentId - Instagram comment ID
+   */
+  async reject(userId, commentId) {
+    const item = await this.getPending(userId, commentId);
+    if (!item) {
+      return null;
+    }
+
+    item.status = 'rejected';
+    item.reviewedAt = new Date();
+    await item.save();
+    return item;
+  }
+
+  /**
+   * Replace the candidate replies with a fresh set from the AI service
+   * @param {string} userId - User ID
+   * @param {string} commentId - Instagram comment ID
+   */
+  async regenerate(userId, commentId) {
+    const item = await this.getPending(userId, commentId);
+    if (!item) {
+      return null;
+    }
+
+    const runtime = await this.manager.getOrCreateRuntime(userId);
+    const { workflow, aiReplyService } = runtime;
+
+    const { replies, provider, model } = await aiReplyService.generateReplyCandidates(
+      item.commentText,
+      workflow.personaProfile || workflow.replyTone,
+      {
+        caption: item.postCaption,
+        postType: item.postType
+      }
+    );
+
+    item.replyOptions = replies;
+    item.replyText = replies[0] || item.replyText;
+    item.aiProvider = provider;
+    item.aiModel = model;
+    await item.save();
+    return item;
+  }
+}
+
+// Export singleton instance
+const replyApprovalService = new ReplyApprovalService();
+module.exports = replyApprovalService;
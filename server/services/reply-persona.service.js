@@ -0,0 +1,212 @@
+const User = require('../models/User');
+const UserContext = require('../models/user-context.model');
+
+/**
+ * Emoji policies and how many emojis each one allows per reply
+ */
+const EMOJI_POLICIES = {
+  none: 0,
+  sparing: 1,
+  moderate: 2,
+  expressive: 4
+};
+
+/**
+ * Built-in reply personas, one per User.automationSettings.replyTone value
+ */
+const BUILT_IN_PERSONAS = {
+  friendly: {
+    slug: 'friendly',
+    name: 'Friendly',
+    description: 'a super friendly, engaging and curious Instagram creator',
+    styleRules: [
+      'Sound like a real creator talking to a follower, warm and positive.',
+      'Use casual, conversational wording and contractions.',
+      'End with a small curiosity question that invites a reply.'
+    ],
+    emojiPolicy: 'moderate',
+    maxLength: 220,
+    endWithQuestion: true
+  },
+  formal: {
+    slug: 'formal',
+    name: 'Formal',
+    description: 'a courteous, well-spoken brand representative',
+    styleRules: [
+      'Use complete sentences, correct grammar and polite phrasing.',
+      'Avoid slang, abbreviations and exclamation marks.',
+      'Thank the commenter sincerely and address their point directly.'
+    ],
+    emojiPolicy: 'none',
+    maxLength: 300,
+    endWithQuestion: false
+  },
+  professional: {
+    slug: 'professional',
+    name: 'Professional',
+    description: 'a knowledgeable, helpful expert in the account\'s niche',
+    styleRules: [
+      'Be clear, concise and helpful; answer questions with concrete information.',
+      'Keep a confident, approachable tone without hype.',
+      'Point to a next step (link in bio, DM, upcoming post) only when relevant.'
+    ],
+    emojiPolicy: 'sparing',
+    maxLength: 260,
+    endWithQuestion: false
+  }
+};
+
+const DEFAULT_PERSONA = 'friendly';
+
+// Matches pictographic emoji plus the joiners/variation selectors that glue them together
+const EMOJI_REGEX = /\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*/gu;
+
+/**
+ * ReplyPersonaService - Maps reply tones and custom personas to prompt profiles
+ * A profile is the persona blended with the brand fields from UserContext
+ */
+class ReplyPersonaService {
+  /**
+   * Names of the built-in personas
+   */
+  static getBuiltInSlugs() {
+    return Object.keys(BUILT_IN_PERSONAS);
+  }
+
+  /**
+   * Get a built-in persona by slug
+   */
+  static getBuiltInPersona(slug) {
+    return BUILT_IN_PERSONAS[slug] || null;
+  }
+
+  /**
+   * Resolve a tone to a persona, looking at custom personas before built-ins.
+   * Unknown tones fall back to the default persona.
+   * @param {string} tone - Built-in tone or custom persona slug
+   * @param {Array} customPersonas - User's custom personas
+   */
+  static resolvePersona(tone, customPersonas = []) {
+    const custom = (customPersonas || []).find(persona => persona.slug === tone);
+    if (custom) {
+      return {
+        slug: custom.slug,
+        name: custom.name,
+        description: custom.description || custom.name,
+        styleRules: custom.styleRules || [],
+        emojiPolicy: custom.emojiPolicy || 'sparing',
+        maxLength: custom.maxLength || 220,
+        endWithQuestion: !!custom.endWithQuestion,
+        isCustom: true
+      };
+    }
+
+    return { ...(BUILT_IN_PERSONAS[tone] || BUILT_IN_PERSONAS[DEFAULT_PERSONA]), isCustom: false };
+  }
+
+  /**
+   * Blend a persona with brand fields into a prompt profile
+   * @param {Object} persona - Resolved persona
+   * @param {Object} brand - { brandName, brandVoice, brandValues }
+   */
+  static buildProfile(persona, brand = {}) {
+    const brandValues = Array.isArray(brand?.brandValues)
+      ? brand.brandValues.filter(Boolean)
+      : [];
+
+    return {
+      ...persona,
+      maxEmojis: EMOJI_POLICIES[persona.emojiPolicy] ?? EMOJI_POLICIES.sparing,
+      brandName: brand?.brandName || null,
+      brandVoice: brand?.brandVoice || null,
+      brandValues
+    };
+  }
+
+  /**
+   * Load the prompt profile for a user's tone from User and UserContext
+   * @param {string} userId - User ID
+   * @param {string} tone - Built-in tone or custom persona slug
+   */
+  static async loadProfile(userId, tone) {
+    const [user, userContext] = await Promise.all([
+      User.findById(userId).select('automationSettings.customPersonas'),
+      UserContext.findOne({ userId }).select('brandName brandVoice brandValues')
+    ]);
+
+    const persona = this.resolvePersona(tone, user?.automationSettings?.customPersonas);
+    return this.buildProfile(persona, userContext || {});
+  }
+
+  /**
+   * Render the persona/brand section of a reply prompt
+   * @param {Object} profile - Prompt profile from buildProfile
+   */
+  static formatPromptSection(profile) {
+    const lines = [];
+
+    lines.push(`You are ${profile.description}.`);
+
+    if (profile.brandName) {
+      lines.push(`You reply on behalf of "${profile.brandName}".`);
+    }
+    if (profile.brandVoice) {
+      lines.push(`Brand voice: ${profile.brandVoice}.`);
+    }
+    if (profile.brandValues.length > 0) {
+      lines.push(`Brand values to reflect (never list them verbatim): ${profile.brandValues.join(', ')}.`);
+    }
+
+    lines.push('');
+    lines.push('STYLE RULES:');
+    profile.styleRules.forEach(rule => lines.push(`- ${rule}`));
+
+    if (profile.maxEmojis === 0) {
+      lines.push('- Do not use any emojis.');
+    } else {
+      lines.push(`- Use at most ${profile.maxEmojis} emoji${profile.maxEmojis === 1 ? '' : 's'} per reply.`);
+    }
+
+    if (profile.endWithQuestion) {
+      lines.push('- End with a short question to keep the conversation going.');
+    }
+
+    lines.push(`- Keep each reply under ${profile.maxLength} characters.`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Enforce the profile's hard limits (emoji count, length) on a generated reply
+   * @param {string} reply - Generated reply
+   * @param {Object} profile - Prompt profile from buildProfile
+   */
+  static enforceProfile(reply, profile) {
+    if (!reply || !profile) {
+      return reply;
+    }
+
+    let emojiCount = 0;
+    let result = reply.replace(EMOJI_REGEX, (emoji) => {
+      emojiCount++;
+      return emojiCount <= profile.maxEmojis ? emoji : '';
+    });
+
+    result = result.replace(/\s{2,}/g, ' ').trim();
+
+    if (result.length > profile.maxLength) {
+      // Cut at the last sentence or word boundary that fits
+      const slice = result.slice(0, profile.maxLength - 1);
+      const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('! '), slice.lastIndexOf('? '));
+      result = sentenceEnd > profile.maxLength / 2
+        ? slice.slice(0, sentenceEnd + 1)
+        : slice.slice(0, slice.lastIndexOf(' ') > 0 ? slice.lastIndexOf(' ') : profile.maxLength).trim() + '…';
+    }
+
+    return result;
+  }
+}
+
+ReplyPersonaService.EMOJI_POLICIES = EMOJI_POLICIES;
+
+module.exports = ReplyPersonaService;
@@ -5,10 +5,13 @@ const User = require('../models/User');
 /**
  * Storage Service - MongoDB Implementation
  * Handles all data persistence using MongoDB models
+ * Logs and processed comments are tagged with the Instagram account (accountId)
+ * the automation runs for
  */
 class StorageService {
-  constructor(userId = null) {
+  constructor(userId = null, accountId = null) {
     this.userId = userId;
+    this.accountId = accountId;
   }
 
   /**
@@ -40,7 +43,9 @@ class StorageService {
         logData.type || 'info',
         logData.action || 'automation',
         logData.message,
-        logData.details || {}
+        logData.details || {},
+        null,
+        this.accountId
       );
     } catch (error) {
       console.error('Error appending log:', error);
@@ -67,6 +72,7 @@ class StorageService {
 
       return await ActivityLog.getUserLogs(this.userId, {
         type,
+        accountId: this.accountId || undefined,
         limit,
         skip,
         startDate,
@@ -106,11 +112,20 @@ class StorageService {
 
       await ProcessedComment.markProcessed(this.userId, {
         id: commentId,
+        accountId: this.accountId,
         postId: commentData.postId || 'unknown',
         username: commentData.username || 'unknown',
         text: commentData.text || '',
         reply: commentData.reply || null,
         replyId: commentData.replyId || null,
+        replyOptions: commentData.replyOptions || [],
+        postCaption: commentData.postCaption || null,
+        postType: commentData.postType || null,
+        rule: commentData.rule || null,
+        funnelId: commentData.funnelId || null,
+        aiProvider: commentData.aiProvider || null,
+        aiModel: commentData.aiModel || null,
+        moderation: commentData.moderation || null,
         status: commentData.status || 'reply_posted'
       });
     } catch (error) {
@@ -137,6 +152,8 @@ class StorageService {
         replyTone: user.automationSettings?.replyTone || 'friendly',
         pollIntervalSeconds: user.automationSettings?.pollIntervalSeconds || 30,
         maxCommentsPerCheck: user.automationSettings?.maxCommentsPerCheck || 10,
+        triggerMode: user.automationSettings?.triggerMode || 'webhook',
+        approvalMode: user.automationSettings?.approvalMode || false,
         automation: {
           isActive: user.automationSettings?.isActive || false
         }
@@ -170,6 +187,12 @@ class StorageService {
       if (config.maxCommentsPerCheck) {
         user.automationSettings.maxCommentsPerCheck = config.maxCommentsPerCheck;
       }
+      if (config.triggerMode) {
+        user.automationSettings.triggerMode = config.triggerMode;
+      }
+      if (typeof config.approvalMode === 'boolean') {
+        user.automationSettings.approvalMode = config.approvalMode;
+      }
 
       await user.save();
     } catch (error) {
@@ -240,6 +263,8 @@ class StorageService {
           replyTone: 'friendly',
           pollIntervalSeconds: 30,
           maxCommentsPerCheck: 10,
+          triggerMode: 'webhook',
+          approvalMode: false,
           isActive: false
         };
         await user.save();
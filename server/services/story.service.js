@@ -0,0 +1,148 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Post = require('../models/post.model');
+const PublishJob = require('../models/publish-job.model');
+const FFmpegService = require('./ffmpeg.service');
+const mediaStorageService = require('./media-storage.service');
+const eventBus = require('./event-bus.service');
+
+/**
+ * StoryService - Instagram Stories for published posts and dual publish videos
+ *
+ * Stories are an extra on top of the feed post or reel: media is converted to a
+ * 1080x1920 story-safe frame by FFmpegService, uploaded and published through the
+ * STORIES container flow. A failed story is recorded but never fails the post or job.
+ *
+ * The result is kept on the source (Post.story or PublishJob.platforms.story), and
+ * story_insights webhooks are matched back to it by the story's media ID.
+ */
+class StoryService {
+  constructor() {
+    this.ffmpegService = new FFmpegService();
+    this.workDir = path.join(__dirname, '../processed');
+
+    if (!fs.existsSync(this.workDir)) {
+      fs.mkdirSync(this.workDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Listen for story insights on the event bus
+   * @param {EventEmitter} bus - Shared event bus (see event-bus.service.js)
+   */
+  subscribeToWebhooks(bus = eventBus) {
+    bus.subscribe('instagram:story_insight', (event) => this.recordInsights(event));
+    console.log('[StoryService] Listening for story insights');
+  }
+
+  /**
+   * Upload a converted story file and publish it
+   * @param {InstagramPublisherService} instagramService - Initialized publisher
+   * @param {string} filePath - Output of FFmpegService.convertForStory/convertImageForStory
+   * @param {'image'|'video'} type - Media type
+   * @returns {Promise<{mediaId: string, media: {url: string, driver: string, key: string}}>}
+   *   Published story media ID and the hosted copy of the file
+   */
+  async publishFile(instagramService, filePath, type) {
+    const buffer = fs.readFileSync(filePath);
+    const filename = path.basename(filePath);
+    const media = type === 'video'
+      ? await instagramService.uploadVideoToPublicServer(buffer, filename)
+      : await instagramService.uploadImageToPublicServer(buffer, filename);
+
+    try {
+      const mediaId = await instagramService.publishStory({ type, url: media.url });
+      return { mediaId, media };
+    } catch (error) {
+      await mediaStorageService.remove(media);
+      throw error;
+    }
+  }
+
+  /**
+   * Share a published post's image (or first carousel slide) as a story.
+   * Saves the outcome on post.story; never throws.
+   * @param {Object} post - Published Post document with alsoStory set
+   * @param {InstagramPublisherService} instagramService - Initialized publisher
+   */
+  async publishPostStory(post, instagramService) {
+    const media = post.mediaType === 'carousel'
+      ? post.slides[0]
+      : { type: 'image', url: post.imageUrl, storage: post.imageStorage };
+
+    const base = path.join(this.workDir, `${post._id}_${crypto.randomBytes(4).toString('hex')}`);
+    const sourcePath = `${base}_source`;
+    const storyPath = media?.type === 'video' ? `${base}_story.mp4` : `${base}_story.jpg`;
+
+    try {
+      if (!media?.url) {
+        throw new Error('Post has no media to share');
+      }
+
+      const download = await axios.get(
+        mediaStorageService.resolveUrl(media.storage, media.url),
+        { responseType: 'arraybuffer', timeout: 60000 }
+      );
+      fs.writeFileSync(sourcePath, Buffer.from(download.data));
+
+      if (media.type === 'video') {
+        await this.ffmpegService.convertForStory(sourcePath, storyPath);
+      } else {
+        await this.ffmpegService.convertImageForStory(sourcePath, storyPath);
+      }
+
+      const { mediaId, media: hosted } = await this.publishFile(instagramService, storyPath, media.type);
+      post.story = {
+        status: 'published',
+        mediaId,
+        publishedAt: new Date(),
+        storage: { driver: hosted.driver, key: hosted.key }
+      };
+      console.log(`[StoryService] Shared post ${post._id} as story ${mediaId}`);
+    } catch (error) {
+      console.error(`[StoryService] Story for post ${post._id} failed:`, error.message);
+      post.story = { status: 'failed', error: `Story failed: ${error.message}` };
+    } finally {
+      await this.ffmpegService.cleanup([sourcePath, storyPath]);
+    }
+
+    await post.save();
+    return post.story;
+  }
+
+  /**
+   * Store the metrics from a story_insights webhook on the post or job that published the story
+   * @param {Object} event - { accountId, storyId, metrics, timestamp }
+   */
+  async recordInsights({ storyId, metrics, timestamp }) {
+    if (!storyId || !metrics) return;
+
+    const updatedAt = timestamp || new Date();
+
+    const post = await Post.findOneAndUpdate(
+      { 'story.mediaId': String(storyId) },
+      { $set: { 'story.insights': metrics, 'story.insightsUpdatedAt': updatedAt } }
+    );
+    if (post) {
+      console.log(`[StoryService] Saved insights for story ${storyId} (post ${post._id})`);
+      return;
+    }
+
+    const job = await PublishJob.findOneAndUpdate(
+      { 'platforms.story.mediaId': String(storyId) },
+      { $set: { 'platforms.story.insights': metrics, 'platforms.story.insightsUpdatedAt': updatedAt } }
+    );
+    if (job) {
+      console.log(`[StoryService] Saved insights for story ${storyId} (job ${job.jobId})`);
+      return;
+    }
+
+    console.log(`[StoryService] Ignoring insights for story ${storyId}: not published from here`);
+  }
+}
+
+// Export singleton instance
+const storyService = new StoryService();
+module.exports = storyService;
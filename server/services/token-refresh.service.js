@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
 const { EncryptionService } = require('./encryption.service');
 const InstagramOAuthService = require('./oauth-instagram.service');
 const YouTubeOAuthService = require('./oauth-youtube.service');
@@ -11,7 +12,7 @@ const youtubeOAuth = new YouTubeOAuthService();
  * Token Refresh Service
  * Automatically refreshes access tokens before they expire
  * 
- * Instagram Token Handling:
+ * Instagram Token Handling (every connected account, see instagram-account.model.js):
  * - Short-lived token: 1 hour validity
  * - Exchange for long-lived token: ~60 days validity
  * - Refresh 7 days before expiration using: https://graph.facebook.com/v24.0/refresh_access_token
@@ -61,29 +62,23 @@ class TokenRefreshService {
   }
 
   /**
-   * Check and refresh tokens for all users
+   * Check and refresh tokens for all Instagram accounts and YouTube users
    */
   async checkAndRefreshTokens() {
     try {
       console.log('[TokenRefresh] Checking tokens for all users...');
-      
-      const users = await User.find({
-        $or: [
-          { 'instagramCredentials.isActive': true },
-          { 'youtubeCredentials.isActive': true }
-        ]
-      });
 
-      console.log(`[TokenRefresh] Found ${users.length} users with active credentials`);
+      const accounts = await InstagramAccount.find({ isActive: true, accessToken: { $ne: null } });
+      const users = await User.find({ 'youtubeCredentials.isActive': true });
 
-      for (const user of users) {
-        // Check Instagram token
-        if (user.instagramCredentials?.isActive && user.instagramCredentials?.accessToken) {
-          await this.checkInstagramToken(user);
-        }
+      console.log(`[TokenRefresh] Found ${accounts.length} Instagram accounts and ${users.length} users with active YouTube credentials`);
+
+      for (const account of accounts) {
+        await this.checkInstagramToken(account);
+      }
 
-        // Check YouTube token
-        if (user.youtubeCredentials?.isActive && user.youtubeCredentials?.refreshToken) {
+      for (const user of users) {
+        if (user.youtubeCredentials?.refreshToken) {
           await this.checkYouTubeToken(user);
         }
       }
@@ -98,33 +93,34 @@ class TokenRefreshService {
    * Check and refresh Instagram token if needed
    * Instagram long-lived tokens expire after ~60 days
    * Refresh 7 days before expiration
+   * @param {Object} account - InstagramAccount document
    */
-  async checkInstagramToken(user) {
+  async checkInstagramToken(account) {
     try {
-      const expiresAt = new Date(user.instagramCredentials.tokenExpiresAt);
+      const expiresAt = new Date(account.tokenExpiresAt);
       const now = new Date();
       const daysUntilExpiry = (expiresAt - now) / (1000 * 60 * 60 * 24);
 
       // Check for invalid dates
       if (isNaN(daysUntilExpiry)) {
-        console.log(`[TokenRefresh] Instagram token for user ${user.email} has invalid expiry date - skipping`);
+        console.log(`[TokenRefresh] Instagram token for @${account.accountName} has invalid expiry date - skipping`);
         return;
       }
 
-      console.log(`[TokenRefresh] Instagram token for user ${user.email} expires in ${daysUntilExpiry.toFixed(1)} days`);
+      console.log(`[TokenRefresh] Instagram token for @${account.accountName} expires in ${daysUntilExpiry.toFixed(1)} days`);
 
       // Skip if token already expired or invalid
       if (daysUntilExpiry < 0) {
-        console.log(`[TokenRefresh] Instagram token for user ${user.email} already expired - user needs to re-authenticate`);
+        console.log(`[TokenRefresh] Instagram token for @${account.accountName} already expired - account needs to be reconnected`);
         return;
       }
 
       // Refresh if expires in less than 7 days
       if (daysUntilExpiry < 7) {
-        console.log(`[TokenRefresh] Refreshing Instagram token for user ${user.email}`);
+        console.log(`[TokenRefresh] Refreshing Instagram token for @${account.accountName}`);
         
         try {
-          const accessToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
+          const accessToken = encryptionService.decrypt(account.accessToken);
           // Sanitize token - remove ALL whitespace characters
           const cleanToken = accessToken?.replace(/\s+/g, '').trim();
           const refreshResult = await instagramOAuth.refreshToken(cleanToken);
@@ -133,21 +129,21 @@ class TokenRefreshService {
             const encryptedToken = encryptionService.encrypt(refreshResult.accessToken);
             const newExpiresAt = new Date(Date.now() + refreshResult.expiresIn * 1000);
 
-            user.instagramCredentials.accessToken = encryptedToken;
-            user.instagramCredentials.tokenExpiresAt = newExpiresAt;
-            user.instagramCredentials.lastUpdated = new Date();
+            account.accessToken = encryptedToken;
+            account.tokenExpiresAt = newExpiresAt;
+            account.lastUpdated = new Date();
 
-            await user.save();
-            console.log(`[TokenRefresh] Instagram token refreshed successfully for user ${user.email}`);
+            await account.save();
+            console.log(`[TokenRefresh] Instagram token refreshed successfully for @${account.accountName}`);
           } else {
-            console.error(`[TokenRefresh] Failed to refresh Instagram token for user ${user.email}:`, refreshResult.error);
+            console.error(`[TokenRefresh] Failed to refresh Instagram token for @${account.accountName}:`, refreshResult.error);
           }
         } catch (decryptError) {
-          console.error(`[TokenRefresh] Cannot decrypt Instagram token for user ${user.email} - token encrypted with different key. User needs to re-authenticate.`);
+          console.error(`[TokenRefresh] Cannot decrypt Instagram token for @${account.accountName} - token encrypted with different key. The account needs to be reconnected.`);
         }
       }
     } catch (error) {
-      console.error(`[TokenRefresh] Error checking Instagram token for user ${user.email}:`, error.message);
+      console.error(`[TokenRefresh] Error checking Instagram token for @${account.accountName}:`, error.message);
     }
   }
 
@@ -215,16 +211,16 @@ class TokenRefreshService {
   }
 
   /**
-   * Manually refresh Instagram token for a user
+   * Manually refresh the token of a user's active Instagram account
    */
   async refreshInstagramTokenForUser(userId) {
     try {
-      const user = await User.findById(userId);
-      if (!user || !user.instagramCredentials?.accessToken) {
+      const account = await InstagramAccount.getActiveAccount(userId);
+      if (!account?.accessToken) {
         throw new Error('User or Instagram credentials not found');
       }
 
-      await this.checkInstagramToken(user);
+      await this.checkInstagramToken(account);
       return { success: true, message: 'Token refresh initiated' };
     } catch (error) {
       console.error('[TokenRefresh] Manual Instagram refresh error:', error);
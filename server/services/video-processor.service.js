@@ -2,22 +2,35 @@ const { spawn, spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 
+// Standard (long-form) YouTube sizes, largest first; the source picks the
+// biggest one it fills so nothing is upscaled past 4K or blown up from SD
+const STANDARD_RESOLUTIONS = [
+  { width: 3840, height: 2160 },
+  { width: 2560, height: 1440 },
+  { width: 1920, height: 1080 },
+  { width: 1280, height: 720 }
+];
+
 /**
  * Video Processor Service
- * Converts videos to YouTube Shorts-compatible 9:16 vertical format
+ * Converts videos for YouTube, either as Shorts or as standard 16:9 videos
  * 
- * Requirements:
+ * Shorts requirements:
  * - Exact 1080x1920 resolution (9:16 aspect ratio)
  * - H.264 video codec (libx264)
  * - AAC audio codec
  * - No padding, borders, or blurred backgrounds
  * - Proper metadata for YouTube Shorts detection
+ *
+ * Standard videos are 16:9 from 720p up to 4K, letterboxed rather than cropped.
  */
 class VideoProcessorService {
   constructor() {
     this.targetWidth = 1080;
     this.targetHeight = 1920;
     this.targetAspectRatio = '9:16';
+    // Set by FFmpegService.setAbortSignal; aborting kills the conversion
+    this.abortSignal = null;
   }
 
   /**
@@ -121,39 +134,131 @@ class VideoProcessorService {
       console.warn('[VideoProcessor] WARNING: Video is longer than 60 seconds. YouTube may not recognize it as a Short.');
     }
 
-    return new Promise((resolve, reject) => {
-      const ffmpegArgs = [
-        '-i', inputPath,
-        
-        // Video filter: scale to cover 1080x1920, then crop to exact size
-        // force_original_aspect_ratio=increase ensures video covers entire frame
-        // crop=1080:1920 crops to exact dimensions (center crop)
-        '-vf', 'scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920',
-        
-        // Video codec: H.264 with fast preset
-        '-c:v', 'libx264',
-        '-preset', 'veryfast',
-        '-crf', '23', // Quality (18-28, lower = better quality)
-        
-        // Audio codec: AAC
-        '-c:a', 'aac',
-        '-b:a', '128k',
-        
-        // Pixel format: yuv420p (required for compatibility)
-        '-pix_fmt', 'yuv420p',
-        
-        // Move moov atom to front for fast streaming
-        '-movflags', '+faststart',
-        
-        // Overwrite output file
-        '-y',
-        
-        outputPath
-      ];
+    await this.runFFmpeg([
+      '-i', inputPath,
+      
+      // Video filter: scale to cover 1080x1920, then crop to exact size
+      // force_original_aspect_ratio=increase ensures video covers entire frame
+      // crop=1080:1920 crops to exact dimensions (center crop)
+      '-vf', 'scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920',
+      
+      // Video codec: H.264 with fast preset
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-crf', '23', // Quality (18-28, lower = better quality)
+      
+      // Audio codec: AAC
+      '-c:a', 'aac',
+      '-b:a', '128k',
+      
+      // Pixel format: yuv420p (required for compatibility)
+      '-pix_fmt', 'yuv420p',
+      
+      // Move moov atom to front for fast streaming
+      '-movflags', '+faststart',
+      
+      // Overwrite output file
+      '-y',
+      
+      outputPath
+    ], metadata.duration, onProgress);
+
+    // Validate output
+    try {
+      const outputMetadata = await this.probeVideo(outputPath);
+      console.log('[VideoProcessor] Output dimensions:', `${outputMetadata.width}x${outputMetadata.height}`);
+      console.log('[VideoProcessor] Output aspect ratio:', outputMetadata.aspectRatio);
+
+      // Verify exact dimensions
+      if (outputMetadata.width !== this.targetWidth || outputMetadata.height !== this.targetHeight) {
+        throw new Error(
+          `Output video is not exact 1080x1920. Got ${outputMetadata.width}x${outputMetadata.height}`
+        );
+      }
+
+      console.log('[VideoProcessor] ✅ Video is true 1080x1920 (9:16)');
+      return outputPath;
+    } catch (error) {
+      throw new Error(`Output validation failed: ${error.message}`);
+    }
+  }
 
+  /**
+   * Convert video to a standard (long-form) YouTube video, 16:9 up to 4K
+   *
+   * Strategy:
+   * 1. Pick the largest 16:9 size the source fills (720p minimum, 4K maximum)
+   * 2. Scale to fit inside it and letterbox/pillarbox the rest, so nothing is cropped
+   * 3. Encode with H.264 (higher quality than Shorts) + AAC at 48kHz
+   * 4. Add faststart flag for web streaming
+   *
+   * @param {string} inputPath - Input video path
+   * @param {string} outputPath - Output video path
+   * @param {Function} onProgress - Progress callback (percentage)
+   * @returns {Promise<{outputPath: string, width: number, height: number}>}
+   */
+  async convertToYouTubeStandardFormat(inputPath, outputPath, onProgress = null) {
+    console.log('[VideoProcessor] Starting standard YouTube conversion');
+    console.log('[VideoProcessor] Input:', inputPath);
+    console.log('[VideoProcessor] Output:', outputPath);
+
+    const metadata = await this.probeVideo(inputPath);
+    const { width, height } = this.getStandardResolution(metadata.width, metadata.height);
+    console.log('[VideoProcessor] Input dimensions:', `${metadata.width}x${metadata.height}`);
+    console.log('[VideoProcessor] Target dimensions:', `${width}x${height}`);
+
+    await this.runFFmpeg([
+      '-i', inputPath,
+
+      // Fit inside the 16:9 frame and pad the rest with black
+      '-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`,
+
+      // Video codec: H.264, better quality than Shorts since viewers watch full screen on large displays
+      '-c:v', 'libx264',
+      '-preset', 'medium',
+      '-crf', '20',
+      '-profile:v', 'high',
+
+      // Audio codec: AAC at YouTube's recommended sample rate
+      '-c:a', 'aac',
+      '-b:a', '192k',
+      '-ar', '48000',
+
+      '-pix_fmt', 'yuv420p',
+      '-movflags', '+faststart',
+      '-y',
+
+      outputPath
+    ], metadata.duration, onProgress);
+
+    const outputMetadata = await this.probeVideo(outputPath);
+    if (outputMetadata.width !== width || outputMetadata.height !== height) {
+      throw new Error(`Output validation failed: expected ${width}x${height}, got ${outputMetadata.width}x${outputMetadata.height}`);
+    }
+
+    console.log(`[VideoProcessor] ✅ Video is ${width}x${height} (16:9)`);
+    return { outputPath, width, height };
+  }
+
+  /**
+   * Largest standard 16:9 size that the source fills in either direction
+   */
+  getStandardResolution(sourceWidth, sourceHeight) {
+    return STANDARD_RESOLUTIONS.find(size => sourceWidth >= size.width || sourceHeight >= size.height)
+      || STANDARD_RESOLUTIONS[STANDARD_RESOLUTIONS.length - 1];
+  }
+
+  /**
+   * Run ffmpeg, reporting progress from its "time=" output
+   * @param {string[]} ffmpegArgs - Arguments for ffmpeg
+   * @param {number} duration - Input duration in seconds, for the percentage
+   * @param {Function} onProgress - Progress callback (percentage)
+   */
+  runFFmpeg(ffmpegArgs, duration, onProgress = null) {
+    return new Promise((resolve, reject) => {
       console.log('[VideoProcessor] FFmpeg command:', 'ffmpeg', ffmpegArgs.join(' '));
 
-      const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+      const ffmpeg = spawn('ffmpeg', ffmpegArgs, { signal: this.abortSignal || undefined });
 
       let stderr = '';
 
@@ -162,14 +267,14 @@ class VideoProcessorService {
         stderr += output;
         
         // Parse progress from FFmpeg output
-        if (onProgress && metadata.duration > 0) {
+        if (onProgress && duration > 0) {
           const timeMatch = output.match(/time=(\d{2}):(\d{2}):(\d{2}\.\d{2})/);
           if (timeMatch) {
             const hours = parseInt(timeMatch[1]);
             const minutes = parseInt(timeMatch[2]);
             const seconds = parseFloat(timeMatch[3]);
             const currentTime = hours * 3600 + minutes * 60 + seconds;
-            const percentage = Math.min(Math.round((currentTime / metadata.duration) * 100), 100);
+            const percentage = Math.min(Math.round((currentTime / duration) * 100), 100);
             onProgress(percentage);
           }
         }
@@ -180,7 +285,7 @@ class VideoProcessorService {
         }
       });
 
-      ffmpeg.on('close', async (code) => {
+      ffmpeg.on('close', (code) => {
         if (code !== 0) {
           console.error('[VideoProcessor] FFmpeg failed with code:', code);
           console.error('[VideoProcessor] FFmpeg stderr:', stderr);
@@ -188,25 +293,7 @@ class VideoProcessorService {
         }
 
         console.log('[VideoProcessor] Conversion completed successfully');
-
-        // Validate output
-        try {
-          const outputMetadata = await this.probeVideo(outputPath);
-          console.log('[VideoProcessor] Output dimensions:', `${outputMetadata.width}x${outputMetadata.height}`);
-          console.log('[VideoProcessor] Output aspect ratio:', outputMetadata.aspectRatio);
-
-          // Verify exact dimensions
-          if (outputMetadata.width !== this.targetWidth || outputMetadata.height !== this.targetHeight) {
-            throw new Error(
-              `Output video is not exact 1080x1920. Got ${outputMetadata.width}x${outputMetadata.height}`
-            );
-          }
-
-          console.log('[VideoProcessor] ✅ Video is true 1080x1920 (9:16)');
-          resolve(outputPath);
-        } catch (error) {
-          reject(new Error(`Output validation failed: ${error.message}`));
-        }
+        resolve();
       });
 
       ffmpeg.on('error', (error) => {
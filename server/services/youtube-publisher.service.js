@@ -3,6 +3,10 @@ const FormData = require('form-data');
 const fs = require('fs');
 const { sanitizeYouTubeTags, getTotalTagLength } = require('./youtube-tag-sanitizer.js');
 
+// Resumable upload chunks must be a multiple of 256KB
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_CHUNK_RETRIES = 5;
+
 /**
  * YouTube Publisher Service
  * Handles video uploads to YouTube using YouTube Data API v3
@@ -12,6 +16,7 @@ class YouTubePublisherService {
     this.accessToken = null;
     this.apiBaseUrl = 'https://www.googleapis.com/youtube/v3';
     this.uploadUrl = 'https://www.googleapis.com/upload/youtube/v3/videos';
+    this.thumbnailUploadUrl = 'https://www.googleapis.com/upload/youtube/v3/thumbnails/set';
   }
 
   /**
@@ -22,202 +27,142 @@ class YouTubePublisherService {
   }
 
   /**
-   * Upload video to YouTube with progress tracking
+   * Upload video to YouTube with the resumable upload protocol.
+   * Files are streamed from disk in chunks; each acknowledged chunk is reported
+   * through options.onSession, so an interrupted upload can continue from the
+   * last acknowledged byte by passing that session back in.
    * @param {Buffer|string} videoFile - Video buffer or file path
-   * @param {Object} metadata - Video metadata
+   * @param {Object} metadata - Video metadata; format 'standard' uploads a regular
+   *   video instead of a Short (no #Shorts hashtags). publishAt keeps the video
+   *   private until that time, then YouTube makes it public. Also madeForKids,
+   *   language (e.g. 'en') and license ('youtube' or 'creativeCommon').
    * @param {Function} onProgress - Progress callback (bytesUploaded, totalBytes, percentage)
    * @param {string} channelId - Optional channel ID for multi-channel accounts
+   * @param {Object} options - Resume support:
+   *   session   - { uri, offset, fileSize } saved from an earlier attempt at this file
+   *   onSession - Called with { uri, offset, fileSize } whenever the session advances,
+   *               and with null once it can no longer be resumed
+   *   signal    - AbortSignal that stops the upload
    * @returns {Promise<Object>} Upload result with video ID
    */
-  async uploadVideo(videoFile, metadata, onProgress = null, channelId = null) {
+  async uploadVideo(videoFile, metadata, onProgress = null, channelId = null, options = {}) {
     if (!this.accessToken) {
       throw new Error('YouTube access token not configured');
     }
 
+    const { onSession = null, signal = null } = options;
+
     try {
       console.log('[YouTubePublisher] Starting video upload');
       if (channelId) {
         console.log(`[YouTubePublisher] Uploading to channel: ${channelId}`);
       }
-      
-      // Prepare video metadata
-      // Sanitize tags using universal sanitizer
-      console.log('[YouTubePublisher] Original tags:', metadata.tags);
-      console.log('[YouTubePublisher] Original tag count:', metadata.tags?.length || 0);
-      
-      const sanitizedTags = sanitizeYouTubeTags(metadata.tags || []);
-      
-      console.log('[YouTubePublisher] Sanitized tags:', sanitizedTags);
-      console.log('[YouTubePublisher] Sanitized tag count:', sanitizedTags.length);
-      console.log('[YouTubePublisher] Total tag length:', getTotalTagLength(sanitizedTags), 'chars');
-      
-      // Add #Shorts hashtag to description for YouTube Shorts detection
-      let description = metadata.description || '';
-      if (!description.includes('#Shorts') && !description.includes('#shorts')) {
-        description = description + '\n\n#Shorts #ytshorts';
-      }
-      
-      const snippet = {
-        title: metadata.title || 'Untitled Video',
-        description: description,
-        tags: sanitizedTags,
-        categoryId: metadata.categoryId || '22' // People & Blogs
-      };
 
-      const status = {
-        privacyStatus: metadata.privacyStatus || 'public',
-        selfDeclaredMadeForKids: false
-      };
-
-      // Get video buffer
-      let videoBuffer;
-      if (Buffer.isBuffer(videoFile)) {
-        videoBuffer = videoFile;
-      } else if (typeof videoFile === 'string') {
-        videoBuffer = fs.readFileSync(videoFile);
-      } else {
-        throw new Error('Invalid video file format');
-      }
-
-      const totalBytes = videoBuffer.length;
+      const source = this.openSource(videoFile);
+      const totalBytes = source.size;
       console.log(`[YouTubePublisher] Video size: ${(totalBytes / 1024 / 1024).toFixed(2)}MB`);
-      console.log(`[YouTubePublisher] Video metadata:`, {
-        title: snippet.title,
-        tagsCount: snippet.tags.length,
-        tags: snippet.tags,
-        categoryId: snippet.categoryId,
-        privacyStatus: status.privacyStatus
-      });
-
-      // Step 1: Initialize resumable upload
-      console.log('[YouTubePublisher] Initializing resumable upload...');
-      
-      // Build upload URL with optional channelId
-      let initUploadUrl = `${this.uploadUrl}?uploadType=resumable&part=snippet,status`;
-      if (channelId) {
-        initUploadUrl += `&channelId=${channelId}`;
-        console.log('[YouTubePublisher] Using channelId parameter:', channelId);
-      }
-      
-      const initResponse = await axios.post(
-        initUploadUrl,
-        {
-          snippet,
-          status
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Content-Type': 'application/json',
-            'X-Upload-Content-Type': 'video/*',
-            'X-Upload-Content-Length': totalBytes
-          }
-        }
-      );
-
-      const uploadUrl = initResponse.headers.location;
-      console.log('[YouTubePublisher] Resumable upload initialized');
 
-      // Step 2: Upload video in chunks with progress tracking
-      const chunkSize = 5 * 1024 * 1024; // 5MB chunks
+      // Step 1: Resume the saved session, or start a new one
+      let uploadUrl = null;
       let uploadedBytes = 0;
 
-      // For small files, upload in one go
-      if (totalBytes <= chunkSize) {
-        console.log('[YouTubePublisher] Uploading video (single chunk)...');
-        
-        const uploadResponse = await axios.put(uploadUrl, videoBuffer, {
-          headers: {
-            'Content-Type': 'video/*',
-            'Content-Length': totalBytes,
-            'Content-Range': `bytes 0-${totalBytes - 1}/${totalBytes}`
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity
-        });
-
-        if (onProgress) {
-          onProgress(totalBytes, totalBytes, 100);
+      const saved = options.session;
+      if (saved?.uri && saved.fileSize === totalBytes) {
+        try {
+          const status = await this.queryUploadStatus(saved.uri, totalBytes, signal);
+          if (status.complete) {
+            console.log(`[YouTubePublisher] Upload had already finished: ${status.data.id}`);
+            return this.formatUploadResult(status.data);
+          }
+          uploadUrl = saved.uri;
+          uploadedBytes = status.offset;
+          console.log(`[YouTubePublisher] Resuming upload from byte ${uploadedBytes}/${totalBytes}`);
+        } catch (error) {
+          if (!this.isSessionGone(error)) throw error;
+          console.log('[YouTubePublisher] Saved upload session expired, starting over');
         }
+      }
 
-        console.log(`[YouTubePublisher] Upload complete: ${uploadResponse.data.id}`);
-
-        return {
-          success: true,
-          videoId: uploadResponse.data.id,
-          url: `https://www.youtube.com/watch?v=${uploadResponse.data.id}`,
-          title: uploadResponse.data.snippet.title,
-          publishedAt: uploadResponse.data.snippet.publishedAt,
-          apiResponse: uploadResponse.data
-        };
+      if (!uploadUrl) {
+        uploadUrl = await this.startUploadSession(metadata, totalBytes, channelId, signal);
+      }
+      if (onSession) {
+        await onSession({ uri: uploadUrl, offset: uploadedBytes, fileSize: totalBytes });
+      }
+      if (onProgress && uploadedBytes > 0) {
+        onProgress(uploadedBytes, totalBytes, Math.round((uploadedBytes / totalBytes) * 100));
       }
 
-      // For large files, upload in chunks
-      console.log('[YouTubePublisher] Uploading video in chunks...');
-      let uploadResponse;
+      // Step 2: Upload the rest in chunks, re-syncing with YouTube after failures
+      console.log('[YouTubePublisher] Uploading video...');
+      let failures = 0;
 
-      while (uploadedBytes < totalBytes) {
+      while (true) {
         const start = uploadedBytes;
-        const end = Math.min(uploadedBytes + chunkSize, totalBytes);
-        const chunk = videoBuffer.slice(start, end);
+        const end = Math.min(start + UPLOAD_CHUNK_SIZE, totalBytes);
 
         console.log(`[YouTubePublisher] Uploading chunk: ${start}-${end - 1}/${totalBytes}`);
 
+        let uploadResponse;
         try {
-          uploadResponse = await axios.put(uploadUrl, chunk, {
+          uploadResponse = await axios.put(uploadUrl, source.read(start, end), {
             headers: {
               'Content-Type': 'video/*',
-              'Content-Length': chunk.length,
+              'Content-Length': end - start,
               'Content-Range': `bytes ${start}-${end - 1}/${totalBytes}`
             },
             maxContentLength: Infinity,
             maxBodyLength: Infinity,
+            signal,
             validateStatus: (status) => status === 200 || status === 201 || status === 308
           });
-
-          uploadedBytes = end;
-          const percentage = Math.round((uploadedBytes / totalBytes) * 100);
-
-          console.log(`[YouTubePublisher] Progress: ${percentage}% (${uploadedBytes}/${totalBytes} bytes)`);
-
-          // Call progress callback
-          if (onProgress) {
-            onProgress(uploadedBytes, totalBytes, percentage);
+        } catch (error) {
+          if (this.isSessionGone(error)) {
+            if (onSession) await onSession(null);
+            throw new Error('Upload session expired; the next attempt starts over');
+          }
+          if (signal?.aborted || !this.isRetryable(error) || failures >= MAX_CHUNK_RETRIES) {
+            throw error;
           }
 
-          // If we got 200/201, upload is complete
-          if (uploadResponse.status === 200 || uploadResponse.status === 201) {
-            break;
+          failures++;
+          const delay = Math.min(1000 * 2 ** failures, 30000);
+          console.warn(`[YouTubePublisher] Chunk failed (${error.response?.status || error.code || error.message}), retrying in ${delay / 1000}s`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+
+          // Ask YouTube how much it actually received before sending more
+          const status = await this.queryUploadStatus(uploadUrl, totalBytes, signal);
+          if (status.complete) {
+            uploadResponse = { status: 200, data: status.data };
+          } else {
+            uploadedBytes = status.offset;
+            continue;
           }
+        }
 
-        } catch (error) {
-          // Handle resumable upload errors
-          if (error.response?.status === 308) {
-            // Resume incomplete - continue
-            const range = error.response.headers['range'];
-            if (range) {
-              const match = range.match(/bytes=0-(\d+)/);
-              if (match) {
-                uploadedBytes = parseInt(match[1]) + 1;
-                console.log(`[YouTubePublisher] Resuming from byte ${uploadedBytes}`);
-                continue;
-              }
-            }
+        // If we got 200/201, upload is complete
+        if (uploadResponse.status === 200 || uploadResponse.status === 201) {
+          if (onProgress) {
+            onProgress(totalBytes, totalBytes, 100);
           }
-          throw error;
+          console.log(`[YouTubePublisher] Upload complete: ${uploadResponse.data.id}`);
+          return this.formatUploadResult(uploadResponse.data);
         }
-      }
 
-      console.log(`[YouTubePublisher] Upload complete: ${uploadResponse.data.id}`);
+        // 308: YouTube says which bytes it has, which may be fewer than we sent
+        uploadedBytes = this.parseUploadedBytes(uploadResponse.headers.range);
+        failures = 0;
 
-      return {
-        success: true,
-        videoId: uploadResponse.data.id,
-        url: `https://www.youtube.com/watch?v=${uploadResponse.data.id}`,
-        title: uploadResponse.data.snippet.title,
-        publishedAt: uploadResponse.data.snippet.publishedAt,
-        apiResponse: uploadResponse.data
-      };
+        const percentage = Math.round((uploadedBytes / totalBytes) * 100);
+        console.log(`[YouTubePublisher] Progress: ${percentage}% (${uploadedBytes}/${totalBytes} bytes)`);
+
+        if (onSession) {
+          await onSession({ uri: uploadUrl, offset: uploadedBytes, fileSize: totalBytes });
+        }
+        if (onProgress) {
+          onProgress(uploadedBytes, totalBytes, percentage);
+        }
+      }
 
     } catch (error) {
       console.error('[YouTubePublisher] Upload error:', error.response?.data || error.message);
@@ -237,6 +182,190 @@ class YouTubePublisherService {
     }
   }
 
+  /**
+   * Wrap a buffer or file path so chunks can be read without loading a whole file
+   * @returns {{size: number, read: function(number, number): (Buffer|ReadStream)}}
+   */
+  openSource(videoFile) {
+    if (Buffer.isBuffer(videoFile)) {
+      return { size: videoFile.length, read: (start, end) => videoFile.subarray(start, end) };
+    }
+    if (typeof videoFile === 'string') {
+      return {
+        size: fs.statSync(videoFile).size,
+        read: (start, end) => fs.createReadStream(videoFile, { start, end: end - 1 })
+      };
+    }
+    throw new Error('Invalid video file format');
+  }
+
+  /**
+   * Step 1 of a resumable upload: send the metadata, get the session URI
+   */
+  async startUploadSession(metadata, totalBytes, channelId, signal) {
+    // Prepare video metadata
+    // Sanitize tags using universal sanitizer
+    console.log('[YouTubePublisher] Original tags:', metadata.tags);
+    console.log('[YouTubePublisher] Original tag count:', metadata.tags?.length || 0);
+    
+    const sanitizedTags = sanitizeYouTubeTags(metadata.tags || []);
+    
+    console.log('[YouTubePublisher] Sanitized tags:', sanitizedTags);
+    console.log('[YouTubePublisher] Sanitized tag count:', sanitizedTags.length);
+    console.log('[YouTubePublisher] Total tag length:', getTotalTagLength(sanitizedTags), 'chars');
+    
+    // Add #Shorts hashtag to description for YouTube Shorts detection
+    // (standard videos would otherwise be tagged as Shorts too)
+    let description = metadata.description || '';
+    const isShorts = (metadata.format || 'shorts') === 'shorts';
+    if (isShorts && !description.includes('#Shorts') && !description.includes('#shorts')) {
+      description = description + '\n\n#Shorts #ytshorts';
+    }
+    
+    const snippet = {
+      title: metadata.title || 'Untitled Video',
+      description: description,
+      tags: sanitizedTags,
+      categoryId: metadata.categoryId || '22' // People & Blogs
+    };
+    if (metadata.language) {
+      snippet.defaultLanguage = metadata.language;
+      snippet.defaultAudioLanguage = metadata.language;
+    }
+
+    const status = {
+      privacyStatus: metadata.privacyStatus || 'public',
+      selfDeclaredMadeForKids: !!metadata.madeForKids,
+      license: metadata.license || 'youtube'
+    };
+    // Scheduled videos must be private until YouTube publishes them
+    if (metadata.publishAt) {
+      status.privacyStatus = 'private';
+      status.publishAt = new Date(metadata.publishAt).toISOString();
+    }
+
+    console.log(`[YouTubePublisher] Video metadata:`, {
+      title: snippet.title,
+      tagsCount: snippet.tags.length,
+      tags: snippet.tags,
+      categoryId: snippet.categoryId,
+      privacyStatus: status.privacyStatus,
+      publishAt: status.publishAt,
+      format: isShorts ? 'shorts' : 'standard'
+    });
+
+    console.log('[YouTubePublisher] Initializing resumable upload...');
+    
+    // Build upload URL with optional channelId
+    let initUploadUrl = `${this.uploadUrl}?uploadType=resumable&part=snippet,status`;
+    if (channelId) {
+      initUploadUrl += `&channelId=${channelId}`;
+      console.log('[YouTubePublisher] Using channelId parameter:', channelId);
+    }
+    
+    const initResponse = await axios.post(
+      initUploadUrl,
+      {
+        snippet,
+        status
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json',
+          'X-Upload-Content-Type': 'video/*',
+          'X-Upload-Content-Length': totalBytes
+        },
+        signal
+      }
+    );
+
+    console.log('[YouTubePublisher] Resumable upload initialized');
+    return initResponse.headers.location;
+  }
+
+  /**
+   * Ask an upload session how many bytes it has received
+   * @returns {Promise<{complete: boolean, offset?: number, data?: Object}>}
+   */
+  async queryUploadStatus(uploadUrl, totalBytes, signal) {
+    const response = await axios.put(uploadUrl, null, {
+      headers: {
+        'Content-Length': 0,
+        'Content-Range': `bytes */${totalBytes}`
+      },
+      signal,
+      validateStatus: (status) => status === 200 || status === 201 || status === 308
+    });
+
+    if (response.status === 308) {
+      return { complete: false, offset: this.parseUploadedBytes(response.headers.range) };
+    }
+    return { complete: true, data: response.data };
+  }
+
+  /**
+   * Next byte to send, from a 308 response's Range header ("bytes=0-1234");
+   * no header means nothing was received yet
+   */
+  parseUploadedBytes(range) {
+    const match = range?.match(/bytes=0-(\d+)/);
+    return match ? parseInt(match[1], 10) + 1 : 0;
+  }
+
+  /** The session URI no longer exists (expired or already cancelled) */
+  isSessionGone(error) {
+    return error.response?.status === 404 || error.response?.status === 410;
+  }
+
+  /** Network errors and server-side failures are worth retrying */
+  isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status >= 500 || status === 429;
+  }
+
+  formatUploadResult(data) {
+    return {
+      success: true,
+      videoId: data.id,
+      url: `https://www.youtube.com/watch?v=${data.id}`,
+      title: data.snippet?.title,
+      publishedAt: data.snippet?.publishedAt,
+      apiResponse: data
+    };
+  }
+
+  /**
+   * Set a video's custom thumbnail (JPEG, under 2MB; the channel must be
+   * verified for custom thumbnails)
+   * @param {string} videoId - Uploaded video
+   * @param {string} imagePath - Thumbnail image file
+   */
+  async setThumbnail(videoId, imagePath) {
+    if (!this.accessToken) {
+      throw new Error('YouTube access token not configured');
+    }
+
+    try {
+      const image = fs.readFileSync(imagePath);
+      const response = await axios.post(this.thumbnailUploadUrl, image, {
+        params: { videoId, uploadType: 'media' },
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'image/jpeg',
+          'Content-Length': image.length
+        },
+        maxBodyLength: Infinity
+      });
+
+      console.log(`[YouTubePublisher] Thumbnail set for video ${videoId}`);
+      return response.data;
+    } catch (error) {
+      console.error('[YouTubePublisher] Set thumbnail error:', error.response?.data || error.message);
+      throw new Error(`Thumbnail upload failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
   /**
    * Get video details
    */
@@ -260,7 +389,8 @@ class YouTubePublisherService {
   }
 
   /**
-   * Update video metadata
+   * Update video metadata. Each part sent ({ snippet }, { status }) replaces
+   * the video's current one, so send them complete.
    */
   async updateVideo(videoId, updates) {
     try {
@@ -271,7 +401,7 @@ class YouTubePublisherService {
           ...updates
         },
         {
-          params: { part: 'snippet,status' },
+          params: { part: Object.keys(updates).join(',') },
           headers: {
             'Authorization': `Bearer ${this.accessToken}`,
             'Content-Type': 'application/json'
@@ -286,6 +416,27 @@ class YouTubePublisherService {
     }
   }
 
+  /**
+   * Change a video's title, description and/or tags, keeping the rest of its snippet
+   * @param {Object} changes - { title, description, tags }
+   * @returns {Promise<Object>} The updated snippet
+   */
+  async updateVideoMetadata(videoId, changes) {
+    const video = await this.getVideoDetails(videoId);
+    if (!video) {
+      throw new Error('Video not found on YouTube');
+    }
+
+    const { title, description, tags, categoryId, defaultLanguage, defaultAudioLanguage } = video.snippet;
+    const snippet = { title, description, tags, categoryId, defaultLanguage, defaultAudioLanguage };
+    if (changes.title !== undefined) snippet.title = changes.title;
+    if (changes.description !== undefined) snippet.description = changes.description;
+    if (changes.tags !== undefined) snippet.tags = sanitizeYouTubeTags(changes.tags);
+
+    const updated = await this.updateVideo(videoId, { snippet });
+    return updated.snippet;
+  }
+
   /**
    * Delete video
    */
@@ -305,6 +456,124 @@ class YouTubePublisherService {
     }
   }
 
+  /**
+   * List the playlists of the authorized channel (up to 50)
+   */
+  async listPlaylists() {
+    try {
+      const response = await axios.get(`${this.apiBaseUrl}/playlists`, {
+        params: {
+          part: 'snippet,status,contentDetails',
+          mine: true,
+          maxResults: 50
+        },
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      });
+
+      return response.data.items.map(playlist => ({
+        id: playlist.id,
+        title: playlist.snippet.title,
+        description: playlist.snippet.description,
+        privacyStatus: playlist.status?.privacyStatus,
+        itemCount: playlist.contentDetails?.itemCount
+      }));
+    } catch (error) {
+      console.error('[YouTubePublisher] List playlists error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a playlist on the authorized channel
+   * @param {Object} playlist - { title, description, privacyStatus }
+   */
+  async createPlaylist({ title, description = '', privacyStatus = 'public' }) {
+    try {
+      const response = await axios.post(
+        `${this.apiBaseUrl}/playlists`,
+        {
+          snippet: { title, description },
+          status: { privacyStatus }
+        },
+        {
+          params: { part: 'snippet,status' },
+          headers: {
+            'Authorization': `Bearer ${this.accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return {
+        id: response.data.id,
+        title: response.data.snippet.title,
+        description: response.data.snippet.description,
+        privacyStatus: response.data.status.privacyStatus,
+        itemCount: 0
+      };
+    } catch (error) {
+      console.error('[YouTubePublisher] Create playlist error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a video to the end of a playlist
+   * @returns {Promise<string>} The playlist item ID
+   */
+  async addToPlaylist(playlistId, videoId) {
+    try {
+      const response = await axios.post(
+        `${this.apiBaseUrl}/playlistItems`,
+        {
+          snippet: {
+            playlistId,
+            resourceId: { kind: 'youtube#video', videoId }
+          }
+        },
+        {
+          params: { part: 'snippet' },
+          headers: {
+            'Authorization': `Bearer ${this.accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log(`[YouTubePublisher] Added video ${videoId} to playlist ${playlistId}`);
+      return response.data.id;
+    } catch (error) {
+      console.error('[YouTubePublisher] Add to playlist error:', error.response?.data || error.message);
+      throw new Error(`Adding to playlist failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Make sure the access token can publish to a channel
+   * @throws {Error} When the channel isn't one of the token's channels
+   */
+  async verifyChannelAccess(channelId) {
+    let channelIds;
+    try {
+      const response = await axios.get(`${this.apiBaseUrl}/channels`, {
+        params: { part: 'id', mine: true, maxResults: 50 },
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      });
+      channelIds = (response.data.items || []).map(channel => channel.id);
+    } catch (error) {
+      console.error('[YouTubePublisher] Verify channel error:', error.response?.data || error.message);
+      throw new Error(`Could not check access to the YouTube channel: ${error.response?.data?.error?.message || error.message}`);
+    }
+
+    if (!channelIds.includes(channelId)) {
+      throw new Error(`The connected YouTube account has no access to channel ${channelId}. Reconnect YouTube with that channel or pick another one.`);
+    }
+  }
+
   /**
    * Get channel info
    */
@@ -0,0 +1,109 @@
+/**
+ * Automation Reply Budget Tests
+ * Polling cycles of AutomationWorkflow against stub Instagram, AI and storage services
+ *
+ * Run with: node server/tests/automation-reply-budget.test.js
+ */
+
+const AutomationWorkflow = require('../services/automation-workflow.service');
+const CommentRuleService = require('../services/comment-rule.service');
+const { assert, assertEqual, runTests } = require('./harness');
+
+// No rules configured (loadRules would need the database)
+CommentRuleService.loadRules = async () => [];
+
+/**
+ * Build a polling workflow whose only post currently has `comments`
+ * @returns {{ workflow: AutomationWorkflow, replies: Array, post: Object }}
+ */
+function setup(config = {}) {
+  const post = { id: 'post_1', caption: 'New drop', type: 'IMAGE', comments: [] };
+  const processed = new Map();
+  const replies = [];
+
+  const instagramService = {
+    instagramAccountId: 'ig_1',
+    getAccountInfo: async () => ({ username: 'brand_account' }),
+    getAccountPosts: async () => [{ ...post, commentCount: post.comments.length }],
+    getRecentComments: async () => post.comments.map(comment => ({ ...comment })),
+    replyToCommentSmart: async (commentId, reply) => {
+      replies.push({ commentId, reply });
+      return { type: 'public', data: { id: `reply_${commentId}` } };
+    }
+  };
+
+  const aiReplyService = {
+    generateReplyCandidates: async (text) => ({ replies: [`Thanks for "${text}"!`], provider: 'stub', model: 'stub-1' })
+  };
+
+  const storageService = {
+    userId: 'user_1',
+    accountId: 'ig_1',
+    isCommentProcessed: async (commentId) => processed.has(commentId),
+    markCommentProcessed: async (commentId, data) => { processed.set(commentId, data); },
+    appendLog: async () => {},
+    saveAutomationState: async () => {},
+    loadAutomationState: async () => null
+  };
+
+  const workflow = new AutomationWorkflow(instagramService, aiReplyService, storageService, {
+    triggerMode: 'polling',
+    maxCommentsPerCheck: 10,
+    pollIntervalSeconds: 60,
+    ...config
+  });
+
+  return { workflow, replies, post };
+}
+
+const comments = (count, offset = 0) => Array.from({ length: count }, (_, i) => ({
+  id: `c${offset + i}`,
+  postId: 'post_1',
+  username: `fan_${offset + i}`,
+  text: `Love it ${offset + i}`,
+  timestamp: new Date().toISOString()
+}));
+
+// Keep the workflow's own progress logging out of the test output
+const log = console.log;
+async function quietly(fn) {
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+runTests('Automation Reply Budget Tests', 'Polled comments are charged one reply slot each.', async () => {
+  // Test 1: Every polled comment within the limit gets a reply
+  console.log('Test 1: Every polled comment within the limit gets a reply');
+  let { workflow, replies, post } = setup();
+  post.comments = comments(5);
+  await quietly(() => workflow.executeWorkflowCycle());
+  assertEqual(replies.map(({ commentId }) => commentId), ['c0', 'c1', 'c2', 'c3', 'c4'], 'Should reply to all 5 comments once');
+  assertEqual(workflow.replyWindow.count, 5, 'Should charge one slot per comment');
+  assertEqual(workflow.state.stats.commentsDetected, 5, 'Should count each comment as detected once');
+
+  // Test 2: Later cycles in the same window use what is left
+  console.log('\nTest 2: Later cycles in the same window use what is left');
+  post.comments.push(...comments(7, 5));
+  await quietly(() => workflow.executeWorkflowCycle());
+  assertEqual(replies.length, 10, 'Should stop at maxCommentsPerCheck replies per interval');
+  assertEqual(workflow.takeReplySlots(1), 0, 'Should have no slots left in this window');
+
+  // Test 3: The next window picks up the rest
+  console.log('\nTest 3: The next window picks up the rest');
+  workflow.replyWindow.start -= workflow.pollIntervalSeconds * 1000;
+  await quietly(() => workflow.executeWorkflowCycle());
+  assertEqual(replies.slice(10).map(({ commentId }) => commentId), ['c10', 'c11'], 'Should reply to the held-back comments');
+  assertEqual(new Set(replies.map(({ commentId }) => commentId)).size, replies.length, 'Should never reply to a comment twice');
+
+  // Test 4: A small limit is not drained by re-polling
+  console.log('\nTest 4: A small limit is not drained by re-polling');
+  ({ workflow, replies, post } = setup({ maxCommentsPerCheck: 3 }));
+  post.comments = comments(3);
+  await quietly(() => workflow.executeWorkflowCycle());
+  assertEqual(replies.length, 3, 'Should reply to as many comments as the limit allows');
+  assertEqual(workflow.replyWindow.count, 3, 'Should have used exactly the limit');
+});
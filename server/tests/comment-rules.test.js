@@ -0,0 +1,144 @@
+/**
+ * Comment Rule Engine Tests
+ *
+ * Run with: node server/tests/comment-rules.test.js
+ */
+
+const CommentRule = require('../models/comment-rule.model');
+const CommentRuleService = require('../services/comment-rule.service.js');
+const { assert, assertEqual, runTests } = require('./harness');
+
+// Rules as CommentRule.getUserRules returns them (lean documents)
+function rule(name, priority, conditions = {}, action = { type: 'ai_reply' }, enabled = true) {
+  return { _id: name, name, priority, enabled, conditions, action };
+}
+
+// Evaluation order used by CommentRule.getUserRules
+const byPriority = (rules) => [...rules].sort((a, b) => a.priority - b.priority);
+
+const comment = (text, extra = {}) => ({ text, username: 'fan_account', postId: 'post_1', ...extra });
+
+runTests('Comment Rule Engine Tests', 'Comment rules are evaluated correctly.', async () => {
+  // Test 1: Keywords match case-insensitively
+  console.log('Test 1: Keywords match case-insensitively');
+  const keywordRule = rule('price', 10, { keywords: ['price', 'how much'] });
+  assert(CommentRuleService.matchRule(keywordRule, comment('What is the PRICE?')).matched, 'Should match an uppercase keyword');
+  assert(CommentRuleService.matchRule(keywordRule, comment('How much is shipping')).matched, 'Should match a phrase keyword');
+  assertEqual(
+    CommentRuleService.matchRule(keywordRule, comment('Love this')),
+    { matched: false, failedCondition: 'keywords' },
+    'Should report the keyword condition when no keyword is present'
+  );
+
+  // Test 2: Regular expressions
+  console.log('\nTest 2: Regular expressions');
+  const regexRule = rule('order', 10, { regex: '^order\\s*#?\\d+' });
+  assert(CommentRuleService.matchRule(regexRule, comment('Order #1234 has not arrived')).matched, 'Should match the regex case-insensitively');
+  assertEqual(
+    CommentRuleService.matchRule(regexRule, comment('Where is my order?')).failedCondition,
+    'regex',
+    'Should fail the regex condition'
+  );
+  assertEqual(
+    CommentRuleService.matchRule(rule('broken', 10, { regex: '(' }), comment('(')).failedCondition,
+    'regex',
+    'Should treat an invalid regex as not matching'
+  );
+
+  // Test 3: Post and username conditions
+  console.log('\nTest 3: Post and username conditions');
+  assertEqual(
+    CommentRuleService.matchRule(rule('post', 10, { postIds: ['post_2'] }), comment('hi')).failedCondition,
+    'postIds',
+    'Should only match comments on the listed posts'
+  );
+  assert(
+    CommentRuleService.matchRule(rule('allow', 10, { usernameAllow: ['fan_account'] }), comment('hi', { username: '@Fan_Account' })).matched,
+    'Should match allowed usernames regardless of @ and case'
+  );
+  assertEqual(
+    CommentRuleService.matchRule(rule('deny', 10, { usernameDeny: ['fan_account'] }), comment('hi')).failedCondition,
+    'usernameDeny',
+    'Should never match denied usernames'
+  );
+
+  // Test 4: Emoji-only and minimum length
+  console.log('\nTest 4: Emoji-only and minimum length');
+  const emojiRule = rule('emoji', 10, { emojiOnly: true });
+  assert(CommentRuleService.matchRule(emojiRule, comment('🔥🔥 👏🏽')).matched, 'Should match emoji-only comments (with modifiers and spaces)');
+  assertEqual(CommentRuleService.matchRule(emojiRule, comment('nice 🔥')).failedCondition, 'emojiOnly', 'Should not match text with emojis');
+  assertEqual(CommentRuleService.matchRule(rule('long', 10, { minLength: 5 }), comment(' ok  ')).failedCondition, 'minLength', 'Should ignore surrounding whitespace for minLength');
+
+  // Test 5: Every condition must match
+  console.log('\nTest 5: Every condition must match');
+  const combinedRule = rule('combined', 10, { keywords: ['link'], postIds: ['post_1'], minLength: 4 });
+  assert(CommentRuleService.matchRule(combinedRule, comment('link please')).matched, 'Should match when all conditions hold');
+  assertEqual(CommentRuleService.matchRule(combinedRule, comment('link please', { postId: 'post_9' })).failedCondition, 'postIds', 'Should fail when one condition does not hold');
+
+  // Test 6: Lowest priority wins
+  console.log('\nTest 6: Lowest priority wins');
+  const rules = byPriority([
+    rule('generic question', 30, { keywords: ['?'] }, { type: 'ai_reply', persona: 'helpful' }),
+    rule('pricing', 20, { keywords: ['price'] }, { type: 'template', template: 'Hi {username}, check the link in bio!' }),
+    rule('spam', 10, { keywords: ['follow me'] }, { type: 'hide' })
+  ]);
+  assertEqual(CommentRuleService.evaluate(rules, comment('What is the price?')).rule.name, 'pricing', 'Should pick the matching rule with the lowest priority');
+  assertEqual(CommentRuleService.evaluate(rules, comment('Follow me for the price?')).rule.name, 'spam', 'Should stop at the first matching rule');
+  assertEqual(CommentRuleService.evaluate(rules, comment('Where is this?')).rule.name, 'generic question', 'Should fall through to later rules');
+  assertEqual(CommentRuleService.evaluate(rules, comment('Love it')).rule, null, 'Should return no rule when nothing matches');
+
+  // Test 7: Disabled rules are skipped and reported
+  console.log('\nTest 7: Disabled rules are skipped and reported');
+  const withDisabled = byPriority([
+    rule('off', 10, { keywords: ['price'] }, { type: 'skip' }, false),
+    rule('on', 20, { keywords: ['price'] })
+  ]);
+  const { rule: matched, evaluations } = CommentRuleService.evaluate(withDisabled, comment('price?'));
+  assertEqual(matched.name, 'on', 'Should skip disabled rules');
+  assertEqual(
+    evaluations.map(({ name, matched: didMatch, failedCondition }) => ({ name, matched: didMatch, failedCondition })),
+    [
+      { name: 'off', matched: false, failedCondition: 'disabled' },
+      { name: 'on', matched: true, failedCondition: null }
+    ],
+    'Should list every evaluated rule up to the match'
+  );
+
+  // Test 8: Templates and match summaries
+  console.log('\nTest 8: Templates and match summaries');
+  assertEqual(
+    CommentRuleService.renderTemplate('Thanks {username}! You said: {comment}', comment('great stuff')),
+    'Thanks @fan_account! You said: great stuff',
+    'Should fill {username} and {comment}'
+  );
+  assertEqual(
+    CommentRuleService.describeMatch(rules[1]),
+    { ruleId: 'pricing', ruleName: 'pricing', action: 'template', template: 'Hi {username}, check the link in bio!', persona: null },
+    'Should summarize the matched rule'
+  );
+
+  // Test 9: Regexes that can backtrack catastrophically are refused
+  console.log('\nTest 9: Regexes that can backtrack catastrophically are refused');
+  ['(a+)+$', '(\\w*\\s?)*x', '((ab+)c)*', '(a{2,})+'].forEach(pattern => {
+    assert(CommentRule.regexProblem(pattern), `Should refuse ${pattern}`);
+  });
+  ['^order\\s*#?\\d+', '(?:price|cost)+', '(a+)?b', '[(+)]+', '\\(a+\\)+'].forEach(pattern => {
+    assertEqual(CommentRule.regexProblem(pattern), null, `Should accept ${pattern}`);
+  });
+  assert(CommentRule.regexProblem('a'.repeat(201)), 'Should refuse overly long patterns');
+  const unsafe = new CommentRule({
+    userId: '507f1f77bcf86cd799439011',
+    name: 'unsafe',
+    conditions: { regex: '(a+)+$' },
+    action: { type: 'skip' }
+  });
+  const validationError = await unsafe.validate().catch(error => error);
+  assert(validationError?.errors?.['conditions.regex'], 'Should fail validation when saving the rule');
+  const started = Date.now();
+  assertEqual(
+    CommentRuleService.matchRule(rule('redos', 10, { regex: '(a+)+$' }), comment('a'.repeat(40) + '!')).failedCondition,
+    'regex',
+    'Should not run a refused pattern stored before validation'
+  );
+  assert(Date.now() - started < 100, 'Should return immediately');
+});
@@ -0,0 +1,145 @@
+/**
+ * DM Funnel Tests
+ * Keyword matching, message building and once-per-commenter delivery of
+ * comment-to-DM funnels against in-memory collections (no database needed)
+ *
+ * Run with: node server/tests/dm-funnel.test.js
+ */
+
+const mongoose = require('mongoose');
+const DmFunnel = require('../models/dm-funnel.model');
+const FunnelDelivery = require('../models/funnel-delivery.model');
+const DmFunnelService = require('../services/dm-funnel.service');
+const { useMemoryModel } = require('./memory-model');
+const { assert, assertEqual, runTests } = require('./harness');
+
+const userId = new mongoose.Types.ObjectId();
+
+const baseFunnel = {
+  userId,
+  accountId: 'ig_1',
+  name: 'Guide',
+  keywords: ['link', 'guide'],
+  postIds: [],
+  publicReply: 'Sent you a DM {username}!',
+  dmMessage: 'Hey {username}, here is the guide',
+  link: 'https://example.com/guide'
+};
+
+/**
+ * Instagram client that records what it sent
+ * @param {Object} failures - { private: Error, direct: Error } to throw
+ */
+function instagram(failures = {}) {
+  const sent = [];
+  return {
+    sent,
+    replyToComment: async (commentId, text) => {
+      sent.push({ type: 'public', commentId, text });
+      return { data: { id: `reply_${commentId}` } };
+    },
+    sendPrivateReply: async (commentId, text) => {
+      if (failures.private) throw failures.private;
+      sent.push({ type: 'private', commentId, text });
+    },
+    sendDirectMessage: async (recipientId, text) => {
+      if (failures.direct) throw failures.direct;
+      sent.push({ type: 'direct', recipientId, text });
+    }
+  };
+}
+
+const comment = (id, extra = {}) => ({ id, postId: 'post_1', username: 'Fan_Account', text: 'LINK please', ...extra });
+
+runTests('DM Funnel Tests', 'Funnels message each commenter once.', async () => {
+  // Test 1: Keywords match whole words, case-insensitively
+  console.log('Test 1: Keywords match whole words, case-insensitively');
+  assert(DmFunnelService.matchesKeyword(baseFunnel, 'Send me the LINK!'), 'Should match a keyword in any case');
+  assert(DmFunnelService.matchesKeyword(baseFunnel, '#guide'), 'Should match next to punctuation');
+  assert(!DmFunnelService.matchesKeyword(baseFunnel, 'I linked it'), 'Should not match inside another word');
+  assert(!DmFunnelService.matchesKeyword({ ...baseFunnel, keywords: ['c++'] }, 'c'), 'Should treat keywords literally');
+
+  // Test 2: The first enabled funnel on the comment's post wins
+  console.log('\nTest 2: The first enabled funnel on the comment\'s post wins');
+  const funnels = [
+    { ...baseFunnel, name: 'Off', enabled: false },
+    { ...baseFunnel, name: 'Other post', postIds: ['post_2'] },
+    { ...baseFunnel, name: 'Guide' },
+    { ...baseFunnel, name: 'Later' }
+  ];
+  assertEqual(DmFunnelService.matchFunnel(funnels, comment('c1')).name, 'Guide', 'Should skip disabled funnels and other posts');
+  assertEqual(DmFunnelService.matchFunnel(funnels, comment('c1', { text: 'Nice' })), null, 'Should return null without a keyword');
+
+  // Test 3: Messages fill placeholders and carry the link
+  console.log('\nTest 3: Messages fill placeholders and carry the link');
+  assertEqual(
+    DmFunnelService.buildMessage(baseFunnel, comment('c1')),
+    'Hey @Fan_Account, here is the guide\nhttps://example.com/guide',
+    'Should append the link when the template does not place it'
+  );
+  assertEqual(
+    DmFunnelService.buildMessage({ ...baseFunnel, dmMessage: 'Here: {link} ✨' }, comment('c1')),
+    'Here: https://example.com/guide ✨',
+    'Should put the link where {link} is'
+  );
+
+  // Test 4: A matching comment gets the acknowledgement and the DM
+  console.log('\nTest 4: A matching comment gets the acknowledgement and the DM');
+  let funnelStore = useMemoryModel(DmFunnel, [baseFunnel]);
+  let deliveryStore = useMemoryModel(FunnelDelivery);
+  let [funnel] = await DmFunnelService.loadFunnels(userId, 'ig_1');
+  let client = instagram();
+  let result = await DmFunnelService.run(funnel, comment('c1'), client);
+  assertEqual(result.status, 'sent', 'Should report the DM as sent');
+  assertEqual(client.sent.map(({ type }) => type), ['public', 'private'], 'Should reply publicly, then privately');
+  assertEqual(deliveryStore.docs[0].recipient, 'fan_account', 'Should record the lowercased commenter');
+  assertEqual(deliveryStore.docs[0].publicReplyId, 'reply_c1', 'Should record the public reply ID');
+  assertEqual(funnelStore.docs[0].stats.triggered, 1, 'Should count the trigger');
+  assertEqual(funnelStore.docs[0].stats.dmSent, 1, 'Should count the DM');
+
+  // Test 5: Each commenter is messaged once per funnel
+  console.log('\nTest 5: Each commenter is messaged once per funnel');
+  result = await DmFunnelService.run(funnel, comment('c2', { username: 'fan_account' }), client);
+  assertEqual(result.status, 'duplicate', 'Should skip a commenter who already got the DM');
+  assertEqual(client.sent.length, 2, 'Should not send anything');
+  deliveryStore = useMemoryModel(FunnelDelivery);
+  client = instagram();
+  const results = await Promise.all([
+    DmFunnelService.run(funnel, comment('c3'), client),
+    DmFunnelService.run(funnel, comment('c4'), client)
+  ]);
+  assertEqual(results.map(({ status }) => status).sort(), ['duplicate', 'sent'], 'Should send once when two comments arrive together');
+  assertEqual(client.sent.filter(({ type }) => type === 'private').length, 1, 'Should send a single DM');
+
+  // Test 6: A failed private reply falls back to a direct message
+  console.log('\nTest 6: A failed private reply falls back to a direct message');
+  funnelStore = useMemoryModel(DmFunnel, [{ ...baseFunnel, publicReply: null }]);
+  deliveryStore = useMemoryModel(FunnelDelivery);
+  [funnel] = await DmFunnelService.loadFunnels(userId, 'ig_1');
+  client = instagram({ private: new Error('Comment too old') });
+  result = await DmFunnelService.run(funnel, comment('c5', { fromId: 'igsid_1' }), client);
+  assertEqual(result.status, 'sent', 'Should send the DM another way');
+  assertEqual(client.sent, [{ type: 'direct', recipientId: 'igsid_1', text: result.message }], 'Should message the commenter directly');
+
+  // Test 7: A failed DM is recorded and can be retried from a new comment
+  console.log('\nTest 7: A failed DM is recorded and can be retried from a new comment');
+  client = instagram({ private: new Error('Comment too old') });
+  result = await DmFunnelService.run(funnel, comment('c6', { username: 'someone_else' }), client);
+  assertEqual(result.status, 'failed', 'Should fail without a way to message the commenter');
+  const failed = deliveryStore.docs.find(delivery => delivery.recipient === 'someone_else');
+  assertEqual(failed.status, 'failed', 'Should record the failure');
+  assertEqual(failed.error, 'Comment too old', 'Should keep the error');
+  assertEqual(funnelStore.docs[0].stats.failed, 1, 'Should count the failure');
+  result = await DmFunnelService.run(funnel, comment('c7', { username: 'someone_else' }), instagram());
+  assertEqual(result.status, 'sent', 'Should retry the commenter from a new comment');
+  assertEqual(deliveryStore.docs.filter(delivery => delivery.recipient === 'someone_else').length, 1, 'Should reuse the delivery');
+
+  // Test 8: Only enabled funnels of the account are loaded
+  console.log('\nTest 8: Only enabled funnels of the account are loaded');
+  useMemoryModel(DmFunnel, [
+    baseFunnel,
+    { ...baseFunnel, name: 'Paused', enabled: false },
+    { ...baseFunnel, name: 'Second account', accountId: 'ig_2' }
+  ]);
+  assertEqual((await DmFunnelService.loadFunnels(userId, 'ig_1')).map(({ name }) => name), ['Guide'], 'Should load the enabled funnel of that account');
+});
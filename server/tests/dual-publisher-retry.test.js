@@ -0,0 +1,138 @@
+/**
+ * Dual Publisher Retry Tests
+ * Retrying the failed platform of a dual publish job against an in-memory
+ * PublishJob collection, with the platform publishers stubbed (no database needed)
+ *
+ * Run with: node server/tests/dual-publisher-retry.test.js
+ */
+
+// The publishers load the encryption service; nothing is encrypted here
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const path = require('path');
+const mongoose = require('mongoose');
+const PublishJob = require('../models/publish-job.model');
+const DualPublisherService = require('../services/dual-publisher.service');
+const mediaStorageService = require('../services/media-storage.service');
+const { useMemoryModel } = require('./memory-model');
+const { assert, assertEqual, runTests } = require('./harness');
+
+const userId = new mongoose.Types.ObjectId();
+const inAWeek = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+const removedMedia = [];
+mediaStorageService.remove = async (media) => { removedMedia.push(media.url); };
+
+const job = (extra = {}) => ({
+  userId,
+  accountId: 'ig_1',
+  jobId: 'job_1',
+  videoFilename: 'upload.mp4',
+  contextText: 'Studio tour',
+  status: 'partial',
+  platformPayloads: {
+    instagram: { caption: 'Studio tour #behindthescenes' },
+    youtube: { title: 'Studio tour', description: 'A look around', tags: ['studio'] }
+  },
+  assets: { instagram: 'reel.mp4', thumbnail: 'cover.jpg' },
+  retainedUntil: inAWeek(),
+  platforms: {
+    instagram: { status: 'failed', error: 'Media upload timed out' },
+    youtube: { status: 'completed', videoId: 'yt_1' }
+  },
+  ...extra
+});
+
+/**
+ * Publisher whose platforms succeed unless told otherwise
+ * @param {Object} failures - Platform name to the error it fails with
+ */
+function publisher(failures = {}) {
+  const service = new DualPublisherService(null);
+  const calls = [];
+  const cleaned = [];
+  const emitted = [];
+
+  const publish = (platform) => async (jobId, media) => {
+    calls.push({ platform, media });
+    // Give a concurrent retry the chance to run while the publish is in flight
+    await new Promise(resolve => setImmediate(resolve));
+    const status = failures[platform] ? { status: 'failed', error: failures[platform] } : { status: 'completed' };
+    await PublishJob.updateOne({ jobId }, { $set: { [`platforms.${platform}.status`]: status.status, [`platforms.${platform}.error`]: status.error } });
+  };
+  service.publishInstagram = publish('instagram');
+  service.publishYouTube = publish('youtube');
+  service.publishFacebook = publish('facebook');
+  service.ffmpegService = { cleanup: async (files) => { cleaned.push(...files.map(file => path.basename(file))); } };
+  service.io = { to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) };
+
+  return { service, calls, cleaned, emitted };
+}
+
+runTests('Dual Publisher Retry Tests', 'Failed platforms are retried once, with their retained files.', async () => {
+  // Test 1: Only a failed platform with retained files can be retried
+  console.log('Test 1: Only a failed platform with retained files can be retried');
+  const { service: checker } = publisher();
+  const check = (extra, platform = 'instagram') => checker.getRetryError(new PublishJob(job(extra)), platform);
+  assertEqual(check({}), null, 'Should allow retrying the failed platform');
+  assertEqual(check({}, 'tiktok'), 'Unknown platform. Use one of: instagram, youtube, facebook', 'Should refuse an unknown platform');
+  assertEqual(check({}, 'youtube'), 'youtube did not fail for this job', 'Should refuse a platform that went out');
+  assertEqual(check({ status: 'processing' }), 'instagram did not fail for this job', 'Should refuse a job that is still running');
+  assertEqual(
+    check({ retainedUntil: new Date(Date.now() - 1000) }),
+    'The processed video for this job is no longer available. Please publish it again.',
+    'Should refuse once the retention window has passed'
+  );
+
+  // Test 2: A successful retry completes the job and removes its files
+  console.log('\nTest 2: A successful retry completes the job and removes its files');
+  let jobs = useMemoryModel(PublishJob, [job({ hostedMedia: [{ role: 'reel', url: 'https://cdn.example.com/reel.mp4' }] })]);
+  let { service, calls, cleaned, emitted } = publisher();
+  let finished = await service.retryPlatform('job_1', 'instagram');
+  assertEqual(calls.length, 1, 'Should publish once');
+  assertEqual(calls[0].media.caption, 'Studio tour #behindthescenes', 'Should reuse the stored caption');
+  assertEqual(path.basename(calls[0].media.videoPath), 'reel.mp4', 'Should reuse the retained video');
+  assertEqual(finished.status, 'completed', 'Should complete the job');
+  assertEqual(cleaned.sort(), ['cover.jpg', 'reel.mp4'], 'Should remove the video and its cover');
+  assertEqual(jobs.docs[0].assets?.instagram, undefined, 'Should forget the removed files');
+  assertEqual(jobs.docs[0].retainedUntil, null, 'Should stop retaining once nothing is left');
+  assertEqual(removedMedia, ['https://cdn.example.com/reel.mp4'], 'Should delete the hosted copy');
+  assertEqual(emitted, [{ event: 'job:retried', payload: { jobId: 'job_1', platform: 'instagram', status: 'completed' } }], 'Should tell the client');
+
+  // Test 3: Files still needed by another failed platform are kept
+  console.log('\nTest 3: Files still needed by another failed platform are kept');
+  jobs = useMemoryModel(PublishJob, [job({
+    status: 'failed',
+    assets: { instagram: 'shared.mp4', youtube: 'shared.mp4', thumbnail: 'cover.jpg' },
+    platforms: { instagram: { status: 'failed' }, youtube: { status: 'failed' } }
+  })]);
+  ({ service, cleaned } = publisher());
+  finished = await service.retryPlatform('job_1', 'instagram');
+  assertEqual(finished.status, 'partial', 'Should leave the job partial');
+  assertEqual(cleaned, ['cover.jpg'], 'Should keep the video YouTube still needs');
+  assertEqual(jobs.docs[0].assets.youtube, 'shared.mp4', 'Should keep the YouTube file on the job');
+  assert(jobs.docs[0].retainedUntil > new Date(), 'Should keep retaining it for the other retry');
+
+  // Test 4: A failed retry keeps the files for another try
+  console.log('\nTest 4: A failed retry keeps the files for another try');
+  jobs = useMemoryModel(PublishJob, [job()]);
+  ({ service, cleaned } = publisher({ instagram: 'Media upload timed out again' }));
+  finished = await service.retryPlatform('job_1', 'instagram');
+  assertEqual(finished.status, 'partial', 'Should leave the job partial');
+  assertEqual(jobs.docs[0].platforms.instagram.status, 'failed', 'Should mark the platform failed again');
+  assertEqual(jobs.docs[0].platforms.instagram.error, 'Media upload timed out again', 'Should record the new error');
+  assertEqual(cleaned, [], 'Should not remove any files');
+  assertEqual(service.getRetryError(await PublishJob.findOne({ jobId: 'job_1' }), 'instagram'), null, 'Should allow another retry');
+
+  // Test 5: Two retries at once publish once
+  console.log('\nTest 5: Two retries at once publish once');
+  useMemoryModel(PublishJob, [job()]);
+  ({ service, calls } = publisher());
+  const results = await Promise.allSettled([
+    service.retryPlatform('job_1', 'instagram'),
+    service.retryPlatform('job_1', 'instagram')
+  ]);
+  assertEqual(calls.length, 1, 'Should publish only once');
+  assertEqual(results.map(({ status }) => status).sort(), ['fulfilled', 'rejected'], 'Should refuse the second retry');
+  assertEqual(results.find(({ status }) => status === 'rejected').reason.message, 'A retry for instagram is already running', 'Should say a retry is running');
+});
@@ -0,0 +1,60 @@
+/**
+ * Shared pass/fail bookkeeping for the standalone unit test scripts in this directory.
+ * Every script runs in its own process: node server/tests/<name>.test.js
+ */
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+/**
+ * Run a script's tests, print the summary and exit with its status
+ * @param {string} title - Suite name shown in the banner
+ * @param {string} successMessage - Shown when every assertion passed
+ * @param {Function} tests - Sync or async function making the assertions
+ */
+async function runTests(title, successMessage, tests) {
+  console.log(`\n🧪 Running ${title}...\n`);
+
+  try {
+    await tests();
+  } catch (error) {
+    console.error('❌ FAIL: Unexpected error:', error);
+    testsFailed++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50));
+
+  if (testsFailed === 0) {
+    console.log(`\n🎉 All tests passed! ${successMessage}\n`);
+    process.exit(0);
+  } else {
+    console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+    process.exit(1);
+  }
+}
+
+module.exports = { assert, assertEqual, runTests };
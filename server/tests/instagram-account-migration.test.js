@@ -0,0 +1,148 @@
+/**
+ * Legacy Instagram Credentials Migration Tests
+ * InstagramAccount.migrateLegacyCredentials against in-memory collections
+ * (no database needed)
+ *
+ * Run with: node server/tests/instagram-account-migration.test.js
+ */
+
+const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
+const Post = require('../models/post.model');
+const PublishJob = require('../models/publish-job.model');
+const ProcessedComment = require('../models/ProcessedComment');
+const ActivityLog = require('../models/ActivityLog');
+const DmConversation = require('../models/dm-conversation.model');
+const Mention = require('../models/mention.model');
+const CommentRule = require('../models/comment-rule.model');
+const DmFunnel = require('../models/dm-funnel.model');
+const FunnelDelivery = require('../models/funnel-delivery.model');
+const { assert, assertEqual, runTests } = require('./harness');
+
+const SCOPED_MODELS = [
+  Post, PublishJob, ProcessedComment, ActivityLog,
+  DmConversation, Mention, CommentRule, DmFunnel, FunnelDelivery
+];
+
+/**
+ * Replace the collections the migration touches with in-memory ones
+ * @param {Array} users - Raw user documents
+ * @param {Object} options - { accountWrite: result of InstagramAccount.updateOne }
+ */
+function setup(users, { accountWrite = { acknowledged: true, matchedCount: 0, upsertedCount: 1 } } = {}) {
+  const db = {
+    users: users.map(user => JSON.parse(JSON.stringify(user))),
+    accountUpserts: [],
+    backfills: []
+  };
+
+  const matches = (user, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = field.split('.').reduce((doc, part) => doc?.[part], user);
+    if (condition && condition.$in) return condition.$in.includes(value ?? null);
+    if (condition && condition.$exists !== undefined) return (value !== undefined) === condition.$exists;
+    return value === condition;
+  });
+
+  User.collection = {
+    find: (filter) => ({ toArray: async () => db.users.filter(user => matches(user, filter)) }),
+    updateOne: async (filter, update) => {
+      const user = db.users.find(candidate => matches(candidate, filter));
+      if (!user) return { acknowledged: true, matchedCount: 0 };
+      Object.assign(user, update.$set || {});
+      Object.keys(update.$unset || {}).forEach(field => delete user[field]);
+      return { acknowledged: true, matchedCount: 1 };
+    }
+  };
+
+  InstagramAccount.updateOne = async (filter, update) => {
+    db.accountUpserts.push({ filter, update });
+    return accountWrite;
+  };
+
+  SCOPED_MODELS.forEach(model => {
+    model.updateMany = async (filter, update) => {
+      db.backfills.push({ model: model.modelName, filter, update });
+      return { acknowledged: true };
+    };
+  });
+
+  return db;
+}
+
+const legacyUser = {
+  _id: 'user_1',
+  email: 'owner@example.com',
+  instagramCredentials: {
+    accessToken: 'encrypted-token',
+    accountId: 17841400000001,
+    accountName: 'brand_account',
+    tokenExpiresAt: '2026-12-01T00:00:00.000Z'
+  }
+};
+
+runTests('Legacy Instagram Credentials Migration Tests', 'Legacy credentials migrate safely.', async () => {
+  // Test 1: Complete credentials become the active account
+  console.log('Test 1: Complete credentials become the active account');
+  let db = setup([legacyUser]);
+  let migrated = await InstagramAccount.migrateLegacyCredentials();
+  assertEqual(migrated, 1, 'Should report one migrated user');
+  assertEqual(db.accountUpserts[0].filter, { userId: 'user_1', accountId: '17841400000001' }, 'Should upsert the account by user and string account ID');
+  assertEqual(db.accountUpserts[0].update.$setOnInsert.accountName, 'brand_account', 'Should copy the embedded credential fields');
+  assertEqual(db.users[0].activeInstagramAccountId, '17841400000001', 'Should make the account active');
+  assert(!('instagramCredentials' in db.users[0]), 'Should remove the embedded credentials once copied');
+
+  // Test 2: Existing records are tagged with the account
+  console.log('\nTest 2: Existing records are tagged with the account');
+  assertEqual(
+    db.backfills.map(({ model }) => model).sort(),
+    SCOPED_MODELS.map(model => model.modelName).sort(),
+    'Should backfill every account-scoped model'
+  );
+  assert(
+    db.backfills.every(({ filter, update }) =>
+      filter.userId === 'user_1' && filter.accountId === null && update.$set.accountId === '17841400000001'),
+    'Should only tag the user\'s records that have no account yet'
+  );
+
+  // Test 3: An account that already exists still releases the embedded copy
+  console.log('\nTest 3: An account that already exists still releases the embedded copy');
+  db = setup([{ ...legacyUser, activeInstagramAccountId: '17841400000000002' }], {
+    accountWrite: { acknowledged: true, matchedCount: 1, upsertedCount: 0 }
+  });
+  migrated = await InstagramAccount.migrateLegacyCredentials();
+  assertEqual(migrated, 1, 'Should count the user as migrated');
+  assertEqual(db.users[0].activeInstagramAccountId, '17841400000000002', 'Should keep an account the user already selected');
+  assert(!('instagramCredentials' in db.users[0]), 'Should remove the embedded credentials');
+
+  // Test 4: A failed write keeps the credentials
+  console.log('\nTest 4: A failed write keeps the credentials');
+  for (const accountWrite of [
+    { acknowledged: false },
+    { acknowledged: true, matchedCount: 0, upsertedCount: 0 }
+  ]) {
+    db = setup([legacyUser], { accountWrite });
+    migrated = await InstagramAccount.migrateLegacyCredentials();
+    assertEqual(migrated, 0, `Should not count the user (${JSON.stringify(accountWrite)})`);
+    assertEqual(db.users[0].instagramCredentials, legacyUser.instagramCredentials, 'Should leave the embedded credentials in place');
+    assertEqual(db.backfills.length, 0, 'Should not tag records with an account that was not stored');
+    assert(!db.users[0].activeInstagramAccountId, 'Should not activate an account that was not stored');
+  }
+
+  // Test 5: Incomplete credentials are left alone
+  console.log('\nTest 5: Incomplete credentials are left alone');
+  db = setup([
+    { _id: 'user_2', instagramCredentials: { accountId: '17841400000000003' } },
+    { _id: 'user_3', instagramCredentials: { accessToken: 'encrypted-token' } }
+  ]);
+  migrated = await InstagramAccount.migrateLegacyCredentials();
+  assertEqual(migrated, 0, 'Should not migrate credentials without a token and account ID');
+  assertEqual(db.accountUpserts.length, 0, 'Should not create accounts for them');
+  assert(db.users.every(user => user.instagramCredentials), 'Should not remove them');
+
+  // Test 6: Nothing to migrate
+  console.log('\nTest 6: Nothing to migrate');
+  db = setup([{ _id: 'user_4', activeInstagramAccountId: '17841400000000004' }]);
+  migrated = await InstagramAccount.migrateLegacyCredentials();
+  assertEqual(migrated, 0, 'Should report nothing migrated');
+  assertEqual(db.users[0], { _id: 'user_4', activeInstagramAccountId: '17841400000000004' }, 'Should not touch users without embedded credentials');
+});
@@ -0,0 +1,75 @@
+/**
+ * Media Signed URL Tests
+ * HMAC signing and verification of local disk media URLs (/api/media/:key)
+ *
+ * Run with: node server/tests/media-signed-url.test.js
+ */
+
+process.env.MEDIA_URL_SECRET = 'test-media-url-secret';
+process.env.MEDIA_PUBLIC_URL = 'https://media.example.com/';
+
+const mediaStorageService = require('../services/media-storage.service.js');
+const { assert, assertEqual, runTests } = require('./harness');
+
+// Split a signed URL into what the media route receives
+function parse(url) {
+  const { pathname, searchParams } = new URL(url);
+  return {
+    key: decodeURIComponent(pathname.split('/').pop()),
+    expires: searchParams.get('expires'),
+    signature: searchParams.get('signature')
+  };
+}
+
+const local = mediaStorageService.local;
+const key = '1700000000000-a1b2c3d4e5f6-cover.jpg';
+const now = () => Math.floor(Date.now() / 1000);
+
+runTests('Media Signed URL Tests', 'Signed media URLs are verified correctly.', () => {
+  // Test 1: Signed URLs point at the media route
+  console.log('Test 1: Signed URLs point at the media route');
+  const url = local.signUrl(key);
+  assert(url.startsWith(`https://media.example.com/api/media/${key}?expires=`), 'Should use MEDIA_PUBLIC_URL without its trailing slash');
+  const signed = parse(url);
+  assertEqual(signed.key, key, 'Should carry the key');
+  assert(/^[0-9a-f]{64}$/.test(signed.signature), 'Should carry a hex SHA-256 HMAC');
+  assert(Number(signed.expires) > now(), 'Should expire in the future');
+
+  // Test 2: A URL from signUrl verifies
+  console.log('\nTest 2: A URL from signUrl verifies');
+  assert(local.verify(signed.key, signed.expires, signed.signature), 'Should accept its own signature');
+
+  // Test 3: Tampering is rejected
+  console.log('\nTest 3: Tampering is rejected');
+  const flipped = signed.signature.replace(/^./, c => (c === '0' ? '1' : '0'));
+  assert(!local.verify(signed.key, signed.expires, flipped), 'Should reject a changed signature');
+  assert(!local.verify('1700000000000-a1b2c3d4e5f6-other.jpg', signed.expires, signed.signature), 'Should reject the signature for another key');
+  assert(!local.verify(signed.key, String(Number(signed.expires) + 3600), signed.signature), 'Should reject an extended expiry');
+  assert(!local.verify(signed.key, signed.expires, signed.signature.slice(0, 32)), 'Should reject a truncated signature');
+  assert(!local.verify(signed.key, signed.expires, undefined), 'Should reject a missing signature');
+
+  // Test 4: Expiry is enforced
+  console.log('\nTest 4: Expiry is enforced');
+  const past = String(now() - 60);
+  assert(!local.verify(key, past, local.signature(key, past)), 'Should reject an expired URL even with a valid signature');
+  assert(!local.verify(key, '12abc', local.signature(key, '12abc')), 'Should reject a non-numeric expiry');
+  assert(!local.verify(key, undefined, signed.signature), 'Should reject a missing expiry');
+
+  // Test 5: The signature depends on the secret
+  console.log('\nTest 5: The signature depends on the secret');
+  const originalSecret = local.secret;
+  local.secret = 'another-secret';
+  assert(!local.verify(signed.key, signed.expires, signed.signature), 'Should reject URLs signed with another secret');
+  local.secret = originalSecret;
+  assert(local.verify(signed.key, signed.expires, signed.signature), 'Should accept them again with the original secret');
+
+  // Test 6: Stored local media gets a fresh URL
+  console.log('\nTest 6: Stored local media gets a fresh URL');
+  const resolved = parse(mediaStorageService.resolveUrl({ driver: 'local', key }, 'https://stale.example.com/expired'));
+  assert(local.verify(resolved.key, resolved.expires, resolved.signature), 'Should re-issue a valid signed URL');
+  assertEqual(
+    mediaStorageService.resolveUrl({ driver: 'imgbb', key: 'abc' }, 'https://i.ibb.co/abc.jpg'),
+    'https://i.ibb.co/abc.jpg',
+    'Should keep the stored URL for drivers without signed URLs'
+  );
+});
@@ -0,0 +1,278 @@
+/**
+ * In-memory collection behind a mongoose model, for the unit test scripts.
+ *
+ * Services claim and lease documents with atomic queries (findOneAndUpdate on a
+ * status, $inc on attempts, ...). Backing the model with an array lets those
+ * queries run for real without MongoDB: filters, updates, sorting and the
+ * schema's unique indexes behave like the server for the operators used here.
+ *
+ * Supported: create, find, findOne, findById, findOneAndUpdate, updateOne,
+ * updateMany, countDocuments, deleteOne, aggregate ($match, $group with $sum)
+ * and document save().
+ */
+
+const UPDATE_OPERATORS = ['$set', '$unset', '$inc', '$push'];
+
+/** Copy plain objects, arrays and dates; ObjectIds and other values are immutable */
+function clone(value) {
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+/** Comparable form of a stored value (dates by time, ObjectIds by hex string) */
+function normalize(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+}
+
+function equals(a, b) {
+  if (a === null || a === undefined) return b === null || b === undefined;
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left !== null && typeof left === 'object') return JSON.stringify(left) === JSON.stringify(right);
+  return left === right;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((value, key) => {
+    if (value[key] === null || value[key] === undefined || typeof value[key] !== 'object') value[key] = {};
+    return value[key];
+  }, doc);
+  parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join('.')) ?? (keys.length === 0 ? doc : undefined);
+  if (parent && typeof parent === 'object') delete parent[last];
+}
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+function compare(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : 1;
+}
+
+function matchesCondition(value, condition) {
+  if (!isOperatorObject(condition)) {
+    if (Array.isArray(value) && !Array.isArray(condition)) {
+      return value.some(item => equals(item, condition));
+    }
+    return equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return equals(value, operand);
+      case '$ne': return !equals(value, operand);
+      case '$in': return operand.some(item => matchesCondition(value, item));
+      case '$nin': return !operand.some(item => matchesCondition(value, item));
+      case '$exists': return (value !== undefined) === !!operand;
+      case '$gt': return value !== null && value !== undefined && compare(value, operand) > 0;
+      case '$gte': return value !== null && value !== undefined && compare(value, operand) >= 0;
+      case '$lt': return value !== null && value !== undefined && compare(value, operand) < 0;
+      case '$lte': return value !== null && value !== undefined && compare(value, operand) <= 0;
+      default: throw new Error(`memory-model: unsupported query operator ${operator}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(doc, branch));
+    if (key === '$and') return condition.every(branch => matches(doc, branch));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+function sortDocs(docs, spec) {
+  if (!spec) return docs;
+  const fields = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compare(getPath(a, field), getPath(b, field));
+      if (order !== 0) return order * (direction < 0 ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function applyUpdate(doc, update) {
+  // Like mongoose, a plain object is a $set
+  const operations = Object.keys(update).some(key => UPDATE_OPERATORS.includes(key)) ? update : { $set: update };
+
+  Object.entries(operations).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      if (operator === '$set') setPath(doc, path, clone(value));
+      else if (operator === '$unset') unsetPath(doc, path);
+      else if (operator === '$inc') setPath(doc, path, (getPath(doc, path) || 0) + value);
+      else if (operator === '$push') setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]);
+      else throw new Error(`memory-model: unsupported update operator ${operator}`);
+    });
+  });
+}
+
+/** Thenable stand-in for a mongoose Query */
+class MemoryQuery {
+  constructor(run, hydrate, single) {
+    this.run = run;
+    this.hydrate = hydrate;
+    this.single = single;
+    this.sortSpec = null;
+    this.limitCount = null;
+    this.isLean = false;
+  }
+
+  sort(spec) { this.sortSpec = spec; return this; }
+  limit(count) { this.limitCount = count; return this; }
+  select() { return this; }
+  lean() { this.isLean = true; return this; }
+
+  exec() {
+    let docs = sortDocs(this.run(), this.sortSpec);
+    if (this.limitCount) docs = docs.slice(0, this.limitCount);
+    const results = docs.map(doc => (this.isLean ? clone(doc) : this.hydrate(doc)));
+    return Promise.resolve(this.single ? results[0] || null : results);
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+/**
+ * Back a model with an in-memory collection
+ * @param {mongoose.Model} Model - Model whose statics and save() are replaced
+ * @param {Array} initialDocs - Documents to start with (schema defaults are applied)
+ * @returns {{docs: Array}} The raw stored documents
+ */
+function useMemoryModel(Model, initialDocs = []) {
+  const timestamps = !!Model.schema.options.timestamps;
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options?.unique)
+    .map(([fields]) => Object.keys(fields));
+  const store = { docs: [] };
+
+  const hydrate = (doc) => Model.hydrate(clone(doc));
+  const findIndex = (id) => store.docs.findIndex(doc => equals(doc._id, id));
+
+  const checkUnique = (doc) => {
+    const duplicate = uniqueIndexes.some(fields => store.docs.some(other =>
+      !equals(other._id, doc._id) && fields.every(field => equals(getPath(other, field), getPath(doc, field)))
+    ));
+    if (duplicate) {
+      const error = new Error(`E11000 duplicate key error collection: ${Model.collection.name}`);
+      error.code = 11000;
+      throw error;
+    }
+  };
+
+  const insert = (data) => {
+    const doc = new Model(data).toObject();
+    if (timestamps) {
+      doc.createdAt = data.createdAt || new Date();
+      doc.updatedAt = data.updatedAt || doc.createdAt;
+    }
+    checkUnique(doc);
+    store.docs.push(doc);
+    return doc;
+  };
+
+  const updateMatching = (filter, update, { sort = null, multi = false } = {}) => {
+    const targets = sortDocs(store.docs.filter(doc => matches(doc, filter)), sort);
+    const updated = multi ? targets : targets.slice(0, 1);
+    updated.forEach(doc => {
+      applyUpdate(doc, update);
+      if (timestamps) doc.updatedAt = new Date();
+    });
+    return updated;
+  };
+
+  initialDocs.forEach(insert);
+
+  Model.create = async (data) => hydrate(insert(data));
+  Model.find = (filter) => new MemoryQuery(() => store.docs.filter(doc => matches(doc, filter)), hydrate, false);
+  Model.findOne = (filter) => new MemoryQuery(() => store.docs.filter(doc => matches(doc, filter)), hydrate, true);
+  Model.findById = (id) => Model.findOne({ _id: id });
+  Model.countDocuments = async (filter) => store.docs.filter(doc => matches(doc, filter)).length;
+
+  Model.findOneAndUpdate = async (filter, update, options = {}) => {
+    const before = sortDocs(store.docs.filter(doc => matches(doc, filter)), options.sort)[0];
+    if (!before) return null;
+    const snapshot = clone(before);
+    updateMatching({ _id: before._id }, update);
+    return hydrate(options.new ? before : snapshot);
+  };
+
+  Model.updateOne = async (filter, update) => {
+    const updated = updateMatching(filter, update);
+    return { acknowledged: true, matchedCount: updated.length, modifiedCount: updated.length };
+  };
+
+  Model.updateMany = async (filter, update) => {
+    const updated = updateMatching(filter, update, { multi: true });
+    return { acknowledged: true, matchedCount: updated.length, modifiedCount: updated.length };
+  };
+
+  Model.deleteOne = async (filter) => {
+    const index = store.docs.findIndex(doc => matches(doc, filter));
+    if (index >= 0) store.docs.splice(index, 1);
+    return { acknowledged: true, deletedCount: index >= 0 ? 1 : 0 };
+  };
+
+  Model.aggregate = async (pipeline) => pipeline.reduce((docs, stage) => {
+    if (stage.$match) return docs.filter(doc => matches(doc, stage.$match));
+    if (stage.$group) {
+      const { _id: key, ...accumulators } = stage.$group;
+      const groups = new Map();
+      docs.forEach(doc => {
+        const id = typeof key === 'string' && key.startsWith('$') ? getPath(doc, key.slice(1)) : key;
+        const group = groups.get(String(normalize(id))) || { _id: id };
+        Object.entries(accumulators).forEach(([field, { $sum }]) => {
+          const amount = typeof $sum === 'string' ? getPath(doc, $sum.slice(1)) || 0 : $sum;
+          group[field] = (group[field] || 0) + amount;
+        });
+        groups.set(String(normalize(id)), group);
+      });
+      return [...groups.values()];
+    }
+    throw new Error(`memory-model: unsupported aggregation stage ${Object.keys(stage)[0]}`);
+  }, store.docs);
+
+  Model.prototype.save = async function() {
+    const doc = clone(this.toObject());
+    if (timestamps) {
+      doc.createdAt = doc.createdAt || new Date();
+      doc.updatedAt = new Date();
+    }
+    checkUnique(doc);
+    const index = findIndex(doc._id);
+    if (index >= 0) store.docs[index] = doc;
+    else store.docs.push(doc);
+    return this;
+  };
+
+  return store;
+}
+
+module.exports = { useMemoryModel };
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
 const { EncryptionService } = require('../services/encryption.service');
 const InstagramOAuthService = require('../services/oauth-instagram.service');
 const YouTubeOAuthService = require('../services/oauth-youtube.service');
@@ -64,10 +65,11 @@ class OAuthFlowTest {
       if (!user) {
         throw new Error('User not found');
       }
+      const account = await InstagramAccount.getActiveAccount(user);
 
       // Test 1: Check if tokens are saved
       console.log('  ✓ Test 1: Check tokens saved in database');
-      if (user.instagramCredentials?.accessToken) {
+      if (account?.accessToken) {
         console.log('    ✅ Access token saved');
         this.testResults.instagram.tokenSaved = true;
       } else {
@@ -78,7 +80,7 @@ class OAuthFlowTest {
 
       // Test 2: Decrypt and validate token
       console.log('  ✓ Test 2: Decrypt and validate token');
-      const accessToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
+      const accessToken = encryptionService.decrypt(account.accessToken);
       if (accessToken && accessToken.length > 0) {
         console.log('    ✅ Token decrypted successfully');
         this.testResults.instagram.tokenDecrypted = true;
@@ -107,7 +109,7 @@ class OAuthFlowTest {
 
       // Test 4: Check token expiry
       console.log('  ✓ Test 4: Check token expiry');
-      const expiresAt = new Date(user.instagramCredentials.tokenExpiresAt);
+      const expiresAt = new Date(account.tokenExpiresAt);
       const now = new Date();
       const daysUntilExpiry = (expiresAt - now) / (1000 * 60 * 60 * 24);
       console.log(`    ✅ Token expires in ${daysUntilExpiry.toFixed(1)} days`);
@@ -300,18 +302,20 @@ class OAuthFlowTest {
         throw new Error('User not found');
       }
 
+      const account = await InstagramAccount.getActiveAccount(user);
+
       // Test 1: Verify database storage
       console.log('  ✓ Test 1: Verify database storage');
       console.log(`    ✅ User ID: ${user._id}`);
       console.log(`    ✅ Email: ${user.email}`);
-      console.log(`    ✅ Instagram bound: ${!!user.instagramCredentials?.accessToken}`);
+      console.log(`    ✅ Instagram bound: ${!!account?.accessToken}`);
       console.log(`    ✅ YouTube bound: ${!!user.youtubeCredentials?.accessToken}`);
       this.testResults.automation.databaseStorage = true;
 
       // Test 2: Verify encryption
       console.log('  ✓ Test 2: Verify encryption');
-      if (user.instagramCredentials?.accessToken) {
-        const decrypted = encryptionService.decrypt(user.instagramCredentials.accessToken);
+      if (account?.accessToken) {
+        const decrypted = encryptionService.decrypt(account.accessToken);
         const reEncrypted = encryptionService.encrypt(decrypted);
         console.log('    ✅ Instagram token encryption verified');
       }
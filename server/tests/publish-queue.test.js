@@ -0,0 +1,181 @@
+/**
+ * Publish Queue Tests
+ * Leasing, concurrency caps, stale lease recovery and cancelling of dual publish
+ * jobs against an in-memory PublishJob collection (no database needed)
+ *
+ * Run with: node server/tests/publish-queue.test.js
+ */
+
+// The publishers load the encryption service; nothing is encrypted here
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const mongoose = require('mongoose');
+const PublishJob = require('../models/publish-job.model');
+const User = require('../models/User');
+const DualPublisherService = require('../services/dual-publisher.service');
+const publishQueueService = require('../services/publish-queue.service');
+const { useMemoryModel } = require('./memory-model');
+const { assert, assertEqual, runTests } = require('./harness');
+
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+const carol = new mongoose.Types.ObjectId();
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+const inAMinute = () => new Date(Date.now() + 60 * 1000);
+
+// Jobs finish when the test resolves them, or stop as cancelled when aborted
+const gates = new Map();
+const executed = [];
+User.findById = async (id) => ({ _id: id });
+DualPublisherService.prototype.resolveUserCredentials = async () => ({ instagramToken: 'ig_token', instagramAccountId: 'ig_1' });
+DualPublisherService.prototype.initialize = function() {};
+DualPublisherService.prototype.executeJob = async function(jobId) {
+  executed.push(jobId);
+  await new Promise(resolve => {
+    gates.set(jobId, resolve);
+    this.abortSignal.addEventListener('abort', resolve);
+  });
+  const status = this.abortSignal.aborted ? 'cancelled' : 'completed';
+  await PublishJob.updateOne({ jobId }, { $set: { status } });
+  return { status };
+};
+
+const job = (jobId, userId, extra = {}) => ({
+  userId,
+  accountId: 'ig_1',
+  jobId,
+  videoFilename: `${jobId}.mp4`,
+  contextText: 'Product demo',
+  status: 'pending',
+  ...extra
+});
+
+/** Let queued promise callbacks (claims, runs, releases) settle */
+async function settle() {
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+// Keep the queue's own logging out of the test output
+const log = console.log;
+const logError = console.error;
+async function quietly(fn) {
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = logError;
+  }
+}
+
+runTests('Publish Queue Tests', 'Jobs are leased, capped and recovered.', async () => {
+  // Test 1: The highest-priority, oldest job is leased first
+  console.log('Test 1: The highest-priority, oldest job is leased first');
+  let jobs = useMemoryModel(PublishJob, [
+    job('old', alice, { createdAt: minutesAgo(10) }),
+    job('handing_over', bob, { createdAt: minutesAgo(20), priority: 10, lockedAt: new Date() }),
+    job('urgent', carol, { createdAt: minutesAgo(1), priority: 10 })
+  ]);
+  let claimed = await publishQueueService.claimNext();
+  assertEqual(claimed.jobId, 'urgent', 'Should lease the highest priority first');
+  assertEqual(claimed.status, 'processing', 'Should mark it running');
+  assertEqual(claimed.workerId, publishQueueService.workerId, 'Should record the worker');
+  assert(claimed.leaseExpiresAt > new Date(), 'Should set a lease');
+  assertEqual(claimed.publishAttempts, 1, 'Should count the attempt');
+  assertEqual((await publishQueueService.claimNext()).jobId, 'old', 'Should then lease the oldest job');
+  assertEqual(jobs.docs.find(doc => doc.jobId === 'handing_over').status, 'pending', 'Should skip a job the scheduler still holds');
+
+  // Test 2: Concurrency caps are respected
+  console.log('\nTest 2: Concurrency caps are respected');
+  useMemoryModel(PublishJob, [
+    job('alice_running', alice, { status: 'processing', leaseExpiresAt: inAMinute() }),
+    job('alice_next', alice, { createdAt: minutesAgo(10) }),
+    job('bob_next', bob, { createdAt: minutesAgo(1) }),
+    job('carol_next', carol, { createdAt: minutesAgo(1) })
+  ]);
+  assertEqual((await publishQueueService.claimNext()).jobId, 'bob_next', 'Should skip users already at their cap');
+  assertEqual(await publishQueueService.claimNext(), null, 'Should stop at the global cap');
+  useMemoryModel(PublishJob, [
+    job('expired', alice, { status: 'processing', leaseExpiresAt: minutesAgo(1) }),
+    job('alice_next', alice)
+  ]);
+  assertEqual((await publishQueueService.claimNext()).jobId, 'alice_next', 'Should not count jobs whose lease ran out');
+
+  // Test 3: Stale leases are recovered, up to MAX_ATTEMPTS
+  console.log('\nTest 3: Stale leases are recovered, up to MAX_ATTEMPTS');
+  jobs = useMemoryModel(PublishJob, [
+    job('crashed', alice, { status: 'processing', workerId: 'gone', leaseExpiresAt: minutesAgo(1), publishAttempts: 1 }),
+    job('gave_up', alice, { status: 'processing', workerId: 'gone', leaseExpiresAt: minutesAgo(1), publishAttempts: 3 }),
+    job('cancelled', bob, { status: 'processing', workerId: 'gone', leaseExpiresAt: minutesAgo(1), cancelRequested: true }),
+    job('legacy', bob, { status: 'processing', leaseExpiresAt: null, updatedAt: minutesAgo(10) }),
+    job('healthy', carol, { status: 'processing', workerId: 'other', leaseExpiresAt: inAMinute() })
+  ]);
+  await quietly(() => publishQueueService.reclaimStaleLeases());
+  const byId = (jobId) => jobs.docs.find(doc => doc.jobId === jobId);
+  assertEqual([byId('crashed').status, byId('crashed').workerId], ['pending', null], 'Should re-queue a job whose lease ran out');
+  assertEqual(byId('gave_up').status, 'failed', 'Should fail a job that used up its attempts');
+  assertEqual(byId('gave_up').error, 'Publishing did not finish after 3 attempts', 'Should say why it failed');
+  assertEqual(byId('cancelled').status, 'cancelled', 'Should finish cancelling a job whose worker died');
+  assertEqual(byId('legacy').status, 'pending', 'Should re-queue a job left running without a lease');
+  assertEqual(byId('healthy').status, 'processing', 'Should leave a live lease alone');
+
+  // Test 4: Filling runs jobs up to the cap and starts the next as one finishes
+  console.log('\nTest 4: Filling runs jobs up to the cap and starts the next as one finishes');
+  jobs = useMemoryModel(PublishJob, [
+    job('first', alice, { createdAt: minutesAgo(3) }),
+    job('second', bob, { createdAt: minutesAgo(2) }),
+    job('third', carol, { createdAt: minutesAgo(1) })
+  ]);
+  // fill() only runs while the service is started; no timer is needed here
+  publishQueueService.pollInterval = true;
+  await quietly(async () => {
+    await publishQueueService.fill();
+    await settle();
+  });
+  assertEqual(executed, ['first', 'second'], 'Should start as many jobs as the global cap allows');
+  await quietly(async () => {
+    gates.get('first')();
+    await settle();
+  });
+  assertEqual(byId('first').status, 'completed', 'Should finish the job');
+  assertEqual([byId('first').workerId, byId('first').leaseExpiresAt], [null, null], 'Should release its lease');
+  assertEqual(executed, ['first', 'second', 'third'], 'Should start the next job when one finishes');
+
+  // Test 5: Heartbeats renew the lease, and stop a job another worker took
+  console.log('\nTest 5: Heartbeats renew the lease, and stop a job another worker took');
+  const controller = new AbortController();
+  const before = byId('third').leaseExpiresAt;
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await publishQueueService.heartbeat('third', controller);
+  assert(byId('third').leaseExpiresAt > before, 'Should extend the lease');
+  assert(!controller.signal.aborted, 'Should keep the job running');
+  byId('third').workerId = 'other';
+  await publishQueueService.heartbeat('third', controller);
+  assertEqual(controller.signal.reason, DualPublisherService.LEASE_LOST, 'Should abort once the lease is lost');
+
+  // Test 6: Cancelling stops waiting and running jobs
+  console.log('\nTest 6: Cancelling stops waiting and running jobs');
+  let cancelled = await publishQueueService.cancel(await PublishJob.findOne({ jobId: 'second' }));
+  assertEqual(cancelled.cancelRequested, true, 'Should flag the running job');
+  await quietly(settle);
+  assertEqual(byId('second').status, 'cancelled', 'Should stop the running job in this process');
+  assert(!publishQueueService.running.has('second'), 'Should let go of the stopped job');
+  jobs = useMemoryModel(PublishJob, [
+    job('waiting', alice, { assets: { instagram: 'reel.mp4' }, retainedUntil: inAMinute() }),
+    job('done', bob, { status: 'completed' })
+  ]);
+  cancelled = await publishQueueService.cancel(await PublishJob.findOne({ jobId: 'waiting' }));
+  assertEqual(cancelled.status, 'cancelled', 'Should cancel a waiting job right away');
+  assertEqual(cancelled.retainedUntil, null, 'Should drop its retained files');
+  assertEqual(await publishQueueService.claimNext(), null, 'Should not run a cancelled job');
+  let error = null;
+  await publishQueueService.cancel(await PublishJob.findOne({ jobId: 'done' })).catch(caught => { error = caught; });
+  assertEqual(error?.message, 'A completed job cannot be cancelled', 'Should refuse to cancel a finished job');
+
+  publishQueueService.pollInterval = null;
+  gates.get('third')();
+  await quietly(settle);
+});
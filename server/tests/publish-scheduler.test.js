@@ -0,0 +1,204 @@
+/**
+ * Publish Scheduler Tests
+ * Claiming due items, releasing stale claims and deferring on the publishing
+ * quota, against in-memory Post and PublishJob collections (no database needed)
+ *
+ * Run with: node server/tests/publish-scheduler.test.js
+ */
+
+// Account tokens are stored encrypted; any valid key will do here
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const mongoose = require('mongoose');
+const Post = require('../models/post.model');
+const PublishJob = require('../models/publish-job.model');
+const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
+const DualPublisherService = require('../services/dual-publisher.service');
+const InstagramPublisherService = require('../services/instagram-publisher.service');
+const publishQueueService = require('../services/publish-queue.service');
+const publishSchedulerService = require('../services/publish-scheduler.service');
+const { EncryptionService } = require('../services/encryption.service');
+const { useMemoryModel } = require('./memory-model');
+const { assert, assertEqual, runTests } = require('./harness');
+
+const userId = new mongoose.Types.ObjectId();
+const accessToken = new EncryptionService().encrypt(`IGAA${'x'.repeat(60)}`);
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Instagram as seen by the scheduler: the quota in use and what got published
+const instagram = { quotaUsage: 0, failWith: null, published: [] };
+
+InstagramAccount.resolveAccount = async () => ({ accountId: 'ig_1', accessToken });
+InstagramPublisherService.prototype.checkPublishingLimit = async () => ({
+  available: true,
+  quotaUsage: instagram.quotaUsage,
+  config: { quota_total: 25 }
+});
+InstagramPublisherService.prototype.publishSavedPost = async (post) => {
+  if (instagram.failWith) throw new Error(instagram.failWith);
+  instagram.published.push(String(post._id));
+  return `media_${instagram.published.length}`;
+};
+User.findById = async () => ({ _id: userId });
+DualPublisherService.prototype.resolveUserCredentials = async () => ({ instagramToken: 'ig_token', instagramAccountId: 'ig_1' });
+DualPublisherService.prototype.initialize = function() {};
+
+let queueFills = 0;
+publishQueueService.fill = () => { queueFills++; };
+
+const post = (extra = {}) => ({
+  userId,
+  accountId: 'ig_1',
+  caption: 'Launch day',
+  imageUrl: 'https://cdn.example.com/launch.jpg',
+  status: 'scheduled',
+  scheduledFor: minutesAgo(1),
+  ...extra
+});
+
+const job = (jobId, extra = {}) => ({
+  userId,
+  accountId: 'ig_1',
+  jobId,
+  videoFilename: `${jobId}.mp4`,
+  contextText: 'Behind the scenes',
+  status: 'scheduled',
+  scheduledFor: minutesAgo(1),
+  ...extra
+});
+
+// Keep the scheduler's own logging out of the test output
+const log = console.log;
+const logError = console.error;
+async function quietly(fn) {
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = logError;
+  }
+}
+
+runTests('Publish Scheduler Tests', 'Scheduled items are published once, in order.', async () => {
+  // Test 1: Only due items are claimed, oldest first
+  console.log('Test 1: Only due items are claimed, oldest first');
+  let posts = useMemoryModel(Post, [
+    post({ caption: 'Later', scheduledFor: minutesAgo(1) }),
+    post({ caption: 'Future', scheduledFor: new Date(Date.now() + 60 * 60 * 1000) }),
+    post({ caption: 'Deferred', scheduledFor: minutesAgo(30), deferredUntil: new Date(Date.now() + 60 * 1000) }),
+    post({ caption: 'Draft', status: 'draft', scheduledFor: minutesAgo(30) }),
+    post({ caption: 'First', scheduledFor: minutesAgo(10) })
+  ]);
+  let claimed = await publishSchedulerService.claimNext(Post, 'publishing');
+  assertEqual(claimed.caption, 'First', 'Should claim the oldest due post');
+  assertEqual(claimed.status, 'publishing', 'Should mark it as running');
+  assert(claimed.lockedAt instanceof Date, 'Should stamp the claim');
+  assertEqual(claimed.publishAttempts, 1, 'Should count the attempt');
+  assertEqual((await publishSchedulerService.claimNext(Post, 'publishing')).caption, 'Later', 'Should claim the next due post');
+  assertEqual(await publishSchedulerService.claimNext(Post, 'publishing'), null, 'Should leave future, deferred and draft posts alone');
+
+  // Test 2: Two workers never claim the same item
+  console.log('\nTest 2: Two workers never claim the same item');
+  posts = useMemoryModel(Post, [post()]);
+  const claims = await Promise.all([
+    publishSchedulerService.claimNext(Post, 'publishing'),
+    publishSchedulerService.claimNext(Post, 'publishing')
+  ]);
+  assertEqual(claims.filter(Boolean).length, 1, 'Should hand the post to one worker');
+
+  // Test 3: Stale claims are retried, then failed after MAX_ATTEMPTS
+  console.log('\nTest 3: Stale claims are retried, then failed after MAX_ATTEMPTS');
+  posts = useMemoryModel(Post, [
+    post({ caption: 'Crashed', status: 'publishing', lockedAt: minutesAgo(20), publishAttempts: 1 }),
+    post({ caption: 'Gave up', status: 'publishing', lockedAt: minutesAgo(20), publishAttempts: 3 }),
+    post({ caption: 'Running', status: 'publishing', lockedAt: minutesAgo(1), publishAttempts: 1 })
+  ]);
+  useMemoryModel(PublishJob);
+  await quietly(() => publishSchedulerService.releaseStaleClaims());
+  const byCaption = (caption) => posts.docs.find(doc => doc.caption === caption);
+  assertEqual(byCaption('Crashed').status, 'scheduled', 'Should put an interrupted post back in the queue');
+  assertEqual(byCaption('Crashed').lockedAt, null, 'Should release its claim');
+  assertEqual(byCaption('Gave up').status, 'failed', 'Should fail a post that used up its attempts');
+  assertEqual(byCaption('Gave up').error, 'Publishing did not finish after 3 attempts', 'Should say why it failed');
+  assertEqual(byCaption('Running').status, 'publishing', 'Should leave a fresh claim alone');
+
+  // Test 4: A due post is published
+  console.log('\nTest 4: A due post is published');
+  posts = useMemoryModel(Post, [post({ deferredReason: 'Instagram publishing limit reached' })]);
+  await quietly(() => publishSchedulerService.tick());
+  assertEqual(instagram.published, [String(posts.docs[0]._id)], 'Should publish the post');
+  assertEqual(posts.docs[0].status, 'published', 'Should mark it published');
+  assertEqual(posts.docs[0].instagramMediaId, 'media_1', 'Should store the media ID');
+  assertEqual(posts.docs[0].lockedAt, null, 'Should release the claim');
+  assertEqual(posts.docs[0].deferredReason, null, 'Should clear an earlier deferral');
+
+  // Test 5: A post is deferred, not failed, while the quota is used up
+  console.log('\nTest 5: A post is deferred, not failed, while the quota is used up');
+  instagram.quotaUsage = 25;
+  posts = useMemoryModel(Post, [post()]);
+  await quietly(() => publishSchedulerService.tick());
+  assertEqual(instagram.published.length, 1, 'Should not publish');
+  assertEqual(posts.docs[0].status, 'scheduled', 'Should keep the post scheduled');
+  assert(posts.docs[0].deferredUntil > new Date(), 'Should retry it later');
+  assertEqual(posts.docs[0].deferredReason, 'Instagram publishing limit reached', 'Should record why it waits');
+  assertEqual(posts.docs[0].error, undefined, 'Should not record an error');
+  assertEqual(posts.docs[0].publishAttempts, 0, 'Should not count the deferral as an attempt');
+  assertEqual(await publishSchedulerService.claimNext(Post, 'publishing'), null, 'Should not claim it again before deferredUntil');
+  instagram.quotaUsage = 0;
+
+  // Test 6: A failed publish is recorded on the post
+  console.log('\nTest 6: A failed publish is recorded on the post');
+  instagram.failWith = 'Media expired';
+  posts = useMemoryModel(Post, [post()]);
+  await quietly(() => publishSchedulerService.tick());
+  assertEqual(posts.docs[0].status, 'failed', 'Should mark the post failed');
+  assertEqual(posts.docs[0].error, 'Publishing failed: Media expired', 'Should keep the error');
+  assertEqual(posts.docs[0].lockedAt, null, 'Should release the claim');
+  instagram.failWith = null;
+
+  // Test 7: A due job is handed to the publish queue
+  console.log('\nTest 7: A due job is handed to the publish queue');
+  useMemoryModel(Post);
+  let jobs = useMemoryModel(PublishJob, [job('job_1', { deferredReason: 'Instagram publishing limit reached' })]);
+  await quietly(() => publishSchedulerService.tick());
+  assertEqual(jobs.docs[0].status, 'pending', 'Should leave the job pending for the queue');
+  assertEqual(jobs.docs[0].lockedAt, null, 'Should release the scheduler claim');
+  assertEqual(jobs.docs[0].publishAttempts, 0, 'Should leave the attempts to the queue');
+  assertEqual(jobs.docs[0].priority, publishQueueService.resolvePriority('high'), 'Should run ahead of jobs started by hand');
+  assertEqual(jobs.docs[0].deferredReason, null, 'Should clear an earlier deferral');
+  assertEqual(queueFills, 1, 'Should wake the queue');
+
+  // Test 8: A job is deferred while the quota is used up
+  console.log('\nTest 8: A job is deferred while the quota is used up');
+  instagram.quotaUsage = 30;
+  jobs = useMemoryModel(PublishJob, [job('job_2')]);
+  await quietly(() => publishSchedulerService.tick());
+  assertEqual(jobs.docs[0].status, 'scheduled', 'Should keep the job scheduled');
+  assertEqual(jobs.docs[0].deferredReason, 'Instagram publishing limit reached', 'Should record why it waits');
+  assertEqual(jobs.docs[0].error, undefined, 'Should not record an error');
+  assertEqual(queueFills, 1, 'Should not wake the queue');
+  instagram.quotaUsage = 0;
+
+  // Test 9: Rescheduling and cancelling only touch scheduled items
+  console.log('\nTest 9: Rescheduling and cancelling only touch scheduled items');
+  posts = useMemoryModel(Post, [post({ deferredUntil: new Date(), deferredReason: 'Instagram publishing limit reached' })]);
+  const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+  let item = await publishSchedulerService.findItem(userId, 'post', posts.docs[0]._id);
+  item = await publishSchedulerService.reschedule(item, 'post', later);
+  assertEqual(item.scheduledFor.getTime(), later.getTime(), 'Should move the post');
+  assertEqual(item.deferredReason, null, 'Should clear the deferral');
+  item = await publishSchedulerService.cancel(item, 'post');
+  assertEqual(item.status, 'draft', 'Should turn a cancelled post back into a draft');
+  assertEqual(item.scheduledFor, null, 'Should clear its publish time');
+  let error = null;
+  await publishSchedulerService.cancel(item, 'post').catch(caught => { error = caught; });
+  assertEqual(error?.message, 'Only scheduled items can be cancelled (this one is draft)', 'Should refuse to cancel a draft');
+  item = await publishSchedulerService.findItem(userId, 'post', posts.docs[0]._id);
+  posts.docs[0].status = 'publishing';
+  error = null;
+  await publishSchedulerService.reschedule(item, 'post', later).catch(caught => { error = caught; });
+  assertEqual(error?.message, 'This item is already being published', 'Should not move a post the worker just claimed');
+});
@@ -0,0 +1,122 @@
+/**
+ * Reply Approval Tests
+ * Approving pending replies against an in-memory ProcessedComment collection
+ * (no database needed)
+ *
+ * Run with: node server/tests/reply-approval.test.js
+ */
+
+// The automation services need a key to load; nothing is encrypted here
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const ProcessedComment = require('../models/ProcessedComment');
+const InstagramAccount = require('../models/instagram-account.model');
+const replyApprovalService = require('../services/reply-approval.service');
+const { assert, assertEqual, runTests } = require('./harness');
+
+/**
+ * Replace ProcessedComment and the automation runtime with in-memory ones
+ * @param {Array} items - Pending items
+ * @param {Function} post - Stand-in for workflow.postApprovedReply
+ */
+function setup(items, post = async () => ({ type: 'public', data: { id: 'reply_1' } })) {
+  const db = {
+    items: items.map(item => ({
+      status: 'reply_generated',
+      userId: 'user_1',
+      accountId: 'ig_1',
+      error: null,
+      ...item,
+      save: async () => {}
+    })),
+    posted: []
+  };
+
+  InstagramAccount.getActiveAccountId = async () => 'ig_1';
+
+  // Like MongoDB, the match and the update happen in one step
+  ProcessedComment.findOneAndUpdate = async (filter, update) => {
+    const item = db.items.find(candidate =>
+      Object.entries(filter).every(([field, value]) => candidate[field] === value));
+    if (!item) {
+      return null;
+    }
+    Object.assign(item, update.$set);
+    return item;
+  };
+
+  replyApprovalService.manager = {
+    getOrCreateRuntime: async () => ({
+      workflow: {
+        postApprovedReply: async (item, reply) => {
+          db.posted.push({ commentId: item.commentId, reply });
+          // Give a concurrent approval the chance to run while the reply is in flight
+          await new Promise(resolve => setImmediate(resolve));
+          return await post(item, reply);
+        }
+      }
+    })
+  };
+
+  return db;
+}
+
+runTests('Reply Approval Tests', 'Approved replies are posted exactly once.', async () => {
+  // Test 1: Approving posts the reply and records it
+  console.log('Test 1: Approving posts the reply and records it');
+  let db = setup([{ commentId: 'c1', replyText: 'Thanks!' }]);
+  let item = await replyApprovalService.approve('user_1', 'c1', '  Thank you so much!  ');
+  assertEqual(db.posted, [{ commentId: 'c1', reply: 'Thank you so much!' }], 'Should post the trimmed final text');
+  assertEqual(item.status, 'reply_posted', 'Should mark the item posted');
+  assertEqual(item.replyId, 'reply_1', 'Should store the posted reply ID');
+  assert(item.reviewedAt instanceof Date, 'Should record when it was reviewed');
+
+  // Test 2: Two approvals at once post once
+  console.log('\nTest 2: Two approvals at once post once');
+  db = setup([{ commentId: 'c1', replyText: 'Thanks!' }]);
+  const results = await Promise.all([
+    replyApprovalService.approve('user_1', 'c1'),
+    replyApprovalService.approve('user_1', 'c1')
+  ]);
+  assertEqual(db.posted.length, 1, 'Should post the reply only once');
+  assertEqual(results.filter(Boolean).length, 1, 'Should report the second approval as no longer pending');
+  assertEqual(db.items[0].status, 'reply_posted', 'Should end up posted');
+
+  // Test 3: A failed post releases the claim
+  console.log('\nTest 3: A failed post releases the claim');
+  let failing = true;
+  db = setup([{ commentId: 'c1', replyText: 'Thanks!' }], async () => {
+    if (failing) {
+      throw new Error('Comment was deleted');
+    }
+    return { type: 'public', data: { id: 'reply_2' } };
+  });
+  let error = null;
+  await replyApprovalService.approve('user_1', 'c1').catch(caught => { error = caught; });
+  assertEqual(error?.message, 'Comment was deleted', 'Should pass the posting error on');
+  assertEqual(db.items[0].status, 'reply_generated', 'Should put the item back in the queue');
+  assertEqual(db.items[0].error, 'Comment was deleted', 'Should keep the error for the reviewer');
+  failing = false;
+  item = await replyApprovalService.approve('user_1', 'c1');
+  assertEqual(item?.status, 'reply_posted', 'Should let the reviewer retry');
+  assertEqual(item?.error, null, 'Should clear the error once posted');
+
+  // Test 4: An empty reply is refused without posting
+  console.log('\nTest 4: An empty reply is refused without posting');
+  db = setup([{ commentId: 'c1', replyText: '   ' }]);
+  error = null;
+  await replyApprovalService.approve('user_1', 'c1').catch(caught => { error = caught; });
+  assertEqual(error?.message, 'Reply text is required', 'Should require reply text');
+  assertEqual(db.posted.length, 0, 'Should not post anything');
+  assertEqual(db.items[0].status, 'reply_generated', 'Should keep the item pending');
+
+  // Test 5: Only pending items on the active account can be approved
+  console.log('\nTest 5: Only pending items on the active account can be approved');
+  db = setup([
+    { commentId: 'c1', replyText: 'Thanks!', status: 'rejected' },
+    { commentId: 'c2', replyText: 'Thanks!', accountId: 'ig_2' }
+  ]);
+  assertEqual(await replyApprovalService.approve('user_1', 'c1'), null, 'Should not approve a rejected item');
+  assertEqual(await replyApprovalService.approve('user_1', 'c2'), null, 'Should not approve an item of another account');
+  assertEqual(db.posted.length, 0, 'Should not post anything');
+});
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const User = require('../models/User');
+const InstagramAccount = require('../models/instagram-account.model');
 const { EncryptionService } = require('../services/encryption.service');
 const InstagramPublisherService = require('../services/instagram-publisher.service');
 const YouTubePublisherService = require('../services/youtube-publisher.service');
@@ -34,10 +35,11 @@ class UploadFlowTest {
         throw new Error('User not found');
       }
 
-      // Test Instagram Upload
-      if (user.instagramCredentials?.accessToken) {
+      // Test Instagram Upload (active account)
+      const account = await InstagramAccount.getActiveAccount(user);
+      if (account?.accessToken) {
         console.log('📸 Testing Instagram Upload Flow...');
-        await this.testInstagramUpload(user, testImagePath);
+        await this.testInstagramUpload(account, testImagePath);
         console.log('');
       } else {
         console.log('⚠️  Instagram not connected - skipping upload test');
@@ -64,12 +66,12 @@ class UploadFlowTest {
   /**
    * Test Instagram upload
    */
-  async testInstagramUpload(user, imagePath) {
+  async testInstagramUpload(account, imagePath) {
     try {
       // Test 1: Initialize publisher
       console.log('  ✓ Test 1: Initialize Instagram publisher');
-      const accessToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
-      const accountId = user.instagramCredentials.accountId;
+      const accessToken = encryptionService.decrypt(account.accessToken);
+      const accountId = account.accountId;
       
       const publisher = new InstagramPublisherService();
       publisher.initialize(accessToken, accountId);
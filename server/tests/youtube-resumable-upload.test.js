@@ -0,0 +1,154 @@
+/**
+ * YouTube Resumable Upload Tests
+ * Chunked uploads and resuming saved sessions against a stand-in for
+ * YouTube's resumable upload endpoint (no network needed)
+ *
+ * Run with: node server/tests/youtube-resumable-upload.test.js
+ */
+
+const axios = require('axios');
+const YouTubePublisherService = require('../services/youtube-publisher.service');
+const { assert, assertEqual, runTests } = require('./harness');
+
+const MB = 1024 * 1024;
+const video = Buffer.alloc(17 * MB, 1);
+
+/**
+ * Fake upload endpoint: sessions remember how many bytes they received
+ * @returns {Object} State to inspect and to inject failures into
+ */
+function youtube() {
+  // failNextChunk drops the connection after receivedBeforeFailure bytes of the next chunk
+  const server = { sessions: new Map(), started: 0, chunks: [], failNextChunk: null, receivedBeforeFailure: 0 };
+
+  axios.post = async () => {
+    server.started++;
+    const uri = `https://upload.example.com/session_${server.started}`;
+    server.sessions.set(uri, { received: 0 });
+    return { status: 200, headers: { location: uri } };
+  };
+
+  axios.put = async (uri, body, { headers }) => {
+    const session = server.sessions.get(uri);
+    if (!session) {
+      throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+    }
+    const [, range, total] = headers['Content-Range'].match(/bytes (\S+)\/(\d+)/);
+
+    if (body !== null) {
+      const start = parseInt(range.split('-')[0], 10);
+      server.chunks.push({ uri, start, length: body.length });
+      if (server.failNextChunk) {
+        const error = server.failNextChunk;
+        server.failNextChunk = null;
+        session.received = start + server.receivedBeforeFailure;
+        throw error;
+      }
+      session.received = start + body.length;
+    }
+
+    if (session.received >= Number(total)) {
+      return { status: 200, data: { id: `video_${uri.split('_')[1]}`, snippet: {}, status: {} } };
+    }
+    return { status: 308, headers: session.received > 0 ? { range: `bytes=0-${session.received - 1}` } : {} };
+  };
+
+  return server;
+}
+
+/**
+ * Upload video
+ * @param {Object} options - uploadVideo options (session, signal)
+ * @param {Array} sessions - Collects the sessions reported along the way
+ */
+async function upload(options = {}, sessions = []) {
+  const service = new YouTubePublisherService();
+  service.initialize('yt_token');
+  return await service.uploadVideo(video, { title: 'Demo', tags: [] }, null, null, {
+    ...options,
+    onSession: async (session) => { sessions.push(session); }
+  });
+}
+
+// Keep the publisher's own logging out of the test output
+const log = console.log;
+const warn = console.warn;
+const logError = console.error;
+async function quietly(fn) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    console.error = logError;
+  }
+}
+
+runTests('YouTube Resumable Upload Tests', 'Uploads resume where YouTube left off.', async () => {
+  // Test 1: A new upload is sent in chunks and saves its session
+  console.log('Test 1: A new upload is sent in chunks and saves its session');
+  let server = youtube();
+  let sessions = [];
+  let result = await quietly(() => upload({}, sessions));
+  assertEqual(result.videoId, 'video_1', 'Should return the uploaded video');
+  assertEqual(server.chunks.map(({ start, length }) => [start, length]), [[0, 8 * MB], [8 * MB, 8 * MB], [16 * MB, MB]], 'Should send 8MB chunks');
+  assertEqual(sessions.map(({ offset }) => offset), [0, 8 * MB, 16 * MB], 'Should save the session after each acknowledged chunk');
+  assertEqual(sessions[0].fileSize, video.length, 'Should save the file size with the session');
+
+  // Test 2: A saved session continues from the last acknowledged byte
+  console.log('\nTest 2: A saved session continues from the last acknowledged byte');
+  server = youtube();
+  server.sessions.set('https://upload.example.com/session_9', { received: 8 * MB });
+  result = await quietly(() => upload({ session: { uri: 'https://upload.example.com/session_9', offset: 8 * MB, fileSize: video.length } }));
+  assertEqual(server.started, 0, 'Should not start a new session');
+  assertEqual(server.chunks.map(({ start }) => start), [8 * MB, 16 * MB], 'Should only send the rest of the file');
+  assertEqual(result.videoId, 'video_9', 'Should finish the saved upload');
+
+  // Test 3: YouTube's offset wins over the saved one
+  console.log('\nTest 3: YouTube\'s offset wins over the saved one');
+  server = youtube();
+  server.sessions.set('https://upload.example.com/session_9', { received: 4 * MB });
+  await quietly(() => upload({ session: { uri: 'https://upload.example.com/session_9', offset: 8 * MB, fileSize: video.length } }));
+  assertEqual(server.chunks[0].start, 4 * MB, 'Should resend what YouTube did not keep');
+
+  // Test 4: A saved session that already finished is not uploaded again
+  console.log('\nTest 4: A saved session that already finished is not uploaded again');
+  server = youtube();
+  server.sessions.set('https://upload.example.com/session_9', { received: video.length });
+  result = await quietly(() => upload({ session: { uri: 'https://upload.example.com/session_9', offset: 16 * MB, fileSize: video.length } }));
+  assertEqual(result.videoId, 'video_9', 'Should return the finished video');
+  assertEqual(server.chunks.length, 0, 'Should not send any bytes');
+
+  // Test 5: An expired or mismatched session starts over
+  console.log('\nTest 5: An expired or mismatched session starts over');
+  server = youtube();
+  result = await quietly(() => upload({ session: { uri: 'https://upload.example.com/session_gone', offset: 8 * MB, fileSize: video.length } }));
+  assertEqual([server.started, server.chunks[0].start], [1, 0], 'Should start a new session when the saved one expired');
+  assertEqual(result.videoId, 'video_1', 'Should finish the new upload');
+  server = youtube();
+  server.sessions.set('https://upload.example.com/session_9', { received: 8 * MB });
+  await quietly(() => upload({ session: { uri: 'https://upload.example.com/session_9', offset: 8 * MB, fileSize: video.length + 1 } }));
+  assertEqual([server.started, server.chunks[0].start], [1, 0], 'Should not resume a session for another file');
+
+  // Test 6: A failed chunk is retried from what YouTube received
+  console.log('\nTest 6: A failed chunk is retried from what YouTube received');
+  server = youtube();
+  server.failNextChunk = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  server.receivedBeforeFailure = 6 * MB;
+  result = await quietly(() => upload());
+  assertEqual(server.chunks.map(({ start }) => start), [0, 6 * MB, 14 * MB], 'Should resend from the offset YouTube reported');
+  assertEqual(result.videoId, 'video_1', 'Should finish the upload');
+
+  // Test 7: A session that disappears mid-upload is forgotten
+  console.log('\nTest 7: A session that disappears mid-upload is forgotten');
+  server = youtube();
+  server.failNextChunk = Object.assign(new Error('Request failed with status code 410'), { response: { status: 410 } });
+  sessions = [];
+  let error = null;
+  await quietly(() => upload({}, sessions)).catch(caught => { error = caught; });
+  assertEqual(error?.message, 'YouTube upload failed: Upload session expired; the next attempt starts over', 'Should fail the attempt');
+  assert(sessions.length === 2 && sessions[1] === null, 'Should clear the saved session');
+});
@@ -26,7 +26,7 @@ const ERROR_190_PATTERNS = {
 const cleanToken = accessToken?.replace(/\\s+/g, '').trim();
 
 // Before storage
-user.instagramCredentials.accessToken = encryptionService.encrypt(
+account.accessToken = encryptionService.encrypt(
   token.replace(/\\s+/g, '').trim()
 );
     `
@@ -50,7 +50,7 @@ user.instagramCredentials.accessToken = encryptionService.encrypt(
     ],
     codeExample: `
 // Check token expiration
-if (user.instagramCredentials.tokenExpiresAt < new Date()) {
+if (account.tokenExpiresAt < new Date()) {
   // Token expired - trigger refresh or reconnect
   await tokenRefreshService.refreshInstagramTokenForUser(userId);
 }
@@ -1,5 +1,6 @@
 const express = require('express');
 const crypto = require('crypto');
+const eventBus = require('../services/event-bus.service');
 
 /**
  * Instagram Webhook Handler (Business Login compliant)
@@ -7,6 +8,10 @@ const crypto = require('crypto');
  * Mount this router at `/webhooks/meta` to expose:
  *   GET  /webhooks/meta/instagram   -> verification handshake
  *   POST /webhooks/meta/instagram   -> event notifications (comments, messages, story_insights, etc.)
+ *
+ * Every event is re-emitted on the shared event bus with `accountId` set to the
+ * entry ID (the Instagram account that received it), so listeners can route it
+ * to the owning user.
  */
 
 const router = express.Router();
@@ -141,25 +146,27 @@ function handleWebhookEvent(event, entry) {
 
   console.log(`[Webhook] Received event: ${field}`);
 
+  const accountId = entry?.id ? String(entry.id) : null;
+
   switch (field) {
     case 'comments':
-      handleCommentEvent(value);
+      handleCommentEvent(value, accountId);
       break;
 
     case 'mentions':
-      handleMentionEvent(value);
+      handleMentionEvent(value, accountId);
       break;
 
     case 'messages':
-      handleMessageEvent(value);
+      handleMessageEvent(value, accountId);
       break;
 
     case 'messaging_postbacks':
-      handlePostbackEvent(value);
+      handlePostbackEvent(value, accountId);
       break;
 
     case 'story_insights':
-      handleStoryInsightsEvent(value);
+      handleStoryInsightsEvent(value, accountId);
       break;
 
     default:
@@ -167,9 +174,10 @@ function handleWebhookEvent(event, entry) {
   }
 }
 
-function handleCommentEvent(value = {}) {
+function handleCommentEvent(value = {}, accountId = null) {
   const commentId = value.id;
   const mediaId = value.media_id || value.media?.id;
+  const parentId = value.parent_id || null;
   const text = value.text;
   const from = value.from;
 
@@ -180,19 +188,19 @@ function handleCommentEvent(value = {}) {
     text
   });
 
-  if (global.eventEmitter) {
-    global.eventEmitter.emit('instagram:comment', {
-      commentId,
-      mediaId,
-      text,
-      from,
-      timestamp: new Date(),
-      raw: value
-    });
-  }
+  eventBus.emit('instagram:comment', {
+    accountId,
+    commentId,
+    mediaId,
+    parentId,
+    text,
+    from,
+    timestamp: new Date(),
+    raw: value
+  });
 }
 
-function handleMessageEvent(event = {}) {
+function handleMessageEvent(event = {}, accountId = null) {
   const senderId = event.sender?.id;
   const recipientId = event.recipient?.id;
   const message = event.message;
@@ -203,18 +211,31 @@ function handleMessageEvent(event = {}) {
     message: message?.text || '[media]'
   });
 
-  if (global.eventEmitter) {
-    global.eventEmitter.emit('instagram:message', {
+  eventBus.emit('instagram:message', {
+    accountId,
+    senderId,
+    recipientId,
+    message,
+    timestamp: new Date(),
+    raw: event
+  });
+
+  // Story mentions arrive as a DM with a story_mention attachment
+  const storyMention = !message?.is_echo && (message?.attachments || []).find(a => a.type === 'story_mention');
+  if (storyMention) {
+    eventBus.emit('instagram:mention', {
+      accountId,
+      type: 'story',
       senderId,
-      recipientId,
-      message,
+      messageId: message.mid,
+      mediaUrl: storyMention.payload?.url || null,
       timestamp: new Date(),
       raw: event
     });
   }
 }
 
-function handlePostbackEvent(event = {}) {
+function handlePostbackEvent(event = {}, accountId = null) {
   const senderId = event.sender?.id;
   const payload = event.postback?.payload;
 
@@ -223,17 +244,16 @@ function handlePostbackEvent(event = {}) {
     payload
   });
 
-  if (global.eventEmitter) {
-    global.eventEmitter.emit('instagram:postback', {
-      senderId,
-      payload,
-      timestamp: new Date(),
-      raw: event
-    });
-  }
+  eventBus.emit('instagram:postback', {
+    accountId,
+    senderId,
+    payload,
+    timestamp: new Date(),
+    raw: event
+  });
 }
 
-function handleMentionEvent(value = {}) {
+function handleMentionEvent(value = {}, accountId = null) {
   const mediaId = value.media_id;
   const commentId = value.comment_id;
 
@@ -242,33 +262,35 @@ function handleMentionEvent(value = {}) {
     commentId
   });
 
-  if (global.eventEmitter) {
-    global.eventEmitter.emit('instagram:mention', {
-      mediaId,
-      commentId,
-      timestamp: new Date(),
-      raw: value
-    });
-  }
+  eventBus.emit('instagram:mention', {
+    accountId,
+    type: commentId ? 'comment' : 'caption',
+    mediaId,
+    commentId,
+    timestamp: new Date(),
+    raw: value
+  });
 }
 
-function handleStoryInsightsEvent(value = {}) {
-  const storyId = value.story_id;
-  const metrics = value.metrics;
+function handleStoryInsightsEvent(value = {}, accountId = null) {
+  // Meta sends the story as media_id with the metrics as flat numeric fields
+  const storyId = value.story_id || value.media_id;
+  const metrics = value.metrics || Object.fromEntries(
+    Object.entries(value).filter(([, metric]) => typeof metric === 'number')
+  );
 
   console.log('[Webhook] Story insights received:', {
     storyId,
     metrics
   });
 
-  if (global.eventEmitter) {
-    global.eventEmitter.emit('instagram:story_insight', {
-      storyId,
-      metrics,
-      timestamp: new Date(),
-      raw: value
-    });
-  }
+  eventBus.emit('instagram:story_insight', {
+    accountId,
+    storyId,
+    metrics,
+    timestamp: new Date(),
+    raw: value
+  });
 }
 
 module.exports = router;